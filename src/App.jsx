@@ -1,372 +1,374 @@
-import React, { useMemo, useState } from "react";
-import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid } from "recharts";
-
-// ==========================
-// Helper utilities
-// ==========================
-const numberPt = (n) => new Intl.NumberFormat("pt-PT").format(n ?? 0);
-const moneyPt = (n) => new Intl.NumberFormat("pt-PT", { style: "currency", currency: "EUR" }).format((n ?? 0));
-
-const DEFAULT_FX = {
-  EUR: 1,
-  USD: 0.92,
-  CNY: 0.128,
-  KRW: 0.00067,
-  HKD: 0.118,
-  BRL: 0.18,
-};
-
-const ORIGINS = ["China", "Korea", "Hong Kong", "Brasil"];
-const INCOTERMS = ["EXW", "FOB", "CIF"];
-const MODES = ["Aéreo Express", "Aéreo (Carga)", "Marítimo LCL", "Marítimo FCL 20'", "Marítimo FCL 40'"];
-
-// Default tier tables (editable in UI)
-const DEFAULT_AIR_TIERS = [
-  { threshold: 45, rate: 6.5 },
-  { threshold: 100, rate: 5.8 },
-  { threshold: 300, rate: 5.0 },
-  { threshold: 500, rate: 4.6 },
-  { threshold: Infinity, rate: 4.2 },
-];
-
-const DEFAULT_LCL_TIERS = [
-  { threshold: 2, rate: 180 },
-  { threshold: 5, rate: 150 },
-  { threshold: 10, rate: 120 },
-  { threshold: Infinity, rate: 100 },
-];
-
-// Container capacities (cbm) — approximate
-const FCL_CAPACITY = {
-  "Marítimo FCL 20'": 33.2,
-  "Marítimo FCL 40'": 67.7,
-};
+import React, { useLayoutEffect, useMemo, useState } from "react";
+import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer } from "recharts";
+
+import { formatNumber, formatMoney } from "./lib/format.js";
+import { LANGUAGES, DISPLAY_CURRENCIES, t, modeLabel, originLabel, setLanguage, setDisplayCurrency, displayCurrency, displayKey, loadPrefs, savePrefs } from "./lib/i18n.js";
+import { DEFAULT_INPUTS, ORIGINS, rateCardKey, rateCardFor, MODES, FCL_MODES, ALLOCATION_KEYS, DUTY_SOURCES, fxCurrencies, isExpressMode, isFclMode, freightKind, TRANSIT_FIELDS, validateTiers, computeLandedCost } from "./lib/landedCost.js";
+import LineItemsEditor from "./components/LineItemsEditor.jsx";
+import ScenarioLibrary from "./components/ScenarioLibrary.jsx";
+import ComparisonPanel from "./components/ComparisonPanel.jsx";
+import ReconciliationPanel from "./components/ReconciliationPanel.jsx";
+import RateCardsManager from "./components/RateCardsManager.jsx";
+import QuoteDocument from "./components/QuoteDocument.jsx";
+import TariffEditor from "./components/TariffEditor.jsx";
+import FxManager from "./components/FxManager.jsx";
+import RiskPanel from "./components/RiskPanel.jsx";
+import SensitivityPanel from "./components/SensitivityPanel.jsx";
+import PricingPanel from "./components/PricingPanel.jsx";
+import OrderPlanningPanel from "./components/OrderPlanningPanel.jsx";
+import ContainerPlanCard from "./components/ContainerPlanCard.jsx";
+import DestinationCostsEditor from "./components/DestinationCostsEditor.jsx";
+import VatCashFlow from "./components/VatCashFlow.jsx";
+import NumberInput from "./components/NumberInput.jsx";
+import ExpressTariffEditor from "./components/ExpressTariffEditor.jsx";
+import FinancingCard from "./components/FinancingCard.jsx";
+import { VAT_REGIMES, VAT_COUNTRIES, VAT_RATE_KINDS, VAT_FILING } from "./lib/vat.js";
+import { CONTAINER_TYPES } from "./lib/containers.js";
+import { LOW_VALUE_RELIEF_EUR } from "./lib/tariff.js";
+import { FINANCING_RULES, blankToNull, issuesByPath } from "./lib/validation.js";
+import { decodeShareHash, shareUrl } from "./lib/shareLink.js";
+import { listScenarios } from "./lib/scenarios.js";
+import { INCOTERMS, supplierPaidLegs } from "./lib/incoterms.js";
+import { assumptionNotes, quoteSections, quoteReference, quoteCsv, downloadText } from "./lib/quote.js";
+
+// "**x**" → <strong>x</strong> for the shared notes text
+const withBold = (text) => text.split("**").map((part, i) => (i % 2 ? <strong key={i}>{part}</strong> : part));
+
+// Inputs from a shared link (#s=...) when present, else defaults
+function initialState() {
+  try {
+    const shared = decodeShareHash(window.location.hash);
+    return shared ? { inputs: shared.inputs, linkMessage: shared.notice } : { inputs: DEFAULT_INPUTS, linkMessage: "" };
+  } catch (e) {
+    return { inputs: DEFAULT_INPUTS, linkMessage: e.message, linkError: true };
+  }
+}
 
 export default function App() {
   // ==========================
   // State
   // ==========================
-  // Separate origins
-  const [productOrigin, setProductOrigin] = useState("China"); // país de fabrico / origem aduaneira
-  const [shipOrigin, setShipOrigin] = useState("China"); // local de embarque para frete
-
-  const [mode, setMode] = useState("Aéreo (Carga)");
-  const [incoterm, setIncoterm] = useState("EXW");
-
-  // Product & packing
-  const [supplierCurrency, setSupplierCurrency] = useState("USD");
-  const [unitPrice, setUnitPrice] = useState(300); // price per unit in supplier currency
-  const [qty, setQty] = useState(100);
-  const [unitWeightKg, setUnitWeightKg] = useState(0.8);
-  const [unitLcm, setUnitLcm] = useState(17);
-  const [unitWcm, setUnitWcm] = useState(8);
-  const [unitHcm, setUnitHcm] = useState(5);
-
-  // FX (to EUR)
-  const [fx, setFx] = useState(DEFAULT_FX);
-
-  // Insurance and fees
-  const [insurancePct, setInsurancePct] = useState(0.5); // % over (mercadoria + frete)
-  const [brokerageFee, setBrokerageFee] = useState(120); // despachante aduaneiro
-  const [portTHC, setPortTHC] = useState(150); // taxas portuárias / handling
-  const [otherFees, setOtherFees] = useState(50);
-
-  // Local transport at origin (e.g., China → Hong Kong)
-  const [localOriginTransport, setLocalOriginTransport] = useState(0);
-
-  // Taxes
-  const [dutyPct, setDutyPct] = useState(0); // % sobre CIF (manual)
-  const [ignoreDuty, setIgnoreDuty] = useState(true); // opção de ignorar HS
-  const [originTariffEnabled, setOriginTariffEnabled] = useState(false); // usar tabela por origem do produto
-  const [originDutyMap, setOriginDutyMap] = useState({ China: 0, Korea: 0, "Hong Kong": 0, Brasil: 0, Outro: 0 });
-
-  const [vatPct, setVatPct] = useState(23);
-  const [vatRecoverable, setVatRecoverable] = useState(true);
+  // UI language and display currency are per browser, not part of the simulation
+  const [prefs, setPrefs] = useState(loadPrefs);
+  const updatePrefs = (patch) => {
+    const next = { ...prefs, ...patch };
+    setPrefs(next);
+    savePrefs(next);
+  };
 
-  // Branding
-  const [showLogo, setShowLogo] = useState(true);
-  const [logoUrl, setLogoUrl] = useState("/yep-logo.png");
+  // All simulation inputs live in one object so scenarios can save/restore them whole
+  const [initial] = useState(initialState);
+  const [inputs, setInputs] = useState(initial.inputs);
+  const field = (key) => (value) => setInputs(prev => ({ ...prev, [key]: value }));
+
+  const {
+    shipOrigin, mode, incoterm, items, allocationKey, packing, containerPlan,
+    fxCustoms, fxPayment, insurancePct, brokerageFee, portTHC, otherFees, destination, localOriginTransport, exportClearanceFee,
+    dutyPct, ignoreDuty, dutySource, originDutyMap, tariff, vatRegime, vatCountry, vatRateKind, vatPct, vatRecoverable, vatFiling, clearanceDate,
+    rateCards, express, financing,
+  } = inputs;
+  const setShipOrigin = field("shipOrigin");
+  const setMode = field("mode");
+  const setIncoterm = field("incoterm");
+  const setItems = field("items");
+  const setAllocationKey = field("allocationKey");
+  const setPacking = field("packing");
+  const setContainerPlan = field("containerPlan");
+  const setFxCustoms = field("fxCustoms");
+  const setFxPayment = field("fxPayment");
+  const setInsurancePct = field("insurancePct");
+  const setBrokerageFee = field("brokerageFee");
+  const setPortTHC = field("portTHC");
+  const setOtherFees = field("otherFees");
+  const setDestination = field("destination");
+  const setLocalOriginTransport = field("localOriginTransport");
+  const setExportClearanceFee = field("exportClearanceFee");
+  const setDutyPct = field("dutyPct");
+  const setIgnoreDuty = field("ignoreDuty");
+  const setDutySource = field("dutySource");
+  const setOriginDutyMap = field("originDutyMap");
+  const setTariff = field("tariff");
+  const setPricing = field("pricing");
+  const setPlanning = field("planning");
+  const setVatPct = field("vatPct");
+  const setVatRecoverable = field("vatRecoverable");
+  const setVatRegime = field("vatRegime");
+  // A rate kind the new country lacks falls back to its standard rate
+  const setVatCountry = (vatCountry) => setInputs(prev => ({
+    ...prev,
+    vatCountry,
+    vatRateKind: prev.vatRateKind === "manual" || VAT_COUNTRIES[vatCountry].rates[prev.vatRateKind] !== undefined ? prev.vatRateKind : "standard",
+  }));
+  const setVatRateKind = field("vatRateKind");
+  const setVatFiling = field("vatFiling");
+  const setClearanceDate = field("clearanceDate");
+  const setRateCards = field("rateCards");
+  const setExpress = field("express");
+  const setFinancing = field("financing");
+
+  // t() and the formatters read module-level settings: applied before paint, then the
+  // tree renders again with them (memos that cache text key on displayKey()).
+  // Display currency converts at the payment rate; without one, amounts stay in EUR
+  const [, setDisplay] = useState(displayKey);
+  const displayRate = fxPayment.rates[prefs.currency];
+  useLayoutEffect(() => {
+    setLanguage(prefs.lang);
+    setDisplayCurrency(prefs.currency, displayRate);
+    document.documentElement.lang = prefs.lang;
+    setDisplay(displayKey());
+  }, [prefs.lang, prefs.currency, displayRate]);
+  const displayFallback = displayCurrency().code !== prefs.currency;
+
+  // Freight models: fields of the rate card picked by shipOrigin (editable)
+  const activeRoute = rateCardKey(inputs);
+  const { airTiers, airVolFactor, airMinChargeKg, airFixedFees, lclTiers, lclMinCbm, lclFixedFees, fcl20Price, fcl40Price, fcl40HcPrice, fclFixedFees, expressZone } = rateCardFor(inputs);
+  const cardField = (key) => (value) => setInputs(prev => {
+    const route = rateCardKey(prev);
+    return { ...prev, rateCards: { ...prev.rateCards, [route]: { ...prev.rateCards[route], [key]: value } } };
+  });
+  const setAirTiers = cardField("airTiers");
+  const setAirVolFactor = cardField("airVolFactor");
+  const setAirMinChargeKg = cardField("airMinChargeKg");
+  const setAirFixedFees = cardField("airFixedFees");
+  const setLclTiers = cardField("lclTiers");
+  const setLclMinCbm = cardField("lclMinCbm");
+  const setLclFixedFees = cardField("lclFixedFees");
+  const setFcl20Price = cardField("fcl20Price");
+  const setFcl40Price = cardField("fcl40Price");
+  const setFcl40HcPrice = cardField("fcl40HcPrice");
+  const setFclFixedFees = cardField("fclFixedFees");
+  const transitField = TRANSIT_FIELDS[freightKind(mode)];
+  const setTransitDays = cardField(transitField);
+
+  // Shared-link feedback (load errors / copy confirmation)
+  const [linkMessage, setLinkMessage] = useState(initial.linkMessage);
+  const [linkError, setLinkError] = useState(!!initial.linkError);
+
+  const copyShareLink = async () => {
+    const url = shareUrl(inputs);
+    window.history.replaceState(null, "", url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkMessage(t("app.share.copied"));
+    } catch {
+      setLinkMessage(t("app.share.inAddressBar"));
+    }
+    setLinkError(false);
+  };
 
-  // Freight models (editable)
-  const [airTiers, setAirTiers] = useState(DEFAULT_AIR_TIERS);
-  const [airVolFactor, setAirVolFactor] = useState(167); // kg por m³ (IATA ~167)
-  const [airMinChargeKg, setAirMinChargeKg] = useState(45); // mínimo cobrado em kg
-  const [airFixedFees, setAirFixedFees] = useState(60); // docs/origem/destino
+  // Saved scenarios, shared by the library, the comparison and the reconciliation;
+  // read again whenever the library changes them
+  const [scenarios, setScenarios] = useState(listScenarios);
+  const refreshScenarios = () => setScenarios(listScenarios());
 
-  const [lclTiers, setLclTiers] = useState(DEFAULT_LCL_TIERS);
-  const [lclMinCbm, setLclMinCbm] = useState(1); // mínimo em m³
-  const [lclFixedFees, setLclFixedFees] = useState(120);
+  // Name of the scenario last opened from the library (quote reference)
+  const [scenarioName, setScenarioName] = useState("");
+  const loadScenario = (next, name) => {
+    setInputs(next);
+    setScenarioName(name);
+  };
 
-  const [fcl20Price, setFcl20Price] = useState(1800);
-  const [fcl40Price, setFcl40Price] = useState(2300);
-  const [fclFixedFees, setFclFixedFees] = useState(300);
+  // Branding
+  const [showLogo, setShowLogo] = useState(true);
+  const [logoUrl, setLogoUrl] = useState("/yep-logo.png");
 
   // ==========================
   // Derived metrics
   // ==========================
-  const unitVolumeM3 = useMemo(() => (unitLcm/100) * (unitWcm/100) * (unitHcm/100), [unitLcm, unitWcm, unitHcm]);
-  const totalVolumeM3 = useMemo(() => unitVolumeM3 * qty, [unitVolumeM3, qty]);
-  const totalWeightKg = useMemo(() => unitWeightKg * qty, [unitWeightKg, qty]);
-
-  // Convert supplier price to EUR
-  const goodsEUR = useMemo(() => (unitPrice * qty) * (fx[supplierCurrency] ?? 1), [unitPrice, qty, supplierCurrency, fx]);
-
-  // Freight cost model per mode — frete depende de shipOrigin (no futuro pode haver tabelas por rota)
-  const calcFreight = (q) => {
-    const volM3 = unitVolumeM3 * q;
-    const kg = unitWeightKg * q;
-
-    if (mode === "Aéreo Express" || mode === "Aéreo (Carga)") {
-      const volWeight = volM3 * airVolFactor; // kg
-      const chargeable = Math.max(kg, volWeight, airMinChargeKg);
-      const rate = airTiers.find(t => chargeable <= t.threshold)?.rate ?? airTiers[airTiers.length-1].rate;
-      const cost = chargeable * rate + airFixedFees;
-      return { cost, basisLabel: `Peso tributável ${numberPt(chargeable)} kg @ ${rate.toFixed(2)} €/kg` };
-    }
-    if (mode === "Marítimo LCL") {
-      const cbm = Math.max(volM3, lclMinCbm);
-      const rate = lclTiers.find(t => cbm <= t.threshold)?.rate ?? lclTiers[lclTiers.length-1].rate;
-      const cost = cbm * rate + lclFixedFees;
-      return { cost, basisLabel: `Volume tributável ${cbm.toFixed(2)} m³ @ ${rate.toFixed(0)} €/m³` };
-    }
-    if (mode === "Marítimo FCL 20'") {
-      const cap = FCL_CAPACITY["Marítimo FCL 20'"];
-      const containers = Math.max(1, Math.ceil(volM3 / cap));
-      const price = fcl20Price * containers + fclFixedFees;
-      const utilization = volM3 / (containers * cap);
-      return { cost: price, basisLabel: `${containers}x 20' (ocupação ${(utilization*100).toFixed(1)}%)` };
-    }
-    if (mode === "Marítimo FCL 40'") {
-      const cap = FCL_CAPACITY["Marítimo FCL 40'"];
-      const containers = Math.max(1, Math.ceil(volM3 / cap));
-      const price = fcl40Price * containers + fclFixedFees;
-      const utilization = volM3 / (containers * cap);
-      return { cost: price, basisLabel: `${containers}x 40' (ocupação ${(utilization*100).toFixed(1)}%)` };
-    }
-    return { cost: 0, basisLabel: "" };
-  };
-
-  const freight = useMemo(() => calcFreight(qty), [qty, unitVolumeM3, unitWeightKg, mode, airTiers, airVolFactor, airMinChargeKg, airFixedFees, lclTiers, lclMinCbm, lclFixedFees, fcl20Price, fcl40Price, fclFixedFees, shipOrigin]);
-
-  // Insurance on (goods + freight)
-  const insuranceEUR = useMemo(() => (goodsEUR + freight.cost) * (insurancePct / 100), [goodsEUR, freight, insurancePct]);
-
-  // Customs base (CIF): mercadoria + frete + seguro + transporte local na origem (quando pago pelo importador)
-  const customsBase = useMemo(() => {
-    const base = (incoterm === "CIF") ? goodsEUR : (goodsEUR + freight.cost + insuranceEUR);
-    return base + localOriginTransport; // inclui pré-carriage (ex.: China→Hong Kong)
-  }, [incoterm, goodsEUR, freight, insuranceEUR, localOriginTransport]);
-
-  // Direitos: manual OU tabela por origem do produto (protótipo)
-  const dutyRateFromOrigin = (originTariffEnabled ? (originDutyMap[productOrigin] ?? originDutyMap["Outro"] ?? 0) : dutyPct);
-  const effectiveDutyPct = ignoreDuty ? 0 : dutyRateFromOrigin;
-  const dutyEUR = useMemo(() => customsBase * (effectiveDutyPct / 100), [customsBase, effectiveDutyPct]);
-
-  // IVA incide sobre: base aduaneira + direitos + (taxas elegíveis)
-  const vatBase = useMemo(() => customsBase + dutyEUR + brokerageFee + portTHC + otherFees, [customsBase, dutyEUR, brokerageFee, portTHC, otherFees]);
-  const vatEUR = useMemo(() => vatBase * (vatPct / 100), [vatBase, vatPct]);
-
-  // Landed cost (excl. VAT if recoverable)
-  const landedExVAT = useMemo(() => {
-    const base = goodsEUR + localOriginTransport + freight.cost + insuranceEUR + dutyEUR + brokerageFee + portTHC + otherFees;
-    return base; // IVA recuperável não entra no custo final
-  }, [goodsEUR, localOriginTransport, freight, insuranceEUR, dutyEUR, brokerageFee, portTHC, otherFees]);
-
-  const landedInclVAT = useMemo(() => landedExVAT + (vatRecoverable ? 0 : vatEUR), [landedExVAT, vatRecoverable, vatEUR]);
-  const unitLanded = useMemo(() => landedInclVAT / (qty || 1), [landedInclVAT, qty]);
-
-  // For cost composition chart (exclude VAT if recoverable)
-  const composition = useMemo(() => ([
-    { name: "Mercadoria", value: goodsEUR },
-    { name: `Origem produto: ${productOrigin}`, value: 0 }, // marcador informativo
-    { name: "Transp. Local (origem)", value: localOriginTransport },
-    { name: `Frete (${shipOrigin})`, value: freight.cost },
-    { name: "Seguro", value: insuranceEUR },
-    { name: "Direitos", value: dutyEUR },
-    { name: "Despachante", value: brokerageFee },
-    { name: "THC/Porto", value: portTHC },
-    { name: "Outras Taxas", value: otherFees },
-  ]).filter(x => x.value > 0), [goodsEUR, productOrigin, localOriginTransport, freight, insuranceEUR, dutyEUR, brokerageFee, portTHC, otherFees, shipOrigin]);
-
-  // Sensitivity curve: unit cost vs quantity (economia de escala)
-  const sensitivityData = useMemo(() => {
-    const points = [];
-    const qMin = 10;
-    const qMax = Math.max(2000, qty * 2);
-    const steps = 40;
-    for (let i = 0; i <= steps; i++) {
-      const q = Math.round(qMin + (i*(qMax - qMin)/steps));
-      const goods = (unitPrice * q) * (fx[supplierCurrency] ?? 1);
-      const fr = calcFreight(q).cost;
-      const ins = ((goods + fr) * (insurancePct/100));
-      const customs = (incoterm === "CIF") ? (goods + localOriginTransport) : (goods + fr + ins + localOriginTransport);
-      const dutyRate = (ignoreDuty ? 0 : (originTariffEnabled ? (originDutyMap[productOrigin] ?? originDutyMap["Outro"] ?? 0) : dutyPct));
-      const duty = customs * (dutyRate/100);
-      const exVAT = goods + localOriginTransport + fr + ins + duty + brokerageFee + portTHC + otherFees;
-      const vatB = customs + duty + brokerageFee + portTHC + otherFees;
-      const vat = vatB * (vatPct/100);
-      const total = exVAT + (vatRecoverable ? 0 : vat);
-      points.push({ qty: q, unit: total / q });
-    }
-    return points;
-  }, [qty, unitPrice, supplierCurrency, fx, insurancePct, incoterm, dutyPct, ignoreDuty, brokerageFee, portTHC, otherFees, vatPct, vatRecoverable, mode, localOriginTransport, airTiers, airVolFactor, airMinChargeKg, airFixedFees, lclTiers, lclMinCbm, lclFixedFees, fcl20Price, fcl40Price, fclFixedFees, unitVolumeM3, unitWeightKg, productOrigin, originTariffEnabled, originDutyMap, shipOrigin]);
+  // Single source for KPI cards, pie and quote
+  const result = useMemo(() => computeLandedCost(inputs), [inputs, displayKey()]);
+  const { errors, warnings, qty, totalVolumeM3, totalWeightKg, totalCartons, totalPallets, freight, legs, customsBase, effectiveDutyPct, dutyEUR, vatBase, vatEUR, deferralEUR, landedExVAT, unitLanded, perSku, composition } = result;
+  // Inline messages next to each input
+  const issues = issuesByPath(result.issues);
+  // With errors nothing downstream is trustworthy: results, quote and exports are held back
+  const blocked = errors.length > 0;
+  const kpiFlag = !blocked && warnings.length > 0 && <span className="text-amber-600 text-base align-top ml-1" title={t("app.kpiWarning")}>⚠</span>;
+
+
+  // Quotation export (print/PDF + CSV)
+  const quoteDate = new Date();
+  const reference = quoteReference(inputs, quoteDate);
+  const sections = quoteSections(inputs, result, { reference, scenarioName, date: quoteDate });
+  const exportCsv = () => downloadText(`${reference}.csv`, quoteCsv(sections));
 
   // Colors for pie slices
   const PIE_COLORS = ["#0ea5e9", "#22c55e", "#f59e0b", "#ef4444", "#8b5cf6", "#14b8a6", "#64748b", "#94a3b8"]; 
 
   return (
-    <div className="min-h-screen w-full bg-gray-50 text-gray-900">
-      <div className="max-w-7xl mx-auto px-4 py-6">
+    <div className="min-h-screen w-full bg-gray-50 text-gray-900 print:bg-white">
+      {!blocked && <QuoteDocument sections={sections} logoUrl={logoUrl} showLogo={showLogo} />}
+      <div className="max-w-7xl mx-auto px-4 py-6 print:hidden">
         <header className="mb-6">
           <div className="flex items-center justify-between">
-            <h1 className="text-2xl md:text-3xl font-semibold">Calculadora Interativa de Custo de Importação — AIDC (Portugal)</h1>
-            {showLogo && logoUrl ? (
-              <img src={logoUrl} alt="YEP logo" className="h-8 md:h-10 object-contain" />
-            ) : null}
+            <h1 className="text-2xl md:text-3xl font-semibold">{t("app.title")}</h1>
+            <div className="flex items-center gap-3">
+              <select value={prefs.lang} onChange={(e)=>updatePrefs({ lang: e.target.value })} className="text-sm border rounded px-2 py-1 bg-white" title={t("app.language")}>
+                {Object.entries(LANGUAGES).map(([k, l]) => <option key={k} value={k}>{l.label}</option>)}
+              </select>
+              <select value={prefs.currency} onChange={(e)=>updatePrefs({ currency: e.target.value })} className="text-sm border rounded px-2 py-1 bg-white" title={t("app.displayCurrency")}>
+                {DISPLAY_CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+              </select>
+              <button type="button" onClick={()=>window.print()} disabled={blocked} title={blocked ? t("app.exportBlocked") : undefined} className="text-sm border rounded px-3 py-1 bg-white hover:bg-gray-100 whitespace-nowrap disabled:opacity-50">{t("app.print")}</button>
+              <button type="button" onClick={exportCsv} disabled={blocked} title={blocked ? t("app.exportBlocked") : undefined} className="text-sm border rounded px-3 py-1 bg-white hover:bg-gray-100 whitespace-nowrap disabled:opacity-50">{t("common.exportCsv")}</button>
+              <button type="button" onClick={copyShareLink} className="text-sm border rounded px-3 py-1 bg-white hover:bg-gray-100 whitespace-nowrap">{t("app.share.button")}</button>
+              {showLogo && logoUrl ? (
+                <img src={logoUrl} alt="YEP logo" className="h-8 md:h-10 object-contain" />
+              ) : null}
+            </div>
           </div>
-          <p className="text-sm md:text-base text-gray-600 mt-2">Planeie o custo total por unidade (landed cost) ao importar AIDC com <strong>origem do produto</strong> separada da <strong>origem do frete</strong>. Considere Incoterms, frete, seguros, direitos (opcionais), IVA e taxas locais, com <strong>economia por volume</strong>.</p>
+          {linkMessage && (
+            <div className={`mt-3 text-sm rounded-lg px-3 py-2 flex items-start justify-between gap-3 ${linkError ? "bg-red-50 text-red-700" : "bg-sky-50 text-sky-800"}`}>
+              <span>{linkMessage}</span>
+              <button type="button" onClick={()=>setLinkMessage("")} className="text-xs" title={t("app.close")}>✕</button>
+            </div>
+          )}
+          {displayFallback && <div className="mt-3 text-sm rounded-lg px-3 py-2 bg-amber-50 text-amber-800">{t("app.displayCurrencyMissing", { code: prefs.currency })}</div>}
+          <p className="text-sm md:text-base text-gray-600 mt-2">{withBold(t("app.intro"))}</p>
         </header>
 
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* LEFT: Inputs */}
           <section className="space-y-4">
+            <ScenarioLibrary inputs={inputs} result={result} scenarios={scenarios} onChange={refreshScenarios} onLoad={loadScenario} />
+
             {/* Origens & Modal */}
             <div className="bg-white rounded-2xl shadow p-4">
               <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
                 <div>
-                  <label className="text-xs text-gray-600">Origem do produto (fabrico)</label>
-                  <select value={productOrigin} onChange={(e)=>setProductOrigin(e.target.value)} className="w-full border rounded px-2 py-1">
-                    {ORIGINS.map(o=> <option key={o} value={o}>{o}</option>)}
-                    <option value="Outro">Outro</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="text-xs text-gray-600">Origem do frete (embarque)</label>
+                  <label className="text-xs text-gray-600">{t("app.shipOrigin")}</label>
                   <select value={shipOrigin} onChange={(e)=>setShipOrigin(e.target.value)} className="w-full border rounded px-2 py-1">
-                    {ORIGINS.map(o=> <option key={o} value={o}>{o}</option>)}
-                    <option value="Outro">Outro</option>
+                    {Object.keys(rateCards).concat(shipOrigin in rateCards ? [] : [shipOrigin]).map(o=> <option key={o} value={o}>{originLabel(o)}</option>)}
                   </select>
                 </div>
                 <div>
-                  <label className="text-xs text-gray-600">Modal</label>
+                  <label className="text-xs text-gray-600">{t("app.mode")}</label>
                   <select value={mode} onChange={(e)=>setMode(e.target.value)} className="w-full border rounded px-2 py-1">
-                    {MODES.map(m=> <option key={m} value={m}>{m}</option>)}
+                    {MODES.map(m=> <option key={m} value={m}>{modeLabel(m)}</option>)}
                   </select>
-                  <p className="text-[11px] text-gray-500 mt-1">Descontos automáticos por volume.</p>
+                  <p className="text-[11px] text-gray-500 mt-1">{t("app.modeHint")}</p>
                 </div>
                 <div>
-                  <label className="text-xs text-gray-600">Incoterm (Preço fornecedor)</label>
+                  <label className="text-xs text-gray-600">{t("app.incoterm")}</label>
                   <select value={incoterm} onChange={(e)=>setIncoterm(e.target.value)} className="w-full border rounded px-2 py-1">
                     {INCOTERMS.map(i=> <option key={i} value={i}>{i}</option>)}
                   </select>
+                  <p className="text-[11px] text-gray-500 mt-1">{t("app.incotermIncluded", { legs: supplierPaidLegs(incoterm).map(l => l.label.toLowerCase()).join(", ") || t("app.incotermNothing") })}</p>
                 </div>
                 <div>
-                  <label className="text-xs text-gray-600">Quantidade</label>
-                  <input type="number" min={1} value={qty} onChange={(e)=>setQty(Math.max(1, Number(e.target.value)))} className="w-full border rounded px-2 py-1"/>
+                  <label className="text-xs text-gray-600">{t("app.allocation")}</label>
+                  <select value={allocationKey} onChange={(e)=>setAllocationKey(e.target.value)} className="w-full border rounded px-2 py-1">
+                    {ALLOCATION_KEYS.map(k=> <option key={k} value={k}>{t(`allocation.${k}`)}</option>)}
+                  </select>
+                  <p className="text-[11px] text-gray-500 mt-1">{t("app.allocationHint")}</p>
                 </div>
               </div>
             </div>
 
             {/* Produto & Embalagem */}
             <details className="bg-white rounded-2xl shadow p-4" open>
-              <summary className="cursor-pointer select-none font-medium">Produto & Embalagem</summary>
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
-                <div className="col-span-2">
-                  <label className="text-xs text-gray-600">Preço unitário</label>
-                  <div className="flex gap-2 items-center">
-                    <input type="number" min={0} step={0.01} value={unitPrice} onChange={(e)=>setUnitPrice(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
-                    <select value={supplierCurrency} onChange={(e)=>setSupplierCurrency(e.target.value)} className="border rounded px-2 py-1">
-                      {Object.keys(fx).map(c=> <option key={c} value={c}>{c}</option>)}
-                    </select>
-                  </div>
-                </div>
-                <div>
-                  <label className="text-xs text-gray-600">Peso unit. (kg)</label>
-                  <input type="number" min={0} step={0.01} value={unitWeightKg} onChange={(e)=>setUnitWeightKg(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
-                </div>
-                <div>
-                  <label className="text-xs text-gray-600">Dimensões (cm) L</label>
-                  <input type="number" min={0} step={0.1} value={unitLcm} onChange={(e)=>setUnitLcm(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
-                </div>
-                <div>
-                  <label className="text-xs text-gray-600">W</label>
-                  <input type="number" min={0} step={0.1} value={unitWcm} onChange={(e)=>setUnitWcm(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+              <summary className="cursor-pointer select-none font-medium">{t("app.section.products")}</summary>
+              <div className="mt-3">
+                <LineItemsEditor items={items} setItems={setItems} currencies={fxCurrencies(inputs)} tariff={tariff} issues={issues} />
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3 pt-3 border-t">
+                <div className="flex items-center gap-2 col-span-2">
+                  <input id="roundCtn" type="checkbox" checked={packing.roundToCartons} onChange={(e)=>setPacking({ ...packing, roundToCartons: e.target.checked })} />
+                  <label htmlFor="roundCtn" className="text-sm">{t("app.roundToCartons")}</label>
                 </div>
-                <div>
-                  <label className="text-xs text-gray-600">H</label>
-                  <input type="number" min={0} step={0.1} value={unitHcm} onChange={(e)=>setUnitHcm(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                <div className="flex items-center gap-2 col-span-2">
+                  <input id="pallets" type="checkbox" checked={packing.palletize} onChange={(e)=>setPacking({ ...packing, palletize: e.target.checked })} />
+                  <label htmlFor="pallets" className="text-sm">{t("app.palletize")}</label>
                 </div>
+                {packing.palletize && [
+                  "palletLcm", "palletWcm", "palletMaxHcm", "palletDeckHcm", "palletKg",
+                ].map(key => (
+                  <div key={key}>
+                    <label className="text-xs text-gray-600">{t(`app.packing.${key}`)}</label>
+                    <NumberInput min={0} step={1} value={packing[key]} onChange={(value)=>setPacking({ ...packing, [key]: value })} issue={issues[`packing.${key}`]}/>
+                  </div>
+                ))}
               </div>
-              <div className="text-[11px] text-gray-500 mt-2">Volume unitário: {unitVolumeM3.toFixed(6)} m³ • Volume total: {totalVolumeM3.toFixed(3)} m³ • Peso total: {numberPt(totalWeightKg)} kg</div>
+              <p className="text-[11px] text-gray-500 mt-1">{t("app.packingHint")}</p>
+              <div className="text-[11px] text-gray-500 mt-2">{t("app.shipmentSkus", { count: items.length, qty: formatNumber(qty) })}{totalCartons > 0 && ` • ${t("app.shipmentCartons", { count: formatNumber(totalCartons) })}`}{totalPallets > 0 && ` • ${t("app.shipmentPallets", { count: formatNumber(totalPallets) })}`} • {t("app.shipmentVolume", { m3: formatNumber(totalVolumeM3, 3), kg: formatNumber(totalWeightKg) })}</div>
             </details>
 
             {/* Câmbio & Seguro */}
             <details className="bg-white rounded-2xl shadow p-4">
-              <summary className="cursor-pointer select-none font-medium">Câmbio, Seguro & Taxas Fixas</summary>
+              <summary className="cursor-pointer select-none font-medium">{t("app.section.fx")}</summary>
+              <div className="mt-3">
+                <FxManager fxCustoms={fxCustoms} fxPayment={fxPayment} setFxCustoms={setFxCustoms} setFxPayment={setFxPayment} usedCurrencies={items.map(it => it.currency)} issues={issues} />
+              </div>
               <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
-                {Object.keys(fx).map(code => (
-                  <div key={code}>
-                    <label className="text-xs text-gray-600">FX {code}→EUR</label>
-                    <input type="number" step={0.0001} value={fx[code]} onChange={(e)=>setFx({ ...fx, [code]: Number(e.target.value) })} className="w-full border rounded px-2 py-1"/>
-                  </div>
-                ))}
                 <div>
-                  <label className="text-xs text-gray-600">Seguro (%)</label>
-                  <input type="number" step={0.01} value={insurancePct} onChange={(e)=>setInsurancePct(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                  <label className="text-xs text-gray-600">{t("app.insurancePct")}</label>
+                  <NumberInput step={0.01} value={insurancePct} onChange={setInsurancePct} issue={issues.insurancePct}/>
                 </div>
                 <div>
-                  <label className="text-xs text-gray-600">Despachante (€)</label>
-                  <input type="number" step={1} value={brokerageFee} onChange={(e)=>setBrokerageFee(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                  <label className="text-xs text-gray-600">{t("app.brokerage")}</label>
+                  <NumberInput step={1} value={brokerageFee} onChange={setBrokerageFee} issue={issues.brokerageFee}/>
                 </div>
                 <div>
-                  <label className="text-xs text-gray-600">THC/Porto (€)</label>
-                  <input type="number" step={1} value={portTHC} onChange={(e)=>setPortTHC(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                  <label className="text-xs text-gray-600">{t("app.portTHC")}</label>
+                  <NumberInput step={1} value={portTHC} onChange={setPortTHC} issue={issues.portTHC}/>
                 </div>
                 <div>
-                  <label className="text-xs text-gray-600">Outras taxas (€)</label>
-                  <input type="number" step={1} value={otherFees} onChange={(e)=>setOtherFees(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                  <label className="text-xs text-gray-600">{t("app.otherFees")}</label>
+                  <NumberInput step={1} value={otherFees} onChange={setOtherFees} issue={issues.otherFees}/>
                 </div>
               </div>
             </details>
 
+            {/* Custos no destino */}
+            <details className="bg-white rounded-2xl shadow p-4">
+              <summary className="cursor-pointer select-none font-medium">{t("app.section.destination")}</summary>
+              <div className="mt-3">
+                <DestinationCostsEditor destination={destination} setDestination={setDestination} lines={result.destination} fcl={isFclMode(mode)} issues={issues} />
+              </div>
+            </details>
+
             {/* Branding */}
             <details className="bg-white rounded-2xl shadow p-4">
-              <summary className="cursor-pointer select-none font-medium">Branding (Logo)</summary>
+              <summary className="cursor-pointer select-none font-medium">{t("app.section.branding")}</summary>
               <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-3">
                 <div className="md:col-span-2">
-                  <label className="text-xs text-gray-600">URL do logotipo (PNG/SVG)</label>
+                  <label className="text-xs text-gray-600">{t("app.logoUrl")}</label>
                   <input type="url" placeholder="https://.../yep-logo.svg" value={logoUrl} onChange={(e)=>setLogoUrl(e.target.value)} className="w-full border rounded px-2 py-1"/>
                 </div>
                 <div className="flex items-end gap-2">
                   <input id="showlogo" type="checkbox" checked={showLogo} onChange={(e)=>setShowLogo(e.target.checked)} />
-                  <label htmlFor="showlogo" className="text-sm">Mostrar logo no topo</label>
+                  <label htmlFor="showlogo" className="text-sm">{t("app.showLogo")}</label>
                 </div>
               </div>
-              <p className="text-[11px] text-gray-500 mt-2">Dica: use um ficheiro com fundo transparente para melhor resultado.</p>
+              <p className="text-[11px] text-gray-500 mt-2">{t("app.logoHint")}</p>
             </details>
 
             {/* Frete & Transporte local */}
             <details className="bg-white rounded-2xl shadow p-4">
-              <summary className="cursor-pointer select-none font-medium">Frete — Descontos por Volume & Transporte Local</summary>
+              <summary className="cursor-pointer select-none font-medium">{t("app.section.freight")}</summary>
               <div className="mt-3 space-y-4">
-                {(mode === "Aéreo Express" || mode === "Aéreo (Carga)") && (
+                <RateCardsManager rateCards={rateCards} activeKey={activeRoute} setRateCards={setRateCards} expressZones={Object.keys(express.zones)} />
+                <h4 className="text-sm font-medium">{t("app.activeCard", { route: activeRoute, mode: modeLabel(mode) })}</h4>
+                {isExpressMode(mode) && (
+                  <ExpressTariffEditor express={express} setExpress={setExpress} zoneId={expressZone} zonesInUse={Object.values(rateCards).map(c => c.expressZone)} freight={freight} issues={issues} />
+                )}
+                {freightKind(mode) === "air" && (
                   <div className="space-y-3">
                     <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
                       <div>
-                        <label className="text-xs text-gray-600">Fator volumétrico (kg/m³)</label>
-                        <input type="number" step={1} value={airVolFactor} onChange={(e)=>setAirVolFactor(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                        <label className="text-xs text-gray-600">{t("quote.airVolFactor")}</label>
+                        <NumberInput step={1} value={airVolFactor} onChange={setAirVolFactor} issue={issues["card.airVolFactor"]}/>
                       </div>
                       <div>
-                        <label className="text-xs text-gray-600">Mínimo cobrado (kg)</label>
-                        <input type="number" step={1} value={airMinChargeKg} onChange={(e)=>setAirMinChargeKg(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                        <label className="text-xs text-gray-600">{t("quote.airMinChargeKg")}</label>
+                        <NumberInput step={1} value={airMinChargeKg} onChange={setAirMinChargeKg} issue={issues["card.airMinChargeKg"]}/>
                       </div>
                       <div>
-                        <label className="text-xs text-gray-600">Taxas fixas (€)</label>
-                        <input type="number" step={1} value={airFixedFees} onChange={(e)=>setAirFixedFees(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                        <label className="text-xs text-gray-600">{t("app.fixedFees")}</label>
+                        <NumberInput step={1} value={airFixedFees} onChange={setAirFixedFees} issue={issues["card.airFixedFees"]}/>
                       </div>
                     </div>
                     <div>
-                      <h4 className="text-sm font-medium mb-1">Escalões de preço (€/kg)</h4>
+                      <h4 className="text-sm font-medium mb-1">{t("app.tiersKg")}</h4>
                       <TierEditor tiers={airTiers} setTiers={setAirTiers} unitLabel="kg"/>
                     </div>
                   </div>
@@ -375,47 +377,75 @@ export default function App() {
                   <div className="space-y-3">
                     <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
                       <div>
-                        <label className="text-xs text-gray-600">Mínimo (m³)</label>
-                        <input type="number" step={0.1} value={lclMinCbm} onChange={(e)=>setLclMinCbm(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                        <label className="text-xs text-gray-600">{t("quote.lclMinCbm")}</label>
+                        <NumberInput step={0.1} value={lclMinCbm} onChange={setLclMinCbm} issue={issues["card.lclMinCbm"]}/>
                       </div>
                       <div>
-                        <label className="text-xs text-gray-600">Taxas fixas (€)</label>
-                        <input type="number" step={1} value={lclFixedFees} onChange={(e)=>setLclFixedFees(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                        <label className="text-xs text-gray-600">{t("app.fixedFees")}</label>
+                        <NumberInput step={1} value={lclFixedFees} onChange={setLclFixedFees} issue={issues["card.lclFixedFees"]}/>
                       </div>
                     </div>
                     <div>
-                      <h4 className="text-sm font-medium mb-1">Escalões de preço (€/m³)</h4>
+                      <h4 className="text-sm font-medium mb-1">{t("app.tiersCbm")}</h4>
                       <TierEditor tiers={lclTiers} setTiers={setLclTiers} unitLabel="m³"/>
                     </div>
                   </div>
                 )}
-                {(mode === "Marítimo FCL 20'" || mode === "Marítimo FCL 40'") && (
+                {isFclMode(mode) && (
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-                    {mode === "Marítimo FCL 20'" && (
+                    {FCL_MODES[mode].includes("20'") && (
+                      <div>
+                        <label className="text-xs text-gray-600">{t("app.fclPrice", { type: "20'" })}</label>
+                        <NumberInput step={10} value={fcl20Price} onChange={setFcl20Price} issue={issues["card.fcl20Price"]}/>
+                      </div>
+                    )}
+                    {FCL_MODES[mode].includes("40'") && (
                       <div>
-                        <label className="text-xs text-gray-600">Preço por 20' (€)</label>
-                        <input type="number" step={10} value={fcl20Price} onChange={(e)=>setFcl20Price(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                        <label className="text-xs text-gray-600">{t("app.fclPrice", { type: "40'" })}</label>
+                        <NumberInput step={10} value={fcl40Price} onChange={setFcl40Price} issue={issues["card.fcl40Price"]}/>
                       </div>
                     )}
-                    {mode === "Marítimo FCL 40'" && (
+                    {FCL_MODES[mode].includes("40' HC") && (
                       <div>
-                        <label className="text-xs text-gray-600">Preço por 40' (€)</label>
-                        <input type="number" step={10} value={fcl40Price} onChange={(e)=>setFcl40Price(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                        <label className="text-xs text-gray-600">{t("app.fclPrice", { type: "40' HC" })}</label>
+                        <NumberInput step={10} value={fcl40HcPrice} onChange={setFcl40HcPrice} issue={issues["card.fcl40HcPrice"]}/>
                       </div>
                     )}
                     <div>
-                      <label className="text-xs text-gray-600">Taxas fixas (€)</label>
-                      <input type="number" step={1} value={fclFixedFees} onChange={(e)=>setFclFixedFees(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                      <label className="text-xs text-gray-600">{t("app.fixedFees")}</label>
+                      <NumberInput step={1} value={fclFixedFees} onChange={setFclFixedFees} issue={issues["card.fclFixedFees"]}/>
+                    </div>
+                    <div>
+                      <label className="text-xs text-gray-600">{t("app.fillPct")}</label>
+                      <NumberInput min={1} max={100} step={1} value={containerPlan.fillPct} onChange={(fillPct)=>setContainerPlan({ ...containerPlan, fillPct })} issue={issues["containerPlan.fillPct"]}/>
+                    </div>
+                    {FCL_MODES[mode].length > 1 && (
+                      <div className="flex items-end gap-2">
+                        <input id="lclRem" type="checkbox" checked={containerPlan.lclRemainder} onChange={(e)=>setContainerPlan({ ...containerPlan, lclRemainder: e.target.checked })} />
+                        <label htmlFor="lclRem" className="text-sm">{t("quote.lclRemainder")}</label>
+                      </div>
+                    )}
+                    <div className="col-span-2 md:col-span-4 text-[11px] text-gray-500">
+                      {FCL_MODES[mode].map(type => `${type}: ${formatNumber(CONTAINER_TYPES[type].volM3)} m³ / ${formatNumber(CONTAINER_TYPES[type].payloadKg)} kg`).join(" • ")}. {t("app.fillHint")}
                     </div>
-                    <div className="col-span-2 text-[11px] text-gray-500 flex items-end">Capacidade aproximada: {mode.includes("20") ? FCL_CAPACITY["Marítimo FCL 20'"] : FCL_CAPACITY["Marítimo FCL 40'"]} m³</div>
                   </div>
                 )}
 
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  <div>
+                    <label className="text-xs text-gray-600">{t("app.transitDays")}</label>
+                    <NumberInput min={0} step={1} value={rateCardFor(inputs)[transitField]} onChange={setTransitDays} issue={issues[`card.${transitField}`]}/>
+                  </div>
+                  <div className="col-span-1 md:col-span-3 text-[11px] text-gray-500 flex items-end">{t("app.transitDaysHint")}</div>
+                  <div className="col-span-2 md:col-span-2">
+                    <label className="text-xs text-gray-600">{t("app.localOrigin")}</label>
+                    <NumberInput step={1} value={localOriginTransport} onChange={setLocalOriginTransport} issue={issues.localOriginTransport}/>
+                    <p className="text-[11px] text-gray-500 mt-1">{t("app.localOriginHint")}</p>
+                  </div>
                   <div className="col-span-2 md:col-span-2">
-                    <label className="text-xs text-gray-600">Transporte local na origem (€)</label>
-                    <input type="number" step={1} value={localOriginTransport} onChange={(e)=>setLocalOriginTransport(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
-                    <p className="text-[11px] text-gray-500 mt-1">Ex.: China→Hong Kong, fábrica→porto de embarque, consolidação.</p>
+                    <label className="text-xs text-gray-600">{t("app.exportClearance")}</label>
+                    <NumberInput step={1} value={exportClearanceFee} onChange={setExportClearanceFee} issue={issues.exportClearanceFee}/>
+                    <p className="text-[11px] text-gray-500 mt-1">{t("app.exportClearanceHint")}</p>
                   </div>
                 </div>
               </div>
@@ -423,132 +453,271 @@ export default function App() {
 
             {/* Impostos */}
             <details className="bg-white rounded-2xl shadow p-4">
-              <summary className="cursor-pointer select-none font-medium">Impostos</summary>
+              <summary className="cursor-pointer select-none font-medium">{t("app.section.taxes")}</summary>
               <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
                 <div className="flex items-center gap-2 col-span-2">
                   <input id="ignHS" type="checkbox" checked={ignoreDuty} onChange={(e)=>setIgnoreDuty(e.target.checked)} />
-                  <label htmlFor="ignHS" className="text-sm">Ignorar direitos (HS)</label>
+                  <label htmlFor="ignHS" className="text-sm">{t("app.ignoreDuty")}</label>
                 </div>
-                <div className="flex items-center gap-2 col-span-2">
-                  <input id="origTar" type="checkbox" checked={originTariffEnabled} onChange={(e)=>setOriginTariffEnabled(e.target.checked)} disabled={ignoreDuty} />
-                  <label htmlFor="origTar" className="text-sm">Usar tabela por <strong>origem do produto</strong></label>
+                <div className="col-span-2">
+                  <label className="text-xs text-gray-600">{t("app.dutySource")}</label>
+                  <select value={dutySource} disabled={ignoreDuty} onChange={(e)=>setDutySource(e.target.value)} className="w-full border rounded px-2 py-1 disabled:bg-gray-100 disabled:text-gray-400">
+                    {DUTY_SOURCES.map(k => <option key={k} value={k}>{t(`dutySource.${k}`)}</option>)}
+                  </select>
                 </div>
                 <div>
-                  <label className="text-xs text-gray-600">Direitos (% manual)</label>
-                  <input type="number" step={0.1} value={dutyPct} disabled={ignoreDuty || originTariffEnabled} onChange={(e)=>setDutyPct(Number(e.target.value))} className="w-full border rounded px-2 py-1 disabled:bg-gray-100 disabled:text-gray-400"/>
+                  <label className="text-xs text-gray-600">{t("app.dutyPct")}</label>
+                  <NumberInput step={0.1} value={dutyPct} disabled={ignoreDuty || dutySource !== "manual"} onChange={setDutyPct} issue={issues.dutyPct}/>
                 </div>
                 <div className="col-span-2">
-                  <label className="text-xs text-gray-600">Tabela por origem do produto (%)</label>
+                  <label className="text-xs text-gray-600">{t("app.originDutyMap")}</label>
                   <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mt-1">
                     {([...ORIGINS, "Outro"]) .map((o)=> (
                       <div key={o} className="flex items-center gap-1">
-                        <span className="text-xs text-gray-500 w-20 truncate" title={o}>{o}</span>
-                        <input type="number" step={0.1} value={originDutyMap[o] ?? 0} disabled={ignoreDuty || !originTariffEnabled} onChange={(e)=>setOriginDutyMap({ ...originDutyMap, [o]: Number(e.target.value) })} className="w-full border rounded px-2 py-1 disabled:bg-gray-100 disabled:text-gray-400"/>
+                        <span className="text-xs text-gray-500 w-20 truncate" title={originLabel(o)}>{originLabel(o)}</span>
+                        <NumberInput wrapClassName="flex-1 min-w-0" step={0.1} value={o in originDutyMap ? originDutyMap[o] : 0} disabled={ignoreDuty || dutySource !== "origin"} onChange={(value)=>setOriginDutyMap({ ...originDutyMap, [o]: value })} issue={issues[`originDutyMap.${o}`]}/>
                       </div>
                     ))}
                   </div>
-                  <div className="text-[11px] text-gray-500 mt-1">Ex.: definir 0% para eletrónica abrangida pelo ITA; ajustar se houver medidas anti-dumping específicas.</div>
+                  <div className="text-[11px] text-gray-500 mt-1">{t("app.originDutyHint")}</div>
+                </div>
+                {dutySource === "hs" && !ignoreDuty && (
+                  <div className="col-span-2 md:col-span-4">
+                    <label className="text-xs text-gray-600">{t("app.tariff")}</label>
+                    <TariffEditor tariff={tariff} setTariff={setTariff} />
+                  </div>
+                )}
+                <div className="col-span-2">
+                  <label className="text-xs text-gray-600">{t("quote.vatRegime")}</label>
+                  <select value={vatRegime} onChange={(e)=>setVatRegime(e.target.value)} className="w-full border rounded px-2 py-1">
+                    {VAT_REGIMES.map(k => <option key={k} value={k}>{t(`vat.regime.${k}`)}</option>)}
+                  </select>
+                </div>
+                <div className="col-span-2">
+                  <label className="text-xs text-gray-600">{vatRegime === "cp42" ? t("app.vatDestinationState") : t("app.vatCountry")}</label>
+                  <select value={vatCountry} onChange={(e)=>setVatCountry(e.target.value)} className="w-full border rounded px-2 py-1">
+                    {Object.entries(VAT_COUNTRIES).map(([k, c]) => <option key={k} value={k}>{t(`vat.country.${k}`)} ({formatNumber(c.rates.standard)}%)</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-xs text-gray-600">{t("quote.vatRate")}</label>
+                  <select value={vatRateKind} onChange={(e)=>setVatRateKind(e.target.value)} className="w-full border rounded px-2 py-1">
+                    {VAT_RATE_KINDS.filter(k => k === "manual" || VAT_COUNTRIES[vatCountry]?.rates[k] !== undefined).map(k => (
+                      <option key={k} value={k}>{t(`vat.rateKind.${k}`)}{k === "manual" ? "" : ` (${formatNumber(VAT_COUNTRIES[vatCountry].rates[k])}%)`}</option>
+                    ))}
+                  </select>
                 </div>
                 <div>
-                  <label className="text-xs text-gray-600">IVA (%)</label>
-                  <input type="number" step={0.1} value={vatPct} onChange={(e)=>setVatPct(Number(e.target.value))} className="w-full border rounded px-2 py-1"/>
+                  <label className="text-xs text-gray-600">{t("app.vatPct")}</label>
+                  <NumberInput step={0.1} value={vatPct} disabled={vatRateKind !== "manual"} onChange={setVatPct} issue={issues.vatPct}/>
                 </div>
                 <div className="flex items-end gap-2">
                   <input id="vatrec" type="checkbox" checked={vatRecoverable} onChange={(e)=>setVatRecoverable(e.target.checked)} />
-                  <label htmlFor="vatrec" className="text-sm">IVA é recuperável?</label>
+                  <label htmlFor="vatrec" className="text-sm">{t("app.vatRecoverable")}</label>
                 </div>
-                <div className="text-[11px] text-gray-500 flex items-end col-span-2">Base do IVA: CIF (inclui transp. local na origem) + Direitos + taxas (despachante/THC/outros)</div>
+                <div>
+                  <label className="text-xs text-gray-600">{t("quote.vatFiling")}</label>
+                  <select value={vatFiling} onChange={(e)=>setVatFiling(e.target.value)} className="w-full border rounded px-2 py-1">
+                    {Object.keys(VAT_FILING).map(k => <option key={k} value={k}>{t(`vat.filing.${k}`)}</option>)}
+                  </select>
+                </div>
+                <div className="col-span-2">
+                  <label className="text-xs text-gray-600">{t("app.clearanceDate")}</label>
+                  <input type="date" value={clearanceDate} onChange={(e)=>setClearanceDate(e.target.value)} className="w-full border rounded px-2 py-1"/>
+                  <p className="text-[11px] text-gray-500 mt-1">{t("app.clearanceDateHint")}</p>
+                </div>
+                <div className="text-[11px] text-gray-500 flex items-end col-span-2">{t("app.vatBaseHint")}</div>
+              </div>
+            </details>
+
+            {/* Prazos, pagamentos & custo do capital */}
+            <details className="bg-white rounded-2xl shadow p-4">
+              <summary className="cursor-pointer select-none font-medium">{t("app.section.financing")}</summary>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mt-3">
+                {Object.keys(FINANCING_RULES).map(key => (
+                  <div key={key}>
+                    <label className="text-xs text-gray-600">{t(`field.financing.${key}`)}</label>
+                    <NumberInput step={1} value={financing[key]} onChange={(value)=>setFinancing({ ...financing, [key]: value })} issue={issues[`financing.${key}`]}/>
+                  </div>
+                ))}
+                <div className="col-span-2 md:col-span-3 text-[11px] text-gray-500">{t("app.financingHint")}</div>
               </div>
             </details>
           </section>
 
           {/* RIGHT: Results */}
           <section className="space-y-4">
+            {errors.length > 0 && (
+              <div className="bg-red-50 text-red-700 rounded-2xl p-4 text-sm">
+                <div className="font-medium">{t("app.errorsTitle")}</div>
+                <ul className="list-disc pl-5 mt-1">
+                  {errors.map(e => <li key={e}>{e}</li>)}
+                </ul>
+              </div>
+            )}
+            {warnings.length > 0 && (
+              <div className="bg-amber-50 text-amber-800 rounded-2xl p-4 text-sm">
+                <div className="font-medium">{t("app.warningsTitle")}</div>
+                <ul className="list-disc pl-5 mt-1">
+                  {warnings.map(w => <li key={w}>{w}</li>)}
+                </ul>
+              </div>
+            )}
+
             {/* KPI cards */}
             <div className="grid grid-cols-2 gap-3">
               <div className="bg-white rounded-2xl shadow p-4">
-                <div className="text-xs text-gray-500">Custo total (sem IVA recuperável)</div>
-                <div className="text-2xl font-semibold">{moneyPt(landedExVAT)}</div>
-                <div className="text-[11px] text-gray-500 mt-1">Inclui mercadoria, transp. local, frete, seguro, direitos e taxas.</div>
+                <div className="text-xs text-gray-500">{t("quote.landedExVat")}</div>
+                <div className="text-2xl font-semibold">{blocked ? "—" : formatMoney(landedExVAT)}{kpiFlag}</div>
+                <div className="text-[11px] text-gray-500 mt-1">{t("app.kpiTotalHint")}</div>
               </div>
               <div className="bg-white rounded-2xl shadow p-4">
-                <div className="text-xs text-gray-500">Custo por unidade</div>
-                <div className="text-2xl font-semibold">{moneyPt(unitLanded)}</div>
-                <div className="text-[11px] text-gray-500 mt-1">{qty} un • Origem produto: {productOrigin} • Frete: {shipOrigin} • {freight.basisLabel}</div>
+                <div className="text-xs text-gray-500">{t("quote.unitLanded")}</div>
+                <div className="text-2xl font-semibold">{blocked ? "—" : formatMoney(unitLanded)}{kpiFlag}</div>
+                <div className="text-[11px] text-gray-500 mt-1">{t("app.kpiUnitHint", { qty: formatNumber(qty), skus: items.length, origin: originLabel(shipOrigin), basis: freight.basisLabel })}</div>
               </div>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-              <div className="bg-white rounded-2xl shadow p-4">
-                <div className="text-sm font-medium mb-2">Composição do custo</div>
-                <div style={{ width: "100%", height: 260 }}>
-                  <ResponsiveContainer>
-                    <PieChart>
-                      <Pie data={composition} dataKey="value" nameKey="name" outerRadius={90} label={(d)=>`${d.name}`}> 
-                        {composition.map((entry, index) => (
-                          <Cell key={`cell-${index}`} fill={PIE_COLORS[index % PIE_COLORS.length]} />
-                        ))}
-                      </Pie>
-                      <Tooltip formatter={(v)=>moneyPt(v)} />
-                      <Legend />
-                    </PieChart>
-                  </ResponsiveContainer>
+            {/* Breakdown: only for a result that could be computed */}
+            {blocked && <div className="bg-white rounded-2xl shadow p-4 text-sm text-gray-400">{t("app.resultsBlocked")}</div>}
+            {!blocked && (
+              <>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div className="bg-white rounded-2xl shadow p-4">
+                    <div className="text-sm font-medium mb-2">{t("app.composition")}</div>
+                    <div style={{ width: "100%", height: 260 }}>
+                      <ResponsiveContainer>
+                        <PieChart>
+                          <Pie data={composition} dataKey="value" nameKey="name" outerRadius={90} label={(d)=>`${d.name}`}> 
+                            {composition.map((entry, index) => (
+                              <Cell key={`cell-${index}`} fill={PIE_COLORS[index % PIE_COLORS.length]} />
+                            ))}
+                          </Pie>
+                          <Tooltip formatter={(v)=>formatMoney(v)} />
+                          <Legend />
+                        </PieChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+
+                  <div className="bg-white rounded-2xl shadow p-4">
+                    <div className="text-sm font-medium mb-2">{t("app.section.taxes")}</div>
+                    <div className="grid grid-cols-2 gap-2 text-sm">
+                      <div className="p-3 rounded-lg bg-gray-50">
+                        <div className="text-gray-500">{t("quote.dutiesEffective", { pct: formatNumber(effectiveDutyPct, 2) })}</div>
+                        <div className="text-lg font-semibold">{formatMoney(dutyEUR)}</div>
+                        {result.lowValueRelief && <div className="text-[11px] text-green-700">{t("app.lowValueRelief", { limit: formatMoney(LOW_VALUE_RELIEF_EUR) })}</div>}
+                      </div>
+                      <div className="p-3 rounded-lg bg-gray-50">
+                        <div className="text-gray-500">{t("app.vatKpi", { rate: result.vatRegime === "cp42" ? t("app.vatExempt") : `${formatNumber(result.vatRate)}%` })}</div>
+                        <div className="text-lg font-semibold">{formatMoney(vatEUR)}</div>
+                        <div className="text-[11px] text-gray-500">{t(`vat.regime.${result.vatRegime}`)} • {vatRecoverable ? t("app.vatRecoverableYes") : t("app.vatRecoverableNo")}</div>
+                      </div>
+                      <div className="col-span-2 text-[11px] text-gray-500">{t("app.bases", { customs: formatMoney(customsBase), vat: formatMoney(vatBase) })}{deferralEUR > 0 && ` • ${t("app.deferral", { amount: formatMoney(deferralEUR) })}`}{result.disbursementEUR > 0 && ` • ${t("app.disbursement", { amount: formatMoney(result.disbursementEUR) })}`}</div>
+                    </div>
+                  </div>
                 </div>
-              </div>
 
-              <div className="bg-white rounded-2xl shadow p-4">
-                <div className="text-sm font-medium mb-2">Impostos</div>
-                <div className="grid grid-cols-2 gap-2 text-sm">
-                  <div className="p-3 rounded-lg bg-gray-50">
-                    <div className="text-gray-500">Direitos (efetivo {effectiveDutyPct.toFixed(2)}%)</div>
-                    <div className="text-lg font-semibold">{moneyPt(dutyEUR)}</div>
+                {/* VAT cash-flow timing */}
+                <VatCashFlow inputs={inputs} result={result} />
+
+                {/* Working capital */}
+                <FinancingCard inputs={inputs} result={result} />
+
+                {/* FCL load plan */}
+                {freight.plan && <ContainerPlanCard plan={freight.plan} fillPct={containerPlan.fillPct} />}
+
+                {/* Incoterm legs */}
+                <div className="bg-white rounded-2xl shadow p-4">
+                  <div className="text-sm font-medium mb-2">{t("app.legsTitle", { incoterm })}</div>
+                  <table className="w-full text-sm">
+                    <tbody>
+                      {legs.map(l => (
+                        <tr key={l.key} className="border-t">
+                          <td className="pr-2 py-1">{l.label}</td>
+                          <td className="pr-2 py-1 text-[12px]">{l.buyerPays ? <span className="text-gray-700">{t("app.buyer")}</span> : <span className="text-green-700">{t("common.includedInSupplierPrice")}</span>}</td>
+                          <td className="py-1 text-right">{l.buyerPays ? formatMoney(l.costEUR) : "—"}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {/* Landed cost per SKU */}
+                <div className="bg-white rounded-2xl shadow p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <div className="text-sm font-medium">{t("app.perSkuTitle")}</div>
+                    <div className="text-[11px] text-gray-500">{t("app.perSkuAllocation", { key: t(`allocation.${allocationKey}`).toLowerCase() })}</div>
                   </div>
-                  <div className="p-3 rounded-lg bg-gray-50">
-                    <div className="text-gray-500">IVA</div>
-                    <div className="text-lg font-semibold">{moneyPt(vatEUR)}</div>
-                    <div className="text-[11px] text-gray-500">{vatRecoverable ? "Recuperável (não entra no custo)" : "Não recuperável (incluído)"}</div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-xs text-gray-500 text-left">
+                          <th className="font-normal pr-2">{t("quote.col.sku")}</th>
+                          <th className="font-normal pr-2 text-right">{t("quote.col.qty")}</th>
+                          <th className="font-normal pr-2 text-right">{t("app.col.goods")}</th>
+                          <th className="font-normal pr-2 text-right">{t("app.col.shared")}</th>
+                          <th className="font-normal pr-2 text-right">{t("quote.duties")}</th>
+                          <th className="font-normal text-right">{t("comparison.col.unit")}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {perSku.map(s => (
+                          <tr key={s.id} className="border-t">
+                            <td className="pr-2 py-1">{s.sku} <span className="text-[11px] text-gray-500">({originLabel(s.productOrigin)})</span></td>
+                            <td className="pr-2 py-1 text-right">{formatNumber(s.qty)}</td>
+                            <td className="pr-2 py-1 text-right">{formatMoney(s.goodsEUR)}</td>
+                            <td className="pr-2 py-1 text-right">{formatMoney(s.sharedCostsEUR)}</td>
+                            <td className="pr-2 py-1 text-right">
+                              {formatMoney(s.dutyEUR)}
+                              {s.dutyMeasure && <div className="text-[11px] text-gray-500">{s.dutyMeasure}</div>}
+                            </td>
+                            <td className="py-1 text-right font-semibold">{formatMoney(s.unitLanded)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
                   </div>
-                  <div className="col-span-2 text-[11px] text-gray-500">Base aduaneira (CIF): {moneyPt(customsBase)}</div>
                 </div>
-              </div>
-            </div>
 
-            {/* Sensitivity chart */}
-            <div className="bg-white rounded-2xl shadow p-4">
-              <div className="flex items-center justify-between">
-                <div className="text-sm font-medium">Economia por Volume — Custo por unidade vs Quantidade</div>
-                <div className="text-[11px] text-gray-500">Amostra dinâmica até {numberPt(Math.max(2000, qty*2))} un.</div>
-              </div>
-              <div style={{ width: "100%", height: 280 }}>
-                <ResponsiveContainer>
-                  <LineChart data={sensitivityData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="qty" tickFormatter={(v)=>numberPt(v)} />
-                    <YAxis tickFormatter={(v)=>moneyPt(v)} />
-                    <Tooltip formatter={(v)=>moneyPt(v)} labelFormatter={(l)=>`Qtd: ${numberPt(l)}`}/>
-                    <Line type="monotone" dataKey="unit" stroke="#0ea5e9" dot={false} strokeWidth={2} />
-                  </LineChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
+              </>
+            )}
+
+            {/* Resale pricing */}
+            <PricingPanel inputs={inputs} result={result} setPricing={setPricing} />
+
+            {/* Order size, frequency and mode for the annual demand */}
+            <OrderPlanningPanel inputs={inputs} result={result} setPlanning={setPlanning} />
+
+            {/* Sensitivity charts */}
+            <SensitivityPanel inputs={inputs} />
+
+            {/* Risk (Monte Carlo) */}
+            <RiskPanel inputs={inputs} />
 
             {/* Notas de cálculo */}
             <div className="bg-white rounded-2xl shadow p-4 text-[13px] leading-relaxed">
-              <div className="font-medium mb-1">Notas e pressupostos</div>
+              <div className="font-medium mb-1">{t("quote.section.notes")}</div>
               <ul className="list-disc pl-5 space-y-1 text-gray-700">
-                <li><strong>Origem do produto</strong> (país de fabrico) influencia direitos, medidas de defesa comercial e regras de origem. <strong>Origem do frete</strong> apenas afeta logística.</li>
-                <li>Se não quiser considerar <strong>código harmonizado (HS)</strong>, marque "Ignorar direitos" (0%). Em alternativa use a <strong>tabela por origem</strong> para um rascunho rápido.</li>
-                <li>UE calcula <strong>Direitos</strong> sobre o <strong>CIF</strong> (mercadoria + frete + seguro + pré-carriage quando pago pelo importador).</li>
-                <li>O <strong>IVA de importação</strong> incide sobre (CIF + Direitos + taxas elegíveis). Se recuperável, não compõe o custo final.</li>
-                <li>Frete Aéreo usa <strong>peso volumétrico</strong> (m³ × fator) e escalões por kg. LCL usa escalões por m³ com mínimo. FCL usa preço por contentor e ocupação.</li>
+                {assumptionNotes().map(n => <li key={n}>{withBold(n)}</li>)}
               </ul>
             </div>
           </section>
         </div>
 
+        {/* Comparação de modais / cenários */}
+        <section className="mt-6">
+          <ComparisonPanel inputs={inputs} scenarios={scenarios} />
+        </section>
+
+        {/* Estimativa vs real */}
+        <section className="mt-6">
+          <ReconciliationPanel scenarios={scenarios} />
+        </section>
+
         {/* Footer */}
         <footer className="mt-8 text-[12px] text-gray-500">
-          Este simulador é indicativo e não substitui classificação pautal (HS), regras de origem nem cotações formais. Atualize taxas e câmbio antes de decidir.
+          {t("quote.disclaimer")} {t("app.footer")}
         </footer>
       </div>
     </div>
@@ -558,31 +727,89 @@ export default function App() {
 // ==========================
 // Inline TierEditor component (kept at bottom for clarity)
 // ==========================
+// Row keys: an id per tier object, handed on when a row is edited, so each row keeps its
+// inputs (and focus) through add, remove and sort while the saved tiers stay plain data
+const tierIds = new WeakMap();
+let lastTierId = 0;
+const tierId = (tier) => {
+  if (!tierIds.has(tier)) tierIds.set(tier, ++lastTierId);
+  return tierIds.get(tier);
+};
+
+// Sort order: limits ascending, then blank ones (still to fill in), then the open-ended band
+const tierRank = (tier) => (tier.threshold === Infinity ? 2 : Number.isFinite(tier.threshold) ? 0 : 1);
+
 function TierEditor({ tiers, setTiers, unitLabel }) {
+  const problems = validateTiers(tiers);
+  const last = tiers[tiers.length - 1];
+  const openEnded = last?.threshold === Infinity;
+
+  const update = (idx, patch) => {
+    const copy = tiers.slice();
+    copy[idx] = { ...tiers[idx], ...patch };
+    tierIds.set(copy[idx], tierId(tiers[idx]));
+    setTiers(copy);
+  };
+  const remove = (idx) => setTiers(tiers.filter((_, i) => i !== idx));
+  // New band goes just before the open-ended one (or at the end), above the highest limit set
+  const add = () => {
+    const finite = tiers.filter(tier => Number.isFinite(tier.threshold));
+    const prev = finite.reduce((top, tier) => (!top || tier.threshold > top.threshold ? tier : top), null);
+    const band = { threshold: prev?.threshold > 0 ? prev.threshold * 2 : 1, rate: prev?.rate ?? 0 };
+    setTiers(openEnded ? [...tiers.slice(0, -1), band, last] : [...tiers, band]);
+  };
+  const sort = () => setTiers(tiers.slice().sort((a, b) => tierRank(a) - tierRank(b) || (tierRank(a) === 0 ? a.threshold - b.threshold : 0)));
+  const toggleOpenEnded = (checked) => {
+    if (checked) setTiers([...tiers, { threshold: Infinity, rate: last?.rate ?? 0 }]);
+    else setTiers(tiers.slice(0, -1));
+  };
+
   return (
     <div className="space-y-2">
-      {tiers.map((t, idx) => (
-        <div key={idx} className="grid grid-cols-2 gap-2">
+      {tiers.map((tier, idx) => (
+        <div key={tierId(tier)} className="grid grid-cols-2 gap-2">
           <div className="flex items-center gap-2">
-            <label className="text-xs text-gray-600">Até {t.threshold === Infinity ? "∞" : t.threshold} {unitLabel}</label>
+            <label className="text-xs text-gray-600 whitespace-nowrap">{t("app.tiers.upTo")}</label>
+            {tier.threshold === Infinity ? (
+              <span className="w-full px-2 py-1 text-sm">∞</span>
+            ) : (
+              <input
+                type="number"
+                min={0}
+                step="any"
+                value={tier.threshold ?? ""}
+                onChange={(e) => update(idx, { threshold: blankToNull(e.target.value) })}
+                className="w-full border rounded px-2 py-1"
+              />
+            )}
+            <span className="text-xs text-gray-600">{unitLabel}</span>
           </div>
           <div className="flex items-center gap-2">
             <input
               type="number"
               step="0.01"
-              value={t.rate}
-              onChange={(e) => {
-                const v = Number(e.target.value);
-                const copy = tiers.slice();
-                copy[idx] = { ...t, rate: v };
-                setTiers(copy);
-              }}
+              value={tier.rate ?? ""}
+              onChange={(e) => update(idx, { rate: blankToNull(e.target.value) })}
               className="w-full border rounded px-2 py-1"
             />
-            <span className="text-sm">€/ {unitLabel === 'kg' ? 'kg' : 'm³'}</span>
+            <span className="text-sm whitespace-nowrap">€/ {unitLabel === 'kg' ? 'kg' : 'm³'}</span>
+            <button type="button" onClick={() => remove(idx)} disabled={tiers.length === 1} className="text-xs text-red-600 disabled:text-gray-300 px-1" title={t("app.tiers.remove")}>✕</button>
           </div>
         </div>
       ))}
+      <div className="flex flex-wrap items-center gap-3">
+        <button type="button" onClick={add} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("app.tiers.add")}</button>
+        <button type="button" onClick={sort} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("app.tiers.sort")}</button>
+        <label className="flex items-center gap-1 text-sm">
+          <input type="checkbox" checked={openEnded} onChange={(e) => toggleOpenEnded(e.target.checked)} />
+          {t("app.tiers.openEnded")}
+        </label>
+      </div>
+      {problems.length > 0 && (
+        <ul className="text-[12px] text-red-600 list-disc pl-5">
+          {problems.map(p => <li key={p}>{p}</li>)}
+        </ul>
+      )}
     </div>
   );
 }
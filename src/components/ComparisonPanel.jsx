@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from "react";
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { formatNumber, formatMoney, toDisplay } from "../lib/format.js";
+import { compareModes, computeLandedCost } from "../lib/landedCost.js";
+import { scenariosVersion, scenarioInputs } from "../lib/scenarios.js";
+import { t, modeLabel, displayKey } from "../lib/i18n.js";
+
+const MAX_SCENARIOS = 4;
+
+// ==========================
+// Side-by-side comparison: every transport mode, or 2–4 saved scenarios
+// ==========================
+export default function ComparisonPanel({ inputs, scenarios }) {
+  const [source, setSource] = useState("modes"); // "modes" | "scenarios"
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const saved = source === "scenarios" ? scenarios : [];
+
+  const rows = useMemo(() => {
+    if (source === "modes") return compareModes(inputs);
+    return scenarios
+      .filter(s => selectedIds.includes(s.id))
+      .map(s => {
+        const scenario = scenarioInputs(s);
+        return { key: s.id, label: s.name, sub: modeLabel(scenario.mode), result: computeLandedCost(scenario) };
+      });
+  }, [source, inputs, selectedIds, scenariosVersion(scenarios), displayKey()]);
+
+  // Options whose freight could not be computed (e.g. malformed tiers) never win
+  const cheapest = rows.filter(r => !r.result.errors.length).reduce((best, r) => (!best || r.result.unitLanded < best.result.unitLanded ? r : best), null);
+
+  const chartData = rows.map(r => ({
+    name: r.label,
+    freight: r.result.freightPaidEUR,
+    duty: r.result.dutyEUR,
+    vat: r.result.vatEUR,
+    financing: r.result.financingEUR,
+    total: r.result.landedInclVAT,
+  }));
+
+  const toggle = (id) => setSelectedIds(ids => (
+    ids.includes(id) ? ids.filter(x => x !== id) : (ids.length < MAX_SCENARIOS ? [...ids, id] : ids)
+  ));
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-sm font-medium">{t("comparison.title")}</div>
+        <div className="flex gap-1 text-xs">
+          <button type="button" onClick={()=>setSource("modes")} className={`border rounded px-2 py-1 ${source === "modes" ? "bg-sky-600 text-white" : ""}`}>{t("comparison.modes")}</button>
+          <button type="button" onClick={()=>setSource("scenarios")} className={`border rounded px-2 py-1 ${source === "scenarios" ? "bg-sky-600 text-white" : ""}`}>{t("comparison.scenarios")}</button>
+        </div>
+      </div>
+
+      {source === "scenarios" && (
+        <div className="mb-3">
+          {saved.length < 2 ? (
+            <p className="text-[11px] text-gray-500">{t("comparison.saveTwo")}</p>
+          ) : (
+            <div className="flex flex-wrap gap-3">
+              {saved.map(s => (
+                <label key={s.id} className="flex items-center gap-1 text-sm">
+                  <input type="checkbox" checked={selectedIds.includes(s.id)} onChange={()=>toggle(s.id)} disabled={!selectedIds.includes(s.id) && selectedIds.length >= MAX_SCENARIOS} />
+                  {s.name}
+                </label>
+              ))}
+            </div>
+          )}
+          <p className="text-[11px] text-gray-500 mt-1">{t("comparison.selectRange", { max: MAX_SCENARIOS })}</p>
+        </div>
+      )}
+
+      {(source === "modes" || rows.length >= 2) && (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-500 text-left">
+                  <th className="font-normal pr-2">{t("comparison.col.option")}</th>
+                  <th className="font-normal pr-2">{t("comparison.col.basis")}</th>
+                  <th className="font-normal pr-2 text-right">{t("comparison.col.freight")}</th>
+                  <th className="font-normal pr-2 text-right">{t("comparison.col.duty")}</th>
+                  <th className="font-normal pr-2 text-right">{t("comparison.col.vat")}</th>
+                  <th className="font-normal pr-2 text-right">{t("comparison.col.leadTime")}</th>
+                  <th className="font-normal pr-2 text-right">{t("comparison.col.financing")}</th>
+                  <th className="font-normal pr-2 text-right">{t("comparison.col.total")}</th>
+                  <th className="font-normal text-right">{t("comparison.col.unit")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => {
+                  const best = r === cheapest;
+                  return (
+                    <tr key={r.key} className={`border-t ${best ? "bg-green-50 font-medium" : ""}`}>
+                      <td className="pr-2 py-1">
+                        {r.label} {best && <span className="text-[11px] text-green-700">{t("comparison.cheapest")}</span>}
+                        {r.sub && <div className="text-[11px] text-gray-500 font-normal">{r.sub}</div>}
+                      </td>
+                      <td className="pr-2 py-1 text-[12px] text-gray-600">{r.result.freight.basisLabel}</td>
+                      <td className="pr-2 py-1 text-right">{formatMoney(r.result.freightPaidEUR)}</td>
+                      <td className="pr-2 py-1 text-right">{formatMoney(r.result.dutyEUR)}</td>
+                      <td className="pr-2 py-1 text-right">{formatMoney(r.result.vatEUR)}</td>
+                      <td className="pr-2 py-1 text-right">{t("comparison.days", { days: r.result.financing.clearanceDay })}</td>
+                      <td className="pr-2 py-1 text-right">{formatMoney(r.result.financingEUR)}</td>
+                      <td className="pr-2 py-1 text-right">{formatMoney(r.result.landedInclVAT)}</td>
+                      <td className="py-1 text-right">{r.result.errors.length ? <span className="text-red-600" title={r.result.errors.join("\n")}>—</span> : formatMoney(r.result.unitLanded)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-[11px] text-gray-500 mt-1">{t("comparison.note")}</p>
+
+          <div style={{ width: "100%", height: 300 }} className="mt-3">
+            <ResponsiveContainer>
+              <BarChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+                <YAxis tickFormatter={(v)=>formatNumber(toDisplay(v))} />
+                <Tooltip formatter={(v)=>formatMoney(v)} />
+                <Legend />
+                <Bar dataKey="freight" name={t("comparison.col.freight")} fill="#0ea5e9" />
+                <Bar dataKey="duty" name={t("comparison.col.duty")} fill="#f59e0b" />
+                <Bar dataKey="vat" name={t("comparison.col.vat")} fill="#8b5cf6" />
+                <Bar dataKey="financing" name={t("comparison.col.financing")} fill="#14b8a6" />
+                <Bar dataKey="total" name={t("comparison.col.total")} fill="#22c55e" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
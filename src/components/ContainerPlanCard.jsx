@@ -0,0 +1,65 @@
+import React from "react";
+import { formatNumber, formatMoney, formatPct } from "../lib/format.js";
+import { mixLabel } from "../lib/containers.js";
+import { t } from "../lib/i18n.js";
+
+// ==========================
+// FCL load plan: chosen container mix, utilization per container, alternatives
+// ==========================
+export default function ContainerPlanCard({ plan, fillPct }) {
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm font-medium">{t("containerPlan.title", { mix: mixLabel(plan.containers) })}{plan.lcl ? " + LCL" : ""}</div>
+        <div className="text-[11px] text-gray-500">{t("containerPlan.fill", { pct: fillPct })}</div>
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-500 text-left">
+            <th className="font-normal pr-2">{t("containerPlan.col.container")}</th>
+            <th className="font-normal pr-2 text-right">{t("containerPlan.col.volume")}</th>
+            <th className="font-normal pr-2 text-right">{t("containerPlan.col.volPct")}</th>
+            <th className="font-normal pr-2 text-right">{t("containerPlan.col.kg")}</th>
+            <th className="font-normal text-right">{t("containerPlan.col.kgPct")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {plan.units.map((u, i) => (
+            <tr key={i} className="border-t">
+              <td className="pr-2 py-1">#{i + 1} {u.type}</td>
+              <td className="pr-2 py-1 text-right">{formatNumber(u.volM3, 2)}</td>
+              <td className="pr-2 py-1 text-right">{formatPct(u.volPct)}</td>
+              <td className="pr-2 py-1 text-right">{formatNumber(Math.round(u.kg))}</td>
+              <td className="py-1 text-right">{formatPct(u.kgPct)}</td>
+            </tr>
+          ))}
+          {plan.lcl && (
+            <tr className="border-t text-gray-700">
+              <td className="pr-2 py-1">{t("containerPlan.lclRemainder")}</td>
+              <td className="pr-2 py-1 text-right">{formatNumber(plan.lcl.cbm, 2)}</td>
+              <td className="pr-2 py-1 text-right">—</td>
+              <td className="pr-2 py-1 text-right">{formatNumber(Math.round(plan.lcl.kg))}</td>
+              <td className="py-1 text-right">{formatMoney(plan.lcl.cost)}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+      {plan.options.length > 1 && (
+        <div className="mt-3">
+          <div className="text-xs text-gray-600 mb-1">{t("containerPlan.alternatives")}</div>
+          <table className="w-full text-sm">
+            <tbody>
+              {plan.options.map((o, i) => (
+                <tr key={i} className={`border-t ${i === 0 ? "font-semibold" : ""}`}>
+                  <td className="pr-2 py-1">{mixLabel(o.containers)}{o.lcl ? ` + LCL ${formatNumber(o.lcl.cbm, 2)} m³` : ""}</td>
+                  <td className="py-1 text-right">{formatMoney(o.cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <p className="text-[11px] text-gray-500 mt-2">{t("containerPlan.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React from "react";
+import { formatMoney } from "../lib/format.js";
+import { DESTINATION_PORTS, INLAND_BASES, DESTINATION_COSTS } from "../lib/destination.js";
+import { t } from "../lib/i18n.js";
+import NumberInput from "./NumberInput.jsx";
+
+function NumField({ label, value, onChange, issue, step = 1, disabled = false }) {
+  return (
+    <div>
+      <label className="text-xs text-gray-600">{label}</label>
+      <NumberInput min={0} step={step} value={value} disabled={disabled} onChange={onChange} issue={disabled ? undefined : issue} />
+    </div>
+  );
+}
+
+// ==========================
+// Destination costs: delivery to the warehouse, storage, demurrage, inspection, deferment
+// ==========================
+export default function DestinationCostsEditor({ destination, setDestination, lines, fcl, issues }) {
+  const update = (patch) => setDestination({ ...destination, ...patch });
+  const num = (key) => ({ value: destination[key], onChange: (value) => update({ [key]: value }), issue: issues[`destination.${key}`] });
+  const costOf = (key) => lines.find(l => l.key === key);
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div>
+          <label className="text-xs text-gray-600">{t("destEditor.port")}</label>
+          <input list="dest-ports" value={destination.port} onChange={(e)=>update({ port: e.target.value })} className="w-full border rounded px-2 py-1"/>
+          <datalist id="dest-ports">
+            {DESTINATION_PORTS.map(p => <option key={p} value={p} />)}
+          </datalist>
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">{t("destEditor.inland")}</label>
+          <select value={destination.inlandBasis} onChange={(e)=>update({ inlandBasis: e.target.value })} className="w-full border rounded px-2 py-1">
+            {INLAND_BASES.map(k => <option key={k} value={k}>{t(`destination.inland.${k}`)}</option>)}
+          </select>
+        </div>
+        {destination.inlandBasis === "distance" && (
+          <>
+            <NumField label={t("destEditor.distanceKm")} {...num("inlandKm")} />
+            <NumField label="€/km" {...num("inlandRatePerKm")} step={0.1} />
+          </>
+        )}
+        {destination.inlandBasis === "weight" && <NumField label="€/100 kg" {...num("inlandRatePer100Kg")} step={0.5} />}
+        {destination.inlandBasis !== "none" && <NumField label={t("destEditor.inlandMin")} {...num("inlandMinEUR")} />}
+      </div>
+
+      <div className="grid grid-cols-3 md:grid-cols-6 gap-3">
+        <NumField label={t("destEditor.storageDays")} {...num("storageDays")} />
+        <NumField label={t("destEditor.freeDays")} {...num("storageFreeDays")} />
+        <NumField label={t("destEditor.storageRate")} {...num("storageRatePerDay")} step={0.5} />
+        <NumField label={t("destEditor.demurrageDays")} {...num("demurrageDays")} disabled={!fcl} />
+        <NumField label={t("destEditor.freeDays")} {...num("demurrageFreeDays")} disabled={!fcl} />
+        <NumField label={t("destEditor.demurrageRate")} {...num("demurrageRatePerDay")} disabled={!fcl} />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <NumField label={t("destEditor.inspection")} {...num("inspectionFee")} />
+        <div className="flex items-end gap-2">
+          <input id="deferral" type="checkbox" checked={destination.dutyDeferment} onChange={(e)=>update({ dutyDeferment: e.target.checked })} />
+          <label htmlFor="deferral" className="text-sm">{t("destEditor.deferment")}</label>
+        </div>
+        <NumField label={t("destEditor.guaranteePct")} {...num("deferralGuaranteePct")} step={0.1} disabled={!destination.dutyDeferment} />
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-500 text-left">
+            <th className="font-normal pr-2">{t("destEditor.col.cost")}</th>
+            <th className="font-normal pr-2">{t("destEditor.col.basis")}</th>
+            <th className="font-normal pr-2 text-center">{t("destEditor.col.vatBase")}</th>
+            <th className="font-normal text-right">{t("destEditor.col.amount")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {DESTINATION_COSTS.map(key => {
+            const line = costOf(key);
+            return (
+              <tr key={key} className="border-t">
+                <td className="pr-2 py-1">{t(`destination.cost.${key}`)}</td>
+                <td className="pr-2 py-1 text-[12px] text-gray-600">{line?.basis ?? "—"}</td>
+                <td className="pr-2 py-1 text-center">
+                  <input type="checkbox" checked={destination.inVatBase[key]} onChange={(e)=>update({ inVatBase: { ...destination.inVatBase, [key]: e.target.checked } })} />
+                </td>
+                <td className="py-1 text-right">{line ? formatMoney(line.cost) : "—"}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="text-[11px] text-gray-500">{t("destEditor.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from "react";
+import { formatMoney, formatNumber } from "../lib/format.js";
+import { cutoffKg, stepsText, parseSteps } from "../lib/express.js";
+import { t } from "../lib/i18n.js";
+import NumberInput from "./NumberInput.jsx";
+
+// Price list edited as text; parsed when the field loses focus
+function StepsField({ steps, onChange, issue }) {
+  const [text, setText] = useState(() => stepsText(steps));
+  useEffect(() => setText(stepsText(steps)), [steps]);
+  return (
+    <div>
+      <input value={text} onChange={(e)=>setText(e.target.value)} onBlur={()=>onChange(parseSteps(text))} className={`w-full border rounded px-2 py-1 font-mono text-xs ${issue ? "border-red-500 bg-red-50" : ""}`}/>
+      {issue && <div className="text-[11px] mt-0.5 text-red-700">{issue.text}</div>}
+    </div>
+  );
+}
+
+// ==========================
+// Express courier tariff: zone price lists, surcharges, duty-advance fee
+// ==========================
+export default function ExpressTariffEditor({ express, setExpress, zoneId, zonesInUse, freight, issues }) {
+  const update = (patch) => setExpress({ ...express, ...patch });
+  const num = (key) => ({ value: express[key], onChange: (value) => update({ [key]: value }), issue: issues[`express.${key}`] });
+  const updateZone = (id, patch) => update({ zones: { ...express.zones, [id]: { ...express.zones[id], ...patch } } });
+
+  // New zone starts as a copy of the last one
+  const addZone = () => {
+    const ids = Object.keys(express.zones);
+    const id = String(ids.reduce((max, k) => Math.max(max, Number(k) || 0), 0) + 1);
+    update({ zones: { ...express.zones, [id]: express.zones[ids[ids.length - 1]] } });
+  };
+  const removeZone = (id) => {
+    const zones = { ...express.zones };
+    delete zones[id];
+    update({ zones });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div>
+          <label className="text-xs text-gray-600">{t("expressUi.divisor")}</label>
+          <NumberInput step={100} {...num("divisor")} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">{t("expressUi.fuelPct")}</label>
+          <NumberInput step={0.5} {...num("fuelPct")} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">{t("expressUi.disbursementPct")}</label>
+          <NumberInput step={0.5} {...num("disbursementPct")} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">{t("expressUi.disbursementMin")}</label>
+          <NumberInput step={1} {...num("disbursementMin")} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">{t("expressUi.oversizeCm")}</label>
+          <NumberInput step={1} {...num("oversizeCm")} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">{t("expressUi.oversizeKg")}</label>
+          <NumberInput step={1} {...num("oversizeKg")} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">{t("expressUi.oversizeFee")}</label>
+          <NumberInput step={1} {...num("oversizeFee")} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600 flex items-center gap-1">
+            <input type="checkbox" checked={express.remoteArea} onChange={(e)=>update({ remoteArea: e.target.checked })} />
+            {t("expressUi.remoteArea")}
+          </label>
+          <NumberInput step={1} {...num("remoteAreaFee")} disabled={!express.remoteArea} issue={express.remoteArea ? issues["express.remoteAreaFee"] : undefined} />
+        </div>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-600 text-left">
+            <th className="font-normal pr-2">{t("expressUi.col.zone")}</th>
+            <th className="font-normal pr-2">{t("expressUi.col.steps")}</th>
+            <th className="font-normal pr-2">{t("expressUi.col.perKg")}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(express.zones).map(([id, zone]) => (
+            <tr key={id} className={`align-top ${id === zoneId ? "bg-sky-50" : ""}`}>
+              <td className="pr-2 py-1 whitespace-nowrap">
+                {t("express.zone", { zone: id })} {id === zoneId && <span className="text-[11px] text-sky-700">{t("rateCardsUi.inUse")}</span>}
+              </td>
+              <td className="pr-2 py-1">
+                <StepsField steps={zone.steps} onChange={(steps)=>updateZone(id, { steps })} issue={issues[`express.zones.${id}.steps`]} />
+                <div className="text-[11px] text-gray-500 mt-0.5">{t("expressUi.stepsHint", { count: zone.steps.length, cutoff: formatNumber(cutoffKg(zone)) })}</div>
+              </td>
+              <td className="pr-2 py-1">
+                <NumberInput step={0.1} min={0} value={zone.perKg} onChange={(perKg)=>updateZone(id, { perKg })} issue={issues[`express.zones.${id}.perKg`]} className="w-24" />
+              </td>
+              <td className="py-1 text-right">
+                <button type="button" onClick={()=>removeZone(id)} disabled={zonesInUse.includes(id)} className="text-xs text-red-600 disabled:text-gray-300 px-1" title={zonesInUse.includes(id) ? t("expressUi.zoneInUse") : t("expressUi.removeZone")}>✕</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" onClick={addZone} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("expressUi.addZone")}</button>
+
+      {freight.surcharges && (
+        <table className="w-full text-sm">
+          <tbody>
+            <tr className="border-t">
+              <td className="pr-2 py-1">{t("expressUi.weightCharge", { kg: formatNumber(freight.chargeableKg) })}</td>
+              <td className="py-1 text-right">{formatMoney(freight.weightCharge)}</td>
+            </tr>
+            {freight.surcharges.map(s => (
+              <tr key={s.key} className="border-t">
+                <td className="pr-2 py-1">{t(`express.surcharge.${s.key}`)}</td>
+                <td className="py-1 text-right">{formatMoney(s.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="text-[11px] text-gray-500">{t("expressUi.note")}</p>
+    </div>
+  );
+}
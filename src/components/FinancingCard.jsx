@@ -0,0 +1,50 @@
+import React from "react";
+import { formatMoney, formatDate, formatNumber } from "../lib/format.js";
+import { t } from "../lib/i18n.js";
+
+// ==========================
+// Working capital: payment calendar and what it costs to finance
+// ==========================
+export default function FinancingCard({ inputs, result }) {
+  const f = result.financing;
+  const { costOfCapitalPct, productionDays, clearanceDays } = inputs.financing;
+  const lead = { production: productionDays, transit: f.transitDays, clearance: clearanceDays, total: f.clearanceDay };
+  // Without a clearance date the calendar is in days from the order
+  const when = (date, day) => (date ? formatDate(date) : t("financingUi.day", { day }));
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="text-sm font-medium mb-1">{t("financingUi.title")}</div>
+      <div className="text-[11px] text-gray-500 mb-2">
+        {f.clearanceDate ? t("financingUi.leadTime", { ...lead, date: formatDate(f.clearanceDate) }) : t("financingUi.leadTimeUndated", lead)}
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-500 text-left">
+            <th className="font-normal pr-2">{t("financingUi.col.date")}</th>
+            <th className="font-normal pr-2">{t("financingUi.col.payment")}</th>
+            <th className="font-normal pr-2 text-right">{t("financingUi.col.amount")}</th>
+            <th className="font-normal pr-2 text-right">{t("financingUi.col.days")}</th>
+            <th className="font-normal text-right">{t("financingUi.col.cost")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {f.payments.map(p => (
+            <tr key={p.key} className="border-t">
+              <td className="pr-2 py-1 whitespace-nowrap">{when(p.date, p.day)}</td>
+              <td className="pr-2 py-1">{p.label}</td>
+              <td className="pr-2 py-1 text-right">{formatMoney(p.amountEUR)}</td>
+              <td className="pr-2 py-1 text-right">{formatNumber(p.heldDays)}</td>
+              <td className="py-1 text-right">{formatMoney(p.costEUR)}</td>
+            </tr>
+          ))}
+          <tr className="border-t font-medium">
+            <td className="pr-2 py-1" colSpan={4}>{t("financingUi.total", { pct: formatNumber(costOfCapitalPct) })}</td>
+            <td className="py-1 text-right">{formatMoney(f.costEUR)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <div className="text-[11px] text-gray-500 mt-2">{t("financingUi.note", { date: when(f.cashInDate, f.cashInDay) })}</div>
+    </div>
+  );
+}
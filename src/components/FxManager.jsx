@@ -0,0 +1,177 @@
+import React, { useState } from "react";
+import { fxCurrencies } from "../lib/landedCost.js";
+import { listRateSets, storeRateSets, deleteRateSet, rateSetId, customsSetFor, customsReferenceDate, parseEcbFile, isCurrencyCode } from "../lib/fxRates.js";
+import { t } from "../lib/i18n.js";
+import NumberInput from "./NumberInput.jsx";
+
+const setLabel = (set) => `${set.date || t("common.noDate")} — ${set.source}`;
+
+// ==========================
+// FX: customs and payment rates, dated rate history, ECB file import
+// ==========================
+export default function FxManager({ fxCustoms, fxPayment, setFxCustoms, setFxPayment, usedCurrencies, issues }) {
+  const [history, setHistory] = useState(() => listRateSets());
+  const [selected, setSelected] = useState("");
+  const [month, setMonth] = useState(() => new Date().toISOString().slice(0, 7));
+  const [newCode, setNewCode] = useState("");
+  const [message, setMessage] = useState({ text: "", error: false });
+
+  const currencies = fxCurrencies({ fxCustoms, fxPayment });
+  const kinds = [
+    { key: "customs", field: "fxCustoms", label: t("fxUi.kind.customs"), set: fxCustoms, update: setFxCustoms },
+    { key: "payment", field: "fxPayment", label: t("fxUi.kind.payment"), set: fxPayment, update: setFxPayment },
+  ];
+
+  // Manual edits keep the date but no longer match the imported source
+  const editRate = (kind, code, value) => kind.update({ ...kind.set, source: "Manual", rates: { ...kind.set.rates, [code]: value } });
+
+  // Only the simulation's currencies are taken from the set; missing ones keep their rate
+  const apply = (kind, set) => {
+    const rates = { ...kind.set.rates };
+    const missing = currencies.filter(c => !(c in set.rates));
+    currencies.forEach(c => { if (c in set.rates) rates[c] = set.rates[c]; });
+    kind.update({ date: set.date, source: set.source, rates });
+    setMessage({
+      text: `${t(`fxUi.applied.${kind.key}`, { set: setLabel(set) })}${missing.length ? ` ${t("fxUi.missing", { currencies: missing.join(", ") })}` : ""}`,
+      error: missing.length > 0,
+    });
+  };
+
+  const applySelected = (kind) => {
+    const set = history.find(s => rateSetId(s) === selected);
+    if (set) apply(kind, set);
+  };
+
+  const applyCustomsMonth = () => {
+    const set = customsSetFor(history, month);
+    if (!set) {
+      setMessage({ text: t("fxUi.noCustomsRate", { date: customsReferenceDate(month) }), error: true });
+      return;
+    }
+    apply(kinds[0], set);
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const sets = parseEcbFile(await file.text(), file.name);
+      setHistory(storeRateSets(sets));
+      setSelected(rateSetId(sets[0]));
+      setMessage({ text: t("fxUi.imported", { count: sets.length, file: file.name, from: sets[sets.length - 1].date, to: sets[0].date }), error: false });
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  };
+
+  const saveCurrent = (kind) => {
+    if (!kind.set.date) {
+      setMessage({ text: t(`fxUi.needDate.${kind.key}`), error: true });
+      return;
+    }
+    const set = { date: kind.set.date, source: kind.set.source, rates: kind.set.rates };
+    setHistory(storeRateSets([set]));
+    setSelected(rateSetId(set));
+    setMessage({ text: t("fxUi.saved", { set: setLabel(set) }), error: false });
+  };
+
+  const removeSelected = () => {
+    if (!selected || !window.confirm(t("fxUi.confirmDelete"))) return;
+    setHistory(deleteRateSet(selected));
+    setSelected("");
+  };
+
+  const addCurrency = () => {
+    const code = newCode.trim().toUpperCase();
+    if (!isCurrencyCode(code)) {
+      setMessage({ text: t("fxUi.invalidCode"), error: true });
+      return;
+    }
+    if (currencies.includes(code)) {
+      setMessage({ text: t("fxUi.duplicate", { code }), error: true });
+      return;
+    }
+    // Start from the most recent stored rate, if any
+    const latest = history.find(s => code in s.rates);
+    kinds.forEach(k => k.update({ ...k.set, rates: { ...k.set.rates, [code]: latest ? latest.rates[code] : 0 } }));
+    setNewCode("");
+    setMessage({ text: latest ? t("fxUi.addedFrom", { code, set: setLabel(latest) }) : t("fxUi.added", { code }), error: !latest });
+  };
+
+  const removeCurrency = (code) => {
+    kinds.forEach(k => {
+      const rates = { ...k.set.rates };
+      delete rates[code];
+      k.update({ ...k.set, rates });
+    });
+  };
+
+  return (
+    <div className="space-y-2">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-600 text-left">
+            <th className="font-normal pr-2">{t("fxUi.col.currency")}</th>
+            {kinds.map(k => <th key={k.key} className="font-normal pr-2">{k.label}</th>)}
+            <th></th>
+          </tr>
+          <tr className="text-[11px] text-gray-500 align-top">
+            <td className="pr-2 pb-1">{t("fxUi.dateSource")}</td>
+            {kinds.map(k => (
+              <td key={k.key} className="pr-2 pb-1">
+                <input type="date" value={k.set.date} onChange={(e)=>k.update({ ...k.set, date: e.target.value })} className="w-full border rounded px-2 py-1 text-sm"/>
+                <div className="mt-0.5">{k.set.source}</div>
+              </td>
+            ))}
+            <td></td>
+          </tr>
+        </thead>
+        <tbody>
+          {currencies.map(code => (
+            <tr key={code}>
+              <td className="pr-2 py-1">{code}</td>
+              {kinds.map(k => (
+                <td key={k.key} className="pr-2 py-1">
+                  <NumberInput step={0.0001} min={0} value={k.set.rates[code]} disabled={code === "EUR"} onChange={(value)=>editRate(k, code, value)} issue={issues[`${k.field}.${code}`]}/>
+                </td>
+              ))}
+              <td className="py-1 text-right">
+                <button type="button" onClick={()=>removeCurrency(code)} disabled={code === "EUR" || usedCurrencies.includes(code)} className="text-xs text-red-600 disabled:text-gray-300 px-1" title={usedCurrencies.includes(code) ? t("fxUi.inUse") : t("fxUi.remove")}>✕</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex flex-wrap gap-2 items-center">
+        <input value={newCode} onChange={(e)=>setNewCode(e.target.value)} placeholder="JPY" maxLength={3} className="w-20 border rounded px-2 py-1 text-sm uppercase"/>
+        <button type="button" onClick={addCurrency} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("fxUi.add")}</button>
+      </div>
+
+      <h4 className="text-sm font-medium pt-2">{t("fxUi.history")}</h4>
+      <div className="flex flex-wrap gap-2 items-center">
+        <select value={selected} onChange={(e)=>setSelected(e.target.value)} className="border rounded px-2 py-1 text-sm">
+          <option value="">{history.length ? t("fxUi.pickDate") : t("fxUi.emptyHistory")}</option>
+          {history.map(s => <option key={rateSetId(s)} value={rateSetId(s)}>{setLabel(s)}</option>)}
+        </select>
+        {kinds.map(k => (
+          <button key={k.key} type="button" onClick={()=>applySelected(k)} disabled={!selected} className="text-sm border rounded px-3 py-1 hover:bg-gray-50 disabled:text-gray-300">{t(`fxUi.useAs.${k.key}`)}</button>
+        ))}
+        <button type="button" onClick={removeSelected} disabled={!selected} className="text-sm text-red-600 disabled:text-gray-300 px-2 py-1">{t("fxUi.delete")}</button>
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <input type="month" value={month} onChange={(e)=>setMonth(e.target.value)} className="border rounded px-2 py-1 text-sm"/>
+        <button type="button" onClick={applyCustomsMonth} disabled={!month} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("fxUi.customsMonth")}</button>
+        <label className="text-sm border rounded px-3 py-1 hover:bg-gray-50 cursor-pointer">
+          {t("fxUi.importEcb")}
+          <input type="file" accept=".csv,.xml,text/csv,text/xml,application/xml" onChange={importFile} className="hidden"/>
+        </label>
+        {kinds.map(k => (
+          <button key={k.key} type="button" onClick={()=>saveCurrent(k)} className="text-sm text-gray-600 px-2 py-1">{t(`fxUi.save.${k.key}`)}</button>
+        ))}
+      </div>
+      {message.text && <div className={`text-[12px] ${message.error ? "text-red-600" : "text-gray-600"}`}>{message.text}</div>}
+      <p className="text-[11px] text-gray-500">{t("fxUi.note")}</p>
+    </div>
+  );
+}
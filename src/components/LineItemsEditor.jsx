@@ -0,0 +1,118 @@
+import React from "react";
+import { ORIGINS, unitVolumeM3 } from "../lib/landedCost.js";
+import { isCartonPacked } from "../lib/packing.js";
+import { t, originLabel } from "../lib/i18n.js";
+import NumberInput from "./NumberInput.jsx";
+
+// ==========================
+// Line-item table: one row per SKU on the shipment
+// ==========================
+export default function LineItemsEditor({ items, setItems, currencies, tariff, issues }) {
+  const update = (idx, patch) => {
+    const copy = items.slice();
+    copy[idx] = { ...items[idx], ...patch };
+    setItems(copy);
+  };
+  const add = () => {
+    const last = items[items.length - 1];
+    const id = items.reduce((max, it) => Math.max(max, it.id), 0) + 1;
+    setItems([...items, { ...last, id, sku: `SKU ${id}` }]);
+  };
+  const remove = (idx) => setItems(items.filter((_, i) => i !== idx));
+
+  const num = (idx, field) => ({
+    value: items[idx][field],
+    onChange: (value) => update(idx, { [field]: value }),
+    issue: issues[`items.${items[idx].id}.${field}`],
+  });
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-600 text-left">
+            <th className="font-normal pr-2">{t("lineItems.col.sku")}</th>
+            <th className="font-normal pr-2">{t("lineItems.col.hs")}</th>
+            <th className="font-normal pr-2">{t("lineItems.col.origin")}</th>
+            <th className="font-normal pr-2">{t("lineItems.col.qty")}</th>
+            <th className="font-normal pr-2">{t("lineItems.col.unitPrice")}</th>
+            <th className="font-normal pr-2">{t("lineItems.col.currency")}</th>
+            <th className="font-normal pr-2">{t("lineItems.col.weight")}</th>
+            <th className="font-normal pr-2">{t("lineItems.col.dims")}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((it, idx) => (
+            <React.Fragment key={it.id}>
+            <tr className="align-top">
+              <td className="pr-2 py-1">
+                <input value={it.sku} onChange={(e)=>update(idx, { sku: e.target.value })} className="w-28 border rounded px-2 py-1"/>
+              </td>
+              <td className="pr-2 py-1">
+                <input value={it.hsCode ?? ""} list="hs-codes" onChange={(e)=>update(idx, { hsCode: e.target.value })} placeholder="8471" className="w-24 border rounded px-2 py-1"/>
+              </td>
+              <td className="pr-2 py-1">
+                <select value={it.productOrigin} onChange={(e)=>update(idx, { productOrigin: e.target.value })} className="border rounded px-2 py-1">
+                  {ORIGINS.map(o=> <option key={o} value={o}>{originLabel(o)}</option>)}
+                  <option value="Outro">{originLabel("Outro")}</option>
+                </select>
+              </td>
+              <td className="pr-2 py-1">
+                <NumberInput min={1} step={1} {...num(idx, "qty")} className="w-20"/>
+              </td>
+              <td className="pr-2 py-1">
+                <NumberInput min={0} step={0.01} {...num(idx, "unitPrice")} className="w-24"/>
+              </td>
+              <td className="pr-2 py-1">
+                <select value={it.currency} onChange={(e)=>update(idx, { currency: e.target.value })} className="border rounded px-2 py-1">
+                  {currencies.map(c=> <option key={c} value={c}>{c}</option>)}
+                </select>
+              </td>
+              <td className="pr-2 py-1">
+                <NumberInput min={0} step={0.01} {...num(idx, "unitWeightKg")} className="w-20"/>
+              </td>
+              <td className="pr-2 py-1">
+                <div className="flex gap-1">
+                  <NumberInput min={0} step={0.1} {...num(idx, "unitLcm")} className="w-16"/>
+                  <NumberInput min={0} step={0.1} {...num(idx, "unitWcm")} className="w-16"/>
+                  <NumberInput min={0} step={0.1} {...num(idx, "unitHcm")} className="w-16"/>
+                </div>
+                <div className="text-[11px] text-gray-500 mt-1">{t("lineItems.unitVolume", { m3: unitVolumeM3(it).toFixed(6) })}</div>
+              </td>
+              <td className="py-1">
+                <button type="button" onClick={()=>remove(idx)} disabled={items.length === 1} className="text-xs text-red-600 disabled:text-gray-300 px-1" title={t("lineItems.remove")}>✕</button>
+              </td>
+            </tr>
+            <tr className="text-xs text-gray-600">
+              <td colSpan={9} className="pb-2">
+                <div className="flex flex-wrap items-center gap-2 pl-2 border-l-2 border-gray-200">
+                  <span>{t("lineItems.carton")}</span>
+                  <NumberInput min={0} step={1} {...num(idx, "unitsPerCarton")} className="w-16" title={t("lineItems.unitsPerCartonHint")}/>
+                  <span>{t("lineItems.unitsPerCarton")}</span>
+                  {isCartonPacked(it) ? (
+                    <>
+                      <NumberInput min={0} step={0.1} {...num(idx, "cartonLcm")} className="w-16"/>
+                      <NumberInput min={0} step={0.1} {...num(idx, "cartonWcm")} className="w-16"/>
+                      <NumberInput min={0} step={0.1} {...num(idx, "cartonHcm")} className="w-16"/>
+                      <span>cm</span>
+                      <NumberInput min={0} step={0.1} {...num(idx, "cartonKg")} className="w-16"/>
+                      <span>{t("lineItems.cartonKg")}</span>
+                    </>
+                  ) : (
+                    <span className="text-[11px] text-gray-500">{t("lineItems.loose")}</span>
+                  )}
+                </div>
+              </td>
+            </tr>
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+      <datalist id="hs-codes">
+        {tariff.map(e => <option key={e.code} value={e.code}>{e.description}</option>)}
+      </datalist>
+      <button type="button" onClick={add} className="mt-2 text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("lineItems.add")}</button>
+    </div>
+  );
+}
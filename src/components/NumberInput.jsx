@@ -0,0 +1,27 @@
+import React from "react";
+import { blankToNull } from "../lib/validation.js";
+
+const LEVEL_STYLE = {
+  error: { input: "border-red-500 bg-red-50", text: "text-red-700" },
+  warning: { input: "border-amber-500 bg-amber-50", text: "text-amber-700" },
+};
+
+// ==========================
+// Numeric input: blank stays null (flagged by the validation), issue shown inline
+// ==========================
+export default function NumberInput({ value, onChange, issue, className = "w-full", wrapClassName, ...rest }) {
+  const style = issue ? LEVEL_STYLE[issue.level] : null;
+  return (
+    <div className={wrapClassName}>
+      <input
+        type="number"
+        value={value ?? ""}
+        onChange={(e)=>onChange(blankToNull(e.target.value))}
+        title={issue?.text}
+        className={`${className} border rounded px-2 py-1 disabled:bg-gray-100 disabled:text-gray-400 ${style?.input ?? ""}`}
+        {...rest}
+      />
+      {issue && <div className={`text-[11px] mt-0.5 ${style.text}`}>{issue.text}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from "recharts";
+import { formatNumber, formatMoney } from "../lib/format.js";
+import { MODES } from "../lib/landedCost.js";
+import { planOrders } from "../lib/planning.js";
+import { PLANNING_RULES, validatePlanning, issuesByPath } from "../lib/validation.js";
+import { t, modeLabel, displayKey } from "../lib/i18n.js";
+import NumberInput from "./NumberInput.jsx";
+import { MODE_COLORS, shortMode } from "./SensitivityPanel.jsx";
+
+// ==========================
+// Order planning: how much to order, how often and by which mode
+// ==========================
+export default function OrderPlanningPanel({ inputs, result, setPlanning }) {
+  const { planning } = inputs;
+  const problems = validatePlanning(planning);
+  const issues = issuesByPath(problems);
+  const blocked = problems.length > 0 || result.errors.length > 0;
+
+  // Runs the chain for every mode × frequency; only when the inputs change
+  const plan = useMemo(() => (blocked ? null : planOrders(inputs)), [inputs, blocked, displayKey()]);
+  const best = plan?.best;
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="text-sm font-medium mb-2">{t("planning.title")}</div>
+      <div className="grid grid-cols-3 gap-3">
+        {Object.keys(PLANNING_RULES).map(key => (
+          <div key={key}>
+            <label className="text-xs text-gray-600">{t(`field.planning.${key}`)}</label>
+            <NumberInput min={0} step={key === "annualDemand" ? 100 : 1} value={planning[key]} onChange={(value)=>setPlanning({ ...planning, [key]: value })} issue={issues[`planning.${key}`]}/>
+          </div>
+        ))}
+      </div>
+
+      {blocked && <p className="text-sm text-gray-400 mt-3">{t("planning.blocked")}</p>}
+      {plan && !best && <p className="text-sm text-red-600 mt-3">{t("planning.none")}</p>}
+      {best && (
+        <>
+          <div className="mt-3 p-3 rounded-lg bg-green-50 text-sm">
+            <div className="font-medium">{t("planning.recommend", { qty: formatNumber(best.qty), shipments: best.shipments, mode: modeLabel(best.mode) })}</div>
+            <div className="text-[12px] text-gray-600">{t("planning.recommendCost", { total: formatMoney(best.totalEUR), unit: formatMoney(best.totalEUR / planning.annualDemand) })}</div>
+          </div>
+
+          <div className="overflow-x-auto mt-3">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-500 text-left">
+                  <th className="font-normal pr-2">{t("planning.col.mode")}</th>
+                  <th className="font-normal pr-2 text-right">{t("planning.col.qty")}</th>
+                  <th className="font-normal pr-2 text-right">{t("planning.col.shipments")}</th>
+                  <th className="font-normal pr-2 text-right">{t("planning.col.unit")}</th>
+                  <th className="font-normal pr-2 text-right">{t("planning.col.holding")}</th>
+                  <th className="font-normal pr-2 text-right">{t("planning.col.space")}</th>
+                  <th className="font-normal text-right">{t("planning.col.total")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {MODES.map(mode => {
+                  const o = plan.byMode[mode];
+                  return (
+                    <tr key={mode} className={`border-t ${o === best ? "bg-green-50 font-medium" : ""}`}>
+                      <td className="pr-2 py-1">{shortMode(mode)}</td>
+                      {o ? (
+                        <>
+                          <td className="pr-2 py-1 text-right">{formatNumber(o.qty)}</td>
+                          <td className="pr-2 py-1 text-right">{o.shipments}</td>
+                          <td className="pr-2 py-1 text-right">{formatMoney(o.unitLanded)}</td>
+                          <td className="pr-2 py-1 text-right">{formatMoney(o.holdingEUR)}</td>
+                          <td className="pr-2 py-1 text-right">{formatMoney(o.spaceEUR)}</td>
+                          <td className="py-1 text-right">{formatMoney(o.totalEUR)}</td>
+                        </>
+                      ) : <td colSpan={6} className="py-1 text-right text-red-600">—</td>}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ width: "100%", height: 280 }} className="mt-3">
+            <ResponsiveContainer>
+              <LineChart data={plan.points} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="qty" type="number" scale="log" domain={["dataMin", "dataMax"]} tickFormatter={(v)=>formatNumber(v)} />
+                <YAxis tickFormatter={(v)=>formatMoney(v)} domain={["auto", "auto"]} />
+                <Tooltip formatter={(v)=>formatMoney(v)} labelFormatter={(l)=>t("planning.tooltip", { qty: formatNumber(l), shipments: plan.points.find(p => p.qty === l)?.shipments })}/>
+                <Legend formatter={shortMode} />
+                <ReferenceLine x={best.qty} stroke="#374151" strokeDasharray="3 3" label={{ value: formatNumber(best.qty), position: "top", fontSize: 10 }} />
+                {MODES.map(m => (
+                  <Line key={m} type="monotone" dataKey={m} stroke={MODE_COLORS[m]} dot={false} strokeWidth={m === best.mode ? 3 : 1.5} connectNulls={false} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+      <p className="text-[11px] text-gray-500 mt-1">{t("planning.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useMemo } from "react";
+import { formatNumber, formatMoney, formatPct } from "../lib/format.js";
+import { PRICING_BASES, pricedSku, sellingPrice, maxSupplierPrice } from "../lib/pricing.js";
+import { validatePricing, issuesByPath } from "../lib/validation.js";
+import { t, displayKey } from "../lib/i18n.js";
+import NumberInput from "./NumberInput.jsx";
+
+const pctText = (v) => (v === null ? "—" : formatPct(v, 2));
+
+function BreakdownTable({ b, vatPct }) {
+  const rows = [
+    [t("pricingPanel.listPrice"), formatMoney(b.listPrice), true],
+    [t("pricingPanel.listPriceVat", { pct: vatPct }), formatMoney(b.listPrice * (1 + vatPct / 100))],
+    [t("pricingPanel.discount"), formatMoney(b.discount)],
+    [t("pricingPanel.netPrice"), formatMoney(b.netPrice)],
+    [t("pricingPanel.channelFee"), formatMoney(b.channelFee)],
+    [t("pricingPanel.revenue"), formatMoney(b.revenue)],
+    [t("pricingPanel.cost"), formatMoney(b.cost)],
+    [t("pricingPanel.profit"), formatMoney(b.profit), true],
+    [t("pricingPanel.marginMarkup"), `${pctText(b.marginPct)} / ${pctText(b.markupPct)}`],
+  ];
+  return (
+    <table className="w-full text-sm">
+      <tbody>
+        {rows.map(([label, value, strong]) => (
+          <tr key={label} className="border-t">
+            <td className="py-1 pr-2 text-gray-600">{label}</td>
+            <td className={`py-1 text-right ${strong ? "font-semibold" : ""}`}>{value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// ==========================
+// Resale: selling price for a target margin, and the reverse (max supplier price)
+// ==========================
+export default function PricingPanel({ inputs, result, setPricing }) {
+  const { pricing, items } = inputs;
+  const vatPct = result.vatRate;
+  const update = (patch) => setPricing({ ...pricing, ...patch });
+  const num = (key) => (value) => update({ [key]: value });
+
+  const problems = validatePricing(pricing);
+  const issues = issuesByPath(problems);
+  const blocked = problems.length > 0 || result.errors.length > 0;
+  const sku = pricedSku(inputs, result);
+  const item = items.find(it => it.id === sku.id);
+
+  const forward = blocked ? null : sellingPrice(inputs, result);
+  // The reverse search runs the whole chain many times; only when a price is set
+  const reverse = useMemo(() => (blocked || !(pricing.sellingPrice > 0) ? null : maxSupplierPrice(inputs)), [inputs, blocked, pricing.sellingPrice, displayKey()]);
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="text-sm font-medium mb-2">{t("pricingPanel.title")}</div>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        {items.length > 1 && (
+          <div>
+            <label className="text-xs text-gray-600">SKU</label>
+            <select value={sku.id} onChange={(e)=>update({ skuId: Number(e.target.value) })} className="w-full border rounded px-2 py-1">
+              {items.map(it => <option key={it.id} value={it.id}>{it.sku}</option>)}
+            </select>
+          </div>
+        )}
+        <div>
+          <label className="text-xs text-gray-600">{t("pricingPanel.basis")}</label>
+          <select value={pricing.basis} onChange={(e)=>update({ basis: e.target.value })} className="w-full border rounded px-2 py-1">
+            {PRICING_BASES.map(k => <option key={k} value={k}>{t(`pricing.basis.${k}`)}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">{pricing.basis === "markup" ? t("pricingPanel.targetMarkup") : t("pricingPanel.targetMargin")}</label>
+          <NumberInput min={0} step={0.5} value={pricing.targetPct} onChange={num("targetPct")} issue={issues["pricing.targetPct"]}/>
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">{t("pricingPanel.channelFeePct")}</label>
+          <NumberInput min={0} max={99} step={0.5} value={pricing.channelFeePct} onChange={num("channelFeePct")} issue={issues["pricing.channelFeePct"]}/>
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">{t("pricingPanel.discountPct")}</label>
+          <NumberInput min={0} max={99} step={0.5} value={pricing.distributorDiscountPct} onChange={num("distributorDiscountPct")} issue={issues["pricing.distributorDiscountPct"]}/>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+        <div>
+          <div className="text-xs font-medium text-gray-700 mb-1">{t("pricingPanel.forward")}</div>
+          {forward ? <BreakdownTable b={forward} vatPct={vatPct} /> : <div className="text-sm text-gray-400">—</div>}
+        </div>
+        <div>
+          <div className="text-xs font-medium text-gray-700 mb-1">{t("pricingPanel.reverse")}</div>
+          <label className="text-xs text-gray-600">{t("pricingPanel.knownPrice")}</label>
+          <NumberInput min={0} step={0.01} value={pricing.sellingPrice} onChange={num("sellingPrice")} issue={issues["pricing.sellingPrice"]} wrapClassName="mb-2"/>
+          {reverse?.error && <div className="text-[12px] text-red-600">{reverse.error}</div>}
+          {reverse && !reverse.error && (
+            <>
+              <div className="rounded-xl bg-gray-50 p-2 mb-2">
+                <div className="text-xs text-gray-500">{t("pricingPanel.maxFor", { sku: sku.sku })}</div>
+                <div className="text-lg font-semibold">{t("pricingPanel.perUnit", { price: formatNumber(Number(reverse.maxUnitPrice.toFixed(4))), currency: reverse.currency })}</div>
+                <div className="text-[11px] text-gray-500">{t("pricingPanel.current", { price: formatNumber(item.unitPrice), currency: item.currency, maxCost: formatMoney(reverse.maxCost) })}</div>
+              </div>
+              <BreakdownTable b={reverse.breakdown} vatPct={vatPct} />
+            </>
+          )}
+          {!reverse && !blocked && <div className="text-[11px] text-gray-500">{t("pricingPanel.enterPrice")}</div>}
+        </div>
+      </div>
+      <p className="text-[11px] text-gray-500 mt-2">{t("pricingPanel.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from "react";
+import { formatNumber, formatMoney } from "../lib/format.js";
+import { t } from "../lib/i18n.js";
+
+const formatCell = (cell) => {
+  if (cell && typeof cell === "object") {
+    if (cell.fmt === "money") return formatMoney(cell.n);
+    if (cell.fmt === "pct") return `${formatNumber(cell.n)}%`;
+    return formatNumber(cell.n);
+  }
+  return cell;
+};
+
+// ==========================
+// Branded quotation — only visible when printing (Imprimir / PDF)
+// ==========================
+export default function QuoteDocument({ sections, logoUrl, showLogo }) {
+  return (
+    <div className="hidden print:block text-[11px] text-black">
+      <div className="flex items-center justify-between border-b pb-2 mb-3">
+        <div>
+          <div className="text-lg font-semibold">{t("quote.title")}</div>
+          <div className="text-gray-600">{sections[0].rows.map(r => `${r[0]}: ${formatCell(r[1])}`).join(" • ")}</div>
+        </div>
+        {showLogo && logoUrl ? <img src={logoUrl} alt="YEP logo" className="h-10 object-contain" /> : null}
+      </div>
+
+      {sections.slice(1).map(section => (
+        <div key={section.title} className="mb-3 break-inside-avoid">
+          <div className="font-semibold text-[12px] mb-1">{section.title}</div>
+          <table className="w-full border-collapse">
+            {section.header && (
+              <thead>
+                <tr>{section.header.map(h => <th key={h} className="border px-1 text-left font-medium bg-gray-100">{h}</th>)}</tr>
+              </thead>
+            )}
+            <tbody>
+              {section.rows.map((row, i) => (
+                <tr key={i}>
+                  {row.map((cell, j) => (
+                    <td key={j} className={`border px-1 ${cell && typeof cell === "object" ? "text-right" : ""}`}>{formatCell(cell)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+
+      <div className="text-gray-500 mt-4">{t("quote.disclaimer")}</div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import { FALLBACK_ROUTE } from "../lib/landedCost.js";
+import { rateCardsJson, parseRateCardsJson } from "../lib/rateCards.js";
+import { downloadText } from "../lib/quote.js";
+import { t } from "../lib/i18n.js";
+
+// ==========================
+// Route rate cards: list, add/remove routes, JSON import/export
+// ==========================
+export default function RateCardsManager({ rateCards, activeKey, setRateCards, expressZones }) {
+  const [newRoute, setNewRoute] = useState("");
+  const [message, setMessage] = useState({ text: "", error: false });
+
+  const updateCard = (route, patch) => setRateCards({ ...rateCards, [route]: { ...rateCards[route], ...patch } });
+
+  const addRoute = () => {
+    const name = newRoute.trim();
+    if (!name) return;
+    if (name in rateCards) {
+      setMessage({ text: t("rateCardsUi.exists", { name }), error: true });
+      return;
+    }
+    // New route starts as a copy of the active card
+    setRateCards({ ...rateCards, [name]: { ...rateCards[activeKey], port: "", updatedAt: "" } });
+    setNewRoute("");
+    setMessage({ text: t("rateCardsUi.created", { name, from: activeKey }), error: false });
+  };
+
+  const removeRoute = (route) => {
+    if (!window.confirm(t("rateCardsUi.confirmDelete", { route }))) return;
+    const copy = { ...rateCards };
+    delete copy[route];
+    setRateCards(copy);
+  };
+
+  const exportJson = () => {
+    const day = new Date().toISOString().slice(0, 10);
+    downloadText(`tabelas-frete-${day}.json`, rateCardsJson(rateCards), "application/json");
+  };
+
+  const importJson = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const cards = parseRateCardsJson(await file.text());
+      setRateCards(cards);
+      setMessage({ text: t("rateCardsUi.imported", { count: Object.keys(cards).length, file: file.name }), error: false });
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-medium">{t("rateCardsUi.title")}</h4>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-600 text-left">
+            <th className="font-normal pr-2">{t("rateCardsUi.col.route")}</th>
+            <th className="font-normal pr-2">{t("rateCardsUi.col.port")}</th>
+            <th className="font-normal pr-2">{t("rateCardsUi.col.updated")}</th>
+            <th className="font-normal pr-2">{t("rateCardsUi.col.expressZone")}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(rateCards).map(([route, card]) => (
+            <tr key={route} className={route === activeKey ? "bg-sky-50" : ""}>
+              <td className="pr-2 py-1">
+                {route} {route === activeKey && <span className="text-[11px] text-sky-700">{t("rateCardsUi.inUse")}</span>}
+              </td>
+              <td className="pr-2 py-1">
+                <input value={card.port} onChange={(e)=>updateCard(route, { port: e.target.value })} placeholder={t("rateCardsUi.portPlaceholder")} className="w-full border rounded px-2 py-1"/>
+              </td>
+              <td className="pr-2 py-1">
+                <input type="date" value={card.updatedAt} onChange={(e)=>updateCard(route, { updatedAt: e.target.value })} className="border rounded px-2 py-1"/>
+              </td>
+              <td className="pr-2 py-1">
+                <select value={card.expressZone} onChange={(e)=>updateCard(route, { expressZone: e.target.value })} className="border rounded px-2 py-1">
+                  {!expressZones.includes(card.expressZone) && <option value={card.expressZone}>{t("express.zone", { zone: card.expressZone })} ?</option>}
+                  {expressZones.map(z => <option key={z} value={z}>{t("express.zone", { zone: z })}</option>)}
+                </select>
+              </td>
+              <td className="py-1 text-right">
+                <button type="button" onClick={()=>removeRoute(route)} disabled={route === FALLBACK_ROUTE} className="text-xs text-red-600 disabled:text-gray-300 px-1" title={route === FALLBACK_ROUTE ? t("rateCardsUi.fallbackHint") : t("rateCardsUi.delete")}>✕</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex flex-wrap gap-2 items-center">
+        <input value={newRoute} onChange={(e)=>setNewRoute(e.target.value)} placeholder={t("rateCardsUi.newRoute")} className="border rounded px-2 py-1 text-sm"/>
+        <button type="button" onClick={addRoute} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("rateCardsUi.add")}</button>
+        <button type="button" onClick={exportJson} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("common.exportJson")}</button>
+        <label className="text-sm border rounded px-3 py-1 hover:bg-gray-50 cursor-pointer">
+          {t("common.importJson")}
+          <input type="file" accept="application/json,.json" onChange={importJson} className="hidden"/>
+        </label>
+      </div>
+      {message.text && <div className={`text-[12px] whitespace-pre-line ${message.error ? "text-red-600" : "text-gray-600"}`}>{message.text}</div>}
+      <p className="text-[11px] text-gray-500">{t("rateCardsUi.note", { fallback: FALLBACK_ROUTE })}</p>
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+import React, { useMemo, useState } from "react";
+import { formatMoney, formatDate, formatNumber } from "../lib/format.js";
+import { ACTUAL_LINES, BIAS_PCT, reconcileAll, biasSummary, listActuals, saveActual, deleteActual, importActuals, parseActualsFile, actualsJson, actualsCsv } from "../lib/actuals.js";
+import { scenariosVersion, scenarioInputs } from "../lib/scenarios.js";
+import { checkValue } from "../lib/validation.js";
+import { downloadText } from "../lib/quote.js";
+import { t, modeLabel, originLabel, displayKey } from "../lib/i18n.js";
+import NumberInput from "./NumberInput.jsx";
+
+const LINE_KEYS = Object.keys(ACTUAL_LINES);
+const SUMMARY_KEYS = ["goods", ...LINE_KEYS];
+const AMOUNT_RULE = { min: 0 };
+const FX_RULE = { positive: true };
+
+const emptyDraft = (scenarioId = "") => ({ scenarioId, reference: "", arrivalDate: "", amounts: Object.fromEntries(LINE_KEYS.map(k => [k, null])), fx: {} });
+
+const signedPct = (v) => (v === null || v === undefined ? "—" : `${v > 0 ? "+" : ""}${formatNumber(v, 1)}%`);
+const varianceClass = (v) => (v > 0 ? "text-red-700" : v < 0 ? "text-green-700" : "");
+
+// Optional amount: empty is "not invoiced", so only entered values are checked
+const optionalIssue = (value, rule) => {
+  if (value === null || value === undefined) return undefined;
+  const text = checkValue(value, rule);
+  return text ? { level: "error", text } : undefined;
+};
+
+// ==========================
+// Estimate vs actual: invoices of arrived shipments against their saved estimate
+// ==========================
+// `scenarios` is App's saved-scenario list (kept in state, re-read when the library changes it)
+export default function ReconciliationPanel({ scenarios }) {
+  const [actuals, setActuals] = useState(listActuals);
+  const [draft, setDraft] = useState(() => emptyDraft(scenarios[0]?.id));
+  const [selectedId, setSelectedId] = useState(null);
+  const [message, setMessage] = useState({ text: "", error: false });
+
+  const reconciled = useMemo(() => reconcileAll(actuals, scenarios), [actuals, scenariosVersion(scenarios), displayKey()]);
+  const summary = useMemo(() => biasSummary(reconciled), [reconciled]);
+  const selected = reconciled.find(r => r.actual.id === selectedId);
+
+  const refresh = () => setActuals(listActuals());
+  const update = (patch) => setDraft({ ...draft, ...patch });
+
+  // Currencies of the estimate's SKUs, for the FX actually applied
+  const draftScenario = scenarios.find(s => s.id === draft.scenarioId);
+  const currencies = draftScenario ? [...new Set(scenarioInputs(draftScenario).items.map(it => it.currency))].filter(c => c !== "EUR") : [];
+  const amountIssue = (key) => optionalIssue(draft.amounts[key], AMOUNT_RULE);
+  const fxIssue = (code) => optionalIssue(draft.fx[code], FX_RULE);
+  const invalid = !draftScenario || LINE_KEYS.some(amountIssue) || currencies.some(fxIssue);
+
+  const save = () => {
+    const fx = Object.fromEntries(Object.entries(draft.fx).filter(([code, rate]) => currencies.includes(code) && rate !== null));
+    const record = saveActual({ ...draft, fx });
+    setSelectedId(record.id);
+    setDraft(emptyDraft(draft.scenarioId));
+    setMessage({ text: t("actualsUi.saved"), error: false });
+    refresh();
+  };
+
+  const edit = (actual) => {
+    setDraft({ ...emptyDraft(), ...actual, amounts: { ...emptyDraft().amounts, ...actual.amounts } });
+    setSelectedId(actual.id);
+  };
+
+  const remove = (actual) => {
+    if (!window.confirm(t("actualsUi.confirmDelete", { reference: actual.reference || "—" }))) return;
+    deleteActual(actual.id);
+    if (draft.id === actual.id) setDraft(emptyDraft(draft.scenarioId));
+    refresh();
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const records = parseActualsFile(await file.text(), file.name, scenarios);
+      const { added, updated } = importActuals(records);
+      refresh();
+      setMessage({ text: t("actualsUi.imported", { added, updated, file: file.name }), error: false });
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  };
+
+  const day = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="text-sm font-medium">{t("actualsUi.title")}</div>
+      <p className="text-[11px] text-gray-500 mb-3">{t("actualsUi.intro")}</p>
+
+      {scenarios.length === 0 ? (
+        <p className="text-sm text-gray-400">{t("actualsUi.noScenarios")}</p>
+      ) : (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div className="col-span-2">
+              <label className="text-xs text-gray-600">{t("actualsUi.estimate")}</label>
+              <select value={draftScenario ? draft.scenarioId : ""} onChange={(e)=>update({ scenarioId: e.target.value, fx: {} })} className="w-full border rounded px-2 py-1">
+                {!draftScenario && <option value="" disabled>{t("actualsUi.chooseEstimate")}</option>}
+                {scenarios.map(s => <option key={s.id} value={s.id}>{s.name}{s.summary?.mode ? ` — ${modeLabel(s.summary.mode)}` : ""}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("actualsUi.reference")}</label>
+              <input value={draft.reference} onChange={(e)=>update({ reference: e.target.value })} className="w-full border rounded px-2 py-1"/>
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("actualsUi.arrivalDate")}</label>
+              <input type="date" value={draft.arrivalDate} onChange={(e)=>update({ arrivalDate: e.target.value })} className="w-full border rounded px-2 py-1"/>
+            </div>
+            {LINE_KEYS.map(key => (
+              <div key={key}>
+                <label className="text-xs text-gray-600">{t(`actuals.line.${key}`)}</label>
+                <NumberInput min={0} step={1} value={draft.amounts[key]} onChange={(value)=>update({ amounts: { ...draft.amounts, [key]: value } })} issue={amountIssue(key)} placeholder={t("actualsUi.notInvoiced")}/>
+              </div>
+            ))}
+            {currencies.map(code => (
+              <div key={code}>
+                <label className="text-xs text-gray-600">{t("actualsUi.fxApplied", { code })}</label>
+                <NumberInput min={0} step={0.0001} value={draft.fx[code]} onChange={(value)=>update({ fx: { ...draft.fx, [code]: value } })} issue={fxIssue(code)} placeholder={t("actualsUi.notInvoiced")}/>
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2 items-center">
+            <button type="button" onClick={save} disabled={invalid} className="text-sm border rounded px-3 py-1 bg-sky-600 text-white hover:bg-sky-700 disabled:opacity-50">{draft.id ? t("actualsUi.update") : t("actualsUi.save")}</button>
+            {draft.id && <button type="button" onClick={()=>setDraft(emptyDraft(draft.scenarioId))} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("actualsUi.new")}</button>}
+            <label className="text-sm border rounded px-3 py-1 hover:bg-gray-50 cursor-pointer">
+              {t("actualsUi.import")}
+              <input type="file" accept=".json,.csv,application/json,text/csv" onChange={importFile} className="hidden"/>
+            </label>
+            <button type="button" onClick={()=>downloadText(`custos-reais-${day}.json`, actualsJson(actuals), "application/json")} disabled={!actuals.length} className="text-sm border rounded px-3 py-1 hover:bg-gray-50 disabled:opacity-50">{t("common.exportJson")}</button>
+            <button type="button" onClick={()=>downloadText(`custos-reais-${day}.csv`, actualsCsv(actuals))} disabled={!actuals.length} className="text-sm border rounded px-3 py-1 hover:bg-gray-50 disabled:opacity-50">{t("common.exportCsv")}</button>
+          </div>
+          {message.text && <div className={`text-[12px] whitespace-pre-line ${message.error ? "text-red-600" : "text-gray-600"}`}>{message.text}</div>}
+        </div>
+      )}
+
+      {reconciled.length > 0 && (
+        <div className="overflow-x-auto mt-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500 text-left">
+                <th className="font-normal pr-2">{t("actualsUi.col.arrival")}</th>
+                <th className="font-normal pr-2">{t("actualsUi.col.shipment")}</th>
+                <th className="font-normal pr-2 text-right">{t("actualsUi.col.estimate")}</th>
+                <th className="font-normal pr-2 text-right">{t("actualsUi.col.actual")}</th>
+                <th className="font-normal pr-2 text-right">{t("actualsUi.col.variance")}</th>
+                <th className="font-normal pr-2 text-right">%</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {reconciled.map(({ actual, scenario, mode, route, reconciliation: rec }) => (
+                <tr key={actual.id} className={`border-t ${actual.id === selectedId ? "bg-sky-50" : ""}`}>
+                  <td className="pr-2 py-1 whitespace-nowrap">{actual.arrivalDate ? formatDate(actual.arrivalDate) : "—"}</td>
+                  <td className="pr-2 py-1">
+                    {actual.reference || "—"}
+                    <div className="text-[11px] text-gray-500">{scenario ? `${scenario.name} • ${modeLabel(mode)} • ${originLabel(route)}` : t("actualsUi.deletedScenario")}</div>
+                  </td>
+                  {rec ? (
+                    <>
+                      <td className="pr-2 py-1 text-right">{formatMoney(rec.total.estimateEUR)}</td>
+                      <td className="pr-2 py-1 text-right">{formatMoney(rec.total.actualEUR)}</td>
+                      <td className={`pr-2 py-1 text-right ${varianceClass(rec.total.varianceEUR)}`}>{formatMoney(rec.total.varianceEUR)}</td>
+                      <td className={`pr-2 py-1 text-right ${varianceClass(rec.total.varianceEUR)}`}>{signedPct(rec.total.variancePct)}</td>
+                    </>
+                  ) : <td colSpan={4} className="pr-2 py-1 text-right text-red-600">—</td>}
+                  <td className="py-1 text-right whitespace-nowrap">
+                    {rec && <button type="button" onClick={()=>setSelectedId(actual.id === selectedId ? null : actual.id)} className="text-xs text-sky-700 px-1">{t("actualsUi.details")}</button>}
+                    <button type="button" onClick={()=>edit(actual)} className="text-xs text-gray-600 px-1">{t("actualsUi.edit")}</button>
+                    <button type="button" onClick={()=>remove(actual)} className="text-xs text-red-600 px-1">{t("actualsUi.delete")}</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selected?.reconciliation && (
+        <div className="mt-4">
+          <div className="text-sm font-medium mb-1">{t("actualsUi.detailTitle", { reference: selected.actual.reference || "—", scenario: selected.scenario.name })}</div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500 text-left">
+                <th className="font-normal pr-2">{t("actualsUi.col.line")}</th>
+                <th className="font-normal pr-2 text-right">{t("actualsUi.col.estimate")}</th>
+                <th className="font-normal pr-2 text-right">{t("actualsUi.col.actual")}</th>
+                <th className="font-normal pr-2 text-right">{t("actualsUi.col.variance")}</th>
+                <th className="font-normal text-right">%</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.reconciliation.lines.map(l => (
+                <tr key={l.key} className="border-t">
+                  <td className="pr-2 py-1">{l.label}</td>
+                  <td className="pr-2 py-1 text-right">{formatMoney(l.estimateEUR)}</td>
+                  <td className="pr-2 py-1 text-right">{formatMoney(l.actualEUR)}</td>
+                  <td className={`pr-2 py-1 text-right ${varianceClass(l.varianceEUR)}`}>{formatMoney(l.varianceEUR)}</td>
+                  <td className={`py-1 text-right ${varianceClass(l.varianceEUR)}`}>{signedPct(l.variancePct)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {selected.reconciliation.fx.length > 0 && (
+            <div className="text-[11px] text-gray-500 mt-1">
+              {selected.reconciliation.fx.map(f => t("actualsUi.fxLine", { code: f.currency, estimate: formatNumber(f.estimate, 4), actual: formatNumber(f.actual, 4), pct: signedPct(f.variancePct) })).join(" • ")}
+            </div>
+          )}
+        </div>
+      )}
+
+      {summary.length > 0 && (
+        <div className="overflow-x-auto mt-4">
+          <div className="text-sm font-medium mb-1">{t("actualsUi.biasTitle")}</div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500 text-left">
+                <th className="font-normal pr-2">{t("actualsUi.col.modeRoute")}</th>
+                <th className="font-normal pr-2 text-right">{t("actualsUi.col.shipments")}</th>
+                {SUMMARY_KEYS.map(k => <th key={k} className="font-normal pr-2 text-right">{t(`actuals.line.${k}`)}</th>)}
+                <th className="font-normal text-right">{t("actualsUi.col.total")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.map(g => (
+                <tr key={`${g.mode}|${g.route}`} className="border-t">
+                  <td className="pr-2 py-1">{modeLabel(g.mode)} • {originLabel(g.route)}</td>
+                  <td className="pr-2 py-1 text-right">{g.shipments}</td>
+                  {SUMMARY_KEYS.map(k => {
+                    const line = g.lines[k];
+                    return (
+                      <td key={k} className={`pr-2 py-1 text-right ${line?.biased ? "font-semibold bg-amber-50" : ""} ${varianceClass(line?.meanPct)}`} title={line ? t("actualsUi.biasCell", { count: line.count, amount: formatMoney(line.varianceEUR) }) : undefined}>
+                        {line ? signedPct(line.meanPct) : "—"}
+                      </td>
+                    );
+                  })}
+                  <td className={`py-1 text-right ${varianceClass(g.total?.meanPct)}`}>{signedPct(g.total?.meanPct)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-[11px] text-gray-500 mt-1">{t("actualsUi.biasNote", { pct: BIAS_PCT })}</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import React, { useEffect, useRef, useState } from "react";
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from "recharts";
+import { formatNumber, formatMoney } from "../lib/format.js";
+import { DISTRIBUTIONS, RISK_FACTORS, DEFAULT_RISK, monteCarloChunked } from "../lib/risk.js";
+import { RISK_RUNS_RULE, validateRisk, issuesByPath } from "../lib/validation.js";
+import { t } from "../lib/i18n.js";
+import NumberInput from "./NumberInput.jsx";
+
+// ==========================
+// Risk panel: Monte Carlo on FX, freight and duty → P10/P50/P90 unit cost
+// ==========================
+export default function RiskPanel({ inputs }) {
+  const [risk, setRisk] = useState(DEFAULT_RISK);
+  // Runs take a moment, so they start on demand and remember the inputs they used
+  const [run, setRun] = useState(null); // { inputs, risk, result }
+  const [progress, setProgress] = useState(null); // share of the runs done while simulating
+  // Runs field: free text while typing, clamped and stored when the field is left
+  const [runsDraft, setRunsDraft] = useState(risk.runs);
+  const mounted = useRef(true);
+  useEffect(() => {
+    mounted.current = true;
+    return () => { mounted.current = false; };
+  }, []);
+
+  const updateFactor = (key, patch) => setRisk({ ...risk, [key]: { ...risk[key], ...patch } });
+  const problems = validateRisk(risk);
+  const issues = issuesByPath(problems);
+  const commitRuns = () => {
+    const runs = Math.round(Math.min(RISK_RUNS_RULE.max, Math.max(RISK_RUNS_RULE.min, runsDraft ?? risk.runs)));
+    setRunsDraft(runs);
+    if (runs !== risk.runs) setRisk({ ...risk, runs });
+  };
+  // Chunked so the page stays responsive; the run is dropped if the panel goes away
+  const simulate = async () => {
+    setProgress(0);
+    const result = await monteCarloChunked(inputs, risk, { onProgress: (done, total) => mounted.current && setProgress(done / total), isCancelled: () => !mounted.current });
+    if (!result || !mounted.current) return;
+    setRun({ inputs, risk, result });
+    setProgress(null);
+  };
+  const running = progress !== null;
+
+  const result = run?.result;
+  const stale = run && (run.inputs !== inputs || run.risk !== risk);
+
+  const histogramData = result?.histogram?.map(b => ({ name: formatMoney(b.mid), from: b.from, to: b.to, count: b.count }));
+  const tornadoData = result?.tornado?.map(f => ({ name: t(`risk.factor.${f.key}`), low: f.low - result.base, high: f.high - result.base }));
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">{t("riskPanel.title")}</div>
+        <button type="button" onClick={simulate} disabled={running || problems.length > 0} className="text-sm border rounded px-3 py-1 hover:bg-gray-50 disabled:opacity-50">
+          {running ? t("riskPanel.running", { pct: Math.round(progress * 100) }) : run ? t("riskPanel.rerun") : t("riskPanel.run")}
+        </button>
+      </div>
+
+      <table className="w-full text-sm mt-2">
+        <thead>
+          <tr className="text-xs text-gray-600 text-left">
+            <th className="font-normal pr-2">{t("riskPanel.col.factor")}</th>
+            <th className="font-normal pr-2">{t("riskPanel.col.dist")}</th>
+            <th className="font-normal pr-2">{t("riskPanel.col.low")}</th>
+            <th className="font-normal pr-2">{t("riskPanel.col.mode")}</th>
+            <th className="font-normal">{t("riskPanel.col.high")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(RISK_FACTORS).map(([key, f]) => (
+            <tr key={key}>
+              <td className="pr-2 py-1 text-xs text-gray-700">{t(`risk.factor.${key}`)}</td>
+              <td className="pr-2 py-1">
+                <select value={risk[key].dist} onChange={(e)=>updateFactor(key, { dist: e.target.value })} className="border rounded px-2 py-1 text-sm">
+                  {DISTRIBUTIONS.map(k => <option key={k} value={k}>{t(`risk.dist.${k}`)}</option>)}
+                </select>
+              </td>
+              {["low", "mode", "high"].map(p => (
+                <td key={p} className="pr-2 py-1 align-top">
+                  <NumberInput step={f.step} value={risk[key][p]} onChange={(value)=>updateFactor(key, { [p]: value })} issue={issues[`risk.${key}.${p}`]} className="w-20"/>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex items-center gap-2 mt-1">
+        <label className="text-xs text-gray-600">{t("riskPanel.runs")}</label>
+        <NumberInput min={RISK_RUNS_RULE.min} max={RISK_RUNS_RULE.max} step={100} value={runsDraft} onChange={setRunsDraft} onBlur={commitRuns} className="w-24 text-sm"/>
+      </div>
+      <p className="text-[11px] text-gray-500 mt-1">{t("riskPanel.note")}</p>
+
+      {!run && <p className="text-[11px] text-gray-500 mt-3">{t("riskPanel.hintBefore")}<strong>{t("riskPanel.run")}</strong>{t("riskPanel.hintAfter")}</p>}
+      {stale && <p className="text-[11px] text-amber-700 mt-2">{t("riskPanel.stale")}</p>}
+      {result?.error && <p className="text-sm text-red-600 mt-3">{result.error}</p>}
+
+      {result && !result.error && (
+        <div className="space-y-3 mt-3">
+          <div className="grid grid-cols-3 gap-2 text-center">
+            {[["P10", result.p10], ["P50", result.p50], ["P90", result.p90]].map(([label, v]) => (
+              <div key={label} className="rounded-xl bg-gray-50 p-2">
+                <div className="text-xs text-gray-500">{label}</div>
+                <div className="text-lg font-semibold">{formatMoney(v)}</div>
+              </div>
+            ))}
+          </div>
+          <div className="text-[11px] text-gray-500">
+            {t("riskPanel.summary", { base: formatMoney(result.base), mean: formatMoney(result.mean), runs: formatNumber(result.runs) })}
+            {result.failed > 0 && ` ${t("riskPanel.failed", { count: formatNumber(result.failed) })}`}
+          </div>
+
+          <div style={{ width: "100%", height: 220 }}>
+            <ResponsiveContainer>
+              <BarChart data={histogramData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }} barCategoryGap={1}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" interval="preserveStartEnd" tick={{ fontSize: 11 }} />
+                <YAxis allowDecimals={false} />
+                <Tooltip labelFormatter={(l, p)=>(p?.[0] ? `${formatMoney(p[0].payload.from)} – ${formatMoney(p[0].payload.to)}` : l)} />
+                <Bar dataKey="count" name={t("riskPanel.runs")} fill="#0ea5e9" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div>
+            <div className="text-xs text-gray-600">{t("riskPanel.tornado")}</div>
+            <div style={{ width: "100%", height: 60 + tornadoData.length * 40 }}>
+              <ResponsiveContainer>
+                <BarChart data={tornadoData} layout="vertical" stackOffset="sign" margin={{ top: 10, right: 20, left: 10, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis type="number" tickFormatter={(v)=>formatMoney(v)} tick={{ fontSize: 11 }} />
+                  <YAxis type="category" dataKey="name" width={150} tick={{ fontSize: 11 }} />
+                  <Tooltip formatter={(v)=>formatMoney(v)} />
+                  <Legend />
+                  <ReferenceLine x={0} stroke="#6b7280" />
+                  <Bar dataKey="low" name={t("riskPanel.low")} stackId="t" fill="#22c55e" />
+                  <Bar dataKey="high" name={t("riskPanel.high")} stackId="t" fill="#ef4444" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
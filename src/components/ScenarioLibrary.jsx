@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { formatMoney } from "../lib/format.js";
+import { saveScenario, duplicateScenario, deleteScenario, scenarioInputs } from "../lib/scenarios.js";
+import { t, intlLocale, modeLabel } from "../lib/i18n.js";
+
+// ==========================
+// Saved simulations: save / load / duplicate / delete
+// ==========================
+// `scenarios` is App's list; `onChange` re-reads it after every change made here
+export default function ScenarioLibrary({ inputs, result, scenarios, onChange, onLoad }) {
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+
+  const run = (fn) => {
+    try {
+      fn();
+      setError("");
+    } catch (e) {
+      setError(e.message);
+    }
+    onChange();
+  };
+
+  const save = () => run(() => {
+    saveScenario(name, inputs, { unitLanded: result.unitLanded, landedInclVAT: result.landedInclVAT, mode: inputs.mode, qty: result.qty });
+    setName("");
+  });
+
+  const load = (s) => run(() => onLoad(scenarioInputs(s), s.name));
+
+  return (
+    <details className="bg-white rounded-2xl shadow p-4">
+      <summary className="cursor-pointer select-none font-medium">{t("scenarioLib.title", { count: scenarios.length })}</summary>
+      <div className="mt-3 space-y-3">
+        <div className="flex gap-2">
+          <input value={name} onChange={(e)=>setName(e.target.value)} onKeyDown={(e)=>{ if (e.key === "Enter") save(); }} placeholder={t("scenarioLib.namePlaceholder")} className="w-full border rounded px-2 py-1"/>
+          <button type="button" onClick={save} className="text-sm border rounded px-3 py-1 bg-sky-600 text-white hover:bg-sky-700 whitespace-nowrap">{t("scenarioLib.save")}</button>
+        </div>
+        {error && <div className="text-[12px] text-red-600">{error}</div>}
+        {scenarios.length === 0 ? (
+          <p className="text-[11px] text-gray-500">{t("scenarioLib.empty")}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500 text-left">
+                <th className="font-normal pr-2">{t("scenarioLib.col.name")}</th>
+                <th className="font-normal pr-2">{t("scenarioLib.col.date")}</th>
+                <th className="font-normal pr-2 text-right">{t("scenarioLib.col.unit")}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {scenarios.map(s => (
+                <tr key={s.id} className="border-t">
+                  <td className="pr-2 py-1">
+                    {s.name}
+                    <div className="text-[11px] text-gray-500">{s.summary?.mode && modeLabel(s.summary.mode)}</div>
+                  </td>
+                  <td className="pr-2 py-1 text-[12px] text-gray-600">{new Date(s.savedAt).toLocaleString(intlLocale())}</td>
+                  <td className="pr-2 py-1 text-right">{formatMoney(s.summary?.unitLanded)}</td>
+                  <td className="py-1 text-right whitespace-nowrap">
+                    <button type="button" onClick={()=>load(s)} className="text-xs text-sky-700 px-1">{t("scenarioLib.open")}</button>
+                    <button type="button" onClick={()=>run(() => duplicateScenario(s.id))} className="text-xs text-gray-600 px-1">{t("scenarioLib.duplicate")}</button>
+                    <button type="button" onClick={()=>{ if (window.confirm(t("scenarioLib.confirmDelete", { name: s.name }))) run(() => deleteScenario(s.id)); }} className="text-xs text-red-600 px-1">{t("scenarioLib.delete")}</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </details>
+  );
+}
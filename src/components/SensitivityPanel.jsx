@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from "recharts";
+import { formatNumber, formatMoney } from "../lib/format.js";
+import { MODES } from "../lib/landedCost.js";
+import { defaultQtyRange, modeCurves, SWEEP_INPUTS, inputSweep } from "../lib/sensitivity.js";
+import { validateSweep, validateQtyRange, issuesByPath, QTY_RANGE_RULE } from "../lib/validation.js";
+import { t, modeLabel, displayKey } from "../lib/i18n.js";
+import NumberInput from "./NumberInput.jsx";
+
+export const MODE_COLORS = {
+  "Aéreo Express": "#a855f7",
+  "Aéreo (Carga)": "#0ea5e9",
+  "Marítimo LCL": "#22c55e",
+  "Marítimo FCL 20'": "#f59e0b",
+  "Marítimo FCL 40'": "#ef4444",
+  "Marítimo FCL 40' HC": "#ec4899",
+  "Marítimo FCL (melhor combinação)": "#64748b",
+};
+
+// Volume chart while the quantity range is invalid
+const NO_CURVES = { points: [], crossovers: [], containerSteps: [] };
+
+export const shortMode = (m) => modeLabel(m).replace(/^(Marítimo|Sea) /, "");
+
+// ==========================
+// Sensitivity: unit cost vs quantity per mode, and vs any single input
+// ==========================
+export default function SensitivityPanel({ inputs }) {
+  // Empty (null) range fields fall back to the automatic range
+  const [qMin, setQMin] = useState(null);
+  const [qMax, setQMax] = useState(null);
+  const [log, setLog] = useState(false);
+  const [sweepKey, setSweepKey] = useState("unitPrice");
+  const [sweepRange, setSweepRange] = useState({});
+
+  const auto = defaultQtyRange(inputs);
+  const qtyIssues = issuesByPath(validateQtyRange({ qMin, qMax }, auto));
+  const qtyValid = Object.keys(qtyIssues).length === 0;
+  const curves = useMemo(() => (qtyValid ? modeCurves(inputs, { qMin, qMax, log }) : NO_CURVES), [inputs, qMin, qMax, log, qtyValid, displayKey()]);
+
+  const spec = SWEEP_INPUTS[sweepKey];
+  // A cleared bound stays blank (null) and is flagged, rather than snapping back to the default
+  const { min: sweepMin, max: sweepMax } = sweepRange[sweepKey] ?? spec;
+  const sweepIssues = issuesByPath(validateSweep({ min: sweepMin, max: sweepMax }));
+  const sweepValid = Object.keys(sweepIssues).length === 0;
+  const sweep = useMemo(() => (sweepValid ? inputSweep(inputs, sweepKey, { min: sweepMin, max: sweepMax }) : null), [inputs, sweepKey, sweepMin, sweepMax, sweepValid]);
+  const setSweepBound = (bound, value) => setSweepRange({ ...sweepRange, [sweepKey]: { min: sweepMin, max: sweepMax, [bound]: value } });
+  const xLabel = (v) => (spec.unit === "€" ? formatMoney(v) : `${formatNumber(Number(v.toFixed(2)))}%`);
+
+  return (
+    <>
+      <div className="bg-white rounded-2xl shadow p-4">
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-medium">{t("sensitivity.qtyTitle")}</div>
+          <div className="text-[11px] text-gray-500">{t("sensitivity.currentMode", { mode: modeLabel(inputs.mode) })}</div>
+        </div>
+        <div className="flex flex-wrap gap-3 items-start mt-2">
+          <div>
+            <label className="text-xs text-gray-600">{t("sensitivity.qMin")}</label>
+            <NumberInput min={1} value={qMin} placeholder={String(auto.qMin)} onChange={setQMin} issue={qtyIssues["qtyRange.qMin"]} className="w-24 text-sm"/>
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("sensitivity.qMax")}</label>
+            <NumberInput min={2} max={QTY_RANGE_RULE.max} value={qMax} placeholder={String(auto.qMax)} onChange={setQMax} issue={qtyIssues["qtyRange.qMax"]} className="w-28 text-sm"/>
+          </div>
+          <label className="flex items-center gap-1 text-sm pt-5">
+            <input type="checkbox" checked={log} onChange={(e)=>setLog(e.target.checked)} /> {t("sensitivity.log")}
+          </label>
+        </div>
+        <div style={{ width: "100%", height: 320 }}>
+          <ResponsiveContainer>
+            <LineChart data={curves.points} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="qty" type="number" scale={log ? "log" : "linear"} domain={[curves.points[0]?.qty ?? 1, curves.points[curves.points.length - 1]?.qty ?? 1]} allowDataOverflow tickFormatter={(v)=>formatNumber(v)} />
+              <YAxis tickFormatter={(v)=>formatMoney(v)} />
+              <Tooltip formatter={(v)=>formatMoney(v)} labelFormatter={(l)=>t("sensitivity.qtyTooltip", { qty: formatNumber(l) })}/>
+              <Legend formatter={shortMode} />
+              {curves.containerSteps.map(s => (
+                <ReferenceLine key={`${s.mode}-${s.qty}`} x={s.qty} stroke={MODE_COLORS[s.mode]} strokeDasharray="2 4" strokeOpacity={0.6} />
+              ))}
+              {curves.crossovers.map(c => (
+                <ReferenceLine key={`${c.cheaper}-${c.than}-${c.qty}`} x={c.qty} stroke="#374151" label={{ value: formatNumber(c.qty), position: "top", fontSize: 10 }} />
+              ))}
+              {MODES.map(m => (
+                <Line key={m} type="monotone" dataKey={m} stroke={MODE_COLORS[m]} dot={false} strokeWidth={m === inputs.mode ? 3 : 1.5} connectNulls={false} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="text-[11px] text-gray-500 mt-1 space-y-0.5">
+          {curves.crossovers.length ? curves.crossovers.map(c => (
+            <div key={`${c.cheaper}-${c.than}-${c.qty}`}>{t("sensitivity.crossoverFrom")}<strong>{t("sensitivity.units", { qty: formatNumber(c.qty) })}</strong>{t("sensitivity.crossover", { cheaper: shortMode(c.cheaper), than: shortMode(c.than), unit: formatMoney(c.unit) })}</div>
+          )) : <div>{t("sensitivity.noCrossover")}</div>}
+          {curves.containerSteps.length > 0 && (
+            <div>{t("sensitivity.containerSteps", { steps: curves.containerSteps.map(s => t("sensitivity.containerStep", { mode: shortMode(s.mode), containers: s.containers, qty: formatNumber(s.qty) })).join("; ") })}</div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4">
+        <div className="text-sm font-medium">{t("sensitivity.sweepTitle")}</div>
+        <div className="flex flex-wrap gap-3 items-start mt-2">
+          <div>
+            <label className="text-xs text-gray-600">{t("sensitivity.parameter")}</label>
+            <select value={sweepKey} onChange={(e)=>setSweepKey(e.target.value)} className="block border rounded px-2 py-1 text-sm">
+              {Object.keys(SWEEP_INPUTS).map(k => <option key={k} value={k}>{t(`sweep.${k}`)}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("sensitivity.from", { unit: spec.unit })}</label>
+            <NumberInput value={sweepMin} onChange={(value)=>setSweepBound("min", value)} issue={sweepIssues["sweep.min"]} className="w-24 text-sm"/>
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("sensitivity.to", { unit: spec.unit })}</label>
+            <NumberInput value={sweepMax} onChange={(value)=>setSweepBound("max", value)} issue={sweepIssues["sweep.max"]} className="w-24 text-sm"/>
+          </div>
+        </div>
+        <div style={{ width: "100%", height: 260 }}>
+          <ResponsiveContainer>
+            <LineChart data={sweep?.points ?? []} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="x" type="number" domain={sweep ? [sweepMin, sweepMax] : ["auto", "auto"]} tickFormatter={xLabel} />
+              <YAxis tickFormatter={(v)=>formatMoney(v)} domain={["auto", "auto"]} />
+              <Tooltip formatter={(v)=>formatMoney(v)} labelFormatter={(l)=>xLabel(l)}/>
+              {sweep && <ReferenceLine x={sweep.base} stroke="#6b7280" strokeDasharray="3 3" label={{ value: t("sensitivity.current"), position: "top", fontSize: 10 }} />}
+              <Line type="monotone" dataKey="unit" name={t("sensitivity.unitCost")} stroke="#0ea5e9" dot={false} strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <p className="text-[11px] text-gray-500">{t("sensitivity.note")}</p>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { DEFAULT_TARIFF, tariffJson, tariffCsv, parseTariffFile, mapToText, textToMap, validateTariffEntry, isTariffRate } from "../lib/tariff.js";
+import { downloadText } from "../lib/quote.js";
+import NumberInput from "./NumberInput.jsx";
+import { t } from "../lib/i18n.js";
+
+// ==========================
+// Editable HS tariff table with JSON/CSV import and export
+// ==========================
+export default function TariffEditor({ tariff, setTariff }) {
+  const [message, setMessage] = useState({ text: "", error: false });
+  // Origin maps are edited as text ("Korea=0|China=12.5") and parsed on blur
+  const [drafts, setDrafts] = useState({});
+
+  const update = (idx, patch) => {
+    const copy = tariff.slice();
+    copy[idx] = { ...tariff[idx], ...patch };
+    setTariff(copy);
+  };
+  const remove = (idx) => setTariff(tariff.filter((_, i) => i !== idx));
+  const add = () => setTariff([...tariff, { code: "", description: "", thirdCountry: 0, preferential: {}, additional: {} }]);
+
+  const draftKey = (idx, field) => `${idx}:${field}`;
+  const mapInput = (idx, field) => ({
+    value: drafts[draftKey(idx, field)] ?? mapToText(tariff[idx][field]),
+    onChange: (e) => setDrafts({ ...drafts, [draftKey(idx, field)]: e.target.value }),
+    onBlur: () => {
+      const text = drafts[draftKey(idx, field)];
+      if (text === undefined) return;
+      update(idx, { [field]: textToMap(text) });
+      const rest = { ...drafts };
+      delete rest[draftKey(idx, field)];
+      setDrafts(rest);
+    },
+  });
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const entries = parseTariffFile(await file.text(), file.name);
+      setTariff(entries);
+      setDrafts({});
+      setMessage({ text: t("tariffUi.imported", { count: entries.length, file: file.name }), error: false });
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-gray-600 text-left">
+              <th className="font-normal pr-2">{t("tariffUi.col.code")}</th>
+              <th className="font-normal pr-2">{t("tariffUi.col.description")}</th>
+              <th className="font-normal pr-2">{t("tariffUi.col.thirdCountry")}</th>
+              <th className="font-normal pr-2">{t("tariffUi.col.preferential")}</th>
+              <th className="font-normal pr-2">{t("tariffUi.col.additional")}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {tariff.map((e, idx) => {
+              const problems = validateTariffEntry(e);
+              return (
+                <tr key={idx} className="align-top">
+                  <td className="pr-2 py-1">
+                    <input value={e.code} onChange={(ev)=>update(idx, { code: ev.target.value })} className={`w-24 border rounded px-2 py-1 ${problems.length ? "border-red-400" : ""}`} title={problems.join("; ")}/>
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input value={e.description} onChange={(ev)=>update(idx, { description: ev.target.value })} className="w-full min-w-[10rem] border rounded px-2 py-1"/>
+                  </td>
+                  <td className="pr-2 py-1">
+                    <NumberInput min={0} step={0.1} value={e.thirdCountry} onChange={(v)=>update(idx, { thirdCountry: v })} issue={isTariffRate(e.thirdCountry) ? null : { level: "error", text: t("tariff.entry.badThirdCountry") }} className="w-20"/>
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input {...mapInput(idx, "preferential")} placeholder="Korea=0" className="w-36 border rounded px-2 py-1"/>
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input {...mapInput(idx, "additional")} placeholder="China=34.6" className="w-36 border rounded px-2 py-1"/>
+                  </td>
+                  <td className="py-1">
+                    <button type="button" onClick={()=>remove(idx)} className="text-xs text-red-600 px-1" title={t("tariffUi.remove")}>✕</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <button type="button" onClick={add} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("tariffUi.add")}</button>
+        <button type="button" onClick={()=>downloadText("tabela-pautal.json", tariffJson(tariff), "application/json")} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("common.exportJson")}</button>
+        <button type="button" onClick={()=>downloadText("tabela-pautal.csv", tariffCsv(tariff))} className="text-sm border rounded px-3 py-1 hover:bg-gray-50">{t("common.exportCsv")}</button>
+        <label className="text-sm border rounded px-3 py-1 hover:bg-gray-50 cursor-pointer">
+          {t("tariffUi.import")}
+          <input type="file" accept=".json,.csv,application/json,text/csv" onChange={importFile} className="hidden"/>
+        </label>
+        <button type="button" onClick={()=>{ setTariff(DEFAULT_TARIFF); setDrafts({}); }} className="text-sm text-gray-600 px-2 py-1">{t("tariffUi.reset")}</button>
+      </div>
+      {message.text && <div className={`text-[12px] whitespace-pre-line ${message.error ? "text-red-600" : "text-gray-600"}`}>{message.text}</div>}
+      <p className="text-[11px] text-gray-500">{t("tariffUi.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React from "react";
+import { formatMoney, formatDate } from "../lib/format.js";
+import { vatCashFlow, vatReturnLagDays } from "../lib/vat.js";
+import { t } from "../lib/i18n.js";
+
+// ==========================
+// Import VAT timing: when it is paid and when it comes back
+// ==========================
+export default function VatCashFlow({ inputs, result }) {
+  const { clearanceDate } = result.financing;
+  const flow = vatCashFlow(inputs, result, clearanceDate);
+  // Without a clearance date the events are in days after clearance
+  const when = (e) => (e.date ? formatDate(e.date) : e.day === 0 ? t("vatFlow.atClearance") : t("vatFlow.afterClearance", { days: e.day }));
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="text-sm font-medium mb-1">{t("vatFlow.title")}</div>
+      <div className="text-[11px] text-gray-500 mb-2">{t(`vat.regime.${result.vatRegime}`)} • {result.vatLabel} ({result.vatRate}%)</div>
+      {result.vatRegime === "cp42" && <div className="text-sm text-gray-700">{t("vatFlow.cp42")}</div>}
+      {result.vatRegime !== "cp42" && !flow.events.length && <div className="text-sm text-gray-400">{t("vatFlow.none")}</div>}
+      {flow.events.length > 0 && (
+        <>
+          <table className="w-full text-sm">
+            <tbody>
+              {flow.events.map((e, i) => (
+                <tr key={i} className="border-t">
+                  <td className="pr-2 py-1 whitespace-nowrap">{when(e)}</td>
+                  <td className="pr-2 py-1">{e.label}</td>
+                  <td className={`py-1 text-right ${e.amountEUR < 0 ? "text-red-700" : "text-green-700"}`}>{formatMoney(e.amountEUR)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-[11px] text-gray-500 mt-2">
+            {flow.recoveredDay === null && t("vatFlow.notRecoverable")}
+            {flow.recoveredDay !== null && flow.days > 0 && t("vatFlow.exposure", { amount: formatMoney(flow.exposureEUR), days: flow.days })}
+            {flow.recoveredDay !== null && flow.days <= 0 && t("vatFlow.noImpact")}
+            {!clearanceDate && <div>{t("vatFlow.undated", { days: vatReturnLagDays(inputs.vatFiling) })}</div>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
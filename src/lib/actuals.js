@@ -0,0 +1,249 @@
+import { computeLandedCost, rateCardKey } from "./landedCost.js";
+import { listScenarios, scenarioInputs, encodeInputs, decodeInputs } from "./scenarios.js";
+import { mapToText, textToMap } from "./tariff.js";
+import { t } from "./i18n.js";
+
+// ==========================
+// Estimate vs actual: invoiced amounts of a shipment against its saved estimate
+// ==========================
+// One record per shipment, linked to the saved scenario that estimated it:
+// { id, scenarioId, reference, arrivalDate, amounts: { [line]: EUR|null }, fx: { [currency]: EUR per unit } }.
+// A null amount is not invoiced yet and is left out of the comparison.
+const STORAGE_KEY = "yep-import-cost:actuals";
+
+const FILE_FORMAT = "yep-actuals";
+const FILE_VERSION = 1;
+
+// Variance (mean %) above which a line with the same sign on every shipment is flagged as bias
+export const BIAS_PCT = 10;
+
+const compositionValue = (result, key) => result.composition.find(c => c.key === key)?.value ?? 0;
+
+// Lines compared and the estimate each one is checked against (labels: actuals.line.<key>)
+export const ACTUAL_LINES = {
+  freight: (r) => r.freightPaidEUR, // fatura do transitário
+  duty: (r) => r.dutyEUR, // direitos na declaração aduaneira
+  vat: (r) => (r.vatRegime === "customs" ? r.vatEUR : 0), // IVA pago na alfândega
+  brokerage: (r) => compositionValue(r, "brokerage"), // fatura do despachante
+  portTHC: (r) => compositionValue(r, "portTHC"), // taxas portuárias / aeroportuárias
+  otherFees: (r) => compositionValue(r, "otherFees"),
+  destination: (r) => r.destination.reduce((sum, l) => sum + l.cost, 0), // entrega, armazenagem, sobre-estadia, inspeção
+};
+
+const variance = (estimateEUR, actualEUR) => ({
+  varianceEUR: actualEUR - estimateEUR,
+  variancePct: estimateEUR > 0 ? ((actualEUR - estimateEUR) / estimateEUR) * 100 : null,
+});
+
+/**
+ * Line-by-line comparison of one shipment with its estimate (`inputs`, `result`).
+ * The goods line isolates the FX applied: the estimated supplier amounts at the actual rates.
+ * Returns { lines: [{ key, label, estimateEUR, actualEUR, varianceEUR, variancePct }],
+ * fx: [{ currency, estimate, actual, variancePct }], total: { estimateEUR, actualEUR, varianceEUR, variancePct } }.
+ */
+export function reconcile(inputs, result, actual) {
+  const lines = Object.entries(ACTUAL_LINES)
+    .filter(([key]) => actual.amounts[key] !== null && actual.amounts[key] !== undefined)
+    .map(([key, estimate]) => {
+      const estimateEUR = estimate(result);
+      return { key, label: t(`actuals.line.${key}`), estimateEUR, actualEUR: actual.amounts[key], ...variance(estimateEUR, actual.amounts[key]) };
+    });
+
+  const fx = Object.entries(actual.fx)
+    .filter(([currency]) => inputs.fxPayment.rates[currency])
+    .map(([currency, rate]) => ({ currency, estimate: inputs.fxPayment.rates[currency], actual: rate, variancePct: (rate / inputs.fxPayment.rates[currency] - 1) * 100 }));
+  if (fx.length) {
+    const rateOf = (currency) => actual.fx[currency] ?? inputs.fxPayment.rates[currency] ?? 1;
+    const goodsActual = result.perSku.reduce((sum, s) => {
+      const item = inputs.items.find(it => it.id === s.id);
+      return sum + (item.currency === "EUR" ? s.goodsEUR : item.unitPrice * s.qty * rateOf(item.currency));
+    }, 0);
+    lines.unshift({ key: "goods", label: t("actuals.line.goods"), estimateEUR: result.goodsEUR, actualEUR: goodsActual, ...variance(result.goodsEUR, goodsActual) });
+  }
+
+  const estimateEUR = lines.reduce((sum, l) => sum + l.estimateEUR, 0);
+  const actualEUR = lines.reduce((sum, l) => sum + l.actualEUR, 0);
+  return { lines, fx, total: { estimateEUR, actualEUR, ...variance(estimateEUR, actualEUR) } };
+}
+
+/**
+ * Every stored shipment with its estimate recomputed from the linked scenario.
+ * Returns [{ actual, scenario, mode, route, reconciliation }] (scenario null when it was deleted).
+ */
+export function reconcileAll(actuals, scenarios = listScenarios()) {
+  return actuals.map(actual => {
+    const scenario = scenarios.find(s => s.id === actual.scenarioId) ?? null;
+    if (!scenario) return { actual, scenario, mode: null, route: null, reconciliation: null };
+    const inputs = scenarioInputs(scenario);
+    const result = computeLandedCost(inputs);
+    return { actual, scenario, mode: inputs.mode, route: rateCardKey(inputs), reconciliation: result.errors.length ? null : reconcile(inputs, result, actual) };
+  });
+}
+
+/**
+ * Systematic bias per mode and route: mean variance % of each line over the shipments that have it.
+ * A line is `biased` when it has 2+ shipments, all off in the same direction, by more than BIAS_PCT on average.
+ * Returns [{ mode, route, shipments, lines: { [key]: { count, meanPct, varianceEUR, biased } }, total }].
+ */
+export function biasSummary(reconciled) {
+  const groups = new Map();
+  reconciled.filter(r => r.reconciliation).forEach(r => {
+    const id = `${r.mode}|${r.route}`;
+    if (!groups.has(id)) groups.set(id, { mode: r.mode, route: r.route, shipments: 0, samples: {} });
+    const group = groups.get(id);
+    group.shipments += 1;
+    [...r.reconciliation.lines, { key: "total", ...r.reconciliation.total }].forEach(l => {
+      group.samples[l.key] = [...(group.samples[l.key] ?? []), l];
+    });
+  });
+
+  return [...groups.values()].map(({ samples, ...group }) => {
+    const lines = Object.fromEntries(Object.entries(samples).map(([key, list]) => {
+      const pcts = list.map(l => l.variancePct).filter(p => p !== null);
+      const meanPct = pcts.length ? pcts.reduce((sum, p) => sum + p, 0) / pcts.length : null;
+      const sameSign = pcts.every(p => p > 0) || pcts.every(p => p < 0);
+      return [key, {
+        count: list.length,
+        meanPct,
+        varianceEUR: list.reduce((sum, l) => sum + l.varianceEUR, 0),
+        biased: pcts.length >= 2 && sameSign && Math.abs(meanPct) > BIAS_PCT,
+      }];
+    }));
+    const { total, ...rest } = lines;
+    return { ...group, lines: rest, total };
+  });
+}
+
+// ==========================
+// Storage (localStorage)
+// ==========================
+function readAll() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? decodeInputs(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(actuals) {
+  window.localStorage.setItem(STORAGE_KEY, encodeInputs(actuals));
+  return actuals;
+}
+
+export const listActuals = () => readAll().sort((a, b) => (b.arrivalDate || "").localeCompare(a.arrivalDate || ""));
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Adds the record, or replaces the one with the same id
+export function saveActual(actual) {
+  const record = { ...actual, id: actual.id || newId() };
+  writeAll([...readAll().filter(a => a.id !== record.id), record]);
+  return record;
+}
+
+export function deleteActual(id) {
+  return writeAll(readAll().filter(a => a.id !== id));
+}
+
+// Same shipment for records without an id (CSV rows): its scenario and reference, or its
+// scenario and arrival date when it has no reference
+const shipmentKey = (a) => (a.reference ? `${a.scenarioId}|ref:${a.reference}` : `${a.scenarioId}|date:${a.arrivalDate || ""}`);
+
+/**
+ * Records from a file are added; one with the id of a stored record, or without an id but
+ * the same shipment (see shipmentKey), replaces it. Importing a file twice changes nothing.
+ * Returns { added, updated }.
+ */
+export function importActuals(records) {
+  const stored = readAll();
+  const idByKey = new Map(stored.map(a => [shipmentKey(a), a.id]));
+  const storedIds = new Set(stored.map(a => a.id));
+  const incoming = new Map();
+  records.forEach(r => {
+    const id = r.id || idByKey.get(shipmentKey(r)) || newId();
+    idByKey.set(shipmentKey(r), id);
+    incoming.set(id, { ...r, id });
+  });
+  writeAll([...stored.filter(a => !incoming.has(a.id)), ...incoming.values()]);
+  const updated = [...incoming.keys()].filter(id => storedIds.has(id)).length;
+  return { added: incoming.size - updated, updated };
+}
+
+// ==========================
+// Import / export (JSON or CSV)
+// ==========================
+// JSON: { "format": "yep-actuals", "version": 1, "actuals": [ ...records ] }
+// CSV columns: scenario;reference;arrivalDate;freight;duty;vat;brokerage;portTHC;otherFees;destination;fx
+// `scenario` is the saved scenario's name or id; fx as "USD=0.92|CNY=0.127"; empty amount = not invoiced.
+const CSV_AMOUNTS = Object.keys(ACTUAL_LINES);
+const parseNumber = (text) => Number(String(text).trim().replace(",", "."));
+
+export const actualsJson = (actuals) => encodeInputs({ format: FILE_FORMAT, version: FILE_VERSION, actuals }, 2);
+
+export const actualsCsv = (actuals) => [
+  ["scenario", "reference", "arrivalDate", ...CSV_AMOUNTS, "fx"].join(";"),
+  ...actuals.map(a => [a.scenarioId, a.reference, a.arrivalDate, ...CSV_AMOUNTS.map(k => a.amounts[k] ?? ""), mapToText(a.fx)].join(";")),
+].join("\r\n");
+
+/**
+ * Problems with one record, as user-facing messages (empty when valid).
+ */
+export function validateActual(actual, scenarios) {
+  const problems = [];
+  if (!scenarios.some(s => s.id === actual.scenarioId)) problems.push(t("actuals.file.noScenario", { scenario: actual.scenarioId || "?" }));
+  CSV_AMOUNTS.forEach(k => {
+    const v = actual.amounts[k];
+    if (v !== null && v !== undefined && !(Number.isFinite(v) && v >= 0)) problems.push(t("actuals.file.badAmount", { field: k }));
+  });
+  Object.entries(actual.fx).forEach(([currency, rate]) => {
+    if (!(Number.isFinite(rate) && rate > 0)) problems.push(t("actuals.file.badFx", { currency }));
+  });
+  return problems;
+}
+
+function parseCsv(text, scenarios) {
+  const rows = text.replace(/^﻿/, "").split(/\r?\n/).filter(l => l.trim());
+  if (!rows.length) return [];
+  const sep = rows[0].includes(";") ? ";" : ",";
+  const header = rows[0].split(sep).map(h => h.trim());
+  const col = (name) => header.indexOf(name);
+  if (col("scenario") < 0) throw new Error(t("actuals.file.csvColumns"));
+  return rows.slice(1).map(line => {
+    const cells = line.split(sep);
+    const cell = (name) => (col(name) >= 0 ? (cells[col(name)] ?? "").trim() : "");
+    const scenario = cell("scenario");
+    return {
+      scenarioId: (scenarios.find(s => s.id === scenario) ?? scenarios.find(s => s.name === scenario))?.id ?? scenario,
+      reference: cell("reference"),
+      arrivalDate: cell("arrivalDate"),
+      amounts: Object.fromEntries(CSV_AMOUNTS.map(k => [k, cell(k) === "" ? null : parseNumber(cell(k))])),
+      fx: textToMap(cell("fx")),
+    };
+  });
+}
+
+/**
+ * Parse an actuals file (JSON export or CSV), linking each shipment to a saved
+ * scenario. Throws an Error listing the problems when any record is invalid.
+ */
+export function parseActualsFile(text, filename = "", scenarios = listScenarios()) {
+  let records;
+  if (filename.toLowerCase().endsWith(".csv") || !text.trim().startsWith("{")) {
+    records = parseCsv(text, scenarios);
+  } else {
+    let data;
+    try {
+      data = decodeInputs(text);
+    } catch {
+      throw new Error(t("actuals.file.notJson"));
+    }
+    if (data?.format !== FILE_FORMAT || !Array.isArray(data.actuals)) throw new Error(t("actuals.file.unknown"));
+    if (data.version > FILE_VERSION) throw new Error(t("actuals.file.newer", { version: data.version }));
+    records = data.actuals.map(a => ({ reference: "", arrivalDate: "", ...a, amounts: { ...a.amounts }, fx: { ...a.fx } }));
+  }
+  const problems = [];
+  records.forEach((r, i) => validateActual(r, scenarios).forEach(p => problems.push(t("actuals.file.lineProblem", { line: i + 1, reference: r.reference || "?", problem: p }))));
+  if (problems.length) throw new Error(`${t("actuals.file.errors")}\n${problems.join("\n")}`);
+  return records;
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { DEFAULT_INPUTS, computeLandedCost } from "./landedCost.js";
+import { reconcile, biasSummary, BIAS_PCT, importActuals, listActuals, parseActualsFile } from "./actuals.js";
+
+// In-memory localStorage for the storage functions
+const store = new Map();
+globalThis.window = { localStorage: { getItem: (k) => store.get(k) ?? null, setItem: (k, v) => store.set(k, String(v)), removeItem: (k) => store.delete(k) } };
+
+const SCENARIOS = [{ id: "s1", name: "Scanners março" }];
+
+describe("reconcile", () => {
+  const result = computeLandedCost(DEFAULT_INPUTS);
+  const currency = DEFAULT_INPUTS.items[0].currency;
+  const rate = DEFAULT_INPUTS.fxPayment.rates[currency];
+
+  it("signs each variance as actual minus estimate and skips lines not invoiced yet", () => {
+    const r = reconcile(DEFAULT_INPUTS, result, { amounts: { freight: result.freightPaidEUR * 1.2, brokerage: 0, duty: null }, fx: {} });
+    expect(r.lines.map(l => l.key)).toEqual(["freight", "brokerage"]);
+    expect(r.lines[0].varianceEUR).toBeCloseTo(result.freightPaidEUR * 0.2, 6);
+    expect(r.lines[0].variancePct).toBeCloseTo(20, 6);
+    expect(r.lines[1].variancePct).toBeCloseTo(-100, 6);
+    expect(r.total.varianceEUR).toBeCloseTo(r.lines[0].varianceEUR + r.lines[1].varianceEUR, 6);
+  });
+
+  it("puts the FX difference on the goods line", () => {
+    const r = reconcile(DEFAULT_INPUTS, result, { amounts: {}, fx: { [currency]: rate * 0.95 } });
+    expect(r.fx[0].variancePct).toBeCloseTo(-5, 6);
+    expect(r.lines[0].key).toBe("goods");
+    expect(r.lines[0].variancePct).toBeCloseTo(-5, 6);
+  });
+});
+
+describe("biasSummary", () => {
+  // One reconciled shipment with the given freight variances (% and EUR on a 1000 € estimate)
+  const shipment = (pct, mode = "Marítimo LCL") => {
+    const line = { key: "freight", variancePct: pct, varianceEUR: pct * 10 };
+    return { mode, route: "China", reconciliation: { lines: [line], total: { ...line, key: "total" } } };
+  };
+  const freight = (list) => biasSummary(list)[0].lines.freight;
+
+  it("flags a line off the same way on 2+ shipments by more than BIAS_PCT on average", () => {
+    expect(freight([shipment(15), shipment(12)])).toMatchObject({ count: 2, meanPct: 13.5, varianceEUR: 270, biased: true });
+    expect(freight([shipment(-20), shipment(-5)]).biased).toBe(true);
+  });
+
+  it("does not flag one shipment, mixed signs or a mean within the threshold", () => {
+    expect(freight([shipment(40)]).biased).toBe(false);
+    expect(freight([shipment(30), shipment(-5)]).biased).toBe(false);
+    expect(freight([shipment(BIAS_PCT), shipment(BIAS_PCT)]).biased).toBe(false);
+  });
+
+  it("groups shipments by mode and route and ignores those without a reconciliation", () => {
+    const groups = biasSummary([shipment(15), shipment(15, "Aéreo (Carga)"), { mode: null, route: null, reconciliation: null }]);
+    expect(groups.map(g => [g.mode, g.shipments])).toEqual([["Marítimo LCL", 1], ["Aéreo (Carga)", 1]]);
+  });
+});
+
+describe("importActuals", () => {
+  beforeEach(() => store.clear());
+
+  const CSV = [
+    "scenario;reference;arrivalDate;freight;duty;vat;brokerage;portTHC;otherFees;destination;fx",
+    "Scanners março;AWB-001;2025-03-12;620;;;120;;;;USD=0.91",
+    "s1;;2025-04-02;580;;;;;;;",
+  ].join("\n");
+
+  it("does not duplicate shipments when the same CSV is imported twice", () => {
+    const records = parseActualsFile(CSV, "reais.csv", SCENARIOS);
+    expect(importActuals(records)).toEqual({ added: 2, updated: 0 });
+    const ids = listActuals().map(a => a.id).sort();
+    expect(importActuals(parseActualsFile(CSV, "reais.csv", SCENARIOS))).toEqual({ added: 0, updated: 2 });
+    expect(listActuals().map(a => a.id).sort()).toEqual(ids);
+  });
+
+  it("replaces a stored shipment with the corrected row of the same reference", () => {
+    importActuals(parseActualsFile(CSV, "reais.csv", SCENARIOS));
+    importActuals(parseActualsFile(CSV.replace(";620;", ";650;"), "reais.csv", SCENARIOS));
+    const awb = listActuals().filter(a => a.reference === "AWB-001");
+    expect(awb).toHaveLength(1);
+    expect(awb[0].amounts.freight).toBe(650);
+  });
+
+  it("keeps shipments of other scenarios or references apart", () => {
+    importActuals([{ scenarioId: "s1", reference: "A", arrivalDate: "", amounts: {}, fx: {} }]);
+    importActuals([{ scenarioId: "s1", reference: "B", arrivalDate: "", amounts: {}, fx: {} }, { scenarioId: "s2", reference: "A", arrivalDate: "", amounts: {}, fx: {} }]);
+    expect(listActuals()).toHaveLength(3);
+  });
+});
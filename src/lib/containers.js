@@ -0,0 +1,126 @@
+// ==========================
+// FCL container planning
+// ==========================
+// Nominal internal volume (m³) and max payload (kg) — typical dry containers
+export const CONTAINER_TYPES = {
+  "20'": { volM3: 33.2, payloadKg: 28200 },
+  "40'": { volM3: 67.7, payloadKg: 26700 },
+  "40' HC": { volM3: 76.4, payloadKg: 26500 },
+};
+
+// Rate-card price field of each container type
+export const CONTAINER_PRICE_FIELDS = { "20'": "fcl20Price", "40'": "fcl40Price", "40' HC": "fcl40HcPrice" };
+
+// Shipment-level planning settings
+export const DEFAULT_CONTAINER_PLAN = {
+  fillPct: 85, // volume realmente aproveitável (estiva, paletes, folgas)
+  lclRemainder: true, // na melhor combinação, admitir o excedente em LCL
+};
+
+// Options listed besides the chosen one
+const MAX_OPTIONS = 4;
+
+const ceilCount = (need, per) => (need <= 1e-9 ? 0 : Math.ceil(need / per - 1e-9));
+
+// Counts tried for a leading type. Up to FULL_RANGE containers of the type alone, every count;
+// above that, a few at each end of the range and around each point where the type and another
+// one exactly fill both the volume and the payload. Prices are per container, so the cheapest
+// mix sits next to one of those points, give or take the rounding of a few containers; the
+// search then stays the same size however large the load, instead of growing with its square.
+const FULL_RANGE = 40;
+const NEAR = 5;
+
+function leadingCounts(t, types, volM3, kg, fill, solo) {
+  if (solo <= FULL_RANGE) return Array.from({ length: solo + 1 }, (_, n) => n);
+  const counts = new Set();
+  const around = (c) => { for (let n = c - NEAR; n <= c + NEAR; n++) if (n >= 0 && n <= solo) counts.add(n); };
+  around(0);
+  around(solo);
+  const a = CONTAINER_TYPES[t];
+  types.forEach(other => {
+    if (other === t) return;
+    const b = CONTAINER_TYPES[other];
+    const det = (a.volM3 * b.payloadKg - a.payloadKg * b.volM3) * fill;
+    if (Math.abs(det) < 1e-9) return;
+    const n = (volM3 * b.payloadKg - kg * b.volM3 * fill) / det;
+    if (n > 0 && n < solo) around(Math.round(n));
+  });
+  return [...counts];
+}
+
+// Container mixes worth pricing: the leading types at the counts above, and for the last
+// type the count that covers the rest (plus one fewer, leaving a remainder)
+function candidateMixes(types, volM3, kg, fill) {
+  const solo = (t) => Math.max(1, ceilCount(volM3, CONTAINER_TYPES[t].volM3 * fill), ceilCount(kg, CONTAINER_TYPES[t].payloadKg));
+  const mixes = [];
+  const walk = (i, counts, vol, weight) => {
+    const t = types[i];
+    const spec = CONTAINER_TYPES[t];
+    if (i === types.length - 1) {
+      const none = Object.values(counts).every(n => n === 0);
+      const need = Math.max(none ? 1 : 0, ceilCount(volM3 - vol, spec.volM3 * fill), ceilCount(kg - weight, spec.payloadKg));
+      mixes.push({ ...counts, [t]: need });
+      if (need > 0) mixes.push({ ...counts, [t]: need - 1 });
+      return;
+    }
+    leadingCounts(t, types, volM3, kg, fill, solo(t)).forEach(n => walk(i + 1, { ...counts, [t]: n }, vol + n * spec.volM3 * fill, weight + n * spec.payloadKg));
+  };
+  walk(0, {}, 0, 0);
+  return mixes;
+}
+
+/**
+ * Cheapest container mix for a load.
+ * `types` are the container types allowed; `prices` maps type → price per
+ * container; `lclQuote(cbm)` prices a remainder as LCL ({ cost, error? }) and is
+ * only used when the settings allow it. Returns the chosen option plus the
+ * next cheapest ones: { containers, units, lcl, cost, options }.
+ */
+export function planContainers({ volM3, kg }, { types, prices, fixedFees, settings, lclQuote }) {
+  const fill = Math.min(100, Math.max(1, settings.fillPct)) / 100;
+  const allowRemainder = settings.lclRemainder && types.length > 1 && lclQuote;
+
+  const options = [];
+  candidateMixes(types, volM3, kg, fill).forEach(counts => {
+    const used = types.filter(t => counts[t] > 0);
+    const total = used.reduce((s, t) => s + counts[t], 0);
+    if (!total) return;
+    const capVol = used.reduce((s, t) => s + counts[t] * CONTAINER_TYPES[t].volM3 * fill, 0);
+    const capKg = used.reduce((s, t) => s + counts[t] * CONTAINER_TYPES[t].payloadKg, 0);
+    // Share of the load that fits; the rest goes LCL when allowed
+    const loaded = Math.min(1, volM3 > 0 ? capVol / volM3 : 1, kg > 0 ? capKg / kg : 1);
+    let lcl = null;
+    if (loaded < 1 - 1e-9) {
+      if (!allowRemainder) return;
+      const quote = lclQuote(volM3 * (1 - loaded));
+      if (quote.error) return;
+      lcl = { cbm: volM3 * (1 - loaded), kg: kg * (1 - loaded), cost: quote.cost };
+    }
+    const containerCost = used.reduce((s, t) => s + counts[t] * prices[t], 0);
+    options.push({
+      containers: used.map(t => ({ type: t, count: counts[t] })),
+      total,
+      loadedVolM3: volM3 * loaded,
+      loadedKg: kg * loaded,
+      capVol,
+      capKg,
+      lcl,
+      cost: containerCost + fixedFees + (lcl ? lcl.cost : 0),
+    });
+  });
+
+  options.sort((a, b) => a.cost - b.cost || a.total - b.total);
+  const best = options[0];
+  if (!best) return null;
+
+  // Load spread over the containers in proportion to their usable volume / payload
+  const units = best.containers.flatMap(({ type, count }) => Array.from({ length: count }, () => {
+    const spec = CONTAINER_TYPES[type];
+    const vol = best.capVol > 0 ? best.loadedVolM3 * (spec.volM3 * fill) / best.capVol : 0;
+    const weight = best.capKg > 0 ? best.loadedKg * spec.payloadKg / best.capKg : 0;
+    return { type, volM3: vol, kg: weight, volPct: (vol / spec.volM3) * 100, kgPct: (weight / spec.payloadKg) * 100 };
+  }));
+  return { ...best, units, options: options.slice(0, MAX_OPTIONS) };
+}
+
+export const mixLabel = (containers) => containers.map(c => `${c.count}x ${c.type}`).join(" + ");
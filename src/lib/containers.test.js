@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { planContainers, CONTAINER_TYPES, DEFAULT_CONTAINER_PLAN } from "./containers.js";
+
+const ALL = ["20'", "40'", "40' HC"];
+const PRICES = { "20'": 1800, "40'": 2300, "40' HC": 2500 };
+const plan = (load, overrides = {}) => planContainers(load, { types: ALL, prices: PRICES, fixedFees: 300, settings: DEFAULT_CONTAINER_PLAN, lclQuote: cbm => ({ cost: 100 + cbm * 60 }), ...overrides });
+
+const capacity = (containers, key) => containers.reduce((s, c) => s + c.count * CONTAINER_TYPES[c.type][key], 0);
+
+describe("planContainers", () => {
+  it("plans a very large load quickly and covers all of it", () => {
+    // About 2000 × 20' worth of volume: the full search would price millions of mixes
+    const load = { volM3: 50000, kg: 4e6 };
+    const start = performance.now();
+    const best = plan(load, { settings: { ...DEFAULT_CONTAINER_PLAN, lclRemainder: false } });
+    expect(performance.now() - start).toBeLessThan(1000);
+    expect(capacity(best.containers, "volM3") * 0.85).toBeGreaterThanOrEqual(load.volM3);
+    expect(capacity(best.containers, "payloadKg")).toBeGreaterThanOrEqual(load.kg);
+  });
+});
+
+describe("planContainers payload", () => {
+  const NO_LCL = { settings: { ...DEFAULT_CONTAINER_PLAN, lclRemainder: false } };
+
+  it("adds containers for a heavy load that fits one by volume", () => {
+    // 20 m³ fits a single 20' but 60 t needs three of them by payload
+    const best = plan({ volM3: 20, kg: 60000 }, NO_LCL);
+    expect(best.containers).toEqual([{ type: "20'", count: 3 }]);
+    expect(best.cost).toBe(3 * 1800 + 300);
+    best.units.forEach(u => expect(u.kg).toBeLessThanOrEqual(CONTAINER_TYPES[u.type].payloadKg));
+  });
+
+  it("uses only the usable share of the volume", () => {
+    // 30 m³ is under the 33.2 m³ of a 20', but over 85% of it
+    const best = plan({ volM3: 30, kg: 1000 }, { ...NO_LCL, types: ["20'"] });
+    expect(best.containers).toEqual([{ type: "20'", count: 2 }]);
+  });
+
+  it("sends what exceeds the payload as LCL when that is cheaper", () => {
+    const best = plan({ volM3: 20, kg: 60000 });
+    expect(best.containers).toEqual([{ type: "20'", count: 2 }]);
+    expect(best.loadedKg).toBeLessThanOrEqual(2 * CONTAINER_TYPES["20'"].payloadKg);
+    expect(best.lcl.kg).toBeCloseTo(60000 - 56400, 6);
+    expect(best.lcl.cbm).toBeCloseTo(20 * 3600 / 60000, 6);
+  });
+});
@@ -0,0 +1,73 @@
+import { t } from "./i18n.js";
+
+// ==========================
+// Destination-side costs: inland delivery, storage, demurrage, inspection
+// ==========================
+// Charged after the port/airport of arrival, so never part of the customs
+// value. Each one may or may not enter the import VAT base (`inVatBase`).
+export const DESTINATION_PORTS = ["Leixões", "Lisboa", "Sines", "Aeroporto de Lisboa (LIS)", "Aeroporto do Porto (OPO)"];
+
+// Labels: destination.inland.<id> and destination.cost.<key>
+export const INLAND_BASES = ["none", "distance", "weight"];
+
+export const DESTINATION_COSTS = ["inland", "storage", "demurrage", "inspection"];
+
+// Zero days / no delivery by default: the rates are ready, the costs start at 0
+export const DEFAULT_DESTINATION = {
+  port: "Leixões", // porto/aeroporto de chegada (informativo)
+
+  inlandBasis: "none", // none | distance | weight
+  inlandKm: 60,
+  inlandRatePerKm: 1.6,
+  inlandRatePer100Kg: 9,
+  inlandMinEUR: 90, // mínimo por entrega
+
+  storageDays: 0, // dias no terminal até ao levantamento
+  storageFreeDays: 3,
+  storageRatePerDay: 6, // € por tonelada ou m³ (o maior) por dia
+
+  demurrageDays: 0, // dias do contentor até à devolução vazio
+  demurrageFreeDays: 7,
+  demurrageRatePerDay: 75, // € por contentor por dia
+
+  inspectionFee: 0, // inspeção física / scanner
+
+  // Pagamento diferido dos direitos e IVA: custo da garantia, % do montante garantido
+  dutyDeferment: false,
+  deferralGuaranteePct: 0.5,
+
+  inVatBase: { inland: true, storage: true, demurrage: true, inspection: true },
+};
+
+const billableDays = (days, free) => Math.max(0, days - free);
+
+/**
+ * Destination charges for a load of { volM3, kg } in `containers` FCL boxes
+ * (0 outside FCL). Returns one line per cost: { key, label, cost, basis, inVatBase }.
+ */
+export function destinationCosts(dest, { volM3, kg, containers }) {
+  const inVat = (key) => dest.inVatBase?.[key] ?? true;
+  const lines = [];
+
+  if (dest.inlandBasis !== "none") {
+    const raw = dest.inlandBasis === "distance" ? dest.inlandKm * dest.inlandRatePerKm : (kg / 100) * dest.inlandRatePer100Kg;
+    const basis = dest.inlandBasis === "distance" ? t("destination.basis.distance", { km: dest.inlandKm, rate: dest.inlandRatePerKm }) : t("destination.basis.weight", { kg: Math.round(kg), rate: dest.inlandRatePer100Kg });
+    lines.push({ key: "inland", cost: Math.max(raw, dest.inlandMinEUR), basis: raw < dest.inlandMinEUR ? t("destination.basis.minimum", { basis }) : basis });
+  }
+
+  // Terminal storage by revenue ton (weight or measure, whichever is larger)
+  const storageDays = billableDays(dest.storageDays, dest.storageFreeDays);
+  if (storageDays > 0) {
+    const wm = Math.max(volM3, kg / 1000);
+    lines.push({ key: "storage", cost: storageDays * wm * dest.storageRatePerDay, basis: t("destination.basis.storage", { days: storageDays, wm: wm.toFixed(2) }) });
+  }
+
+  const demurrageDays = billableDays(dest.demurrageDays, dest.demurrageFreeDays);
+  if (containers > 0 && demurrageDays > 0) {
+    lines.push({ key: "demurrage", cost: demurrageDays * containers * dest.demurrageRatePerDay, basis: t("destination.basis.demurrage", { days: demurrageDays, containers }) });
+  }
+
+  if (dest.inspectionFee > 0) lines.push({ key: "inspection", cost: dest.inspectionFee, basis: t("destination.basis.fixed") });
+
+  return lines.map(l => ({ ...l, label: t(`destination.cost.${l.key}`), inVatBase: inVat(l.key) }));
+}
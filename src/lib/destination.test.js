@@ -0,0 +1,30 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_DESTINATION, destinationCosts } from "./destination.js";
+
+const LOAD = { volM3: 30, kg: 12000, containers: 2 };
+const costs = (dest, load = LOAD) => Object.fromEntries(destinationCosts({ ...DEFAULT_DESTINATION, ...dest }, load).map(l => [l.key, l.cost]));
+
+describe("destinationCosts", () => {
+  it("charges nothing with the defaults", () => {
+    expect(destinationCosts(DEFAULT_DESTINATION, LOAD)).toEqual([]);
+  });
+
+  it("prices inland delivery by distance or weight, with its minimum", () => {
+    expect(costs({ inlandBasis: "distance", inlandKm: 100 }).inland).toBeCloseTo(160, 9);
+    expect(costs({ inlandBasis: "weight" }).inland).toBeCloseTo(120 * 9, 9);
+    expect(costs({ inlandBasis: "weight" }, { ...LOAD, kg: 500 }).inland).toBe(90);
+  });
+
+  it("charges storage and demurrage only for the days beyond the free ones", () => {
+    // Storage by revenue ton: max(30 m³, 12 t) = 30
+    expect(costs({ storageDays: 5 }).storage).toBe(2 * 30 * 6);
+    expect(costs({ storageDays: 3 }).storage).toBeUndefined();
+    expect(costs({ demurrageDays: 10 }).demurrage).toBe(3 * 2 * 75);
+    expect(costs({ demurrageDays: 10 }, { ...LOAD, containers: 0 }).demurrage).toBeUndefined();
+  });
+
+  it("carries the VAT-base flag of each cost", () => {
+    const lines = destinationCosts({ ...DEFAULT_DESTINATION, inspectionFee: 85, inVatBase: { ...DEFAULT_DESTINATION.inVatBase, inspection: false } }, LOAD);
+    expect(lines).toMatchObject([{ key: "inspection", cost: 85, inVatBase: false }]);
+  });
+});
@@ -0,0 +1,95 @@
+import { t } from "./i18n.js";
+import { formatNumber } from "./format.js";
+
+// ==========================
+// Express courier pricing (door-to-door parcels)
+// ==========================
+// Courier tariffs are per zone: a price for every 0.5 kg step up to a cutoff,
+// then a rate per whole kg. Fuel is a % on top; remote-area, oversize and the
+// fee for advancing duty/VAT come on the invoice as separate charges.
+// The zone of each route is set on its rate card (`expressZone`).
+export const EXPRESS_STEP_KG = 0.5;
+
+// Price list of `cutoffKg / 0.5` steps: first step + the same amount per extra 0.5 kg
+export const expressSteps = (first, perStep, cutoffKg) =>
+  Array.from({ length: cutoffKg / EXPRESS_STEP_KG }, (_, i) => Math.round((first + i * perStep) * 100) / 100);
+
+// Zone of each default route; the zone tables live in `DEFAULT_EXPRESS.zones`
+export const EXPRESS_ROUTE_ZONES = { China: "1", Korea: "1", "Hong Kong": "1", Brasil: "2", Outro: "3" };
+
+export const DEFAULT_EXPRESS = {
+  divisor: 5000, // cm³ por kg (peso volumétrico)
+  fuelPct: 25, // sobretaxa de combustível, % sobre o transporte e as sobretaxas
+  remoteArea: false, // entrega em zona remota
+  remoteAreaFee: 25, // € por envio
+  oversizeCm: 120, // volume com um lado acima disto…
+  oversizeKg: 70, // …ou acima deste peso paga a taxa de excesso
+  oversizeFee: 80, // € por volume
+  disbursementPct: 2, // taxa de adiantamento de direitos/IVA, % do montante adiantado
+  disbursementMin: 12, // € mínimo por envio
+  zones: {
+    "1": { steps: expressSteps(42, 5.5, 30), perKg: 12.5 },
+    "2": { steps: expressSteps(48, 6.5, 30), perKg: 14.5 },
+    "3": { steps: expressSteps(55, 7.5, 30), perKg: 17 },
+  },
+};
+
+export const cutoffKg = (zone) => zone.steps.length * EXPRESS_STEP_KG;
+
+// "42 47.5 53 …" ⇄ [42, 47.5, 53, …]; accepts ; or spaces and a decimal comma
+export const stepsText = (steps) => steps.join(" ");
+export const parseSteps = (text) => text.split(/[\s;]+/).filter(Boolean).map(s => Number(s.replace(",", ".")));
+
+/**
+ * Shipping pieces of the packed lines ([{ item, pack }]) that count as oversize:
+ * pallets, master cartons or loose units, each checked on its longest side and weight.
+ */
+export function oversizePieces(lines, packing, express) {
+  const over = (sideCm, kg) => sideCm > express.oversizeCm || kg > express.oversizeKg;
+  return lines.reduce((sum, { item, pack }) => {
+    if (pack.pallets > 0) {
+      return sum + (over(Math.max(packing.palletLcm, packing.palletWcm, packing.palletMaxHcm), pack.weightKg / pack.pallets) ? pack.pallets : 0);
+    }
+    if (pack.cartons > 0) {
+      return sum + (over(Math.max(item.cartonLcm, item.cartonWcm, item.cartonHcm), item.cartonKg) ? pack.cartons : 0);
+    }
+    return sum + (over(Math.max(item.unitLcm, item.unitWcm, item.unitHcm), item.unitWeightKg) ? pack.qty : 0);
+  }, 0);
+}
+
+/**
+ * Courier charge for a load of { volM3, kg, oversize } in `zoneId`.
+ * Returns { cost, chargeableKg, weightCharge, surcharges: [{ key, cost }], basisLabel } or { error }.
+ */
+export function expressFreight(express, zoneId, { volM3, kg, oversize = 0 }) {
+  const zone = express.zones[zoneId];
+  if (!zone) return { error: t("express.error.noZone", { zone: zoneId }) };
+
+  const volumetricKg = (volM3 * 1e6) / express.divisor;
+  const actual = Math.max(kg, volumetricKg);
+  const cutoff = cutoffKg(zone);
+  // Up to the cutoff: next 0.5 kg step of the table; above it: whole kg at the per-kg rate
+  const chargeableKg = actual <= cutoff
+    ? Math.max(EXPRESS_STEP_KG, Math.ceil(actual / EXPRESS_STEP_KG) * EXPRESS_STEP_KG)
+    : Math.ceil(actual);
+  const weightCharge = chargeableKg <= cutoff ? zone.steps[Math.round(chargeableKg / EXPRESS_STEP_KG) - 1] : chargeableKg * zone.perKg;
+
+  const extras = [
+    { key: "remoteArea", cost: express.remoteArea ? express.remoteAreaFee : 0 },
+    { key: "oversize", cost: oversize * express.oversizeFee },
+  ];
+  const fuel = (weightCharge + extras.reduce((sum, s) => sum + s.cost, 0)) * (express.fuelPct / 100);
+  const surcharges = [{ key: "fuel", cost: fuel }, ...extras].filter(s => s.cost > 0);
+  const cost = weightCharge + surcharges.reduce((sum, s) => sum + s.cost, 0);
+
+  const basis = chargeableKg <= cutoff
+    ? t("express.basisSteps", { kg: formatNumber(chargeableKg), zone: zoneId })
+    : t("express.basisPerKg", { kg: formatNumber(chargeableKg), zone: zoneId, rate: formatNumber(zone.perKg, 2) });
+  const extrasText = surcharges.map(s => t(`express.surcharge.${s.key}`)).join(" + ");
+  return { cost, chargeableKg, weightCharge, surcharges, basisLabel: extrasText ? `${basis} + ${extrasText}` : basis };
+}
+
+// Fee the courier charges for paying duty and import VAT on our behalf (0 when nothing is advanced)
+export const disbursementFee = (express, advancedEUR) => (
+  advancedEUR > 0 ? Math.max(advancedEUR * (express.disbursementPct / 100), express.disbursementMin) : 0
+);
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_EXPRESS, expressSteps, expressFreight, disbursementFee, oversizePieces, parseSteps } from "./express.js";
+import { DEFAULT_PACKING } from "./packing.js";
+
+// Zone "1": 42 € for the first 0.5 kg, +5.5 € per step up to 30 kg, then 12.5 €/kg; 25% fuel
+const NO_FUEL = { ...DEFAULT_EXPRESS, fuelPct: 0 };
+
+describe("expressFreight", () => {
+  it("charges the next 0.5 kg step of the table", () => {
+    const r = expressFreight(NO_FUEL, "1", { volM3: 0, kg: 1.2 });
+    expect(r.chargeableKg).toBe(1.5);
+    expect(r.cost).toBe(53);
+  });
+
+  it("charges the volumetric weight when it is larger", () => {
+    // 0.02 m³ / 5000 cm³ per kg = 4 kg
+    const r = expressFreight(NO_FUEL, "1", { volM3: 0.02, kg: 1 });
+    expect(r.chargeableKg).toBe(4);
+    expect(r.weightCharge).toBe(42 + 7 * 5.5);
+  });
+
+  it("charges whole kg at the per-kg rate above the cutoff", () => {
+    const r = expressFreight(NO_FUEL, "1", { volM3: 0, kg: 30.2 });
+    expect(r.chargeableKg).toBe(31);
+    expect(r.weightCharge).toBeCloseTo(31 * 12.5, 9);
+  });
+
+  it("adds fuel on the transport and the other surcharges", () => {
+    const r = expressFreight({ ...DEFAULT_EXPRESS, remoteArea: true }, "1", { volM3: 0, kg: 0.5, oversize: 1 });
+    expect(r.surcharges.map(s => s.key)).toEqual(["fuel", "remoteArea", "oversize"]);
+    expect(r.cost).toBeCloseTo((42 + 25 + 80) * 1.25, 9);
+  });
+
+  it("reports a zone without a table", () => {
+    expect(expressFreight(DEFAULT_EXPRESS, "9", { volM3: 0, kg: 1 }).error).toBeTruthy();
+  });
+});
+
+describe("express helpers", () => {
+  it("builds and parses step tables", () => {
+    expect(expressSteps(10, 2.5, 1.5)).toEqual([10, 12.5, 15]);
+    expect(parseSteps("10 12,5;15")).toEqual([10, 12.5, 15]);
+  });
+
+  it("charges the disbursement fee with its minimum, and nothing when nothing is advanced", () => {
+    expect(disbursementFee(DEFAULT_EXPRESS, 0)).toBe(0);
+    expect(disbursementFee(DEFAULT_EXPRESS, 100)).toBe(12);
+    expect(disbursementFee(DEFAULT_EXPRESS, 1000)).toBe(20);
+  });
+
+  it("counts oversize pieces by their longest side or weight", () => {
+    const item = { unitLcm: 130, unitWcm: 20, unitHcm: 20, unitWeightKg: 5, cartonLcm: 60, cartonWcm: 40, cartonHcm: 40, cartonKg: 75 };
+    expect(oversizePieces([{ item, pack: { qty: 3, cartons: 0, pallets: 0 } }], DEFAULT_PACKING, DEFAULT_EXPRESS)).toBe(3);
+    expect(oversizePieces([{ item, pack: { qty: 24, cartons: 2, pallets: 0 } }], DEFAULT_PACKING, DEFAULT_EXPRESS)).toBe(2);
+    expect(oversizePieces([{ item: { ...item, unitLcm: 30 }, pack: { qty: 3, cartons: 0, pallets: 0 } }], DEFAULT_PACKING, DEFAULT_EXPRESS)).toBe(0);
+  });
+});
@@ -0,0 +1,75 @@
+import { t } from "./i18n.js";
+import { vatCashFlow } from "./vat.js";
+
+// ==========================
+// Working capital: lead times, supplier payment terms, financing cost
+// ==========================
+// Day 0 is the purchase order. Each payment is financed at the annual cost of
+// capital from the day it leaves until the goods are sold and collected
+// (clearance + salesDays); recoverable import VAT only until it is deducted.
+export const DEFAULT_FINANCING = {
+  costOfCapitalPct: 8, // custo anual do capital (%)
+  productionDays: 30, // encomenda → mercadoria pronta a embarcar
+  depositPct: 30, // adiantamento na encomenda, % da mercadoria
+  balanceDays: 0, // saldo: dias após o embarque (negativo = antes)
+  clearanceDays: 3, // chegada → desalfandegada e no armazém
+  salesDays: 30, // armazém → venda recebida
+};
+
+const DAY_MS = 86400000;
+const isoDay = (d) => d.toISOString().slice(0, 10);
+const addDays = (iso, days) => isoDay(new Date(Date.parse(`${iso}T00:00:00Z`) + days * DAY_MS));
+
+/**
+ * Cash timeline of one shipment and what financing it costs.
+ * amounts: { goodsEUR, toBorderEUR, clearanceEUR, vatEUR, vatRegime } — `clearanceEUR`
+ * is everything paid at clearance (duty, fees, destination costs) except import VAT.
+ * Days count from the purchase order. The expected clearance date
+ * (inputs.clearanceDate) anchors them to the calendar; without one the dates are
+ * null and only the day offsets (and the average VAT return delay) apply.
+ * Returns { costEUR, transitDays, shipDay, arrivalDay, clearanceDay, cashInDay,
+ * orderDate, clearanceDate, cashInDate, payments: [{ key, label, day, date, amountEUR, heldDays, costEUR }] }.
+ */
+export function financingCost(inputs, transitDays, { goodsEUR, toBorderEUR, clearanceEUR, vatEUR, vatRegime }) {
+  const f = inputs.financing;
+  const shipDay = f.productionDays;
+  const arrivalDay = shipDay + transitDays;
+  const clearanceDay = arrivalDay + f.clearanceDays;
+  const cashInDay = clearanceDay + f.salesDays;
+  const orderDate = inputs.clearanceDate ? addDays(inputs.clearanceDate, -clearanceDay) : null;
+  const dateOf = (day) => (orderDate ? addDays(orderDate, day) : null);
+  const clearanceDate = dateOf(clearanceDay);
+  const untilSold = (day) => Math.max(0, cashInDay - day);
+
+  const deposit = goodsEUR * (f.depositPct / 100);
+  const payments = [
+    { key: "deposit", day: 0, amountEUR: deposit },
+    { key: "balance", day: shipDay + f.balanceDays, amountEUR: goodsEUR - deposit },
+    { key: "freight", day: shipDay, amountEUR: toBorderEUR },
+    { key: "clearance", day: clearanceDay, amountEUR: clearanceEUR },
+  ].map(p => ({ ...p, heldDays: untilSold(p.day) }));
+
+  // Import VAT follows the VAT calendar; when it is not recoverable it is held like any other cost
+  const vat = vatCashFlow(inputs, { vatEUR, vatRegime }, clearanceDate);
+  if (vat.paidDay !== null) {
+    const day = clearanceDay + vat.paidDay;
+    payments.push({ key: "vat", day, amountEUR: vatEUR, heldDays: vat.recoveredDay !== null ? Math.max(0, vat.days) : untilSold(day) });
+  }
+
+  const daily = f.costOfCapitalPct / 100 / 365;
+  const rows = payments
+    .filter(p => p.amountEUR > 0)
+    .map(p => ({ ...p, label: t(`financing.payment.${p.key}`), date: dateOf(p.day), costEUR: p.amountEUR * p.heldDays * daily }));
+  return {
+    costEUR: rows.reduce((sum, p) => sum + p.costEUR, 0),
+    transitDays,
+    shipDay,
+    arrivalDay,
+    clearanceDay,
+    cashInDay,
+    orderDate,
+    clearanceDate,
+    cashInDate: dateOf(cashInDay),
+    payments: rows,
+  };
+}
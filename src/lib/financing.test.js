@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_FINANCING, financingCost } from "./financing.js";
+
+// Order day 0, shipped day 30, 20 days in transit, cleared day 53, sold and collected day 83
+const inputs = (financing = {}, rest = {}) => ({ financing: { ...DEFAULT_FINANCING, ...financing }, vatFiling: "monthly", vatRecoverable: true, clearanceDate: "", ...rest });
+const AMOUNTS = { goodsEUR: 1000, toBorderEUR: 200, clearanceEUR: 100, vatEUR: 0, vatRegime: "customs" };
+const held = (r) => Object.fromEntries(r.payments.map(p => [p.key, p.heldDays]));
+
+describe("financingCost", () => {
+  it("finances each payment from the day it leaves until the sale is collected", () => {
+    const r = financingCost(inputs(), 20, AMOUNTS);
+    expect(r).toMatchObject({ shipDay: 30, arrivalDay: 50, clearanceDay: 53, cashInDay: 83 });
+    expect(held(r)).toEqual({ deposit: 83, balance: 53, freight: 53, clearance: 30 });
+    expect(r.costEUR).toBeCloseTo((300 * 83 + 700 * 53 + 200 * 53 + 100 * 30) * 0.08 / 365, 9);
+  });
+
+  it("holds a balance paid before shipping for longer", () => {
+    expect(held(financingCost(inputs({ balanceDays: -10 }), 20, AMOUNTS)).balance).toBe(63);
+  });
+
+  it("costs nothing at a zero cost of capital", () => {
+    expect(financingCost(inputs({ costOfCapitalPct: 0 }), 20, AMOUNTS).costEUR).toBe(0);
+  });
+
+  it("holds recoverable import VAT only until the return that deducts it", () => {
+    const r = financingCost(inputs({}, { clearanceDate: "2025-03-10" }), 20, { ...AMOUNTS, vatEUR: 230 });
+    expect(r.orderDate).toBe("2025-01-16");
+    expect(r.payments.find(p => p.key === "vat")).toMatchObject({ day: 53, date: "2025-03-10", heldDays: 76 });
+  });
+
+  it("holds non-recoverable VAT until the sale, like any other cost", () => {
+    const r = financingCost(inputs({}, { vatRecoverable: false }), 20, { ...AMOUNTS, vatEUR: 230 });
+    expect(held(r).vat).toBe(30);
+  });
+});
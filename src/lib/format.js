@@ -0,0 +1,14 @@
+import { intlLocale, displayCurrency } from "./i18n.js";
+
+// ==========================
+// Number / currency formatting (active language, display currency)
+// ==========================
+// `digits` fixes the number of decimals; otherwise Intl's default (up to 3)
+export const formatNumber = (n, digits) => new Intl.NumberFormat(intlLocale(), digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(n ?? 0);
+
+// Amounts are EUR; shown in the display currency at the payment rate
+export const toDisplay = (eur) => (eur ?? 0) / displayCurrency().eurPerUnit;
+export const formatMoney = (eur) => new Intl.NumberFormat(intlLocale(), { style: "currency", currency: displayCurrency().code }).format(toDisplay(eur));
+
+export const formatDate = (iso) => new Date(`${iso}T00:00:00Z`).toLocaleDateString(intlLocale(), { timeZone: "UTC" });
+export const formatPct = (v, digits = 1) => `${formatNumber(v, digits)}%`;
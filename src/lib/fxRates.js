@@ -0,0 +1,132 @@
+import { t } from "./i18n.js";
+// ==========================
+// FX rate sets: dated rates, local history and ECB file import
+// ==========================
+// A rate set is { date: "AAAA-MM-DD", source, rates: { CODE: EUR per unit } }.
+// A simulation carries two of them (see DEFAULT_INPUTS): the customs rate, used
+// for the customs value, and the payment rate (spot/hedged) actually paid to the supplier.
+const STORAGE_KEY = "yep-import-cost:fx-rates";
+
+// Keep the history bounded (a full ECB history file has thousands of days)
+const MAX_STORED_SETS = 400;
+
+export const ECB_SOURCE = "BCE";
+
+export const rateSetId = (set) => `${set.source}:${set.date}`;
+
+export const isCurrencyCode = (code) => /^[A-Z]{3}$/.test(code);
+
+function readAll() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(sets) {
+  const kept = sets.sort((a, b) => b.date.localeCompare(a.date)).slice(0, MAX_STORED_SETS);
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+  return kept;
+}
+
+// Newest first
+export const listRateSets = () => readAll().sort((a, b) => b.date.localeCompare(a.date));
+
+// Sets with the same source and date replace the stored ones
+export function storeRateSets(sets) {
+  const incoming = new Set(sets.map(rateSetId));
+  return writeAll([...readAll().filter(s => !incoming.has(rateSetId(s))), ...sets]);
+}
+
+export function deleteRateSet(id) {
+  return writeAll(readAll().filter(s => rateSetId(s) !== id));
+}
+
+// ==========================
+// Customs rate of the month (EU: Reg. 2015/2447, art. 146)
+// ==========================
+// Customs uses, for a whole month, the ECB rate published on the penultimate
+// Wednesday of the previous month (or the last publication before it).
+export function customsReferenceDate(month) {
+  const [y, m] = month.split("-").map(Number);
+  const prevYear = m === 1 ? y - 1 : y;
+  const prevMonth = m === 1 ? 12 : m - 1;
+  const lastDay = new Date(Date.UTC(prevYear, prevMonth, 0));
+  const back = (lastDay.getUTCDay() - 3 + 7) % 7; // days back to the last Wednesday
+  const penultimateWednesday = new Date(Date.UTC(prevYear, prevMonth - 1, lastDay.getUTCDate() - back - 7));
+  return penultimateWednesday.toISOString().slice(0, 10);
+}
+
+// ECB set that customs applies in `month` (AAAA-MM); null when the history lacks it
+export function customsSetFor(sets, month) {
+  const ref = customsReferenceDate(month);
+  return sets
+    .filter(s => s.source === ECB_SOURCE && s.date <= ref)
+    .sort((a, b) => b.date.localeCompare(a.date))[0] ?? null;
+}
+
+// ==========================
+// ECB reference-rate files (eurofxref*.csv / eurofxref*.xml)
+// ==========================
+// ECB quotes units of currency per 1 EUR; the app stores EUR per unit.
+const MONTHS = { Jan: 1, Feb: 2, Mar: 3, Apr: 4, May: 5, Jun: 6, Jul: 7, Aug: 8, Sep: 9, Oct: 10, Nov: 11, Dec: 12 };
+
+// "2024-05-10" (history files) or "10 May 2024" / "10 March 2025" (daily file)
+function parseEcbDate(text) {
+  const t = text.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(t)) return t;
+  const m = t.match(/^(\d{1,2}) ([A-Z][a-z]{2})[a-z]* (\d{4})$/);
+  if (!m || !MONTHS[m[2]]) return null;
+  return `${m[3]}-${String(MONTHS[m[2]]).padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+}
+
+function toSet(date, quotes) {
+  const rates = { EUR: 1 };
+  Object.entries(quotes).forEach(([code, perEur]) => {
+    if (Number.isFinite(perEur) && perEur > 0) rates[code] = Number((1 / perEur).toPrecision(6));
+  });
+  return { date, source: ECB_SOURCE, rates };
+}
+
+function parseEcbCsv(text) {
+  const rows = text.replace(/^﻿/, "").split(/\r?\n/).filter(l => l.trim());
+  if (!rows.length) throw new Error(t("fx.ecb.empty"));
+  const header = rows[0].split(",").map(h => h.trim());
+  if (header[0] !== "Date") throw new Error(t("fx.ecb.csvHeader"));
+  return rows.slice(1).map(line => {
+    const cells = line.split(",");
+    const date = parseEcbDate(cells[0]);
+    if (!date) throw new Error(t("fx.ecb.csvDate", { date: cells[0] }));
+    const quotes = {};
+    header.slice(1).forEach((code, i) => {
+      if (isCurrencyCode(code)) quotes[code] = Number(cells[i + 1]); // "N/A" → NaN, dropped
+    });
+    return toSet(date, quotes);
+  });
+}
+
+function parseEcbXml(text) {
+  const days = [...text.matchAll(/<Cube\s+time=['"]([^'"]+)['"]\s*>([\s\S]*?)<\/Cube>/g)];
+  if (!days.length) throw new Error(t("fx.ecb.xmlNoCube"));
+  return days.map(([, time, body]) => {
+    const quotes = {};
+    for (const [, code, rate] of body.matchAll(/currency=['"]([A-Z]{3})['"]\s+rate=['"]([^'"]+)['"]/g)) {
+      quotes[code] = Number(rate);
+    }
+    return toSet(time, quotes);
+  });
+}
+
+/**
+ * Parse an ECB reference-rate file (daily or history, CSV or XML) into rate
+ * sets, newest first. Throws an Error with a user-facing message when the
+ * file is not in a recognised format.
+ */
+export function parseEcbFile(text, filename = "") {
+  const isXml = filename.toLowerCase().endsWith(".xml") || text.trim().startsWith("<");
+  const sets = (isXml ? parseEcbXml(text) : parseEcbCsv(text)).filter(s => Object.keys(s.rates).length > 1);
+  if (!sets.length) throw new Error(t("fx.ecb.empty"));
+  return sets.sort((a, b) => b.date.localeCompare(a.date));
+}
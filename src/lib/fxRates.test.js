@@ -0,0 +1,19 @@
+import { describe, it, expect } from "vitest";
+import { parseEcbFile } from "./fxRates.js";
+import { t } from "./i18n.js";
+
+describe("parseEcbFile", () => {
+  it("reads an ECB CSV as EUR per unit, newest first", () => {
+    const sets = parseEcbFile("Date, USD, JPY,\n10 March 2025, 1.0833, N/A,\n11 Mar 2025, 1.0900, 160.5,\n", "eurofxref.csv");
+    expect(sets.map(s => s.date)).toEqual(["2025-03-11", "2025-03-10"]);
+    expect(sets[1].rates.USD).toBeCloseTo(1 / 1.0833, 5);
+    expect(sets[1].rates).not.toHaveProperty("JPY");
+  });
+
+  it("reports an empty or blank CSV instead of failing on the missing header", () => {
+    ["", "  \n\r\n  ", "﻿"].forEach(text => {
+      expect(() => parseEcbFile(text, "eurofxref.csv")).toThrow(t("fx.ecb.empty"));
+      expect(() => parseEcbFile(text)).toThrow(t("fx.ecb.empty"));
+    });
+  });
+});
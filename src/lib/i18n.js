@@ -0,0 +1,86 @@
+import ptPT from "../locales/pt-PT.js";
+import en from "../locales/en.js";
+
+// ==========================
+// Internationalization: message catalogs, active language, display currency
+// ==========================
+// Catalogs are flat maps of "area.key" → text with {name} placeholders.
+// pt-PT is complete and the fallback for keys another catalog lacks.
+export const LANGUAGES = {
+  "pt-PT": { label: "Português", intl: "pt-PT", catalog: ptPT },
+  en: { label: "English", intl: "en-GB", catalog: en },
+};
+
+export const DEFAULT_LANGUAGE = "pt-PT";
+
+// Currencies results can be shown in; amounts are computed in EUR and converted at the payment rate
+export const DISPLAY_CURRENCIES = ["EUR", "USD"];
+
+const PREFS_KEY = "yep-import-cost:prefs";
+
+// Module-level so engine messages (errors, labels) follow the UI language too;
+// App applies them in a layout effect and re-renders (see displayKey)
+const settings = { lang: DEFAULT_LANGUAGE, currency: "EUR", eurPerUnit: 1 };
+
+export const currentLanguage = () => settings.lang;
+export const intlLocale = () => LANGUAGES[settings.lang].intl;
+export const displayCurrency = () => ({ code: settings.currency, eurPerUnit: settings.eurPerUnit });
+// Changes whenever t() or the formatters would give other text: memo deps for cached labels and amounts
+export const displayKey = () => `${settings.lang}|${settings.currency}|${settings.eurPerUnit}`;
+
+export function setLanguage(lang) {
+  settings.lang = lang in LANGUAGES ? lang : DEFAULT_LANGUAGE;
+}
+
+// eurPerUnit: EUR per unit of `code` (1 for EUR)
+export function setDisplayCurrency(code, eurPerUnit) {
+  const valid = code === "EUR" || (Number.isFinite(eurPerUnit) && eurPerUnit > 0);
+  settings.currency = valid ? code : "EUR";
+  settings.eurPerUnit = valid && code !== "EUR" ? eurPerUnit : 1;
+}
+
+export const hasMessage = (key) => key in LANGUAGES[settings.lang].catalog || key in ptPT;
+
+/**
+ * Message for `key` in the active language, with {name} placeholders filled from `vars`.
+ * Falls back to pt-PT, then to the key itself.
+ */
+export function t(key, vars) {
+  const text = LANGUAGES[settings.lang].catalog[key] ?? ptPT[key] ?? key;
+  return vars ? text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m)) : text;
+}
+
+// Mode and origin names are stored in the inputs as pt-PT identifiers; user-created routes have no entry
+export const modeLabel = (mode) => (hasMessage(`mode.${mode}`) ? t(`mode.${mode}`) : mode);
+export const originLabel = (origin) => (hasMessage(`origin.${origin}`) ? t(`origin.${origin}`) : origin);
+
+// ==========================
+// UI preferences (not part of the simulation inputs)
+// ==========================
+function browserLanguage() {
+  try {
+    return window.navigator.language?.toLowerCase().startsWith("pt") ? "pt-PT" : "en";
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+export function loadPrefs() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(PREFS_KEY) ?? "{}");
+    return {
+      lang: saved.lang in LANGUAGES ? saved.lang : browserLanguage(),
+      currency: DISPLAY_CURRENCIES.includes(saved.currency) ? saved.currency : "EUR",
+    };
+  } catch {
+    return { lang: browserLanguage(), currency: "EUR" };
+  }
+}
+
+export function savePrefs(prefs) {
+  try {
+    window.localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+  } catch {
+    // private mode / storage full: the choice just isn't remembered
+  }
+}
@@ -0,0 +1,43 @@
+import { t } from "./i18n.js";
+
+// ==========================
+// Incoterms 2020: which cost legs the buyer (importer) pays
+// ==========================
+// Legs in shipment order. Everything up to the EU border (pickup → insurance)
+// enters the customs value when the buyer pays it separately; when the
+// supplier pays it, it is already inside the supplier price. Labels: leg.<key>.
+export const INCOTERM_LEGS = [
+  { key: "originPickup", beforeBorder: true },
+  { key: "exportClearance", beforeBorder: true },
+  { key: "mainFreight", beforeBorder: true },
+  { key: "insurance", beforeBorder: true },
+  { key: "destinationCharges", beforeBorder: false },
+  { key: "importDuties", beforeBorder: false },
+];
+
+export const legLabel = (key) => t(`leg.${key}`);
+
+// true = buyer pays the leg; false = included in the supplier price
+const B = true;
+const S = false;
+const rule = (originPickup, exportClearance, mainFreight, insurance, destinationCharges, importDuties) =>
+  ({ originPickup, exportClearance, mainFreight, insurance, destinationCharges, importDuties });
+
+export const INCOTERM_RULES = {
+  EXW: rule(B, B, B, B, B, B), // Ex Works — tudo por conta do comprador
+  FCA: rule(S, S, B, B, B, B), // Free Carrier — fornecedor entrega ao transitário, desalfandegado
+  FOB: rule(S, S, B, B, B, B), // Free On Board (marítimo)
+  CFR: rule(S, S, S, B, B, B), // Cost and Freight (marítimo) — seguro por conta do comprador
+  CIF: rule(S, S, S, S, B, B), // Cost, Insurance and Freight (marítimo)
+  CPT: rule(S, S, S, B, B, B), // Carriage Paid To
+  CIP: rule(S, S, S, S, B, B), // Carriage and Insurance Paid To
+  DAP: rule(S, S, S, S, S, B), // Delivered At Place — importação por conta do comprador
+  DDP: rule(S, S, S, S, S, S), // Delivered Duty Paid — fornecedor é o importador
+};
+
+export const INCOTERMS = Object.keys(INCOTERM_RULES);
+
+export const incotermRule = (incoterm) => INCOTERM_RULES[incoterm] ?? INCOTERM_RULES.EXW;
+
+// Legs the supplier price already covers (shown next to the Incoterm select)
+export const supplierPaidLegs = (incoterm) => INCOTERM_LEGS.filter(l => !incotermRule(incoterm)[l.key]).map(l => ({ ...l, label: legLabel(l.key) }));
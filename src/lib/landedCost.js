@@ -0,0 +1,552 @@
+import { formatNumber } from "./format.js";
+import { t, modeLabel, originLabel } from "./i18n.js";
+import { INCOTERM_LEGS, incotermRule, legLabel } from "./incoterms.js";
+import { DEFAULT_TARIFF, LOW_VALUE_RELIEF_EUR, resolveDuty } from "./tariff.js";
+import { DEFAULT_PACKING, packLine } from "./packing.js";
+import { CONTAINER_PRICE_FIELDS, DEFAULT_CONTAINER_PLAN, planContainers, mixLabel } from "./containers.js";
+import { DEFAULT_DESTINATION, destinationCosts } from "./destination.js";
+import { vatTreatment } from "./vat.js";
+import { DEFAULT_EXPRESS, EXPRESS_ROUTE_ZONES, expressFreight, oversizePieces, disbursementFee } from "./express.js";
+import { DEFAULT_FINANCING, financingCost } from "./financing.js";
+import { validateInputs } from "./validation.js";
+
+// ==========================
+// Reference data
+// ==========================
+export const DEFAULT_FX = {
+  EUR: 1,
+  USD: 0.92,
+  CNY: 0.128,
+  KRW: 0.00067,
+  HKD: 0.118,
+  BRL: 0.18,
+};
+
+// Dated rate set (see fxRates.js); the built-in one has no date
+export const DEFAULT_FX_SET = { date: "", source: "Manual", rates: DEFAULT_FX };
+
+// Currencies priced in a simulation (customs and payment sets share the same codes)
+export const fxCurrencies = ({ fxCustoms, fxPayment }) => [...new Set([...Object.keys(fxPayment.rates), ...Object.keys(fxCustoms.rates)])];
+
+export const ORIGINS = ["China", "Korea", "Hong Kong", "Brasil"];
+export const MODES = ["Aéreo Express", "Aéreo (Carga)", "Marítimo LCL", "Marítimo FCL 20'", "Marítimo FCL 40'", "Marítimo FCL 40' HC", "Marítimo FCL (melhor combinação)"];
+
+// Default tier tables (editable in UI)
+export const DEFAULT_AIR_TIERS = [
+  { threshold: 45, rate: 6.5 },
+  { threshold: 100, rate: 5.8 },
+  { threshold: 300, rate: 5.0 },
+  { threshold: 500, rate: 4.6 },
+  { threshold: Infinity, rate: 4.2 },
+];
+
+export const DEFAULT_LCL_TIERS = [
+  { threshold: 2, rate: 180 },
+  { threshold: 5, rate: 150 },
+  { threshold: 10, rate: 120 },
+  { threshold: Infinity, rate: 100 },
+];
+
+// Container types each FCL mode may use (see containers.js)
+export const FCL_MODES = {
+  "Marítimo FCL 20'": ["20'"],
+  "Marítimo FCL 40'": ["40'"],
+  "Marítimo FCL 40' HC": ["40' HC"],
+  "Marítimo FCL (melhor combinação)": ["20'", "40'", "40' HC"],
+};
+
+export const isAirMode = (mode) => mode === "Aéreo Express" || mode === "Aéreo (Carga)";
+// Courier tariff (express.js) instead of the air cargo tiers
+export const isExpressMode = (mode) => mode === "Aéreo Express";
+export const isFclMode = (mode) => mode in FCL_MODES;
+
+// Which freight model prices a mode (and which rate-card fields it uses)
+export const freightKind = (mode) => (isExpressMode(mode) ? "express" : isAirMode(mode) ? "air" : isFclMode(mode) ? "fcl" : "lcl");
+
+// Rate-card field with the transit days of each freight model
+export const TRANSIT_FIELDS = { express: "expressTransitDays", air: "airTransitDays", lcl: "lclTransitDays", fcl: "fclTransitDays" };
+
+// Keys used to split shipment-level costs (freight, insurance, fees) across SKUs (labels: allocation.*)
+export const ALLOCATION_KEYS = ["value", "weight", "volume", "qty"];
+
+// Where the duty rate comes from (labels: dutySource.*)
+export const DUTY_SOURCES = ["manual", "origin", "hs"];
+
+// Master carton of a SKU; unitsPerCarton 0 = ships loose (unit dimensions)
+export const DEFAULT_CARTON = { unitsPerCarton: 0, cartonLcm: 45, cartonWcm: 35, cartonHcm: 30, cartonKg: 17 };
+
+export const DEFAULT_ITEMS = [
+  { id: 1, sku: "Scanner", hsCode: "847160", productOrigin: "China", qty: 100, unitPrice: 300, currency: "USD", unitWeightKg: 0.8, unitLcm: 17, unitWcm: 8, unitHcm: 5, ...DEFAULT_CARTON },
+];
+
+// Freight rate card for one route (shipping origin): all modes' prices and fees
+export const DEFAULT_RATE_CARD = {
+  port: "", // porto/aeroporto de embarque (informativo)
+  updatedAt: "", // data da última revisão (AAAA-MM-DD)
+
+  airTiers: DEFAULT_AIR_TIERS,
+  airVolFactor: 167, // kg por m³ (IATA ~167)
+  airMinChargeKg: 45, // mínimo cobrado em kg
+  airFixedFees: 60, // docs/origem/destino
+
+  expressZone: "3", // zona da tabela do courier (ver express.js)
+
+  lclTiers: DEFAULT_LCL_TIERS,
+  lclMinCbm: 1, // mínimo em m³
+  lclFixedFees: 120,
+
+  fcl20Price: 1800,
+  fcl40Price: 2300,
+  fcl40HcPrice: 2450,
+  fclFixedFees: 300,
+
+  // Dias de trânsito porta a porta até ao porto/aeroporto de chegada, por modal
+  expressTransitDays: 5,
+  airTransitDays: 7,
+  lclTransitDays: 45,
+  fclTransitDays: 38,
+};
+
+// Reference transit days of the default routes (editable on each card)
+export const ROUTE_TRANSIT_DAYS = {
+  China: { expressTransitDays: 4, airTransitDays: 6, lclTransitDays: 45, fclTransitDays: 38 },
+  Korea: { expressTransitDays: 4, airTransitDays: 6, lclTransitDays: 42, fclTransitDays: 35 },
+  "Hong Kong": { expressTransitDays: 3, airTransitDays: 5, lclTransitDays: 42, fclTransitDays: 35 },
+  Brasil: { expressTransitDays: 4, airTransitDays: 5, lclTransitDays: 25, fclTransitDays: 20 },
+};
+
+export const RATE_CARD_FIELDS = Object.keys(DEFAULT_RATE_CARD);
+
+// Card used for routes without their own entry
+export const FALLBACK_ROUTE = "Outro";
+
+export const DEFAULT_RATE_CARDS = Object.fromEntries([...ORIGINS, FALLBACK_ROUTE].map(o => [o, { ...DEFAULT_RATE_CARD, ...ROUTE_TRANSIT_DAYS[o], expressZone: EXPRESS_ROUTE_ZONES[o] }]));
+
+// Route picked automatically from shipOrigin
+export const rateCardKey = ({ rateCards, shipOrigin }) => (shipOrigin in rateCards ? shipOrigin : FALLBACK_ROUTE);
+export const rateCardFor = (inputs) => inputs.rateCards[rateCardKey(inputs)] ?? DEFAULT_RATE_CARD;
+export const transitDaysFor = (inputs) => rateCardFor(inputs)[TRANSIT_FIELDS[freightKind(inputs.mode)]];
+
+// Resale pricing settings (see pricing.js; computeLandedCost ignores them)
+export const DEFAULT_PRICING = {
+  skuId: null, // SKU priced (null = first line)
+  basis: "margin", // margin | markup
+  targetPct: 30,
+  channelFeePct: 0, // comissão de marketplace / canal, % do preço líquido
+  distributorDiscountPct: 0, // desconto ao distribuidor, % do preço de tabela
+  sellingPrice: 0, // preço de tabela conhecido (modo inverso), EUR sem IVA
+};
+
+// Order planning settings (see planning.js; computeLandedCost ignores them)
+export const DEFAULT_PLANNING = {
+  annualDemand: 2000, // unidades por ano, no mix de SKUs atual
+  holdingPct: 20, // custo de posse anual, % do valor médio em stock
+  spaceCostPerM3: 60, // € por m³ de armazém por ano
+};
+
+// Full simulation input state — everything computeLandedCost reads, plus resale pricing and order planning
+export const DEFAULT_INPUTS = {
+  // Ship origin drives freight; product origin (customs) is set per SKU
+  shipOrigin: "China", // local de embarque para frete
+  mode: "Aéreo (Carga)",
+  incoterm: "EXW",
+
+  // Products (SKUs) sharing the shipment; price per unit in each line's supplier currency
+  items: DEFAULT_ITEMS,
+  allocationKey: "value", // repartição de frete/seguro/taxas por SKU
+  packing: DEFAULT_PACKING, // caixas / paletes (ver packing.js)
+  containerPlan: DEFAULT_CONTAINER_PLAN, // ocupação útil FCL e excedente em LCL
+
+  // FX (EUR per unit): customs value uses the official customs rate,
+  // the supplier is paid at the payment rate (spot/hedged)
+  fxCustoms: DEFAULT_FX_SET,
+  fxPayment: DEFAULT_FX_SET,
+
+  // Insurance and fees
+  insurancePct: 0.5, // % over (mercadoria + frete)
+  brokerageFee: 120, // despachante aduaneiro
+  portTHC: 150, // taxas portuárias / handling
+  otherFees: 50,
+  destination: DEFAULT_DESTINATION, // entrega, armazenagem, demurrage, inspeção, diferimento (ver destination.js)
+
+  // Local transport at origin (e.g., China → Hong Kong) and export clearance — buyer pays them under EXW only
+  localOriginTransport: 0,
+  exportClearanceFee: 0,
+
+  // Taxes
+  dutyPct: 0, // % sobre CIF (manual)
+  ignoreDuty: true, // opção de ignorar HS
+  dutySource: "manual", // manual | origin | hs (ver DUTY_SOURCES)
+  originDutyMap: { China: 0, Korea: 0, "Hong Kong": 0, Brasil: 0, Outro: 0 },
+  tariff: DEFAULT_TARIFF, // tabela pautal por código HS (editável)
+  vatRegime: "customs", // customs | reverseCharge | cp42 (ver vat.js)
+  vatCountry: "PT", // país/região de importação (taxas em VAT_COUNTRIES)
+  vatRateKind: "standard", // standard | intermediate | reduced | manual
+  vatPct: 23, // só com taxa manual
+  vatRecoverable: true,
+  vatFiling: "monthly", // periodicidade da declaração de IVA
+  clearanceDate: "", // data prevista de desalfandegamento (vazio = calendário em dias desde a encomenda)
+
+  // Lead times, supplier payment terms and cost of capital (see financing.js)
+  financing: DEFAULT_FINANCING,
+
+  // Freight rate cards per route (keyed by shipOrigin)
+  rateCards: DEFAULT_RATE_CARDS,
+  express: DEFAULT_EXPRESS, // tarifa do courier (zonas, sobretaxas) para "Aéreo Express"
+
+  // Selling price / target supplier price
+  pricing: DEFAULT_PRICING,
+
+  // Annual demand and stock costs for the order-size plan
+  planning: DEFAULT_PLANNING,
+};
+
+// ==========================
+// Freight
+// ==========================
+// Freight cost model per mode, run once on the consolidated load { volM3, kg },
+// priced with the rate card of the route (shipOrigin). `oversize` counts the
+// pieces over the courier's size/weight limits (express only).
+export function calcFreight(inputs, { volM3, kg, oversize = 0 }) {
+  const { mode } = inputs;
+  const card = rateCardFor(inputs);
+
+  if (isExpressMode(mode)) {
+    const express = expressFreight(inputs.express, card.expressZone, { volM3, kg, oversize });
+    if (express.error) return { cost: 0, basisLabel: "", error: express.error };
+    return express;
+  }
+  if (isAirMode(mode)) {
+    const volWeight = volM3 * card.airVolFactor; // kg
+    const chargeable = Math.max(kg, volWeight, card.airMinChargeKg);
+    const { rate, error } = tierRate(card.airTiers, chargeable, "kg");
+    if (error) return { cost: 0, basisLabel: t("freight.airTiersInvalid"), error: t("freight.airError", { error }) };
+    const cost = chargeable * rate + card.airFixedFees;
+    return { cost, basisLabel: t("freight.airBasis", { kg: formatNumber(chargeable), rate: rate.toFixed(2) }) };
+  }
+  if (mode === "Marítimo LCL") {
+    const lcl = lclCost(card, volM3);
+    if (lcl.error) return { cost: 0, basisLabel: t("freight.lclTiersInvalid"), error: t("freight.lclError", { error: lcl.error }) };
+    return { cost: lcl.cost, basisLabel: t("freight.lclBasis", { cbm: lcl.cbm.toFixed(2), rate: lcl.rate.toFixed(0) }) };
+  }
+  if (isFclMode(mode)) {
+    const prices = Object.fromEntries(Object.entries(CONTAINER_PRICE_FIELDS).map(([t, f]) => [t, card[f]]));
+    const plan = planContainers({ volM3, kg }, {
+      types: FCL_MODES[mode],
+      prices,
+      fixedFees: card.fclFixedFees,
+      settings: inputs.containerPlan,
+      lclQuote: (cbm) => lclCost(card, cbm),
+    });
+    if (!plan) return { cost: 0, basisLabel: t("freight.fclNoMix"), error: t("freight.fclNoMixError") };
+    const volPct = plan.units.reduce((sum, u) => sum + u.volPct, 0) / plan.units.length;
+    const kgPct = plan.units.reduce((sum, u) => sum + u.kgPct, 0) / plan.units.length;
+    const remainder = plan.lcl ? ` + LCL ${plan.lcl.cbm.toFixed(2)} m³` : "";
+    return { cost: plan.cost, basisLabel: t("freight.fclBasis", { mix: `${mixLabel(plan.containers)}${remainder}`, volPct: volPct.toFixed(1), kgPct: kgPct.toFixed(1) }), plan };
+  }
+  return { cost: 0, basisLabel: "" };
+}
+
+/**
+ * Problems with a tier table, as user-facing messages (empty when valid).
+ * Thresholds must strictly ascend so every band covers a non-empty range;
+ * only the last band may be open-ended (Infinity).
+ */
+export function validateTiers(tiers) {
+  const problems = [];
+  if (!tiers.length) return [t("tiers.empty")];
+  tiers.forEach((tier, i) => {
+    const isLast = i === tiers.length - 1;
+    const band = { n: i + 1 };
+    if (tier.threshold === Infinity && !isLast) problems.push(t("tiers.infinityNotLast", band));
+    else if (!Number.isFinite(tier.threshold) && tier.threshold !== Infinity) problems.push(t("tiers.missingLimit", band));
+    else if (tier.threshold <= 0) problems.push(t("tiers.notPositive", band));
+    else if (i > 0 && !(tier.threshold > tiers[i-1].threshold)) problems.push(t("tiers.notAscending", band));
+    if (!Number.isFinite(tier.rate) || tier.rate < 0) problems.push(t("tiers.badRate", band));
+  });
+  return problems;
+}
+
+// LCL price for a volume: minimum m³, tiered rate, fixed fees
+function lclCost(card, volM3) {
+  const cbm = Math.max(volM3, card.lclMinCbm);
+  const { rate, error } = tierRate(card.lclTiers, cbm, "m³");
+  if (error) return { error };
+  return { cost: cbm * rate + card.lclFixedFees, cbm, rate };
+}
+
+// Band whose range covers the value; no fallback, so a malformed or too-short table is reported
+function tierRate(tiers, value, unit) {
+  const problems = validateTiers(tiers);
+  if (problems.length) return { error: problems[0] };
+  const tier = tiers.find(t => value <= t.threshold);
+  if (!tier) return { error: t("tiers.exceeded", { value: formatNumber(value), last: formatNumber(tiers[tiers.length-1].threshold), unit }) };
+  return { rate: tier.rate };
+}
+
+// ==========================
+// Landed cost chain
+// ==========================
+export const unitVolumeM3 = ({ unitLcm, unitWcm, unitHcm }) => (unitLcm/100) * (unitWcm/100) * (unitHcm/100);
+
+export const totalQty = (items) => items.reduce((sum, it) => sum + it.qty, 0);
+
+// Direitos for one SKU: manual %, tabela por origem do produto, ou código HS + origem.
+// Returns { pct, measure, error? } — `measure` says which rate applied.
+export function dutyFor({ ignoreDuty, dutySource, originDutyMap, dutyPct, tariff }, item) {
+  if (ignoreDuty) return { pct: 0, measure: t("duty.ignored") };
+  if (dutySource === "hs") {
+    const { pct, measure, error, invalidRate } = resolveDuty(tariff, item.hsCode, item.productOrigin);
+    // Invalid rates of the entry are reported by the validation, on the tariff field
+    return { pct, measure, error: error && !invalidRate ? `${item.sku}: ${error}` : undefined };
+  }
+  if (dutySource === "origin") {
+    const pct = originDutyMap[item.productOrigin] ?? originDutyMap["Outro"] ?? 0;
+    return { pct, measure: t("duty.byOrigin", { origin: item.productOrigin }) };
+  }
+  return { pct: dutyPct, measure: t("duty.manual") };
+}
+
+// Shares (summing to 1) of each line under the selected allocation key; equal per unit when the key is all zeros
+function allocationShares(lines, key) {
+  const metric = { value: l => l.goodsEUR, weight: l => l.weightKg, volume: l => l.volM3, qty: l => l.qty }[key] ?? (l => l.goodsEUR);
+  const total = lines.reduce((sum, l) => sum + metric(l), 0);
+  if (total > 0) return lines.map(l => metric(l) / total);
+  const units = lines.reduce((sum, l) => sum + l.qty, 0);
+  return lines.map(l => (units > 0 ? l.qty / units : 1 / lines.length));
+}
+
+/**
+ * Full landed-cost breakdown for one shipment of one or more SKUs.
+ * Freight runs once on the combined load. The Incoterm decides which cost legs
+ * the buyer pays on top of the supplier price; those are allocated back to
+ * each SKU by `inputs.allocationKey`.
+ */
+export function computeLandedCost(inputs) {
+  const { fxCustoms, fxPayment, items, incoterm, insurancePct, localOriginTransport, exportClearanceFee, brokerageFee, portTHC, otherFees, vatRecoverable } = inputs;
+  const rule = incotermRule(incoterm);
+  const vat = vatTreatment(inputs);
+  // CP42: exempt at import, the onward intra-EU supply is taxed at destination
+  const vatRate = vat.regime === "cp42" ? 0 : vat.rate;
+  const paid = (leg, amount) => (rule[leg] ? amount : 0);
+  const issues = validateInputs(inputs, { card: rateCardFor(inputs), freightKind: freightKind(inputs.mode), referenceFx: DEFAULT_FX });
+
+  // Convert supplier prices to EUR, per line: what we pay, and what customs counts
+  const missingFx = new Set();
+  const rateOf = (set, currency) => {
+    const rate = set.rates[currency];
+    if (Number.isFinite(rate) && rate > 0) return rate;
+    // Present but invalid rates are reported by the validation
+    if (!(currency in set.rates)) missingFx.add(currency);
+    return 0;
+  };
+  // Shipping volume/weight come from the packing (loose units, cartons or pallets)
+  const lines = items.map(it => {
+    const pack = packLine(it, inputs.packing);
+    return {
+      item: it,
+      qty: pack.qty,
+      pack,
+      goodsEUR: (it.unitPrice * pack.qty) * rateOf(fxPayment, it.currency),
+      goodsCustomsEUR: (it.unitPrice * pack.qty) * rateOf(fxCustoms, it.currency),
+      weightKg: pack.weightKg,
+      volM3: pack.volM3,
+    };
+  });
+  const qty = lines.reduce((sum, l) => sum + l.qty, 0);
+  const goodsEUR = lines.reduce((sum, l) => sum + l.goodsEUR, 0);
+  const goodsCustomsEUR = lines.reduce((sum, l) => sum + l.goodsCustomsEUR, 0);
+  const totalWeightKg = lines.reduce((sum, l) => sum + l.weightKg, 0);
+  const totalVolumeM3 = lines.reduce((sum, l) => sum + l.volM3, 0);
+
+  const express = isExpressMode(inputs.mode);
+  const oversize = express ? oversizePieces(lines, inputs.packing, inputs.express) : 0;
+  const freight = calcFreight(inputs, { volM3: totalVolumeM3, kg: totalWeightKg, oversize });
+
+  // Buyer-paid legs; legs the supplier pays are already inside the goods price
+  const originEUR = paid("originPickup", localOriginTransport);
+  const exportEUR = paid("exportClearance", exportClearanceFee);
+  const freightEUR = paid("mainFreight", freight.cost);
+  // Insurance on (goods + freight), when the buyer insures the cargo
+  const insuranceEUR = paid("insurance", (goodsEUR + freight.cost) * (insurancePct / 100));
+  const thcEUR = paid("destinationCharges", portTHC);
+  const otherEUR = paid("destinationCharges", otherFees);
+  const importByBuyer = rule.importDuties; // false only for DDP (supplier is importer of record)
+  const brokerageEUR = importByBuyer ? brokerageFee : 0;
+
+  // After the port: delivery to our warehouse is a destination leg (the supplier's
+  // under DAP/DDP); storage, demurrage and inspection follow the import clearance
+  const { destination } = inputs;
+  const destLines = destinationCosts(destination, { volM3: totalVolumeM3, kg: totalWeightKg, containers: freight.plan?.total ?? 0 })
+    .map(l => ({ ...l, cost: l.key === "inland" ? paid("destinationCharges", l.cost) : (importByBuyer ? l.cost : 0) }))
+    .filter(l => l.cost > 0);
+  const destEUR = (key) => destLines.find(l => l.key === key)?.cost ?? 0;
+  const destVatEUR = destLines.filter(l => l.inVatBase).reduce((sum, l) => sum + l.cost, 0);
+  const destOtherEUR = destLines.filter(l => !l.inVatBase).reduce((sum, l) => sum + l.cost, 0);
+  const deferralPct = importByBuyer && destination.dutyDeferment ? destination.deferralGuaranteePct : 0;
+
+  // Costs to reach the EU border enter the customs value; the rest only the VAT base (when flagged)
+  const toBorderEUR = originEUR + exportEUR + freightEUR + insuranceEUR;
+  const afterBorderEUR = thcEUR + otherEUR + brokerageEUR + destVatEUR;
+
+  // Low-value consignment: no duty on any line, VAT unchanged
+  const lowValueRelief = importByBuyer && !inputs.ignoreDuty && goodsCustomsEUR > 0 && goodsCustomsEUR <= LOW_VALUE_RELIEF_EUR;
+
+  const shares = allocationShares(lines, inputs.allocationKey);
+  const skuCosts = lines.map((l, i) => {
+    const share = shares[i];
+    // Customs value: preço (à taxa aduaneira) + custos até à fronteira UE pagos pelo comprador
+    const customsBase = l.goodsCustomsEUR + toBorderEUR * share;
+    const duty = !importByBuyer ? { pct: 0, measure: t("duty.supplierPaid") }
+      : lowValueRelief ? { pct: 0, measure: t("duty.lowValue", { limit: LOW_VALUE_RELIEF_EUR }) }
+      : dutyFor(inputs, l.item);
+    const dutyPct = duty.pct;
+    const dutyEUR = customsBase * (dutyPct / 100);
+    // IVA incide sobre: base aduaneira + direitos + (taxas elegíveis)
+    const vatEUR = importByBuyer ? (customsBase + dutyEUR + afterBorderEUR * share) * (vatRate / 100) : 0;
+    // Deferred payment: the guarantee costs a % of the duty and customs VAT it covers
+    const deferralEUR = (dutyEUR + (vat.regime === "customs" ? vatEUR : 0)) * (deferralPct / 100);
+    const sharedCostsEUR = (toBorderEUR + afterBorderEUR + destOtherEUR) * share + deferralEUR;
+    const landed = l.goodsEUR + sharedCostsEUR + dutyEUR + (vatRecoverable ? 0 : vatEUR);
+    return {
+      id: l.item.id,
+      sku: l.item.sku,
+      productOrigin: l.item.productOrigin,
+      qty: l.qty,
+      cartons: l.pack.cartons,
+      pallets: l.pack.pallets,
+      packingBasis: l.pack.basis,
+      share,
+      goodsEUR: l.goodsEUR,
+      sharedCostsEUR,
+      customsBase,
+      dutyPct,
+      dutyMeasure: duty.measure,
+      dutyError: duty.error,
+      dutyEUR,
+      vatEUR,
+      deferralEUR,
+      landed,
+      unitLanded: landed / (l.qty || 1),
+    };
+  });
+
+  // Express: the courier pays duty and customs VAT for us and bills a fee for it,
+  // split across SKUs by the amount advanced for each
+  const advanced = (s) => s.dutyEUR + (vat.regime === "customs" ? s.vatEUR : 0);
+  const advancedEUR = skuCosts.reduce((sum, s) => sum + advanced(s), 0);
+  const disbursementEUR = express && importByBuyer ? disbursementFee(inputs.express, advancedEUR) : 0;
+
+  // Working capital: what each payment costs to finance until the goods are sold, split like the other shared costs
+  const financing = financingCost(inputs, transitDaysFor(inputs), {
+    goodsEUR,
+    toBorderEUR,
+    clearanceEUR: thcEUR + otherEUR + brokerageEUR + destVatEUR + destOtherEUR + disbursementEUR
+      + skuCosts.reduce((sum, s) => sum + s.dutyEUR + s.deferralEUR, 0),
+    vatEUR: skuCosts.reduce((sum, s) => sum + s.vatEUR, 0),
+    vatRegime: vat.regime,
+  });
+
+  const perSku = skuCosts.map(s => {
+    const fee = disbursementEUR > 0 ? disbursementEUR * (advanced(s) / advancedEUR) : 0;
+    const financingEUR = financing.costEUR * s.share;
+    const landed = s.landed + fee + financingEUR;
+    return { ...s, disbursementEUR: fee, financingEUR, sharedCostsEUR: s.sharedCostsEUR + fee + financingEUR, landed, unitLanded: landed / (s.qty || 1) };
+  });
+
+  const customsBase = perSku.reduce((sum, s) => sum + s.customsBase, 0);
+  const dutyEUR = perSku.reduce((sum, s) => sum + s.dutyEUR, 0);
+  const dutyPctEff = customsBase > 0 ? (dutyEUR / customsBase) * 100 : 0;
+
+  const vatBase = importByBuyer ? customsBase + dutyEUR + afterBorderEUR : 0;
+  const vatEUR = vatBase * (vatRate / 100);
+  const deferralEUR = perSku.reduce((sum, s) => sum + s.deferralEUR, 0);
+
+  // Landed cost (excl. VAT if recoverable)
+  const landedExVAT = goodsEUR + toBorderEUR + afterBorderEUR + destOtherEUR + deferralEUR + disbursementEUR + financing.costEUR + dutyEUR;
+  const landedInclVAT = landedExVAT + (vatRecoverable ? 0 : vatEUR);
+  const unitLanded = landedInclVAT / (qty || 1);
+
+  // Which legs the buyer pays under this Incoterm, with their cost to us
+  const legCost = {
+    originPickup: originEUR,
+    exportClearance: exportEUR,
+    mainFreight: freightEUR,
+    insurance: insuranceEUR,
+    destinationCharges: thcEUR + otherEUR + destEUR("inland"),
+    importDuties: brokerageEUR + destEUR("storage") + destEUR("demurrage") + destEUR("inspection") + deferralEUR + disbursementEUR + dutyEUR + (vatRecoverable ? 0 : vatEUR),
+  };
+  const legs = INCOTERM_LEGS.map(l => ({ ...l, label: legLabel(l.key), buyerPays: rule[l.key], costEUR: legCost[l.key] }));
+
+  // Cost composition (VAT only when it stays in the cost)
+  const composition = [
+    { key: "goods", name: t("composition.goods", { incoterm }), value: goodsEUR },
+    { key: "localOrigin", name: t("composition.localOrigin"), value: originEUR },
+    { key: "exportClearance", name: t("composition.exportClearance"), value: exportEUR },
+    { key: "freight", name: t("composition.freight", { origin: originLabel(inputs.shipOrigin) }), value: freightEUR },
+    { key: "insurance", name: t("composition.insurance"), value: insuranceEUR },
+    { key: "duty", name: t("composition.duty"), value: dutyEUR },
+    { key: "brokerage", name: t("composition.brokerage"), value: brokerageEUR },
+    { key: "portTHC", name: t("composition.portTHC"), value: thcEUR },
+    { key: "otherFees", name: t("composition.otherFees"), value: otherEUR },
+    ...destLines.map(l => ({ key: l.key, name: l.label, value: l.cost })),
+    { key: "deferral", name: t("composition.deferral"), value: deferralEUR },
+    { key: "disbursement", name: t("composition.disbursement"), value: disbursementEUR },
+    { key: "financing", name: t("composition.financing"), value: financing.costEUR },
+    { key: "vat", name: t("composition.vat"), value: vatRecoverable ? 0 : vatEUR },
+  ].filter(x => x.value > 0);
+
+  return {
+    errors: [
+      ...issues.filter(i => i.level === "error").map(i => i.message),
+      vat.error,
+      ...[...missingFx].map(c => t("fx.missingRate", { currency: c })),
+      ...lines.map(l => l.pack.error),
+      freight.error,
+      ...perSku.map(s => s.dutyError),
+    ].filter(Boolean),
+    warnings: issues.filter(i => i.level === "warning").map(i => i.message),
+    issues,
+    qty,
+    totalVolumeM3,
+    totalWeightKg,
+    totalCartons: lines.reduce((sum, l) => sum + l.pack.cartons, 0),
+    totalPallets: lines.reduce((sum, l) => sum + l.pack.pallets, 0),
+    goodsEUR,
+    goodsCustomsEUR,
+    freight,
+    freightPaidEUR: freightEUR,
+    insuranceEUR,
+    customsBase,
+    effectiveDutyPct: dutyPctEff,
+    dutyEUR,
+    vatBase,
+    vatEUR,
+    vatRegime: vat.regime,
+    vatRate: vat.rate,
+    vatLabel: vat.label,
+    destination: destLines,
+    deferralEUR,
+    disbursementEUR,
+    financing,
+    financingEUR: financing.costEUR,
+    lowValueRelief,
+    landedExVAT,
+    landedInclVAT,
+    unitLanded,
+    legs,
+    perSku,
+    composition,
+  };
+}
+
+// The same shipment run through every transport mode (for side-by-side comparison)
+export const compareModes = (inputs) => MODES.map(mode => ({ key: mode, label: modeLabel(mode), result: computeLandedCost({ ...inputs, mode }) }));
+
+// Same shipment with every line scaled so the total unit count is ~q (SKU mix kept)
+export function withTotalQty(inputs, q) {
+  const current = totalQty(inputs.items);
+  if (!current) return inputs;
+  const factor = q / current;
+  return { ...inputs, items: inputs.items.map(it => ({ ...it, qty: Math.max(1, Math.round(it.qty * factor)) })) };
+}
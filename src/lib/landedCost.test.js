@@ -0,0 +1,218 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS, DEFAULT_RATE_CARD, DEFAULT_FX_SET, calcFreight, computeLandedCost } from "./landedCost.js";
+
+// Route card with round numbers so every expected value can be worked out by hand
+const CARD = {
+  ...DEFAULT_RATE_CARD,
+  airTiers: [{ threshold: 100, rate: 5 }, { threshold: Infinity, rate: 4 }],
+  airVolFactor: 167,
+  airMinChargeKg: 45,
+  airFixedFees: 60,
+  lclTiers: [{ threshold: 5, rate: 80 }, { threshold: Infinity, rate: 60 }],
+  lclMinCbm: 1,
+  lclFixedFees: 120,
+  fcl20Price: 1800,
+  fclFixedFees: 300,
+};
+
+const FX = { ...DEFAULT_FX_SET, rates: { EUR: 1, USD: 0.9 } };
+
+// 100 units × 10 USD at 0.9 = 900 EUR; 1 kg and 10×10×10 cm each → 100 kg, 0.1 m³
+const ITEM = { ...DEFAULT_INPUTS.items[0], qty: 100, unitPrice: 10, currency: "USD", unitWeightKg: 1, unitLcm: 10, unitWcm: 10, unitHcm: 10 };
+
+const inputs = (overrides = {}) => ({
+  ...DEFAULT_INPUTS,
+  shipOrigin: "China",
+  mode: "Aéreo (Carga)",
+  incoterm: "EXW",
+  items: [ITEM],
+  fxCustoms: FX,
+  fxPayment: FX,
+  rateCards: { ...DEFAULT_INPUTS.rateCards, China: CARD },
+  insurancePct: 1,
+  brokerageFee: 120,
+  portTHC: 150,
+  otherFees: 50,
+  localOriginTransport: 40,
+  exportClearanceFee: 30,
+  dutySource: "manual",
+  ignoreDuty: false,
+  dutyPct: 5,
+  vatRegime: "customs",
+  vatRateKind: "standard",
+  ...overrides,
+});
+
+describe("calcFreight", () => {
+  describe("air", () => {
+    const air = inputs({ mode: "Aéreo (Carga)" });
+
+    it("charges the actual weight when it is the largest", () => {
+      // 100 kg chargeable, first band (≤ 100) at 5 → 500 + 60 fixed
+      expect(calcFreight(air, { volM3: 0.1, kg: 100 }).cost).toBeCloseTo(560, 6);
+    });
+
+    it("charges the volumetric weight when it is the largest", () => {
+      // 1 m³ × 167 = 167 kg, second band at 4 → 668 + 60
+      expect(calcFreight(air, { volM3: 1, kg: 50 }).cost).toBeCloseTo(728, 6);
+    });
+
+    it("charges the minimum weight on small loads", () => {
+      // 45 kg minimum at 5 → 225 + 60
+      expect(calcFreight(air, { volM3: 0.01, kg: 10 }).cost).toBeCloseTo(285, 6);
+    });
+
+    it("reports an error when the load is over the last band", () => {
+      const closed = inputs({ rateCards: { ...DEFAULT_INPUTS.rateCards, China: { ...CARD, airTiers: [{ threshold: 100, rate: 5 }] } } });
+      const freight = calcFreight(closed, { volM3: 0.1, kg: 150 });
+      expect(freight.error).toBeTruthy();
+      expect(freight.cost).toBe(0);
+    });
+  });
+
+  it("prices with the card of the shipping origin and falls back to the Outro card", () => {
+    const cards = { China: CARD, Outro: { ...CARD, airFixedFees: 100 } };
+    expect(calcFreight(inputs({ rateCards: cards }), { volM3: 0.1, kg: 100 }).cost).toBeCloseTo(560, 6);
+    expect(calcFreight(inputs({ rateCards: cards, shipOrigin: "Brasil" }), { volM3: 0.1, kg: 100 }).cost).toBeCloseTo(600, 6);
+  });
+
+  describe("LCL", () => {
+    const lcl = inputs({ mode: "Marítimo LCL" });
+
+    it("charges the minimum m³ on small loads", () => {
+      // max(0.5, 1) m³ at 80 → 80 + 120 fixed
+      expect(calcFreight(lcl, { volM3: 0.5, kg: 100 }).cost).toBeCloseTo(200, 6);
+    });
+
+    it("prices the volume at the rate of its band", () => {
+      // 8 m³ in the second band at 60 → 480 + 120
+      expect(calcFreight(lcl, { volM3: 8, kg: 1000 }).cost).toBeCloseTo(600, 6);
+    });
+  });
+
+  describe("FCL", () => {
+    const fcl = inputs({ mode: "Marítimo FCL 20'" });
+
+    it("charges one container and the fixed fees when the load fits", () => {
+      const freight = calcFreight(fcl, { volM3: 10, kg: 2000 });
+      expect(freight.cost).toBeCloseTo(2100, 6);
+      expect(freight.plan.containers).toEqual([{ type: "20'", count: 1 }]);
+    });
+
+    it("adds containers once the usable volume is full", () => {
+      // 20' usable at 85% fill = 28.22 m³, so 40 m³ takes two
+      const freight = calcFreight(fcl, { volM3: 40, kg: 4000 });
+      expect(freight.cost).toBeCloseTo(3900, 6);
+      expect(freight.plan.containers).toEqual([{ type: "20'", count: 2 }]);
+    });
+  });
+});
+
+// Air freight for the test load is 560 and insurance (900 + 560) × 1% = 14.6.
+// VAT base adds brokerage, THC and other fees (320) after the border; VAT is PT standard 23%.
+describe("customs value, duty and VAT base by Incoterm", () => {
+  const run = (incoterm) => computeLandedCost(inputs({ incoterm }));
+
+  it("EXW: every leg up to the border enters the customs value", () => {
+    const r = run("EXW");
+    const customsBase = 900 + 40 + 30 + 560 + 14.6;
+    expect(r.customsBase).toBeCloseTo(customsBase, 6);
+    expect(r.dutyEUR).toBeCloseTo(customsBase * 0.05, 6);
+    expect(r.vatBase).toBeCloseTo(customsBase * 1.05 + 320, 6);
+    expect(r.vatEUR).toBeCloseTo((customsBase * 1.05 + 320) * 0.23, 6);
+  });
+
+  it("FOB: origin transport and export clearance are the supplier's", () => {
+    const r = run("FOB");
+    const customsBase = 900 + 560 + 14.6;
+    expect(r.customsBase).toBeCloseTo(customsBase, 6);
+    expect(r.dutyEUR).toBeCloseTo(customsBase * 0.05, 6);
+    expect(r.vatBase).toBeCloseTo(customsBase * 1.05 + 320, 6);
+  });
+
+  it("CIF: the supplier pays up to the border, local origin transport included", () => {
+    const r = run("CIF");
+    expect(r.customsBase).toBeCloseTo(900, 6);
+    expect(r.dutyEUR).toBeCloseTo(45, 6);
+    expect(r.vatBase).toBeCloseTo(900 + 45 + 320, 6);
+  });
+
+  it("CIF: local origin transport does not change the customs value", () => {
+    const without = computeLandedCost(inputs({ incoterm: "CIF", localOriginTransport: 0 }));
+    const withTransport = computeLandedCost(inputs({ incoterm: "CIF", localOriginTransport: 500 }));
+    expect(withTransport.customsBase).toBeCloseTo(without.customsBase, 6);
+    expect(withTransport.dutyEUR).toBeCloseTo(without.dutyEUR, 6);
+    expect(withTransport.vatBase).toBeCloseTo(without.vatBase, 6);
+  });
+});
+
+describe("duty and VAT options", () => {
+  it("values the goods at the customs rate for duty and at the payment rate for the cost", () => {
+    const r = computeLandedCost(inputs({ incoterm: "CIF", fxCustoms: { ...FX, rates: { EUR: 1, USD: 1 } } }));
+    expect(r.goodsEUR).toBeCloseTo(900, 6);
+    expect(r.customsBase).toBeCloseTo(1000, 6);
+  });
+
+  it("leaves recoverable VAT out of the landed cost", () => {
+    const recoverable = computeLandedCost(inputs());
+    const kept = computeLandedCost(inputs({ vatRecoverable: false }));
+    expect(recoverable.landedInclVAT).toBeCloseTo(recoverable.landedExVAT, 6);
+    expect(kept.landedInclVAT).toBeCloseTo(kept.landedExVAT + kept.vatEUR, 6);
+  });
+
+  it("takes the rate from the product-origin table", () => {
+    const r = computeLandedCost(inputs({ dutySource: "origin", originDutyMap: { China: 10, Outro: 2 } }));
+    expect(r.effectiveDutyPct).toBeCloseTo(10, 6);
+    expect(computeLandedCost(inputs({ ignoreDuty: true })).dutyEUR).toBe(0);
+  });
+
+  it("takes the rate from the HS tariff, with additional duties for the origin", () => {
+    const tariff = [{ code: "8471", description: "", thirdCountry: 2, preferential: {}, additional: { China: 3 } }];
+    const r = computeLandedCost(inputs({ dutySource: "hs", tariff, items: [{ ...ITEM, hsCode: "84716070" }] }));
+    expect(r.errors).toEqual([]);
+    expect(r.effectiveDutyPct).toBeCloseTo(5, 6);
+  });
+
+  it("blocks the result when the HS tariff has an invalid rate for the origin", () => {
+    const tariff = [{ code: "8471", description: "", thirdCountry: 2, preferential: {}, additional: { China: NaN } }];
+    const r = computeLandedCost(inputs({ dutySource: "hs", tariff, items: [{ ...ITEM, hsCode: "84716070" }] }));
+    expect(r.errors).toHaveLength(1);
+    expect(r.issues.find(i => i.level === "error").path).toBe("tariff.0.additional.China");
+  });
+});
+
+describe("multi-SKU allocation", () => {
+  // Same load as ITEM split in two lines of 60 and 40 units
+  const split = inputs({ items: [{ ...ITEM, qty: 60 }, { ...ITEM, id: 2, sku: "B", qty: 40 }] });
+
+  it("runs freight once on the consolidated load", () => {
+    expect(computeLandedCost(split).freight.cost).toBeCloseTo(560, 6);
+  });
+
+  it("splits shared costs by value and adds up to the shipment total", () => {
+    const r = computeLandedCost(split);
+    expect(r.perSku[0].share).toBeCloseTo(0.6, 6);
+    expect(r.perSku[0].landed + r.perSku[1].landed).toBeCloseTo(r.landedInclVAT, 6);
+  });
+});
+
+describe("financing timeline", () => {
+  it("does not depend on today's date when no clearance date is set", () => {
+    const r = computeLandedCost(inputs({ clearanceDate: "" }));
+    expect(r.financing.clearanceDate).toBeNull();
+    expect(r.financing.payments.every(p => p.date === null)).toBe(true);
+    // Import VAT paid at clearance, deducted after the average monthly return delay
+    const vat = r.financing.payments.find(p => p.key === "vat");
+    expect(vat.day).toBe(r.financing.clearanceDay);
+    expect(vat.heldDays).toBe(71);
+  });
+
+  it("dates the payments from the expected clearance date", () => {
+    const r = computeLandedCost(inputs({ clearanceDate: "2025-03-10" }));
+    expect(r.financing.clearanceDate).toBe("2025-03-10");
+    const vat = r.financing.payments.find(p => p.key === "vat");
+    expect(vat.date).toBe("2025-03-10");
+    // Deducted in the March return, due 25 May
+    expect(vat.heldDays).toBe(76);
+  });
+});
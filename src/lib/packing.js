@@ -0,0 +1,81 @@
+import { t } from "./i18n.js";
+
+// ==========================
+// Packing: loose units, master cartons and pallets
+// ==========================
+// Each SKU ships loose (unit dimensions × qty) or in master cartons when
+// unitsPerCarton > 0. Cartons can be stacked on pallets (one SKU per pallet).
+export const DEFAULT_PACKING = {
+  roundToCartons: false, // comprar só caixas completas (arredonda a quantidade)
+  palletize: false,
+  palletLcm: 120, // EUR 120×80; ISO 120×100
+  palletWcm: 80,
+  palletMaxHcm: 160, // altura máxima com a palete
+  palletDeckHcm: 15, // altura da própria palete
+  palletKg: 25,
+};
+
+export const isCartonPacked = (item) => (item.unitsPerCarton ?? 0) > 0;
+
+// Units bought: rounded up to whole cartons when the option is on
+export const orderQty = (item, packing) => (
+  packing.roundToCartons && isCartonPacked(item) ? Math.ceil(item.qty / item.unitsPerCarton) * item.unitsPerCarton : item.qty
+);
+
+const cm3ToM3 = (l, w, h) => (l / 100) * (w / 100) * (h / 100);
+
+// Cartons per pallet layer, trying both orientations on the deck
+const cartonsPerLayer = (item, p) => Math.max(
+  Math.floor(p.palletLcm / item.cartonLcm) * Math.floor(p.palletWcm / item.cartonWcm),
+  Math.floor(p.palletLcm / item.cartonWcm) * Math.floor(p.palletWcm / item.cartonLcm),
+);
+
+/**
+ * Shipping volume and gross weight of one line.
+ * Returns { qty, cartons, pallets, volM3, weightKg, basis, error? }.
+ */
+export function packLine(item, packing) {
+  const qty = orderQty(item, packing);
+  if (!isCartonPacked(item)) {
+    return {
+      qty,
+      cartons: 0,
+      pallets: 0,
+      volM3: cm3ToM3(item.unitLcm, item.unitWcm, item.unitHcm) * qty,
+      weightKg: item.unitWeightKg * qty,
+      basis: t("packing.loose"),
+    };
+  }
+
+  // A partly filled last carton still ships as a whole carton
+  const cartons = Math.ceil(qty / item.unitsPerCarton);
+  const cartonVolM3 = cm3ToM3(item.cartonLcm, item.cartonWcm, item.cartonHcm);
+  const cartonsWeightKg = cartons * item.cartonKg;
+  if (!packing.palletize) {
+    return { qty, cartons, pallets: 0, volM3: cartons * cartonVolM3, weightKg: cartonsWeightKg, basis: t("packing.cartons", { cartons, perCarton: item.unitsPerCarton }) };
+  }
+
+  const perLayer = cartonsPerLayer(item, packing);
+  const layers = Math.floor((packing.palletMaxHcm - packing.palletDeckHcm) / item.cartonHcm);
+  if (perLayer < 1 || layers < 1) {
+    return {
+      qty, cartons, pallets: 0, volM3: cartons * cartonVolM3, weightKg: cartonsWeightKg, basis: "",
+      error: t("packing.cartonTooBig", { sku: item.sku, carton: `${item.cartonLcm}×${item.cartonWcm}×${item.cartonHcm}`, pallet: `${packing.palletLcm}×${packing.palletWcm}`, maxH: packing.palletMaxHcm }),
+    };
+  }
+  const perPallet = perLayer * layers;
+  const pallets = Math.ceil(cartons / perPallet);
+  // Full pallets stack every layer; the last one only as high as its cartons need
+  const lastLayers = Math.ceil((cartons - (pallets - 1) * perPallet) / perLayer);
+  const palletHeight = (l) => packing.palletDeckHcm + l * item.cartonHcm;
+  const footprint = cm3ToM3(packing.palletLcm, packing.palletWcm, 1);
+  const volM3 = footprint * ((pallets - 1) * palletHeight(layers) + palletHeight(lastLayers));
+  return {
+    qty,
+    cartons,
+    pallets,
+    volM3,
+    weightKg: cartonsWeightKg + pallets * packing.palletKg,
+    basis: t("packing.pallets", { cartons, pallets, perPallet }),
+  };
+}
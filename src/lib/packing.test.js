@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_PACKING, orderQty, packLine } from "./packing.js";
+
+// 12 per 40×30×25 cm carton of 8 kg; on a 120×80 pallet (145 cm usable) that is
+// 8 cartons per layer (turned 30×40) × 5 layers = 40 per pallet
+const ITEM = { sku: "SCN-1", qty: 1000, unitLcm: 10, unitWcm: 10, unitHcm: 10, unitWeightKg: 1, unitsPerCarton: 12, cartonLcm: 40, cartonWcm: 30, cartonHcm: 25, cartonKg: 8 };
+const PALLETS = { ...DEFAULT_PACKING, palletize: true };
+
+describe("packLine", () => {
+  it("ships loose units by their own dimensions and weight", () => {
+    const line = packLine({ ...ITEM, qty: 100, unitsPerCarton: 0 }, DEFAULT_PACKING);
+    expect(line).toMatchObject({ qty: 100, cartons: 0, pallets: 0, weightKg: 100 });
+    expect(line.volM3).toBeCloseTo(0.1, 9);
+  });
+
+  it("counts a partly filled last carton in full", () => {
+    const line = packLine(ITEM, DEFAULT_PACKING);
+    expect(line.cartons).toBe(84); // 83 full + 1 with 4 units
+    expect(line.volM3).toBeCloseTo(84 * 0.03, 9);
+    expect(line.weightKg).toBe(84 * 8);
+  });
+
+  it("rounds the order up to whole cartons when asked", () => {
+    expect(orderQty(ITEM, { ...DEFAULT_PACKING, roundToCartons: true })).toBe(1008);
+    expect(orderQty(ITEM, DEFAULT_PACKING)).toBe(1000);
+  });
+
+  it("never loads a pallet beyond its layers and cartons per layer", () => {
+    const line = packLine(ITEM, PALLETS);
+    expect(line.pallets).toBe(3);
+    expect(line.pallets * 40).toBeGreaterThanOrEqual(line.cartons);
+    expect((line.pallets - 1) * 40).toBeLessThan(line.cartons);
+    expect(line.weightKg).toBe(84 * 8 + 3 * 25);
+    // Two full pallets of 15 + 5×25 cm and a last one with a single layer: 15 + 25 cm
+    expect(line.volM3).toBeCloseTo(1.2 * 0.8 * (2 * 1.4 + 0.4), 9);
+  });
+
+  it("reports a carton that does not fit the pallet", () => {
+    const line = packLine({ ...ITEM, cartonLcm: 130, cartonWcm: 90 }, PALLETS);
+    expect(line.error).toMatch(/SCN-1/);
+    expect(line.pallets).toBe(0);
+  });
+});
@@ -0,0 +1,50 @@
+import { MODES, computeLandedCost, withTotalQty } from "./landedCost.js";
+
+// ==========================
+// Order planning: order size, shipments per year and mode for an annual demand
+// ==========================
+// Every candidate order (the current SKU mix scaled to Q units) runs through the
+// whole chain, so tiered freight, container steps and the per-shipment fees
+// (brokerage, THC, other fees, freight fixed fees) count as they really do.
+//   annual cost = demand × landed unit cost at Q
+//               + holding % × average stock value (Q/2 × unit cost)
+//               + space €/m³ × shipping volume of one order (the warehouse takes a full order on arrival)
+// Financing stops at clearance here (salesDays 0): time on the shelf is the holding cost.
+
+// Candidate shipment frequencies per year (order size = demand / shipments)
+export const SHIPMENTS_PER_YEAR = [1, 2, 3, 4, 5, 6, 8, 10, 12, 16, 20, 26, 39, 52];
+
+/**
+ * Annual cost of one order size under one mode, or null when the chain has errors.
+ * Returns { mode, shipments, qty, unitLanded, landedEUR, holdingEUR, spaceEUR, totalEUR }.
+ */
+export function annualCost(inputs, mode, shipments) {
+  const { annualDemand, holdingPct, spaceCostPerM3 } = inputs.planning;
+  const order = withTotalQty({ ...inputs, mode, financing: { ...inputs.financing, salesDays: 0 } }, Math.ceil(annualDemand / shipments));
+  const r = computeLandedCost(order);
+  if (r.errors.length) return null;
+  const landedEUR = annualDemand * r.unitLanded;
+  const holdingEUR = (holdingPct / 100) * (r.qty / 2) * r.unitLanded;
+  const spaceEUR = spaceCostPerM3 * r.totalVolumeM3;
+  return { mode, shipments, qty: r.qty, unitLanded: r.unitLanded, landedEUR, holdingEUR, spaceEUR, totalEUR: landedEUR + holdingEUR + spaceEUR };
+}
+
+/**
+ * Every mode × shipment frequency (frequencies whose order would be under one unit are dropped).
+ * Returns { points: [{ qty, shipments, [mode]: totalEUR|null }], byMode: { [mode]: cheapest option|null }, best }.
+ */
+export function planOrders(inputs) {
+  const frequencies = SHIPMENTS_PER_YEAR.filter(n => n <= inputs.planning.annualDemand);
+  const options = MODES.map(mode => frequencies.map(n => annualCost(inputs, mode, n)));
+
+  // Scaling rounds each SKU line, so the order size is taken from a computed option when there is one
+  const points = frequencies.map((shipments, i) => ({
+    shipments,
+    qty: options.find(list => list[i])?.[i].qty ?? Math.ceil(inputs.planning.annualDemand / shipments),
+    ...Object.fromEntries(MODES.map((mode, m) => [mode, options[m][i]?.totalEUR ?? null])),
+  })).reverse();
+
+  const cheapest = (list) => list.reduce((best, o) => (o && (!best || o.totalEUR < best.totalEUR) ? o : best), null);
+  const byMode = Object.fromEntries(MODES.map((mode, m) => [mode, cheapest(options[m])]));
+  return { points, byMode, best: cheapest(Object.values(byMode)) };
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS, DEFAULT_RATE_CARD, DEFAULT_FX_SET } from "./landedCost.js";
+import { annualCost, planOrders, SHIPMENTS_PER_YEAR } from "./planning.js";
+
+// Flat air rate and no duty: the landed unit cost is c + S/Q, with S the per-shipment fees
+const CARD = { ...DEFAULT_RATE_CARD, airTiers: [{ threshold: Infinity, rate: 4 }], airMinChargeKg: 0, airFixedFees: 60 };
+const FX = { ...DEFAULT_FX_SET, rates: { EUR: 1 } };
+const ITEM = { ...DEFAULT_INPUTS.items[0], qty: 100, unitPrice: 10, currency: "EUR", unitWeightKg: 1, unitLcm: 10, unitWcm: 10, unitHcm: 10, unitsPerCarton: 0 };
+const MODE = "Aéreo (Carga)";
+
+const inputs = (planning = {}) => ({
+  ...DEFAULT_INPUTS,
+  shipOrigin: "China",
+  mode: MODE,
+  incoterm: "EXW",
+  items: [ITEM],
+  fxCustoms: FX,
+  fxPayment: FX,
+  rateCards: { ...DEFAULT_INPUTS.rateCards, China: CARD },
+  insurancePct: 0,
+  brokerageFee: 120,
+  portTHC: 0,
+  otherFees: 20,
+  localOriginTransport: 0,
+  exportClearanceFee: 0,
+  dutySource: "manual",
+  ignoreDuty: true,
+  planning: { annualDemand: 2000, holdingPct: 20, spaceCostPerM3: 0, ...planning },
+});
+
+// c and S read off two order sizes
+function unitCostModel(base) {
+  const a = annualCost(base, MODE, 1);
+  const b = annualCost(base, MODE, 20);
+  const S = (a.unitLanded - b.unitLanded) / (1 / a.qty - 1 / b.qty);
+  return { c: a.unitLanded - S / a.qty, S };
+}
+
+describe("annualCost", () => {
+  it("adds holding on half an order and space for a whole one", () => {
+    const base = inputs({ spaceCostPerM3: 60 });
+    const o = annualCost(base, MODE, 4);
+    expect(o.qty).toBe(500);
+    expect(o.landedEUR).toBeCloseTo(2000 * o.unitLanded, 6);
+    expect(o.holdingEUR).toBeCloseTo(0.2 * 250 * o.unitLanded, 6);
+    expect(o.spaceEUR).toBeCloseTo(60 * 0.5, 6); // 500 × 0.001 m³
+    expect(o.totalEUR).toBeCloseTo(o.landedEUR + o.holdingEUR + o.spaceEUR, 6);
+  });
+});
+
+describe("planOrders", () => {
+  it("picks the order size next to the economic order quantity", () => {
+    [500, 2000, 20000].forEach(annualDemand => {
+      const base = inputs({ annualDemand });
+      const { c, S } = unitCostModel(base);
+      expect(S).toBeCloseTo(200, -1); // air fixed fees + brokerage + other fees, plus a little financing on them
+      // EOQ = √(2·D·S / (h·c)); the best frequency brackets D / EOQ
+      const eoqShipments = annualDemand / Math.sqrt((2 * annualDemand * S) / (0.2 * c));
+      const lower = SHIPMENTS_PER_YEAR.filter(n => n <= eoqShipments).pop();
+      const upper = SHIPMENTS_PER_YEAR.find(n => n >= eoqShipments);
+      const best = planOrders(base).byMode[MODE];
+      expect([lower, upper]).toContain(best.shipments);
+    });
+  });
+
+  it("orders more often as holding gets dearer", () => {
+    const cheap = planOrders(inputs({ holdingPct: 5 })).byMode[MODE];
+    const dear = planOrders(inputs({ holdingPct: 80 })).byMode[MODE];
+    expect(dear.shipments).toBeGreaterThan(cheap.shipments);
+  });
+});
@@ -0,0 +1,105 @@
+import { computeLandedCost } from "./landedCost.js";
+import { formatMoney } from "./format.js";
+import { t } from "./i18n.js";
+
+// ==========================
+// Resale pricing on top of the landed unit cost
+// ==========================
+// List price P (EUR, excl. VAT) → distributor discount d → net price P·(1−d)
+// → channel fee f on the net price → revenue we keep R = P·(1−d)·(1−f).
+//   margin = (R − cost) / R        markup = (R − cost) / cost
+// Labels: pricing.basis.<id>
+export const PRICING_BASES = ["margin", "markup"];
+
+const keptShare = ({ channelFeePct, distributorDiscountPct }) => (1 - distributorDiscountPct / 100) * (1 - channelFeePct / 100);
+
+// Revenue needed per unit so that `cost` meets the target margin or markup
+function revenueFor(cost, { basis, targetPct }) {
+  if (basis === "markup") return cost * (1 + targetPct / 100);
+  return targetPct < 100 ? cost / (1 - targetPct / 100) : Infinity;
+}
+
+// Highest cost per unit that still meets the target at revenue R
+function maxCostFor(revenue, { basis, targetPct }) {
+  return basis === "markup" ? revenue / (1 + targetPct / 100) : revenue * (1 - targetPct / 100);
+}
+
+/**
+ * Everything between a list price and the landed cost of one unit.
+ */
+export function priceBreakdown(listPrice, cost, pricing) {
+  const discount = listPrice * (pricing.distributorDiscountPct / 100);
+  const netPrice = listPrice - discount;
+  const channelFee = netPrice * (pricing.channelFeePct / 100);
+  const revenue = netPrice - channelFee;
+  const profit = revenue - cost;
+  return {
+    listPrice,
+    discount,
+    netPrice,
+    channelFee,
+    revenue,
+    cost,
+    profit,
+    marginPct: revenue > 0 ? (profit / revenue) * 100 : null,
+    markupPct: cost > 0 ? (profit / cost) * 100 : null,
+  };
+}
+
+export const pricedSku = (inputs, result) => result.perSku.find(s => s.id === inputs.pricing.skuId) ?? result.perSku[0];
+
+/**
+ * Forward: list price (EUR, excl. VAT) that meets the target for the priced SKU.
+ */
+export function sellingPrice(inputs, result) {
+  const { pricing } = inputs;
+  const cost = pricedSku(inputs, result).unitLanded;
+  const listPrice = revenueFor(cost, pricing) / keptShare(pricing);
+  return priceBreakdown(listPrice, cost, pricing);
+}
+
+/**
+ * Reverse: highest supplier unit price (in the SKU's own currency) whose
+ * landed cost still meets the target at `pricing.sellingPrice`. Bisection
+ * through computeLandedCost, since tiered freight and duty make the chain
+ * non-linear. Returns { maxUnitPrice, currency, maxCost, breakdown } or
+ * { error } when no price works.
+ */
+export function maxSupplierPrice(inputs, { tolerance = 0.0001, maxIterations = 100 } = {}) {
+  const { pricing } = inputs;
+  const idx = Math.max(0, inputs.items.findIndex(it => it.id === pricing.skuId));
+  const item = inputs.items[idx];
+  const maxCost = maxCostFor(pricing.sellingPrice * keptShare(pricing), pricing);
+
+  const costAt = (price) => {
+    const items = inputs.items.map((it, i) => (i === idx ? { ...it, unitPrice: price } : it));
+    const r = computeLandedCost({ ...inputs, items });
+    return r.errors.length ? null : r.perSku[idx].unitLanded;
+  };
+
+  const atZero = costAt(0);
+  if (atZero === null) return { error: t("pricing.error.simulation") };
+  if (atZero > maxCost) {
+    return { error: t("pricing.error.unreachable", { atZero: formatMoney(atZero), maxCost: formatMoney(maxCost) }) };
+  }
+
+  // Grow the bracket until the cost overshoots, then bisect
+  let lo = 0;
+  let hi = Math.max(1, item.unitPrice);
+  for (let i = 0; i < 60 && costAt(hi) <= maxCost; i++) {
+    lo = hi;
+    hi *= 2;
+  }
+  for (let i = 0; i < maxIterations && hi - lo > tolerance; i++) {
+    const mid = (lo + hi) / 2;
+    const c = costAt(mid);
+    if (c !== null && c <= maxCost) lo = mid;
+    else hi = mid;
+  }
+  return {
+    maxUnitPrice: lo,
+    currency: item.currency,
+    maxCost,
+    breakdown: priceBreakdown(pricing.sellingPrice, costAt(lo), pricing),
+  };
+}
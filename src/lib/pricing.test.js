@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS, computeLandedCost } from "./landedCost.js";
+import { priceBreakdown, sellingPrice, maxSupplierPrice } from "./pricing.js";
+
+const PRICING = { ...DEFAULT_INPUTS.pricing, targetPct: 30, channelFeePct: 10, distributorDiscountPct: 20 };
+
+describe("priceBreakdown", () => {
+  it("takes the discount off the list price and the channel fee off the net price", () => {
+    const b = priceBreakdown(100, 50, PRICING);
+    expect(b).toMatchObject({ discount: 20, netPrice: 80, channelFee: 8, revenue: 72, profit: 22 });
+    expect(b.marginPct).toBeCloseTo(22 / 72 * 100, 9);
+    expect(b.markupPct).toBeCloseTo(44, 9);
+  });
+});
+
+describe("sellingPrice", () => {
+  it("meets the target margin or markup exactly", () => {
+    const inputs = { ...DEFAULT_INPUTS, pricing: PRICING };
+    const result = computeLandedCost(inputs);
+    expect(sellingPrice(inputs, result).marginPct).toBeCloseTo(30, 9);
+    expect(sellingPrice({ ...inputs, pricing: { ...PRICING, basis: "markup" } }, result).markupPct).toBeCloseTo(30, 9);
+  });
+});
+
+describe("maxSupplierPrice", () => {
+  // List price that leaves a 30% margin at twice today's landed cost
+  const unitLanded = computeLandedCost(DEFAULT_INPUTS).perSku[0].unitLanded;
+  const inputs = { ...DEFAULT_INPUTS, pricing: { ...PRICING, sellingPrice: (2 * unitLanded) / 0.7 / 0.72 } };
+
+  it("converges on the supplier price that lands at the target margin", () => {
+    const r = maxSupplierPrice(inputs);
+    expect(r.error).toBeUndefined();
+    expect(r.maxUnitPrice).toBeGreaterThan(DEFAULT_INPUTS.items[0].unitPrice);
+    expect(r.breakdown.marginPct).toBeCloseTo(30, 2);
+    expect(r.breakdown.cost).toBeLessThanOrEqual(r.maxCost);
+    // A price just above the answer misses the target
+    const over = computeLandedCost({ ...inputs, items: [{ ...inputs.items[0], unitPrice: r.maxUnitPrice + 0.01 }, ...inputs.items.slice(1)] });
+    expect(over.perSku[0].unitLanded).toBeGreaterThan(r.maxCost);
+  });
+
+  it("reports a list price that no supplier price can meet", () => {
+    expect(maxSupplierPrice({ ...inputs, pricing: { ...inputs.pricing, sellingPrice: 0.01 } }).error).toBeTruthy();
+  });
+});
@@ -0,0 +1,243 @@
+import { isAirMode, isExpressMode, isFclMode, unitVolumeM3, rateCardKey, rateCardFor } from "./landedCost.js";
+import { cutoffKg } from "./express.js";
+import { fingerprint } from "./shareLink.js";
+import { DESTINATION_COSTS } from "./destination.js";
+import { t, intlLocale, displayCurrency, currentLanguage, modeLabel, originLabel } from "./i18n.js";
+import { toDisplay } from "./format.js";
+
+// ==========================
+// Quotation document (print/PDF and CSV export)
+// ==========================
+// Notes shown in the app and printed on every quote (catalog keys notes.<id>); **text** marks emphasis
+export const ASSUMPTION_NOTES = ["skus", "origins", "hsTariff", "customsValue", "dapDdp", "fx", "vat", "destination", "packing", "freight", "lowValue", "financing"];
+
+export const assumptionNotes = () => ASSUMPTION_NOTES.map(id => t(`notes.${id}`));
+
+export const plainNote = (note) => note.replace(/\*\*/g, "");
+
+// Typed cells so the print view and the CSV format numbers their own way
+export const money = (n) => ({ n, fmt: "money" });
+export const num = (n) => ({ n, fmt: "num" });
+export const pct = (n) => ({ n, fmt: "pct" });
+
+// Reference ties a printed quote to the exact inputs it was computed from
+export function quoteReference(inputs, date) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, "");
+  return `YEP-${day}-${fingerprint(inputs).toUpperCase()}`;
+}
+
+const fxSetText = (set) => `${set.date || t("common.noDate")} / ${set.source}`;
+
+const tierText = (tiers, unit) => tiers.map(tier => `≤${tier.threshold === Infinity ? "∞" : tier.threshold} ${unit}: ${tier.rate}`).join(" | ");
+
+function freightParams(inputs) {
+  const { mode } = inputs;
+  const card = rateCardFor(inputs);
+  const route = [
+    [t("quote.rateCard"), [rateCardKey(inputs), card.port].filter(Boolean).join(" — ")],
+    [t("quote.rateCardUpdated"), card.updatedAt || "—"],
+  ];
+  if (isExpressMode(mode)) {
+    const { express } = inputs;
+    const zone = express.zones[card.expressZone];
+    return [
+      ...route,
+      [t("quote.expressZone"), card.expressZone],
+      ...(zone ? [
+        [t("quote.expressFirstStep"), money(zone.steps[0])],
+        [t("quote.expressCutoff"), num(cutoffKg(zone))],
+        [t("quote.expressPerKg"), money(zone.perKg)],
+      ] : []),
+      [t("quote.expressDivisor"), num(express.divisor)],
+      [t("quote.expressFuel"), pct(express.fuelPct)],
+      [t("quote.expressRemote"), express.remoteArea ? money(express.remoteAreaFee) : t("common.no")],
+      [t("quote.expressOversize", { cm: express.oversizeCm, kg: express.oversizeKg }), money(express.oversizeFee)],
+      [t("quote.expressDisbursement", { pct: express.disbursementPct }), money(express.disbursementMin)],
+    ];
+  }
+  if (isAirMode(mode)) {
+    return [
+      ...route,
+      [t("quote.airVolFactor"), num(card.airVolFactor)],
+      [t("quote.airMinChargeKg"), num(card.airMinChargeKg)],
+      [t("quote.freightFixedFees"), money(card.airFixedFees)],
+      [t("quote.airTiers"), tierText(card.airTiers, "kg")],
+    ];
+  }
+  if (mode === "Marítimo LCL") {
+    return [
+      ...route,
+      [t("quote.lclMinCbm"), num(card.lclMinCbm)],
+      [t("quote.freightFixedFees"), money(card.lclFixedFees)],
+      [t("quote.lclTiers"), tierText(card.lclTiers, "m³")],
+    ];
+  }
+  if (isFclMode(mode)) {
+    return [
+      ...route,
+      [t("quote.fclPrice", { type: "20'" }), money(card.fcl20Price)],
+      [t("quote.fclPrice", { type: "40'" }), money(card.fcl40Price)],
+      [t("quote.fclPrice", { type: "40' HC" }), money(card.fcl40HcPrice)],
+      [t("quote.fillPct"), pct(inputs.containerPlan.fillPct)],
+      [t("quote.lclRemainder"), inputs.containerPlan.lclRemainder ? t("quote.lclRemainderYes") : t("common.no")],
+      [t("quote.freightFixedFees"), money(card.fclFixedFees)],
+    ];
+  }
+  return route;
+}
+
+function destinationParams({ destination: d }) {
+  const inVat = DESTINATION_COSTS.filter(k => d.inVatBase[k]).map(k => t(`destination.cost.${k}`).toLowerCase());
+  const inland = d.inlandBasis === "distance" ? t("quote.inlandDistance", { km: d.inlandKm, rate: d.inlandRatePerKm, min: d.inlandMinEUR })
+    : d.inlandBasis === "weight" ? t("quote.inlandWeight", { rate: d.inlandRatePer100Kg, min: d.inlandMinEUR })
+    : t("destination.inland.none");
+  return [
+    [t("quote.arrival"), d.port],
+    [t("quote.inland"), inland],
+    [t("quote.storage"), `${d.storageDays} / ${d.storageFreeDays} / ${d.storageRatePerDay}`],
+    [t("quote.demurrage"), `${d.demurrageDays} / ${d.demurrageFreeDays} / ${d.demurrageRatePerDay}`],
+    [t("quote.inspection"), money(d.inspectionFee)],
+    [t("quote.deferment"), d.dutyDeferment ? pct(d.deferralGuaranteePct) : t("common.no")],
+    [t("quote.inVatBase"), inVat.join(", ") || t("quote.inVatBaseNone")],
+  ];
+}
+
+function financingParams({ financing: f }, { financing }) {
+  return [
+    [t("quote.transitDays"), num(financing.transitDays)],
+    [t("quote.leadTime"), t("quote.leadTimeValue", { production: f.productionDays, transit: financing.transitDays, clearance: f.clearanceDays, total: financing.clearanceDay })],
+    [t("quote.paymentTerms"), t("quote.paymentTermsValue", { deposit: f.depositPct, days: f.balanceDays })],
+    [t("quote.salesDays"), num(f.salesDays)],
+    [t("quote.costOfCapital"), pct(f.costOfCapitalPct)],
+  ];
+}
+
+/**
+ * Everything a quote carries, as titled sections of rows.
+ * Sections with `header` are tables; the rest are label/value pairs.
+ */
+export function quoteSections(inputs, result, { reference, scenarioName, date }) {
+  const currencies = [...new Set(inputs.items.map(it => it.currency))];
+  const dutySource = inputs.ignoreDuty ? t("quote.dutiesIgnored") : (inputs.dutySource === "manual" ? t("quote.dutiesManual", { pct: inputs.dutyPct }) : t(`dutySource.${inputs.dutySource}`));
+  const display = displayCurrency();
+  const brokerPays = result.legs.find(l => l.key === "importDuties").buyerPays;
+
+  return [
+    {
+      title: t("quote.section.document"),
+      rows: [
+        [t("quote.reference"), reference],
+        [t("quote.scenario"), scenarioName || "—"],
+        [t("quote.date"), date.toLocaleString(intlLocale())],
+        ...(display.code !== "EUR" ? [[t("quote.displayCurrency"), t("quote.displayCurrencyValue", { code: display.code, rate: display.eurPerUnit })]] : []),
+      ],
+    },
+    {
+      title: t("quote.section.assumptions"),
+      rows: [
+        [t("quote.freightOrigin"), originLabel(inputs.shipOrigin)],
+        [t("quote.mode"), modeLabel(inputs.mode)],
+        [t("quote.incoterm"), inputs.incoterm],
+        [t("quote.allocation"), t(`allocation.${inputs.allocationKey}`)],
+        [t("quote.fullCartons"), inputs.packing.roundToCartons ? t("quote.fullCartonsYes") : t("common.no")],
+        [t("quote.palletizing"), inputs.packing.palletize ? t("quote.palletSpec", { l: inputs.packing.palletLcm, w: inputs.packing.palletWcm, h: inputs.packing.palletMaxHcm, kg: inputs.packing.palletKg }) : t("common.no")],
+        [t("quote.fxCustoms"), fxSetText(inputs.fxCustoms)],
+        [t("quote.fxPayment"), fxSetText(inputs.fxPayment)],
+        ...currencies.flatMap(c => [
+          [t("quote.fxCustomsRate", { currency: c }), num(inputs.fxCustoms.rates[c] ?? 0)],
+          [t("quote.fxPaymentRate", { currency: c }), num(inputs.fxPayment.rates[c] ?? 0)],
+        ]),
+        [t("quote.insurancePct"), pct(inputs.insurancePct)],
+        [t("quote.brokerage"), money(inputs.brokerageFee)],
+        [t("quote.portTHC"), money(inputs.portTHC)],
+        [t("quote.otherFees"), money(inputs.otherFees)],
+        [t("quote.localOrigin"), money(inputs.localOriginTransport)],
+        [t("quote.exportClearance"), money(inputs.exportClearanceFee)],
+        ...destinationParams(inputs),
+        [t("quote.duties"), dutySource],
+        [t("quote.vatRegime"), t(`vat.regime.${inputs.vatRegime}`)],
+        [t("quote.vatRate"), `${result.vatLabel} (${result.vatRate}%)`],
+        [t("quote.vatFiling"), t(`vat.filing.${inputs.vatFiling}`)],
+        [t("quote.vatRecoverable"), inputs.vatRecoverable ? t("common.yes") : t("common.no")],
+        ...freightParams(inputs),
+        ...financingParams(inputs, result),
+      ],
+    },
+    {
+      title: t("quote.section.products"),
+      header: [
+        t("quote.col.sku"), t("quote.col.hs"), t("quote.col.origin"), t("quote.col.qty"), t("quote.col.unitPrice"), t("quote.col.currency"),
+        t("quote.col.unitWeight"), t("quote.col.unitVolume"), t("quote.col.unitsPerCarton"), t("quote.col.cartons"), t("quote.col.pallets"),
+        ...["goods", "shared", "duty"].map(col => t(`quote.col.${col}`, { currency: display.code })),
+        t("quote.col.measure"), t("quote.col.unitCost", { currency: display.code }),
+      ],
+      rows: result.perSku.map((s, i) => {
+        const it = inputs.items[i];
+        return [s.sku, it.hsCode || "—", originLabel(s.productOrigin), num(s.qty), num(it.unitPrice), it.currency, num(it.unitWeightKg), num(unitVolumeM3(it)), num(it.unitsPerCarton), num(s.cartons), num(s.pallets), money(s.goodsEUR), money(s.sharedCostsEUR), money(s.dutyEUR), s.dutyMeasure, money(s.unitLanded)];
+      }),
+    },
+    {
+      title: t("quote.section.costs"),
+      rows: [
+        [t("quote.goods", { incoterm: inputs.incoterm }), money(result.goodsEUR)],
+        [t("quote.goodsCustoms"), money(result.goodsCustomsEUR)],
+        ...result.legs.filter(l => l.key !== "importDuties").map(l => [l.key === "mainFreight" ? `${l.label} — ${result.freight.basisLabel}` : l.label, l.buyerPays ? money(l.costEUR) : t("common.includedInSupplierPrice")]),
+        [t("quote.customsBase"), money(result.customsBase)],
+        [t("quote.dutiesEffective", { pct: result.effectiveDutyPct.toFixed(2) }), money(result.dutyEUR)],
+        [t("quote.brokerage"), brokerPays ? money(inputs.brokerageFee) : t("common.includedInSupplierPrice")],
+        ...result.destination.map(l => [`• ${l.label} — ${l.basis}${l.inVatBase ? "" : t("quote.outsideVatBase")}`, money(l.cost)]),
+        ...(result.deferralEUR > 0 ? [[t("quote.deferral"), money(result.deferralEUR)]] : []),
+        ...(result.disbursementEUR > 0 ? [[t("quote.disbursement"), money(result.disbursementEUR)]] : []),
+        ...(result.financingEUR > 0 ? [[t("quote.financing", { pct: inputs.financing.costOfCapitalPct }), money(result.financingEUR)]] : []),
+        [t("quote.vatBase"), money(result.vatBase)],
+        [inputs.vatRecoverable ? t("quote.vatRecoverableLine") : t("quote.vatNonRecoverableLine"), money(result.vatEUR)],
+        [t("quote.landedExVat"), money(result.landedExVAT)],
+        [t("quote.landed"), money(result.landedInclVAT)],
+        [t("quote.totalQty"), num(result.qty)],
+        [t("quote.volumeWeight"), `${result.totalVolumeM3.toFixed(3)} / ${result.totalWeightKg.toFixed(1)}`],
+        [t("quote.unitLanded"), money(result.unitLanded)],
+      ],
+    },
+    {
+      title: t("quote.section.notes"),
+      rows: assumptionNotes().map(n => [plainNote(n)]),
+    },
+  ];
+}
+
+// ==========================
+// CSV (UTF-8 BOM; Excel pt-PT expects ';' and decimal comma, English ',' and decimal point)
+// ==========================
+const csvStyle = () => (currentLanguage() === "pt-PT" ? { sep: ";", decimal: "," } : { sep: ",", decimal: "." });
+
+function csvCell(cell, { sep, decimal }) {
+  if (cell && typeof cell === "object") {
+    const digits = cell.fmt === "num" ? 6 : 2;
+    const n = cell.fmt === "money" ? toDisplay(cell.n) : (cell.n ?? 0);
+    return String(Number(n.toFixed(digits))).replace(".", decimal);
+  }
+  const text = String(cell ?? "");
+  return text.includes(sep) || /["\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function quoteCsv(sections) {
+  const style = csvStyle();
+  const row = (cells) => cells.map(c => csvCell(c, style)).join(style.sep);
+  const lines = [];
+  sections.forEach(section => {
+    lines.push(row([section.title]));
+    if (section.header) lines.push(row(section.header));
+    section.rows.forEach(r => lines.push(row(r)));
+    lines.push("");
+  });
+  return "﻿" + lines.join("\r\n");
+}
+
+export function downloadText(filename, text, type = "text/csv;charset=utf-8") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
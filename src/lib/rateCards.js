@@ -0,0 +1,60 @@
+import { DEFAULT_RATE_CARD, RATE_CARD_FIELDS, FALLBACK_ROUTE, ROUTE_TRANSIT_DAYS, validateTiers } from "./landedCost.js";
+import { encodeInputs, decodeInputs } from "./scenarios.js";
+import { EXPRESS_ROUTE_ZONES } from "./express.js";
+import { t } from "./i18n.js";
+
+// ==========================
+// Route rate cards: JSON import/export
+// ==========================
+// File format: { "format": "yep-rate-cards", "version": 1, "cards": { "<route>": { ...card } } }
+const FILE_FORMAT = "yep-rate-cards";
+const FILE_VERSION = 1;
+
+const NUMERIC_FIELDS = RATE_CARD_FIELDS.filter(k => typeof DEFAULT_RATE_CARD[k] === "number");
+const TIER_FIELDS = ["airTiers", "lclTiers"];
+
+export const rateCardsJson = (cards) => encodeInputs({ format: FILE_FORMAT, version: FILE_VERSION, cards }, 2);
+
+/**
+ * Problems with one card, as user-facing messages (empty when valid).
+ */
+export function validateRateCard(card) {
+  const problems = [];
+  NUMERIC_FIELDS.forEach(k => {
+    if (!Number.isFinite(card[k]) || card[k] < 0) problems.push(t("rateCards.file.notNumber", { field: k }));
+  });
+  TIER_FIELDS.forEach(k => {
+    if (!Array.isArray(card[k])) problems.push(t("rateCards.file.notTiers", { field: k }));
+    else validateTiers(card[k]).forEach(p => problems.push(`${k}: ${p}`));
+  });
+  return problems;
+}
+
+/**
+ * Parse an exported rate-card file. Missing fields fall back to the defaults;
+ * throws an Error listing the problems when any card is invalid.
+ */
+export function parseRateCardsJson(text) {
+  let data;
+  try {
+    data = decodeInputs(text);
+  } catch {
+    throw new Error(t("rateCards.file.notJson"));
+  }
+  if (data?.format !== FILE_FORMAT || !data.cards || typeof data.cards !== "object") {
+    throw new Error(t("rateCards.file.unknown"));
+  }
+  if (data.version > FILE_VERSION) throw new Error(t("rateCards.file.newer", { version: data.version }));
+
+  const cards = {};
+  const problems = [];
+  Object.entries(data.cards).forEach(([route, raw]) => {
+    // Older files: known routes take their default courier zone and transit days
+    const card = { ...DEFAULT_RATE_CARD, ...ROUTE_TRANSIT_DAYS[route], expressZone: EXPRESS_ROUTE_ZONES[route] ?? DEFAULT_RATE_CARD.expressZone, ...raw };
+    validateRateCard(card).forEach(p => problems.push(`${route}: ${p}`));
+    cards[route] = card;
+  });
+  if (!(FALLBACK_ROUTE in cards)) problems.push(t("rateCards.file.noFallback", { route: FALLBACK_ROUTE }));
+  if (problems.length) throw new Error(`${t("rateCards.file.errors")}\n${problems.join("\n")}`);
+  return cards;
+}
@@ -0,0 +1,208 @@
+import { computeLandedCost } from "./landedCost.js";
+import { t } from "./i18n.js";
+
+// ==========================
+// Monte Carlo risk on the landed unit cost
+// ==========================
+// Each factor is a distribution { dist, low, mode, high }:
+//   uniform    — any value between low and high
+//   triangular — most likely at mode, never outside low/high
+//   normal     — mean at mode, low/high are P10/P90 (not clamped)
+// Labels: risk.dist.<id>
+export const DISTRIBUTIONS = ["uniform", "triangular", "normal"];
+
+// Shocks applied to the current simulation; `mode` is the base case. Labels: risk.factor.<key>
+export const RISK_FACTORS = {
+  fxPct: { unit: "%", step: 0.5 },
+  freightMult: { unit: "×", step: 0.05 },
+  dutyPts: { unit: "p.p.", step: 0.5 },
+};
+
+export const DEFAULT_RISK = {
+  runs: 2000,
+  fxPct: { dist: "triangular", low: -5, mode: 0, high: 8 },
+  freightMult: { dist: "triangular", low: 0.9, mode: 1, high: 1.6 },
+  dutyPts: { dist: "uniform", low: 0, mode: 0, high: 0 },
+};
+
+const Z90 = 1.2815515655446004; // standard normal P90
+
+// Small seeded PRNG (mulberry32) so the same inputs always give the same picture
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sample({ dist, low, mode, high }, rand) {
+  if (high <= low) return mode;
+  const u = rand();
+  if (dist === "uniform") return low + u * (high - low);
+  if (dist === "normal") {
+    const z = Math.sqrt(-2 * Math.log(1 - u)) * Math.cos(2 * Math.PI * rand()); // Box–Muller
+    return mode + z * ((high - low) / (2 * Z90));
+  }
+  const m = Math.min(Math.max(mode, low), high);
+  const c = (m - low) / (high - low);
+  return u < c ? low + Math.sqrt(u * (high - low) * (m - low)) : high - Math.sqrt((1 - u) * (high - low) * (high - m));
+}
+
+// ==========================
+// Shocks → inputs (the engine itself is unchanged)
+// ==========================
+const scaleRates = (set, factor) => ({
+  ...set,
+  rates: Object.fromEntries(Object.entries(set.rates).map(([c, r]) => [c, c === "EUR" ? r : r * factor])),
+});
+
+const scaleTiers = (tiers, m) => tiers.map(t => ({ ...t, rate: t.rate * m }));
+
+const scaleCard = (card, m) => ({
+  ...card,
+  airTiers: scaleTiers(card.airTiers, m),
+  airFixedFees: card.airFixedFees * m,
+  lclTiers: scaleTiers(card.lclTiers, m),
+  lclFixedFees: card.lclFixedFees * m,
+  fcl20Price: card.fcl20Price * m,
+  fcl40Price: card.fcl40Price * m,
+  fcl40HcPrice: card.fcl40HcPrice * m,
+  fclFixedFees: card.fclFixedFees * m,
+});
+
+// Courier tariff: zone prices and per-piece/per-shipment fees (fuel is a % and follows)
+const scaleExpress = (express, m) => ({
+  ...express,
+  remoteAreaFee: express.remoteAreaFee * m,
+  oversizeFee: express.oversizeFee * m,
+  zones: Object.fromEntries(Object.entries(express.zones).map(([k, z]) => [k, { steps: z.steps.map(p => p * m), perKg: z.perKg * m }])),
+});
+
+const shiftMap = (map, pts) => Object.fromEntries(Object.entries(map ?? {}).map(([k, v]) => [k, Math.max(0, v + pts)]));
+
+// Duty shift in percentage points on whatever rate source is in use
+function shiftDuty(inputs, pts) {
+  if (!pts) return inputs;
+  if (inputs.ignoreDuty) return { ...inputs, ignoreDuty: false, dutySource: "manual", dutyPct: Math.max(0, pts) };
+  if (inputs.dutySource === "origin") return { ...inputs, originDutyMap: shiftMap(inputs.originDutyMap, pts) };
+  if (inputs.dutySource === "hs") {
+    return {
+      ...inputs,
+      tariff: inputs.tariff.map(e => ({ ...e, thirdCountry: Math.max(0, e.thirdCountry + pts), preferential: shiftMap(e.preferential, pts) })),
+    };
+  }
+  return { ...inputs, dutyPct: Math.max(0, inputs.dutyPct + pts) };
+}
+
+/**
+ * Inputs with the FX move (%), freight multiplier and duty shift (p.p.) applied.
+ */
+export function shockInputs(inputs, { fxPct = 0, freightMult = 1, dutyPts = 0 }) {
+  const fx = 1 + fxPct / 100;
+  const shocked = {
+    ...inputs,
+    fxCustoms: scaleRates(inputs.fxCustoms, fx),
+    fxPayment: scaleRates(inputs.fxPayment, fx),
+    rateCards: Object.fromEntries(Object.entries(inputs.rateCards).map(([k, card]) => [k, scaleCard(card, freightMult)])),
+    express: scaleExpress(inputs.express, freightMult),
+  };
+  return shiftDuty(shocked, dutyPts);
+}
+
+const quantile = (sorted, p) => {
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+};
+
+function histogram(sorted, bins) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / bins || 1;
+  const counts = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  sorted.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - min) / width))].count += 1; });
+  return counts.map(b => ({ ...b, mid: (b.from + b.to) / 2, share: b.count / sorted.length }));
+}
+
+// Runs between two yields to the browser in the chunked simulation
+export const RUNS_CHUNK = 250;
+
+// Sampling state shared by the one-shot and the chunked run
+function startRuns(inputs, risk, seed) {
+  const base = computeLandedCost(inputs);
+  if (base.errors.length) return { error: t("risk.error.simulation") };
+  return { inputs, risk, rand: seededRandom(seed), units: [], failed: 0, done: 0 };
+}
+
+function sampleRuns(state, count) {
+  const { inputs, risk, rand } = state;
+  const end = Math.min(risk.runs, state.done + count);
+  for (; state.done < end; state.done++) {
+    const shocks = Object.fromEntries(Object.keys(RISK_FACTORS).map(k => [k, sample(risk[k], rand)]));
+    const r = computeLandedCost(shockInputs(inputs, shocks));
+    if (r.errors.length) state.failed += 1;
+    else state.units.push(r.unitLanded);
+  }
+}
+
+function summarize({ inputs, risk, units, failed }, bins) {
+  if (!units.length) return { error: t("risk.error.noValidRun") };
+  units.sort((a, b) => a - b);
+
+  // One factor at a time from low to high, the others at their base (mode) value
+  const baseShocks = Object.fromEntries(Object.keys(RISK_FACTORS).map(k => [k, risk[k].mode]));
+  const tornado = Object.keys(RISK_FACTORS).map(k => {
+    const at = (v) => computeLandedCost(shockInputs(inputs, { ...baseShocks, [k]: v })).unitLanded;
+    const low = at(risk[k].low);
+    const high = at(risk[k].high);
+    return { key: k, low, high, swing: Math.abs(high - low) };
+  }).sort((a, b) => b.swing - a.swing);
+
+  return {
+    base: computeLandedCost(shockInputs(inputs, baseShocks)).unitLanded,
+    p10: quantile(units, 0.1),
+    p50: quantile(units, 0.5),
+    p90: quantile(units, 0.9),
+    mean: units.reduce((s, v) => s + v, 0) / units.length,
+    histogram: histogram(units, bins),
+    tornado,
+    runs: units.length,
+    failed,
+  };
+}
+
+/**
+ * Run the landed-cost chain `risk.runs` times with sampled shocks.
+ * Returns { base, p10, p50, p90, mean, histogram, tornado, runs, failed };
+ * `error` is set instead when the base simulation itself has errors.
+ */
+export function monteCarlo(inputs, risk, { bins = 24, seed = 1 } = {}) {
+  const state = startRuns(inputs, risk, seed);
+  if (state.error) return state;
+  sampleRuns(state, risk.runs);
+  return summarize(state, bins);
+}
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * monteCarlo in chunks of RUNS_CHUNK runs, yielding to the browser between them so the
+ * page stays responsive. Same result for the same seed. `onProgress(done, total)` follows
+ * each chunk; resolves to null when `isCancelled()` turns true before the end.
+ */
+export async function monteCarloChunked(inputs, risk, { bins = 24, seed = 1, onProgress, isCancelled = () => false } = {}) {
+  const state = startRuns(inputs, risk, seed);
+  if (state.error) return state;
+  while (state.done < risk.runs) {
+    sampleRuns(state, RUNS_CHUNK);
+    onProgress?.(state.done, risk.runs);
+    await nextTask();
+    if (isCancelled()) return null;
+  }
+  return summarize(state, bins);
+}
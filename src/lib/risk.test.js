@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS } from "./landedCost.js";
+import { DEFAULT_RISK, shockInputs, monteCarlo, monteCarloChunked } from "./risk.js";
+
+const RISK = { ...DEFAULT_RISK, runs: 300 };
+const FIXED = { runs: 50, fxPct: { dist: "uniform", low: 0, mode: 0, high: 0 }, freightMult: { dist: "uniform", low: 1, mode: 1, high: 1 }, dutyPts: { dist: "uniform", low: 0, mode: 0, high: 0 } };
+
+describe("shockInputs", () => {
+  it("moves foreign currencies, scales freight and shifts the duty rate", () => {
+    const inputs = { ...DEFAULT_INPUTS, dutySource: "manual", ignoreDuty: false, dutyPct: 2 };
+    const shocked = shockInputs(inputs, { fxPct: 10, freightMult: 1.5, dutyPts: -3 });
+    expect(shocked.fxPayment.rates.EUR).toBe(1);
+    expect(shocked.fxPayment.rates.USD).toBeCloseTo(inputs.fxPayment.rates.USD * 1.1, 9);
+    expect(shocked.rateCards.China.fcl20Price).toBeCloseTo(inputs.rateCards.China.fcl20Price * 1.5, 9);
+    expect(shocked.dutyPct).toBe(0); // never below zero
+  });
+});
+
+describe("monteCarlo", () => {
+  it("gives the same picture for the same seed, with ordered percentiles", () => {
+    const a = monteCarlo(DEFAULT_INPUTS, RISK);
+    expect(monteCarlo(DEFAULT_INPUTS, RISK)).toEqual(a);
+    expect(a.runs + a.failed).toBe(RISK.runs);
+    expect(a.p10).toBeLessThanOrEqual(a.p50);
+    expect(a.p50).toBeLessThanOrEqual(a.p90);
+    expect(a.histogram.reduce((s, b) => s + b.count, 0)).toBe(a.runs);
+  });
+
+  it("collapses to the base case when no factor can move", () => {
+    const r = monteCarlo(DEFAULT_INPUTS, FIXED);
+    expect(r.p10).toBeCloseTo(r.base, 9);
+    expect(r.p90).toBeCloseTo(r.base, 9);
+    r.tornado.forEach(f => expect(f.swing).toBe(0));
+  });
+
+  it("runs in chunks to the same result", async () => {
+    expect(await monteCarloChunked(DEFAULT_INPUTS, RISK)).toEqual(monteCarlo(DEFAULT_INPUTS, RISK));
+    expect(await monteCarloChunked(DEFAULT_INPUTS, RISK, { isCancelled: () => true })).toBeNull();
+  });
+});
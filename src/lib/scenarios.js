@@ -0,0 +1,136 @@
+import { DEFAULT_CONTAINER_PLAN } from "./containers.js";
+import { EXPRESS_ROUTE_ZONES } from "./express.js";
+import { DEFAULT_FINANCING } from "./financing.js";
+import { DEFAULT_INPUTS, DEFAULT_CARTON, DEFAULT_FX_SET, DEFAULT_RATE_CARD, DEFAULT_RATE_CARDS, RATE_CARD_FIELDS, ROUTE_TRANSIT_DAYS, TRANSIT_FIELDS } from "./landedCost.js";
+import { t } from "./i18n.js";
+
+// ==========================
+// Scenario library (localStorage)
+// ==========================
+// Bump SCHEMA_VERSION whenever the shape of the inputs changes and add a step to
+// MIGRATIONS that upgrades data saved under the previous version.
+export const SCHEMA_VERSION = 9;
+
+const STORAGE_KEY = "yep-import-cost:scenarios";
+
+// MIGRATIONS[n] upgrades inputs saved under schema n to schema n + 1.
+// Inputs may be partial (share links only carry changed fields).
+const MIGRATIONS = {
+  // v1 → v2: flat freight fields become one rate card applied to every route
+  1: (data) => {
+    const rest = { ...data };
+    const flat = {};
+    RATE_CARD_FIELDS.forEach(k => {
+      if (k in rest) flat[k] = rest[k];
+      delete rest[k];
+    });
+    if (!Object.keys(flat).length) return rest;
+    const card = { ...DEFAULT_RATE_CARD, ...flat };
+    return { ...rest, rateCards: Object.fromEntries(Object.keys(DEFAULT_RATE_CARDS).map(k => [k, card])) };
+  },
+  // v2 → v3: originTariffEnabled (boolean) becomes dutySource
+  2: (data) => {
+    const { originTariffEnabled, ...rest } = data;
+    if (originTariffEnabled === undefined) return rest;
+    return { ...rest, dutySource: originTariffEnabled ? "origin" : "manual" };
+  },
+  // v3 → v4: one undated FX map becomes the customs and the payment rate set
+  3: (data) => {
+    const { fx, ...rest } = data;
+    if (fx === undefined) return rest;
+    const set = { ...DEFAULT_FX_SET, rates: fx };
+    return { ...rest, fxCustoms: set, fxPayment: set };
+  },
+  // v4 → v5: SKUs gain master-carton fields (unitsPerCarton 0 keeps them loose)
+  4: (data) => (data.items ? { ...data, items: data.items.map(it => ({ ...DEFAULT_CARTON, ...it })) } : data),
+  // v5 → v6: FCL planner. Cards gain the 40' HC price; older simulations filled
+  // containers to 100% of their volume, so pin that instead of the new default
+  5: (data) => ({
+    ...data,
+    ...(data.rateCards ? { rateCards: Object.fromEntries(Object.entries(data.rateCards).map(([k, card]) => [k, { ...DEFAULT_RATE_CARD, ...card }])) } : {}),
+    containerPlan: { ...DEFAULT_CONTAINER_PLAN, fillPct: 100 },
+  }),
+  // v6 → v7: VAT regimes and country rates. A saved vatPct was the rate in use, so keep it as manual
+  6: (data) => (data.vatPct === undefined ? data : { ...data, vatRateKind: "manual" }),
+  // v7 → v8: express courier tariff. Each route card is placed in the courier zone of its
+  // default route (the fallback zone for routes added by the user)
+  7: (data) => (data.rateCards ? {
+    ...data,
+    rateCards: Object.fromEntries(Object.entries(data.rateCards).map(([k, card]) => [k, { ...card, expressZone: EXPRESS_ROUTE_ZONES[k] ?? DEFAULT_RATE_CARD.expressZone }])),
+  } : data),
+  // v8 → v9: transit days and financing cost. Cards gain the reference transit days of
+  // their route; earlier simulations had no financing cost, so pin a 0% cost of capital
+  8: (data) => ({
+    ...data,
+    ...(data.rateCards ? {
+      rateCards: Object.fromEntries(Object.entries(data.rateCards).map(([k, card]) => [k, {
+        ...Object.fromEntries(Object.values(TRANSIT_FIELDS).map(f => [f, DEFAULT_RATE_CARD[f]])),
+        ...ROUTE_TRANSIT_DAYS[k],
+        ...card,
+      }])),
+    } : {}),
+    financing: { ...DEFAULT_FINANCING, costOfCapitalPct: 0 },
+  }),
+};
+
+// JSON has no Infinity (the last freight band); keep it as a string on disk
+export const encodeInputs = (inputs, space) => JSON.stringify(inputs, (k, v) => (v === Infinity ? "Infinity" : v), space);
+export const decodeInputs = (text) => JSON.parse(text, (k, v) => (v === "Infinity" ? Infinity : v));
+
+/**
+ * Bring inputs saved under any earlier schema up to the current one.
+ * Fields added since then fall back to DEFAULT_INPUTS.
+ */
+export function upgradeInputs(inputs, version) {
+  if (version > SCHEMA_VERSION) throw new Error(t("scenarios.newerSchema", { version, current: SCHEMA_VERSION }));
+  let data = inputs;
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    if (MIGRATIONS[v]) data = MIGRATIONS[v](data);
+  }
+  return { ...DEFAULT_INPUTS, ...data };
+}
+
+function readAll() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? decodeInputs(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(scenarios) {
+  window.localStorage.setItem(STORAGE_KEY, encodeInputs(scenarios));
+  return scenarios;
+}
+
+export const listScenarios = () => readAll().sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+// Changes when a scenario is added, removed or saved again (memo key for results computed from the list)
+export const scenariosVersion = (scenarios) => scenarios.map(s => `${s.id}@${s.savedAt}`).join("|");
+
+// `summary` is what the list shows without recomputing (e.g. unitLanded, mode)
+export function saveScenario(name, inputs, summary) {
+  const scenario = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: name.trim() || t("scenarios.untitled"),
+    savedAt: new Date().toISOString(),
+    schemaVersion: SCHEMA_VERSION,
+    inputs,
+    summary,
+  };
+  writeAll([...readAll(), scenario]);
+  return scenario;
+}
+
+export function duplicateScenario(id) {
+  const source = readAll().find(s => s.id === id);
+  if (!source) return null;
+  return saveScenario(t("scenarios.copyName", { name: source.name }), scenarioInputs(source), source.summary);
+}
+
+export function deleteScenario(id) {
+  return writeAll(readAll().filter(s => s.id !== id));
+}
+
+export const scenarioInputs = (scenario) => upgradeInputs(scenario.inputs, scenario.schemaVersion ?? 1);
@@ -0,0 +1,128 @@
+import { MODES, FCL_MODES, computeLandedCost, withTotalQty, totalQty } from "./landedCost.js";
+import { CONTAINER_TYPES } from "./containers.js";
+import { shockInputs } from "./risk.js";
+
+// ==========================
+// Volume sensitivity: unit cost vs quantity, one curve per mode
+// ==========================
+// Container steps marked per FCL mode (the chart has no room for more)
+const MAX_CONTAINER_STEPS = 200;
+
+export const defaultQtyRange = (inputs) => ({ qMin: 10, qMax: Math.max(2000, totalQty(inputs.items) * 2) });
+
+// Unit cost of the shipment scaled to ~q units under `mode`; null when the chain has errors
+const unitAt = (inputs, mode, q) => {
+  const r = computeLandedCost(withTotalQty({ ...inputs, mode }, q));
+  return r.errors.length ? null : r.unitLanded;
+};
+
+// Quantities from qMin to qMax, evenly spaced or geometric (log scale), as whole units
+export function qtyGrid({ qMin, qMax, steps = 40, log = false }) {
+  const lo = Math.max(1, Math.round(qMin));
+  const hi = Math.max(lo + 1, Math.round(qMax));
+  const qs = [];
+  for (let i = 0; i <= steps; i++) {
+    const q = log ? lo * Math.pow(hi / lo, i / steps) : lo + (i * (hi - lo)) / steps;
+    qs.push(Math.round(q));
+  }
+  return [...new Set(qs)];
+}
+
+// First whole quantity in (a, b] where `sign` differs from its value at a (bisection)
+function refineCrossing(a, b, sign) {
+  const s0 = sign(a);
+  while (b - a > 1) {
+    const mid = Math.floor((a + b) / 2);
+    if (sign(mid) === s0) a = mid;
+    else b = mid;
+  }
+  return b;
+}
+
+/**
+ * Unit cost per mode over a quantity range, with the quantities where one mode
+ * overtakes the next (in MODES order) and where a single-type FCL shipment
+ * needs one more container.
+ * Returns { points: [{ qty, [mode]: unit|null }], crossovers, containerSteps }.
+ */
+export function modeCurves(inputs, { qMin, qMax, steps = 40, log = false } = {}) {
+  const range = { ...defaultQtyRange(inputs), ...(qMin ? { qMin } : {}), ...(qMax ? { qMax } : {}) };
+  const qs = qtyGrid({ ...range, steps, log });
+  const points = qs.map(qty => ({ qty, ...Object.fromEntries(MODES.map(m => [m, unitAt(inputs, m, qty)])) }));
+
+  // Crossovers between neighbouring modes: sign of (earlier − later) changes
+  const crossovers = [];
+  MODES.slice(1).forEach((later, i) => {
+    const earlier = MODES[i];
+    const sign = (q) => {
+      const a = unitAt(inputs, earlier, q);
+      const b = unitAt(inputs, later, q);
+      return a === null || b === null ? 0 : Math.sign(a - b);
+    };
+    for (let k = 1; k < points.length; k++) {
+      const prev = points[k - 1];
+      const cur = points[k];
+      if ([prev[earlier], prev[later], cur[earlier], cur[later]].some(v => v === null)) continue;
+      const s0 = Math.sign(prev[earlier] - prev[later]);
+      const s1 = Math.sign(cur[earlier] - cur[later]);
+      if (s0 === s1) continue;
+      const qty = refineCrossing(prev.qty, cur.qty, sign);
+      // s1 > 0: from here the later mode is cheaper; otherwise the earlier one wins again
+      const [cheaper, than] = s1 > 0 ? [later, earlier] : [earlier, later];
+      crossovers.push({ qty, cheaper, than, unit: unitAt(inputs, cheaper, qty) });
+    }
+  });
+
+  // Single-type FCL container steps at the current SKU mix (volume and weight per unit are constant)
+  const base = computeLandedCost(inputs);
+  // Same clamp as planContainers, so a blank or out-of-range fill cannot stall the loop
+  const fill = Math.min(100, Math.max(1, inputs.containerPlan.fillPct)) / 100;
+  const containerSteps = [];
+  if (base.qty > 0 && base.totalVolumeM3 > 0) {
+    Object.entries(FCL_MODES).filter(([, types]) => types.length === 1).forEach(([mode, [type]]) => {
+      const spec = CONTAINER_TYPES[type];
+      const unitsPerContainer = Math.min((spec.volM3 * fill) / (base.totalVolumeM3 / base.qty), base.totalWeightKg > 0 ? spec.payloadKg / (base.totalWeightKg / base.qty) : Infinity);
+      if (!(Number.isFinite(unitsPerContainer) && unitsPerContainer > 0)) return;
+      for (let n = 1; n <= MAX_CONTAINER_STEPS; n++) {
+        const qty = Math.floor(n * unitsPerContainer) + 1;
+        if (qty > range.qMax) break;
+        if (qty >= range.qMin) containerSteps.push({ qty, mode, containers: n + 1 });
+      }
+    });
+  }
+
+  return { points, crossovers: crossovers.sort((a, b) => a.qty - b.qty), containerSteps, range };
+}
+
+// ==========================
+// Input sweep: unit cost vs one chosen input
+// ==========================
+// `apply(inputs, x)` returns the inputs with the swept value; `base(inputs, result)` is today's x.
+// Labels: sweep.<key>
+const scalePrices = (inputs, pct) => ({ ...inputs, items: inputs.items.map(it => ({ ...it, unitPrice: it.unitPrice * (1 + pct / 100) })) });
+
+export const SWEEP_INPUTS = {
+  unitPrice: { unit: "%", min: -30, max: 30, base: () => 0, apply: scalePrices },
+  fx: { unit: "%", min: -15, max: 15, base: () => 0, apply: (inputs, x) => shockInputs(inputs, { fxPct: x }) },
+  freight: { unit: "%", min: -30, max: 60, base: () => 0, apply: (inputs, x) => shockInputs(inputs, { freightMult: 1 + x / 100 }) },
+  duty: { unit: "%", min: 0, max: 20, base: (inputs, r) => r.effectiveDutyPct, apply: (inputs, x) => ({ ...inputs, ignoreDuty: false, dutySource: "manual", dutyPct: x }) },
+  insurancePct: { unit: "%", min: 0, max: 3, base: (inputs) => inputs.insurancePct, apply: (inputs, x) => ({ ...inputs, insurancePct: x }) },
+  brokerageFee: { unit: "€", min: 0, max: 500, base: (inputs) => inputs.brokerageFee, apply: (inputs, x) => ({ ...inputs, brokerageFee: x }) },
+};
+
+/**
+ * Unit cost as one input moves from `min` to `max`, everything else as in `inputs`.
+ * Returns { points: [{ x, unit|null }], base }.
+ */
+export function inputSweep(inputs, key, { min, max, steps = 30 } = {}) {
+  const spec = SWEEP_INPUTS[key];
+  const lo = min ?? spec.min;
+  const hi = max ?? spec.max;
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const x = lo + (i * (hi - lo)) / steps;
+    const r = computeLandedCost(spec.apply(inputs, x));
+    points.push({ x, unit: r.errors.length ? null : r.unitLanded });
+  }
+  return { points, base: spec.base(inputs, computeLandedCost(inputs)) };
+}
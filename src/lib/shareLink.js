@@ -0,0 +1,138 @@
+import { DEFAULT_INPUTS } from "./landedCost.js";
+import { SCHEMA_VERSION, encodeInputs, decodeInputs, upgradeInputs } from "./scenarios.js";
+import { t } from "./i18n.js";
+
+// ==========================
+// Shareable links: full input state in the URL hash
+// ==========================
+// Format: #s=<base64url(JSON { v, d })>.<checksum>
+//   v — schema version (see scenarios.js)
+//   d — only the fields that differ from DEFAULT_INPUTS, to keep links short
+// Because of the diff, changing a default value changes what old links mean:
+// bump SCHEMA_VERSION and add a migration that pins the previous default.
+const HASH_PREFIX = "#s=";
+
+// FNV-1a, enough to catch truncated or hand-edited links (not a security measure)
+function checksum(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(36);
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(b64) {
+  const bin = atob(b64.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+// Short stable hash of a full input state (quote references)
+export const fingerprint = (inputs) => checksum(encodeInputs(inputs));
+
+const sameValue = (a, b) => encodeInputs(a) === encodeInputs(b);
+
+export function encodeShareHash(inputs) {
+  const d = {};
+  Object.keys(inputs).forEach(k => {
+    if (!(k in DEFAULT_INPUTS) || !sameValue(inputs[k], DEFAULT_INPUTS[k])) d[k] = inputs[k];
+  });
+  const text = encodeInputs({ v: SCHEMA_VERSION, d });
+  return `${HASH_PREFIX}${toBase64Url(text)}.${checksum(text)}`;
+}
+
+export const shareUrl = (inputs) => `${window.location.origin}${window.location.pathname}${encodeShareHash(inputs)}`;
+
+const kindOf = (v) => (Array.isArray(v) ? "array" : v === null ? "null" : typeof v);
+
+// Value kinds allowed where the default has `kind`: numbers may be blank (null),
+// which the validation reports like an empty field; a null default takes any scalar
+const ALLOWED_KINDS = {
+  number: ["number", "null"],
+  null: ["null", "number", "string"],
+};
+
+// Template for keys a default object does not list: the shared shape of its values when they
+// all have one (maps such as rate cards per route, FX rates per currency), otherwise none
+function mapTemplate(reference) {
+  const values = Object.values(reference);
+  if (!values.length || values.some(v => kindOf(v) !== kindOf(values[0]))) return undefined;
+  return values[0];
+}
+
+/**
+ * Path of the first value whose kind does not match the default it replaces, or null.
+ * Objects are checked key by key, array elements against the default's first element.
+ */
+function shapeMismatch(value, reference, path) {
+  const kind = kindOf(reference);
+  if (!(ALLOWED_KINDS[kind] ?? [kind]).includes(kindOf(value))) return path;
+  if (kind === "array") {
+    if (!reference.length) return null;
+    for (let i = 0; i < value.length; i++) {
+      const bad = shapeMismatch(value[i], reference[0], `${path}.${i}`);
+      if (bad) return bad;
+    }
+  }
+  if (kind === "object") {
+    const template = mapTemplate(reference);
+    for (const key of Object.keys(value)) {
+      const ref = key in reference ? reference[key] : template;
+      const bad = ref === undefined ? null : shapeMismatch(value[key], ref, `${path}.${key}`);
+      if (bad) return bad;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a share hash back into full inputs.
+ * Returns null when the hash carries no simulation; throws an Error with a
+ * user-facing message when the link is malformed, tampered with or from an
+ * unsupported version. `notice` is set when an older link was upgraded.
+ */
+export function decodeShareHash(hash) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+  const [body, sum] = hash.slice(HASH_PREFIX.length).split(".");
+  if (!body || !sum) throw new Error(t("share.incomplete"));
+
+  let text;
+  try {
+    text = fromBase64Url(body);
+  } catch {
+    throw new Error(t("share.undecodable"));
+  }
+  if (checksum(text) !== sum) throw new Error(t("share.checksum"));
+
+  let payload;
+  try {
+    payload = decodeInputs(text);
+  } catch {
+    throw new Error(t("share.unreadable"));
+  }
+  if (!payload || typeof payload.v !== "number" || kindOf(payload.d) !== "object") {
+    throw new Error(t("share.unknownFormat"));
+  }
+  if (payload.v > SCHEMA_VERSION) {
+    throw new Error(t("share.newer", { version: payload.v }));
+  }
+
+  const inputs = upgradeInputs(payload.d, payload.v);
+  Object.keys(payload.d).forEach(k => {
+    if (!(k in DEFAULT_INPUTS)) return;
+    const bad = shapeMismatch(inputs[k], DEFAULT_INPUTS[k], k);
+    if (bad) throw new Error(t("share.badField", { field: bad }));
+  });
+
+  const notice = payload.v < SCHEMA_VERSION
+    ? t("share.upgraded", { version: payload.v })
+    : "";
+  return { inputs, notice };
+}
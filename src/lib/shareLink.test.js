@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS } from "./landedCost.js";
+import { encodeShareHash, decodeShareHash } from "./shareLink.js";
+
+// Links carry only the fields that differ from the defaults
+const hashOf = (d) => encodeShareHash({ ...DEFAULT_INPUTS, ...d });
+
+describe("decodeShareHash", () => {
+  it("round-trips the inputs", () => {
+    const inputs = { ...DEFAULT_INPUTS, insurancePct: 1.5, items: [{ ...DEFAULT_INPUTS.items[0], qty: 250 }] };
+    expect(decodeShareHash(encodeShareHash(inputs)).inputs).toEqual(inputs);
+  });
+
+  it("accepts blank (null) numbers at any depth", () => {
+    const inputs = {
+      ...DEFAULT_INPUTS,
+      insurancePct: null,
+      items: [{ ...DEFAULT_INPUTS.items[0], qty: null }],
+      financing: { ...DEFAULT_INPUTS.financing, productionDays: null },
+      fxPayment: { ...DEFAULT_INPUTS.fxPayment, rates: { ...DEFAULT_INPUTS.fxPayment.rates, USD: null } },
+    };
+    expect(decodeShareHash(encodeShareHash(inputs)).inputs).toEqual(inputs);
+  });
+
+  it("rejects a nested field of the wrong kind, naming its path", () => {
+    const items = [{ ...DEFAULT_INPUTS.items[0], qty: "100" }];
+    expect(() => decodeShareHash(hashOf({ items }))).toThrow("items.0.qty");
+    const rateCards = { ...DEFAULT_INPUTS.rateCards, China: { ...DEFAULT_INPUTS.rateCards.China, airTiers: [{ threshold: 45, rate: "x" }] } };
+    expect(() => decodeShareHash(hashOf({ rateCards }))).toThrow("rateCards.China.airTiers.0.rate");
+  });
+
+  it("checks routes and currencies the defaults do not list against their siblings", () => {
+    const rateCards = { ...DEFAULT_INPUTS.rateCards, Vietnam: { ...DEFAULT_INPUTS.rateCards.China, fcl20Price: true } };
+    expect(() => decodeShareHash(hashOf({ rateCards }))).toThrow("rateCards.Vietnam.fcl20Price");
+    const fxPayment = { ...DEFAULT_INPUTS.fxPayment, rates: { ...DEFAULT_INPUTS.fxPayment.rates, THB: null } };
+    expect(decodeShareHash(hashOf({ fxPayment })).inputs.fxPayment.rates.THB).toBeNull();
+  });
+
+  it("still rejects a null where the default is an object", () => {
+    expect(() => decodeShareHash(hashOf({ destination: null }))).toThrow("destination");
+  });
+});
@@ -0,0 +1,136 @@
+import BUNDLED_TARIFF from "../data/tariff.json";
+import { t } from "./i18n.js";
+
+// ==========================
+// HS-code tariff table (TARIC-style, local and editable)
+// ==========================
+// Entry: { code, description, thirdCountry, preferential: { origin: % }, additional: { origin: % } }
+//   thirdCountry — direito de país terceiro (erga omnes), % sobre o valor aduaneiro
+//   preferential — taxa preferencial por origem (acordos comerciais), substitui a de país terceiro se for menor
+//   additional   — anti-dumping / direitos adicionais por origem, somados à taxa aplicada
+// Bundled values are indicative; confirm each code in TARIC before relying on it.
+export const DEFAULT_TARIFF = BUNDLED_TARIFF;
+
+// Consignments of negligible value: no import duty up to this intrinsic value
+// (goods only, without transport and insurance; Reg. 1186/2009 art. 23). Import VAT is still due.
+export const LOW_VALUE_RELIEF_EUR = 150;
+
+export const normalizeHs = (code) => String(code ?? "").replace(/\D/g, "");
+
+// Most specific entry whose code is a prefix of the HS code (8471 matches 84716070)
+export function findTariffEntry(tariff, hsCode) {
+  const hs = normalizeHs(hsCode);
+  if (!hs) return null;
+  return tariff
+    .filter(e => hs.startsWith(normalizeHs(e.code)))
+    .sort((a, b) => normalizeHs(b.code).length - normalizeHs(a.code).length)[0] ?? null;
+}
+
+// Duty rates are percentages ≥ 0; blank (null) or unparsed (NaN) rates are invalid
+export const isTariffRate = (v) => Number.isFinite(v) && v >= 0;
+
+/**
+ * Effective duty for an HS code and product origin, with the measures applied.
+ * Returns { pct, measure, entry, error?, invalidRate? }; `error` is set when no entry
+ * matches or, with `invalidRate`, when a rate that applies to the origin is not a number ≥ 0.
+ */
+export function resolveDuty(tariff, hsCode, origin) {
+  const entry = findTariffEntry(tariff, hsCode);
+  if (!entry) {
+    return { pct: 0, measure: "", entry: null, error: normalizeHs(hsCode) ? t("tariff.codeNotFound", { code: hsCode }) : t("tariff.codeMissing") };
+  }
+  const pref = entry.preferential?.[origin];
+  if (!isTariffRate(entry.thirdCountry) || (pref !== undefined && !isTariffRate(pref)) || !isTariffRate(entry.additional?.[origin] ?? 0)) {
+    return { pct: 0, measure: "", entry, error: t("tariff.badRate", { code: entry.code, origin }), invalidRate: true };
+  }
+  const usePref = pref !== undefined && pref < entry.thirdCountry;
+  const base = usePref ? pref : entry.thirdCountry;
+  const extra = entry.additional?.[origin] ?? 0;
+  const measures = [usePref ? t("tariff.preferential", { origin, pct: pref }) : t("tariff.thirdCountry", { pct: entry.thirdCountry })];
+  if (extra) measures.push(t("tariff.additional", { origin, pct: extra }));
+  return { pct: base + extra, measure: `${entry.code}: ${measures.join(" + ")}`, entry };
+}
+
+// ==========================
+// Import / export (JSON array or CSV)
+// ==========================
+// CSV columns: code;description;thirdCountry;preferential;additional
+// Origin maps as "Korea=0|Hong Kong=0" (',' or ';' separators, decimal comma accepted)
+const parseNumber = (text) => Number(String(text).trim().replace(",", "."));
+
+export const mapToText = (map) => Object.entries(map ?? {}).map(([k, v]) => `${k}=${v}`).join("|");
+
+export function textToMap(text) {
+  const map = {};
+  String(text ?? "").split("|").map(p => p.trim()).filter(Boolean).forEach(pair => {
+    const [origin, value] = pair.split("=");
+    map[origin.trim()] = parseNumber(value);
+  });
+  return map;
+}
+
+export const tariffJson = (tariff) => JSON.stringify(tariff, null, 2);
+
+export const tariffCsv = (tariff) => [
+  "code;description;thirdCountry;preferential;additional",
+  ...tariff.map(e => [e.code, e.description, e.thirdCountry, mapToText(e.preferential), mapToText(e.additional)].join(";")),
+].join("\r\n");
+
+/**
+ * Problems with one entry, as user-facing messages (empty when valid).
+ */
+export function validateTariffEntry(e) {
+  const problems = [];
+  if (!normalizeHs(e.code)) problems.push(t("tariff.entry.codeMissing"));
+  if (!isTariffRate(e.thirdCountry)) problems.push(t("tariff.entry.badThirdCountry"));
+  ["preferential", "additional"].forEach(k => {
+    Object.entries(e[k] ?? {}).forEach(([origin, v]) => {
+      if (!isTariffRate(v)) problems.push(t(`tariff.entry.bad.${k}`, { origin }));
+    });
+  });
+  return problems;
+}
+
+function parseCsv(text) {
+  const rows = text.replace(/^﻿/, "").split(/\r?\n/).filter(l => l.trim());
+  // An empty file has no header either
+  if (!rows.length) throw new Error(t("tariff.file.csvColumns"));
+  const sep = rows[0].includes(";") ? ";" : ",";
+  const header = rows[0].split(sep).map(h => h.trim());
+  const col = (name) => header.indexOf(name);
+  if (col("code") < 0 || col("thirdCountry") < 0) throw new Error(t("tariff.file.csvColumns"));
+  return rows.slice(1).map(line => {
+    const cells = line.split(sep);
+    const cell = (name) => (col(name) >= 0 ? (cells[col(name)] ?? "").trim() : "");
+    return {
+      code: cell("code"),
+      description: cell("description"),
+      thirdCountry: parseNumber(cell("thirdCountry")),
+      preferential: textToMap(cell("preferential")),
+      additional: textToMap(cell("additional")),
+    };
+  });
+}
+
+/**
+ * Parse a tariff file (JSON array or CSV). Throws an Error listing the
+ * problems when any entry is invalid.
+ */
+export function parseTariffFile(text, filename = "") {
+  let entries;
+  if (filename.toLowerCase().endsWith(".csv") || !text.trim().startsWith("[")) {
+    entries = parseCsv(text);
+  } else {
+    try {
+      entries = JSON.parse(text);
+    } catch {
+      throw new Error(t("tariff.file.notJson"));
+    }
+    if (!Array.isArray(entries)) throw new Error(t("tariff.file.notList"));
+    entries = entries.map(e => ({ description: "", preferential: {}, additional: {}, ...e, code: String(e.code ?? "") }));
+  }
+  const problems = [];
+  entries.forEach((e, i) => validateTariffEntry(e).forEach(p => problems.push(t("tariff.file.lineProblem", { line: i + 1, code: e.code || "?", problem: p }))));
+  if (problems.length) throw new Error(`${t("tariff.file.errors")}\n${problems.join("\n")}`);
+  return entries;
+}
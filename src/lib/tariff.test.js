@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { parseTariffFile, resolveDuty } from "./tariff.js";
+import { t } from "./i18n.js";
+
+describe("parseTariffFile", () => {
+  it("reads a CSV with the required columns", () => {
+    const entries = parseTariffFile("code;description;thirdCountry\n847160;Leitores;2,5\n", "pauta.csv");
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ code: "847160", thirdCountry: 2.5 });
+  });
+
+  it("reports the missing columns for an empty or blank CSV", () => {
+    ["", "  \n\r\n  ", "﻿"].forEach(text => {
+      expect(() => parseTariffFile(text, "pauta.csv")).toThrow(t("tariff.file.csvColumns"));
+      expect(() => parseTariffFile(text)).toThrow(t("tariff.file.csvColumns"));
+    });
+  });
+});
+
+describe("resolveDuty", () => {
+  const entry = { code: "8471", description: "", thirdCountry: 2, preferential: { Korea: 0 }, additional: { China: 3 } };
+
+  it("adds the additional duty for the origin and applies a lower preferential rate", () => {
+    expect(resolveDuty([entry], "84716070", "China")).toMatchObject({ pct: 5 });
+    expect(resolveDuty([entry], "84716070", "Korea")).toMatchObject({ pct: 0 });
+  });
+
+  it("reports an error instead of a rate when an applicable rate is not a number ≥ 0", () => {
+    [
+      { ...entry, additional: { China: NaN } },
+      { ...entry, thirdCountry: -5 },
+      { ...entry, thirdCountry: null },
+      { ...entry, preferential: { China: -1 } },
+    ].forEach(bad => {
+      const duty = resolveDuty([bad], "84716070", "China");
+      expect(duty.error).toBe(t("tariff.badRate", { code: "8471", origin: "China" }));
+      expect(duty.pct).toBe(0);
+    });
+  });
+
+  it("ignores invalid rates of other origins", () => {
+    const duty = resolveDuty([{ ...entry, additional: { Brasil: NaN } }], "84716070", "China");
+    expect(duty.error).toBeUndefined();
+    expect(duty.pct).toBe(2);
+  });
+});
@@ -0,0 +1,308 @@
+import { t } from "./i18n.js";
+import { isCartonPacked } from "./packing.js";
+import { findTariffEntry } from "./tariff.js";
+import { formatNumber } from "./format.js";
+
+// ==========================
+// Input validation: per-field ranges (errors block the result) and plausibility warnings
+// ==========================
+// Rule: { min, max, positive (> 0), integer, warnAbove }. Empty fields are stored as null.
+export const FIELD_RULES = {
+  insurancePct: { min: 0, max: 10 },
+  brokerageFee: { min: 0 },
+  portTHC: { min: 0 },
+  otherFees: { min: 0 },
+  localOriginTransport: { min: 0 },
+  exportClearanceFee: { min: 0 },
+  dutyPct: { min: 0, max: 100 },
+  vatPct: { min: 0, max: 30 },
+};
+
+export const ITEM_RULES = {
+  qty: { min: 1, integer: true },
+  unitPrice: { min: 0 },
+  unitWeightKg: { positive: true, warnAbove: 50 }, // AIDC devices: scanners, printers, terminals
+  unitLcm: { positive: true },
+  unitWcm: { positive: true },
+  unitHcm: { positive: true },
+  unitsPerCarton: { min: 0, integer: true },
+  cartonLcm: { positive: true },
+  cartonWcm: { positive: true },
+  cartonHcm: { positive: true },
+  cartonKg: { positive: true },
+};
+
+const UNIT_DIMENSIONS = ["unitLcm", "unitWcm", "unitHcm"];
+
+// HS tariff rates (%) an entry applies to a SKU's origin; anti-dumping duties may pass 100%
+export const TARIFF_RULES = {
+  thirdCountry: { min: 0, max: 100 },
+  preferential: { min: 0, max: 100 },
+  additional: { min: 0 },
+};
+
+export const PACKING_RULES = {
+  palletLcm: { positive: true },
+  palletWcm: { positive: true },
+  palletMaxHcm: { positive: true },
+  palletDeckHcm: { min: 0 },
+  palletKg: { min: 0 },
+};
+
+// Rate-card fields checked for each freight model
+export const CARD_RULES = {
+  express: { expressTransitDays: { min: 0, integer: true } },
+  air: { airVolFactor: { positive: true }, airMinChargeKg: { min: 0 }, airFixedFees: { min: 0 }, airTransitDays: { min: 0, integer: true } },
+  lcl: { lclMinCbm: { min: 0 }, lclFixedFees: { min: 0 }, lclTransitDays: { min: 0, integer: true } },
+  fcl: { fcl20Price: { min: 0 }, fcl40Price: { min: 0 }, fcl40HcPrice: { min: 0 }, fclFixedFees: { min: 0 }, fclTransitDays: { min: 0, integer: true } },
+};
+
+// Courier tariff (express mode); zone prices are checked for the route's zone only
+export const EXPRESS_RULES = {
+  divisor: { positive: true },
+  fuelPct: { min: 0, max: 100 },
+  remoteAreaFee: { min: 0 },
+  oversizeCm: { positive: true },
+  oversizeKg: { positive: true },
+  oversizeFee: { min: 0 },
+  disbursementPct: { min: 0, max: 100 },
+  disbursementMin: { min: 0 },
+};
+const EXPRESS_PER_KG_RULE = { min: 0 };
+
+// Lead times and payment terms; the balance may fall before shipment (negative days)
+export const FINANCING_RULES = {
+  costOfCapitalPct: { min: 0, max: 50 },
+  productionDays: { min: 0, integer: true },
+  depositPct: { min: 0, max: 100 },
+  balanceDays: { min: -365, max: 365, integer: true },
+  clearanceDays: { min: 0, integer: true },
+  salesDays: { min: 0, integer: true },
+};
+
+// Order planning (not part of the landed cost; checked by the planning panel)
+export const PLANNING_RULES = {
+  annualDemand: { positive: true, integer: true },
+  holdingPct: { min: 0, max: 100 },
+  spaceCostPerM3: { min: 0 },
+};
+
+// Resale pricing (checked by the pricing panel); at 100% a margin, fee or discount leaves no price
+export const PRICING_RULES = {
+  targetPct: { min: 0 },
+  channelFeePct: { min: 0, max: 99 },
+  distributorDiscountPct: { min: 0, max: 99 },
+  sellingPrice: { min: 0 }, // 0 = sem preço conhecido
+};
+const MARGIN_RULE = { min: 0, max: 99 };
+
+// Monte Carlo ranges (low, base and high of each factor; checked by the risk panel)
+export const RISK_RULES = {
+  fxPct: { min: -90, max: 100 },
+  freightMult: { min: 0, max: 10 },
+  dutyPts: { min: -100, max: 100 },
+};
+
+// Simulations per Monte Carlo run (about 0.7 ms each); the risk panel clamps to it when the field is left
+export const RISK_RUNS_RULE = { min: 100, max: 10000, integer: true };
+
+export const DESTINATION_RULES = {
+  inlandKm: { min: 0 },
+  inlandRatePerKm: { min: 0 },
+  inlandRatePer100Kg: { min: 0 },
+  inlandMinEUR: { min: 0 },
+  storageDays: { min: 0, integer: true },
+  storageFreeDays: { min: 0, integer: true },
+  storageRatePerDay: { min: 0 },
+  demurrageDays: { min: 0, integer: true },
+  demurrageFreeDays: { min: 0, integer: true },
+  demurrageRatePerDay: { min: 0 },
+  inspectionFee: { min: 0 },
+  deferralGuaranteePct: { min: 0, max: 100 },
+};
+
+// Volume-chart quantities (checked by the sensitivity panel); blank bounds use the automatic range
+export const QTY_RANGE_RULE = { min: 1, max: 10000000, integer: true };
+
+export const FILL_RULE = { min: 1, max: 100 };
+export const DUTY_RATE_RULE = { min: 0, max: 100 };
+
+// FX further than this from the reference rate is flagged
+export const FX_WARN_PCT = 20;
+
+// Empty field → null, so the validation reports it instead of computing with 0
+export const blankToNull = (text) => (text === "" ? null : Number(text));
+
+/** Error text for `value` under `rule`, or null when valid. */
+export function checkValue(value, rule) {
+  if (value === null || value === undefined || value === "") return t("validation.required");
+  if (!Number.isFinite(value)) return t("validation.notNumber");
+  if (rule.positive && !(value > 0)) return t("validation.positive");
+  if (rule.min !== undefined && rule.max !== undefined && (value < rule.min || value > rule.max)) return t("validation.range", { min: rule.min, max: rule.max });
+  if (rule.min !== undefined && value < rule.min) return t("validation.min", { min: rule.min });
+  if (rule.max !== undefined && value > rule.max) return t("validation.max", { max: rule.max });
+  if (rule.integer && !Number.isInteger(value)) return t("validation.integer");
+  return null;
+}
+
+/**
+ * Every problem with the inputs: [{ path, level: "error"|"warning", field, text, message }].
+ * `path` identifies the input ("insurancePct", "items.<id>.qty", "fxPayment.USD", …);
+ * `message` includes the field name for lists away from the field.
+ * ctx: { card, freightKind: "express"|"air"|"lcl"|"fcl", referenceFx }.
+ */
+export function validateInputs(inputs, { card, freightKind, referenceFx }) {
+  const issues = [];
+  const add = (path, level, field, text) => issues.push({ path, level, field, text, message: `${field}: ${text}` });
+  const check = (path, value, rule, field) => {
+    const error = checkValue(value, rule);
+    if (error) add(path, "error", field, error);
+    else if (rule.warnAbove !== undefined && value > rule.warnAbove) add(path, "warning", field, t("validation.warnAbove", { max: rule.warnAbove }));
+  };
+  const checkAll = (prefix, values, rules, label) => Object.entries(rules).forEach(([key, rule]) => check(`${prefix}${key}`, values[key], rule, label(key)));
+
+  const dutyManual = !inputs.ignoreDuty && inputs.dutySource === "manual";
+  const dutyByOrigin = !inputs.ignoreDuty && inputs.dutySource === "origin";
+  Object.entries(FIELD_RULES).forEach(([key, rule]) => {
+    if (key === "dutyPct" && !dutyManual) return;
+    if (key === "vatPct" && inputs.vatRateKind !== "manual") return;
+    check(key, inputs[key], rule, t(`field.${key}`));
+  });
+  if (dutyByOrigin) {
+    Object.entries(inputs.originDutyMap).forEach(([origin, pct]) => check(`originDutyMap.${origin}`, pct, DUTY_RATE_RULE, t("field.originDuty", { origin })));
+  }
+
+  // Tariff entries the SKUs resolve to, for their origin (codes missing from the table are reported by the engine)
+  if (!inputs.ignoreDuty && inputs.dutySource === "hs") {
+    const checked = new Set();
+    inputs.items.forEach(item => {
+      const entry = findTariffEntry(inputs.tariff, item.hsCode);
+      if (!entry) return;
+      const index = inputs.tariff.indexOf(entry);
+      const origin = item.productOrigin;
+      [["thirdCountry", entry.thirdCountry], ["preferential", entry.preferential?.[origin]], ["additional", entry.additional?.[origin]]].forEach(([key, value]) => {
+        // Origins without a preferential or additional rate take none
+        if (key !== "thirdCountry" && value === undefined) return;
+        const path = key === "thirdCountry" ? `tariff.${index}.thirdCountry` : `tariff.${index}.${key}.${origin}`;
+        if (checked.has(path)) return;
+        checked.add(path);
+        check(path, value, TARIFF_RULES[key], t("field.tariff", { code: entry.code, field: t(`field.tariff.${key}`, { origin }) }));
+      });
+    });
+  }
+
+  // Loose lines ship on unit dimensions; carton lines on the carton
+  inputs.items.forEach(item => {
+    const carton = isCartonPacked(item);
+    Object.entries(ITEM_RULES).forEach(([key, rule]) => {
+      if (carton ? UNIT_DIMENSIONS.includes(key) : key.startsWith("carton")) return;
+      check(`items.${item.id}.${key}`, item[key], rule, t("field.item", { sku: item.sku, field: t(`field.item.${key}`) }));
+    });
+  });
+
+  if (inputs.packing.palletize) checkAll("packing.", inputs.packing, PACKING_RULES, key => t(`field.packing.${key}`));
+  checkAll("card.", card, CARD_RULES[freightKind], key => t(`field.card.${key}`));
+  checkAll("financing.", inputs.financing, FINANCING_RULES, key => t(`field.financing.${key}`));
+  if (freightKind === "express") {
+    checkAll("express.", inputs.express, EXPRESS_RULES, key => t(`field.express.${key}`));
+    const zoneId = card.expressZone;
+    const zone = inputs.express.zones[zoneId];
+    if (zone) {
+      check(`express.zones.${zoneId}.perKg`, zone.perKg, EXPRESS_PER_KG_RULE, t("field.express.perKg", { zone: zoneId }));
+      if (!zone.steps.length || zone.steps.some(p => !Number.isFinite(p) || p < 0)) {
+        add(`express.zones.${zoneId}.steps`, "error", t("field.express.steps", { zone: zoneId }), t("validation.steps"));
+      }
+    }
+  }
+  if (freightKind === "fcl") check("containerPlan.fillPct", inputs.containerPlan.fillPct, FILL_RULE, t("field.fillPct"));
+
+  // Destination fields the current options leave unused are not checked
+  const dest = inputs.destination;
+  const fcl = freightKind === "fcl";
+  const destUsed = {
+    inlandKm: dest.inlandBasis === "distance",
+    inlandRatePerKm: dest.inlandBasis === "distance",
+    inlandRatePer100Kg: dest.inlandBasis === "weight",
+    inlandMinEUR: dest.inlandBasis !== "none",
+    demurrageDays: fcl,
+    demurrageFreeDays: fcl,
+    demurrageRatePerDay: fcl,
+    deferralGuaranteePct: dest.dutyDeferment,
+  };
+  Object.entries(DESTINATION_RULES).forEach(([key, rule]) => {
+    if (destUsed[key] === false) return;
+    check(`destination.${key}`, dest[key], rule, t(`field.destination.${key}`));
+  });
+
+  // Rates of the currencies in use (absent ones are reported by the engine)
+  const used = new Set(inputs.items.map(it => it.currency));
+  [["fxCustoms", inputs.fxCustoms], ["fxPayment", inputs.fxPayment]].forEach(([kind, set]) => {
+    Object.entries(set.rates).forEach(([code, rate]) => {
+      if (code === "EUR" || !used.has(code)) return;
+      const field = t(`field.${kind}`, { code });
+      const error = checkValue(rate, { positive: true });
+      if (error) return add(`${kind}.${code}`, "error", field, error);
+      const ref = referenceFx[code];
+      const offPct = ref ? Math.abs(rate / ref - 1) * 100 : 0;
+      if (offPct > FX_WARN_PCT) add(`${kind}.${code}`, "warning", field, t("validation.fxOff", { pct: Math.round(offPct), ref: formatNumber(ref, 4) }));
+    });
+  });
+
+  return issues;
+}
+
+const groupIssue = (path, field, text) => ({ path, level: "error", field, text, message: `${field}: ${text}` });
+
+// Range problems of a settings group outside the landed cost (paths "<prefix>.<key>")
+const checkGroup = (prefix, values, rules, label) => Object.entries(rules).flatMap(([key, rule]) => {
+  const text = checkValue(values[key], rule);
+  return text ? [groupIssue(`${prefix}.${key}`, label(key), text)] : [];
+});
+
+// Order-planning problems, same shape as validateInputs (paths "planning.<key>")
+export const validatePlanning = (planning) => checkGroup("planning", planning, PLANNING_RULES, key => t(`field.planning.${key}`));
+
+// Resale-pricing problems (paths "pricing.<key>"); a margin must stay under 100%, a markup may not
+export function validatePricing(pricing) {
+  const rules = pricing.basis === "margin" ? { ...PRICING_RULES, targetPct: MARGIN_RULE } : PRICING_RULES;
+  return checkGroup("pricing", pricing, rules, key => t(`field.pricing.${key}`));
+}
+
+// Monte Carlo range problems (paths "risk.<factor>.<low|mode|high>"); the base sits between low and high
+export function validateRisk(risk) {
+  return Object.entries(RISK_RULES).flatMap(([key, rule]) => {
+    const factor = risk[key];
+    const label = (bound) => t("field.risk", { factor: t(`risk.factor.${key}`), bound: t(`riskPanel.col.${bound}`) });
+    const problems = checkGroup(`risk.${key}`, factor, { low: rule, mode: rule, high: rule }, label);
+    if (problems.length || (factor.low <= factor.mode && factor.mode <= factor.high)) return problems;
+    return [groupIssue(`risk.${key}.mode`, label("mode"), t("validation.riskOrder"))];
+  });
+}
+
+// Bounds of the single-input sweep (paths "sweep.min"/"sweep.max"); the upper one must be higher
+export function validateSweep(bounds) {
+  const problems = checkGroup("sweep", bounds, { min: {}, max: {} }, bound => t(`field.sweep.${bound}`));
+  if (problems.length || bounds.max > bounds.min) return problems;
+  return [groupIssue("sweep.max", t("field.sweep.max"), t("validation.above", { min: bounds.min }))];
+}
+
+// Bounds of the volume chart (paths "qtyRange.qMin"/"qtyRange.qMax"); a blank one (null) takes the
+// automatic value from `auto`, and the upper bound must end up higher
+export function validateQtyRange(range, auto) {
+  const set = Object.keys(range).filter(bound => range[bound] !== null);
+  const problems = checkGroup("qtyRange", range, Object.fromEntries(set.map(bound => [bound, QTY_RANGE_RULE])), bound => t(`field.qtyRange.${bound}`));
+  const { qMin, qMax } = { ...auto, ...Object.fromEntries(set.map(bound => [bound, range[bound]])) };
+  if (problems.length || qMax > qMin) return problems;
+  return [range.qMax !== null
+    ? groupIssue("qtyRange.qMax", t("field.qtyRange.qMax"), t("validation.above", { min: qMin }))
+    : groupIssue("qtyRange.qMin", t("field.qtyRange.qMin"), t("validation.below", { max: qMax }))];
+}
+
+// path → first issue (errors before warnings) for inline display
+export function issuesByPath(issues) {
+  const map = {};
+  issues.forEach(issue => {
+    if (!map[issue.path] || (issue.level === "error" && map[issue.path].level !== "error")) map[issue.path] = issue;
+  });
+  return map;
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { validateInputs, validateQtyRange, QTY_RANGE_RULE } from "./validation.js";
+import { DEFAULT_INPUTS, DEFAULT_FX, rateCardFor, freightKind } from "./landedCost.js";
+
+const validate = (inputs) => validateInputs(inputs, { card: rateCardFor(inputs), freightKind: freightKind(inputs.mode), referenceFx: DEFAULT_FX });
+
+describe("validateInputs", () => {
+  describe("HS tariff entries", () => {
+    // The default SKU is HS 847160 from China
+    const ENTRY = { code: "8471", description: "", thirdCountry: 0, preferential: {}, additional: {} };
+    const inputs = (entry, overrides = {}) => ({ ...DEFAULT_INPUTS, ignoreDuty: false, dutySource: "hs", tariff: [entry], ...overrides });
+    const tariffErrors = (issues) => issues.filter(i => i.path.startsWith("tariff.") && i.level === "error");
+
+    it("accepts valid rates", () => {
+      expect(tariffErrors(validate(inputs({ ...ENTRY, additional: { China: 34.6 } })))).toEqual([]);
+    });
+
+    it("flags an unparsed additional rate for the SKU's origin", () => {
+      const errors = tariffErrors(validate(inputs({ ...ENTRY, additional: { China: NaN } })));
+      expect(errors.map(i => i.path)).toEqual(["tariff.0.additional.China"]);
+    });
+
+    it("flags a negative or blank third-country duty", () => {
+      expect(tariffErrors(validate(inputs({ ...ENTRY, thirdCountry: -5 }))).map(i => i.path)).toEqual(["tariff.0.thirdCountry"]);
+      expect(tariffErrors(validate(inputs({ ...ENTRY, thirdCountry: null }))).map(i => i.path)).toEqual(["tariff.0.thirdCountry"]);
+    });
+
+    it("leaves rates of other origins and unused entries to the tariff editor", () => {
+      const unused = { ...ENTRY, code: "9999", thirdCountry: -1 };
+      const issues = validate({ ...inputs({ ...ENTRY, additional: { Brasil: NaN } }), tariff: [{ ...ENTRY, additional: { Brasil: NaN } }, unused] });
+      expect(tariffErrors(issues)).toEqual([]);
+    });
+
+    it("does not check the table when duties come from elsewhere", () => {
+      expect(tariffErrors(validate(inputs({ ...ENTRY, thirdCountry: -5 }, { dutySource: "manual" })))).toEqual([]);
+      expect(tariffErrors(validate(inputs({ ...ENTRY, thirdCountry: -5 }, { ignoreDuty: true })))).toEqual([]);
+    });
+  });
+});
+
+describe("validateQtyRange", () => {
+  const auto = { qMin: 10, qMax: 2000 };
+  const paths = (range) => validateQtyRange(range, auto).map(i => i.path);
+
+  it("accepts blank bounds, which take the automatic range", () => {
+    expect(paths({ qMin: null, qMax: null })).toEqual([]);
+    expect(paths({ qMin: 500, qMax: null })).toEqual([]);
+  });
+
+  it("rejects quantities below one, fractional or above the cap", () => {
+    expect(paths({ qMin: 0, qMax: null })).toEqual(["qtyRange.qMin"]);
+    expect(paths({ qMin: -5, qMax: 100 })).toEqual(["qtyRange.qMin"]);
+    expect(paths({ qMin: null, qMax: 10.5 })).toEqual(["qtyRange.qMax"]);
+    expect(paths({ qMin: null, qMax: QTY_RANGE_RULE.max + 1 })).toEqual(["qtyRange.qMax"]);
+  });
+
+  it("requires the upper bound to be higher, against the automatic one when blank", () => {
+    expect(paths({ qMin: 100, qMax: 100 })).toEqual(["qtyRange.qMax"]);
+    expect(paths({ qMin: null, qMax: 5 })).toEqual(["qtyRange.qMax"]);
+    expect(paths({ qMin: 5000, qMax: null })).toEqual(["qtyRange.qMin"]);
+  });
+});
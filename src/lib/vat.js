@@ -0,0 +1,95 @@
+import { t } from "./i18n.js";
+
+// ==========================
+// Import VAT: treatment, rates by country/region, cash-flow timing
+// ==========================
+// Labels: vat.regime.<id>, vat.country.<code>, vat.rateKind.<id>, vat.filing.<id>
+export const VAT_REGIMES = ["customs", "reverseCharge", "cp42"];
+
+// Reference rates (%); confirm before quoting. Portugal has three regions with their own rates.
+export const VAT_COUNTRIES = {
+  PT: { rates: { standard: 23, intermediate: 13, reduced: 6 } },
+  "PT-MA": { rates: { standard: 22, intermediate: 12, reduced: 4 } },
+  "PT-AC": { rates: { standard: 16, intermediate: 9, reduced: 4 } },
+  ES: { rates: { standard: 21, intermediate: 10, reduced: 4 } },
+  FR: { rates: { standard: 20, intermediate: 10, reduced: 5.5 } },
+  DE: { rates: { standard: 19, reduced: 7 } },
+  IT: { rates: { standard: 22, intermediate: 10, reduced: 4 } },
+  NL: { rates: { standard: 21, reduced: 9 } },
+  BE: { rates: { standard: 21, intermediate: 12, reduced: 6 } },
+  IE: { rates: { standard: 23, intermediate: 13.5, reduced: 9 } },
+  PL: { rates: { standard: 23, intermediate: 8, reduced: 5 } },
+  AT: { rates: { standard: 20, intermediate: 13, reduced: 10 } },
+};
+
+export const VAT_RATE_KINDS = ["standard", "intermediate", "reduced", "manual"];
+
+// VAT return period; the return is paid by the 25th of the second month after the period
+export const VAT_FILING = {
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+};
+
+export const isPortugueseRegion = (country) => country === "PT" || country.startsWith("PT-");
+
+/**
+ * VAT rate and treatment for the simulation: { regime, rate, label, error? }.
+ * `vatPct` is only used with the manual rate.
+ */
+export function vatTreatment({ vatRegime, vatCountry, vatRateKind, vatPct }) {
+  const country = VAT_COUNTRIES[vatCountry];
+  const rate = vatRateKind === "manual" ? vatPct : country?.rates[vatRateKind];
+  const countryName = country ? t(`vat.country.${vatCountry}`) : vatCountry;
+  const kindName = t(`vat.rateKind.${vatRateKind}`);
+  const label = `${countryName} — ${kindName}`;
+  if (!Number.isFinite(rate)) {
+    return { regime: vatRegime, rate: 0, label, error: country ? t("vat.error.noRate", { country: countryName, kind: kindName.toLowerCase() }) : t("vat.error.unknownCountry", { country: vatCountry }) };
+  }
+  if (vatRegime === "reverseCharge" && !isPortugueseRegion(vatCountry)) {
+    return { regime: vatRegime, rate, label, error: t("vat.error.reverseChargeOutsidePt") };
+  }
+  return { regime: vatRegime, rate, label };
+}
+
+// ==========================
+// Cash-flow timing
+// ==========================
+const isoDay = (d) => d.toISOString().slice(0, 10);
+const daysBetween = (a, b) => Math.round((b - a) / 86400000);
+
+// Payment deadline of the return covering `date`: 25th of the second month after the period ends
+export function vatReturnDate(date, filing) {
+  const { months } = VAT_FILING[filing] ?? VAT_FILING.monthly;
+  const periodEnd = Math.floor(date.getUTCMonth() / months) * months + months - 1;
+  return new Date(Date.UTC(date.getUTCFullYear(), periodEnd + 2, 25));
+}
+
+// Without a clearance date: average days from clearance to the return deadline
+// (clearance mid-period, the rest of the period, then one month and 25 days)
+export const vatReturnLagDays = (filing) => Math.round(((VAT_FILING[filing] ?? VAT_FILING.monthly).months * 365 / 12) / 2 + 365 / 12 + 25);
+
+/**
+ * When import VAT leaves and comes back: { events: [{ day, date, label, amountEUR }], paidDay, recoveredDay, days, exposureEUR }.
+ * Paid at customs on the clearance date, or settled in the VAT return under
+ * reverse charge; deducted in the return of the clearance period when recoverable.
+ * Days count from clearance. `clearanceDate` is AAAA-MM-DD; when empty the return
+ * comes after vatReturnLagDays and the events have no date (null).
+ */
+export function vatCashFlow(inputs, result, clearanceDate) {
+  const amount = result.vatEUR;
+  if (!(amount > 0)) return { events: [], paidDay: null, recoveredDay: null, days: 0, exposureEUR: 0 };
+
+  const cleared = clearanceDate ? new Date(`${clearanceDate}T00:00:00Z`) : null;
+  const returnDay = cleared ? daysBetween(cleared, vatReturnDate(cleared, inputs.vatFiling)) : vatReturnLagDays(inputs.vatFiling);
+  const dateOf = (day) => (cleared ? isoDay(new Date(cleared.getTime() + day * 86400000)) : null);
+
+  const atCustoms = result.vatRegime === "customs";
+  const paidDay = atCustoms ? 0 : returnDay;
+  const events = [{ day: paidDay, date: dateOf(paidDay), label: atCustoms ? t("vat.flow.paidAtCustoms") : t("vat.flow.selfAssessed"), amountEUR: -amount }];
+  if (!inputs.vatRecoverable) return { events, paidDay, recoveredDay: null, days: null, exposureEUR: amount };
+
+  // Deduction in the same return: with reverse charge it cancels the liability (no cash moves)
+  events.push({ day: returnDay, date: dateOf(returnDay), label: t("vat.flow.deducted"), amountEUR: amount });
+  const days = returnDay - paidDay;
+  return { events, paidDay, recoveredDay: returnDay, days, exposureEUR: days > 0 ? amount : 0 };
+}
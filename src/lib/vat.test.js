@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import { vatTreatment, vatReturnDate, vatReturnLagDays, vatCashFlow } from "./vat.js";
+
+const VAT = { vatRegime: "customs", vatCountry: "PT", vatRateKind: "standard", vatPct: 23 };
+
+describe("vatTreatment", () => {
+  it("takes the rate of the country or region, or the manual one", () => {
+    expect(vatTreatment(VAT).rate).toBe(23);
+    expect(vatTreatment({ ...VAT, vatCountry: "PT-AC", vatRateKind: "reduced" }).rate).toBe(4);
+    expect(vatTreatment({ ...VAT, vatRateKind: "manual", vatPct: 7.5 }).rate).toBe(7.5);
+  });
+
+  it("reports a missing rate, an unknown country and reverse charge outside Portugal", () => {
+    expect(vatTreatment({ ...VAT, vatCountry: "DE", vatRateKind: "intermediate" })).toMatchObject({ rate: 0, error: expect.any(String) });
+    expect(vatTreatment({ ...VAT, vatCountry: "XX" }).error).toBeTruthy();
+    expect(vatTreatment({ ...VAT, vatRegime: "reverseCharge", vatCountry: "ES" }).error).toBeTruthy();
+    expect(vatTreatment({ ...VAT, vatRegime: "reverseCharge", vatCountry: "PT-MA" }).error).toBeUndefined();
+  });
+});
+
+describe("vatReturnDate", () => {
+  it("is the 25th of the second month after the period", () => {
+    const iso = (d) => d.toISOString().slice(0, 10);
+    expect(iso(vatReturnDate(new Date("2025-03-10T00:00:00Z"), "monthly"))).toBe("2025-05-25");
+    expect(iso(vatReturnDate(new Date("2025-02-10T00:00:00Z"), "quarterly"))).toBe("2025-05-25");
+    expect(iso(vatReturnDate(new Date("2025-12-10T00:00:00Z"), "monthly"))).toBe("2026-02-25");
+  });
+});
+
+describe("vatCashFlow", () => {
+  const inputs = { vatFiling: "monthly", vatRecoverable: true };
+
+  it("holds VAT paid at customs until the return that deducts it", () => {
+    const flow = vatCashFlow(inputs, { vatEUR: 230, vatRegime: "customs" }, "2025-03-10");
+    expect(flow).toMatchObject({ paidDay: 0, recoveredDay: 76, days: 76, exposureEUR: 230 });
+    expect(flow.events.map(e => [e.date, e.amountEUR])).toEqual([["2025-03-10", -230], ["2025-05-25", 230]]);
+  });
+
+  it("moves no cash under reverse charge", () => {
+    const flow = vatCashFlow(inputs, { vatEUR: 230, vatRegime: "reverseCharge" }, "2025-03-10");
+    expect(flow).toMatchObject({ paidDay: 76, recoveredDay: 76, days: 0, exposureEUR: 0 });
+  });
+
+  it("never recovers VAT that is not deductible", () => {
+    const flow = vatCashFlow({ ...inputs, vatRecoverable: false }, { vatEUR: 230, vatRegime: "customs" }, "2025-03-10");
+    expect(flow).toMatchObject({ recoveredDay: null, exposureEUR: 230 });
+    expect(flow.events).toHaveLength(1);
+  });
+
+  it("uses the average return delay without a clearance date", () => {
+    const flow = vatCashFlow(inputs, { vatEUR: 230, vatRegime: "customs" }, "");
+    expect(flow.recoveredDay).toBe(vatReturnLagDays("monthly"));
+    expect(flow.events[0].date).toBeNull();
+  });
+});
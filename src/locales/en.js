@@ -0,0 +1,839 @@
+// ==========================
+// English messages (keys as in pt-PT.js)
+// ==========================
+export default {
+  // Modes and origins (identifiers stored in pt-PT)
+  "mode.Aéreo Express": "Air express",
+  "mode.Aéreo (Carga)": "Air cargo",
+  "mode.Marítimo LCL": "Sea LCL",
+  "mode.Marítimo FCL 20'": "Sea FCL 20'",
+  "mode.Marítimo FCL 40'": "Sea FCL 40'",
+  "mode.Marítimo FCL 40' HC": "Sea FCL 40' HC",
+  "mode.Marítimo FCL (melhor combinação)": "Sea FCL (best mix)",
+  "origin.China": "China",
+  "origin.Korea": "Korea",
+  "origin.Hong Kong": "Hong Kong",
+  "origin.Brasil": "Brazil",
+  "origin.Outro": "Other",
+  "allocation.value": "Value",
+  "allocation.weight": "Weight",
+  "allocation.volume": "Volume",
+  "allocation.qty": "Quantity",
+  "dutySource.manual": "Manual %",
+  "dutySource.origin": "Table by product origin",
+  "dutySource.hs": "HS code (tariff table)",
+
+  // Engine (landedCost.js, incoterms.js)
+  "freight.airTiersInvalid": "Invalid air tiers",
+  "freight.airError": "Air freight: {error}",
+  "freight.airBasis": "Chargeable weight {kg} kg @ {rate} €/kg",
+  "freight.lclTiersInvalid": "Invalid LCL tiers",
+  "freight.lclError": "LCL freight: {error}",
+  "freight.lclBasis": "Chargeable volume {cbm} m³ @ {rate} €/m³",
+  "freight.fclNoMix": "No container mix",
+  "freight.fclNoMixError": "FCL freight: no container mix can hold the load.",
+  "freight.fclBasis": "{mix} (utilization {volPct}% vol. / {kgPct}% weight)",
+  "tiers.empty": "the table has no tiers.",
+  "tiers.infinityNotLast": "only the last tier may be \"∞\" (tier {n}).",
+  "tiers.missingLimit": "missing limit in tier {n}.",
+  "tiers.notPositive": "the limit of tier {n} must be greater than 0.",
+  "tiers.notAscending": "tier {n} is empty: limits must be strictly ascending.",
+  "tiers.badRate": "invalid price in tier {n}.",
+  "tiers.exceeded": "{value} {unit} exceeds the last tier ({last} {unit}); add an \"∞\" tier.",
+  "duty.ignored": "Duties ignored",
+  "duty.byOrigin": "Origin table ({origin})",
+  "duty.manual": "Manual",
+  "duty.supplierPaid": "Paid by the supplier (DDP)",
+  "fx.missingRate": "No valid exchange rate for {currency}.",
+  "composition.goods": "Goods ({incoterm})",
+  "composition.localOrigin": "Local transport (origin)",
+  "composition.exportClearance": "Export clearance",
+  "composition.freight": "Freight ({origin})",
+  "composition.insurance": "Insurance",
+  "composition.duty": "Duties",
+  "composition.brokerage": "Customs broker",
+  "composition.portTHC": "THC/Port",
+  "composition.otherFees": "Other fees",
+  "composition.deferral": "Guarantee (deferred payment)",
+  "composition.vat": "VAT (non-recoverable)",
+  "leg.originPickup": "Pickup / transport at origin",
+  "leg.exportClearance": "Export clearance",
+  "leg.mainFreight": "Main freight",
+  "leg.insurance": "Insurance",
+  "leg.destinationCharges": "Destination charges (THC, other fees, delivery to warehouse)",
+  "leg.importDuties": "Import clearance (broker, storage, inspection, duties, VAT)",
+
+  // Libraries (tariff, packing, pricing, risk, sensitivity, FX, rate cards, links, scenarios, destination)
+  "tariff.codeNotFound": "HS code {code} is not in the tariff table.",
+  "tariff.codeMissing": "HS code missing.",
+  "tariff.badRate": "Tariff entry {code} has an invalid duty rate for {origin}: rates must be numbers ≥ 0.",
+  "tariff.preferential": "Preferential {origin} {pct}%",
+  "tariff.thirdCountry": "Third country {pct}%",
+  "tariff.additional": "Anti-dumping/additional {origin} {pct}%",
+  "tariff.entry.codeMissing": "HS code missing",
+  "tariff.entry.badThirdCountry": "invalid third-country duty",
+  "tariff.entry.bad.preferential": "invalid preferential rate for {origin}",
+  "tariff.entry.bad.additional": "invalid additional rate for {origin}",
+  "tariff.file.csvColumns": "CSV lacks the required \"code\" and \"thirdCountry\" columns.",
+  "tariff.file.notJson": "Invalid tariff file: not JSON.",
+  "tariff.file.notList": "Invalid tariff file: expected a list of codes.",
+  "tariff.file.lineProblem": "Line {line} ({code}): {problem}",
+  "tariff.file.errors": "Tariff file has errors:",
+  "packing.loose": "Loose units",
+  "packing.cartons": "{cartons} cartons × {perCarton} units",
+  "packing.cartonTooBig": "{sku}: the {carton} cm carton does not fit the {pallet} cm pallet (max. height {maxH} cm).",
+  "packing.pallets": "{cartons} cartons on {pallets} pallet(s) of up to {perPallet} cartons",
+  "pricing.basis.margin": "Margin (% of net price)",
+  "pricing.basis.markup": "Markup (% on cost)",
+  "pricing.error.simulation": "Fix the simulation errors before computing the maximum price.",
+  "pricing.error.unreachable": "Even at a price of 0 the cost ({atZero}/unit) exceeds the maximum cost ({maxCost}/unit) — lower the target or raise the selling price.",
+  "risk.dist.uniform": "Uniform",
+  "risk.dist.triangular": "Triangular",
+  "risk.dist.normal": "Normal (P10–P90)",
+  "risk.factor.fxPct": "FX (% EUR per foreign currency)",
+  "risk.factor.freightMult": "Freight multiplier (×)",
+  "risk.factor.dutyPts": "Duties (additional % points)",
+  "risk.error.simulation": "Fix the simulation errors before analysing risk.",
+  "risk.error.noValidRun": "No valid run with these ranges.",
+  "sweep.unitPrice": "Supplier unit price (change %)",
+  "sweep.fx": "FX (change %)",
+  "sweep.freight": "Freight rates (change %)",
+  "sweep.duty": "Duties (single %)",
+  "sweep.insurancePct": "Insurance (%)",
+  "sweep.brokerageFee": "Customs broker (€)",
+  "fx.ecb.csvHeader": "Invalid ECB CSV: the first column must be \"Date\".",
+  "fx.ecb.csvDate": "Invalid ECB CSV: date \"{date}\" not recognised.",
+  "fx.ecb.xmlNoCube": "Invalid ECB XML: no <Cube time=…> elements.",
+  "fx.ecb.empty": "The file contains no exchange rates.",
+  "rateCards.file.notNumber": "\"{field}\" must be a number ≥ 0.",
+  "rateCards.file.notTiers": "\"{field}\" must be a list of tiers.",
+  "rateCards.file.notJson": "Invalid rate card file: not JSON.",
+  "rateCards.file.unknown": "Invalid rate card file: unknown format.",
+  "rateCards.file.newer": "Rate card file from a newer version ({version}).",
+  "rateCards.file.noFallback": "The \"{route}\" card is missing (used for routes without their own card).",
+  "rateCards.file.errors": "Rate card file has errors:",
+  "share.incomplete": "Incomplete simulation link: the checksum is missing.",
+  "share.undecodable": "Corrupted simulation link: the data could not be decoded.",
+  "share.checksum": "Simulation link altered or truncated: the check failed. Ask whoever shared it for a new link.",
+  "share.unreadable": "Corrupted simulation link: unreadable data.",
+  "share.unknownFormat": "Invalid simulation link: unknown format.",
+  "share.newer": "This link was created by a newer version of the calculator (schema {version}). Reload the page.",
+  "share.badField": "Invalid simulation link: field \"{field}\" has an unexpected value.",
+  "share.upgraded": "Link created with an earlier version (schema {version}); it was converted. Check the values before use.",
+  "scenarios.newerSchema": "Schema version {version} is newer than the app ({current}).",
+  "scenarios.untitled": "Untitled",
+  "scenarios.copyName": "{name} (copy)",
+  "destination.inland.none": "No delivery (own pickup)",
+  "destination.inland.distance": "By distance (€/km)",
+  "destination.inland.weight": "By weight (€/100 kg)",
+  "destination.cost.inland": "Delivery to warehouse",
+  "destination.cost.storage": "Terminal storage",
+  "destination.cost.demurrage": "Demurrage/detention (FCL)",
+  "destination.cost.inspection": "Customs inspection",
+  "destination.basis.distance": "{km} km × {rate} €/km",
+  "destination.basis.weight": "{kg} kg × {rate} €/100 kg",
+  "destination.basis.minimum": "{basis} (minimum)",
+  "destination.basis.storage": "{days} day(s) × {wm} t or m³",
+  "destination.basis.demurrage": "{days} day(s) × {containers} container(s)",
+  "destination.basis.fixed": "Flat fee",
+
+  // VAT (vat.js)
+  "vat.regime.customs": "Paid at customs",
+  "vat.regime.reverseCharge": "Reverse charge (art. 38 CIVA)",
+  "vat.regime.cp42": "Customs procedure 42 (intra-EU supply)",
+  "vat.country.PT": "Portugal (mainland)",
+  "vat.country.PT-MA": "Portugal (Madeira)",
+  "vat.country.PT-AC": "Portugal (Azores)",
+  "vat.country.ES": "Spain",
+  "vat.country.FR": "France",
+  "vat.country.DE": "Germany",
+  "vat.country.IT": "Italy",
+  "vat.country.NL": "Netherlands",
+  "vat.country.BE": "Belgium",
+  "vat.country.IE": "Ireland",
+  "vat.country.PL": "Poland",
+  "vat.country.AT": "Austria",
+  "vat.rateKind.standard": "Standard",
+  "vat.rateKind.intermediate": "Intermediate",
+  "vat.rateKind.reduced": "Reduced",
+  "vat.rateKind.manual": "Manual %",
+  "vat.filing.monthly": "Monthly",
+  "vat.filing.quarterly": "Quarterly",
+  "vat.error.noRate": "VAT: {country} has no {kind} rate.",
+  "vat.error.unknownCountry": "VAT: unknown country {country}.",
+  "vat.error.reverseChargeOutsidePt": "VAT: the art. 38 CIVA reverse charge only applies to imports into Portugal.",
+  "vat.flow.paidAtCustoms": "VAT paid at customs",
+  "vat.flow.selfAssessed": "VAT self-assessed in the periodic return",
+  "vat.flow.deducted": "VAT deducted in the periodic return",
+
+  // Assumption notes (shown in the app and on every quote; **text** marks emphasis)
+  "notes.skus": "Several **SKUs** share one freight (computed once on total weight/volume); freight, insurance, local transport and fees are split by the chosen allocation key.",
+  "notes.origins": "**Product origin** (country of manufacture, per SKU) drives duties, trade defence measures and rules of origin. **Freight origin** only affects logistics.",
+  "notes.hsTariff": "With the **HS code** source, each SKU uses the most specific entry of the **tariff table** (third country, preferential by origin, anti-dumping). For a quick draft use the **by-origin table** or tick \"Ignore duties\" (0%).",
+  "notes.customsValue": "The EU levies **duties** on the **customs value**: supplier price + costs up to the EU border (pickup, export, freight, insurance) that the **Incoterm** puts on the buyer. Whatever the supplier pays is already in the price.",
+  "notes.dapDdp": "Under **DAP/DDP** the price includes transport after the border, which strictly may be deducted from the customs value (not modelled). Under **DDP** the supplier is the importer: duties, VAT and brokerage are not our cost.",
+  "notes.fx": "The **customs value** converts the price at the **customs exchange rate** (monthly); the goods cost uses the **payment rate** (spot/hedge). Each rate's date is stored with the simulation.",
+  "notes.vat": "**Import VAT** is charged on (CIF + duties + eligible fees). If recoverable it is not part of the final cost, but cash is **tied up** between payment at customs and deduction in the periodic return. With **reverse charge** (art. 38 CIVA) nothing is paid at customs; under **customs procedure 42** the import is exempt and VAT is due in the Member State of destination.",
+  "notes.destination": "**Destination costs** (delivery to the warehouse, storage beyond the free days, FCL demurrage, inspection) enter the VAT base as flagged; the **duty deferment** guarantee is a % of the guaranteed duties and VAT.",
+  "notes.packing": "Shipping volume and weight come from **packing**: loose units, **master cartons** (the last one counts in full) or loaded **pallets**; they feed the air chargeable weight, the LCL m³ and the number of FCL containers.",
+  "notes.freight": "**Air Express** uses the courier tariff by zone (0.5 kg steps, 5000 divisor, fuel and surcharges). Air cargo uses **volumetric weight** (m³ × factor) and per-kg tiers. LCL uses per-m³ tiers with a minimum. FCL uses a price per container, with the container count limited by the **usable fill** and the **maximum payload** of each type; the best combination may mix 20'/40'/40' HC and ship the remainder as LCL.",
+
+  // Common words
+  "common.yes": "Yes",
+  "common.no": "No",
+  "common.noDate": "no date",
+  "common.includedInSupplierPrice": "Included in the supplier price",
+
+  // Quote document (print/PDF and CSV)
+  "quote.title": "Quote — AIDC Import Cost",
+  "quote.disclaimer": "This simulator is indicative and does not replace tariff (HS) classification, rules of origin or formal quotations.",
+  "quote.section.document": "Document",
+  "quote.section.assumptions": "Assumptions",
+  "quote.section.products": "Products",
+  "quote.section.costs": "Costs",
+  "quote.section.notes": "Notes and assumptions",
+  "quote.reference": "Reference",
+  "quote.scenario": "Scenario",
+  "quote.date": "Date",
+  "quote.displayCurrency": "Display currency",
+  "quote.displayCurrencyValue": "{code} (1 {code} = {rate} EUR, payment rate)",
+  "quote.freightOrigin": "Freight origin",
+  "quote.mode": "Mode",
+  "quote.incoterm": "Incoterm",
+  "quote.allocation": "Costs allocated by",
+  "quote.fullCartons": "Full cartons",
+  "quote.fullCartonsYes": "Yes (quantity rounded up)",
+  "quote.palletizing": "Palletizing",
+  "quote.palletSpec": "{l}×{w} cm, up to {h} cm, {kg} kg/pallet",
+  "quote.fxCustoms": "Customs FX rate (date / source)",
+  "quote.fxPayment": "Payment FX rate (date / source)",
+  "quote.fxCustomsRate": "FX {currency}→EUR customs",
+  "quote.fxPaymentRate": "FX {currency}→EUR payment",
+  "quote.insurancePct": "Insurance (%)",
+  "quote.brokerage": "Customs broker",
+  "quote.portTHC": "THC/Port",
+  "quote.otherFees": "Other fees",
+  "quote.localOrigin": "Local transport at origin",
+  "quote.exportClearance": "Export clearance",
+  "quote.duties": "Duties",
+  "quote.dutiesIgnored": "Ignored",
+  "quote.dutiesManual": "Manual ({pct}%)",
+  "quote.vatRegime": "VAT regime",
+  "quote.vatRate": "VAT rate",
+  "quote.vatFiling": "VAT return",
+  "quote.vatRecoverable": "Recoverable VAT",
+  "quote.rateCard": "Freight rate card (route)",
+  "quote.rateCardUpdated": "Rate card reviewed on",
+  "quote.airVolFactor": "Volumetric factor (kg/m³)",
+  "quote.airMinChargeKg": "Minimum charge (kg)",
+  "quote.freightFixedFees": "Fixed freight fees",
+  "quote.airTiers": "Tiers (€/kg)",
+  "quote.lclMinCbm": "Minimum (m³)",
+  "quote.lclTiers": "Tiers (€/m³)",
+  "quote.fclPrice": "Price per {type}",
+  "quote.fillPct": "Usable container fill (%)",
+  "quote.lclRemainder": "Remainder as LCL",
+  "quote.lclRemainderYes": "Allowed (best combination)",
+  "quote.arrival": "Arrival",
+  "quote.inland": "Delivery to warehouse",
+  "quote.inlandDistance": "{km} km × {rate} €/km (min. {min} €)",
+  "quote.inlandWeight": "{rate} €/100 kg (min. {min} €)",
+  "quote.storage": "Storage (days / free / €/t·m³·day)",
+  "quote.demurrage": "Demurrage (days / free / €/container·day)",
+  "quote.inspection": "Inspection",
+  "quote.deferment": "Duty deferment (guarantee)",
+  "quote.inVatBase": "In the VAT base",
+  "quote.inVatBaseNone": "none",
+  "quote.col.sku": "SKU",
+  "quote.col.hs": "HS",
+  "quote.col.origin": "Origin",
+  "quote.col.qty": "Qty",
+  "quote.col.unitPrice": "Unit price",
+  "quote.col.currency": "Currency",
+  "quote.col.unitWeight": "Unit weight (kg)",
+  "quote.col.unitVolume": "Unit volume (m³)",
+  "quote.col.unitsPerCarton": "Units/carton",
+  "quote.col.cartons": "Cartons",
+  "quote.col.pallets": "Pallets",
+  "quote.col.goods": "Goods ({currency})",
+  "quote.col.shared": "Shared costs ({currency})",
+  "quote.col.duty": "Duties ({currency})",
+  "quote.col.measure": "Measure applied",
+  "quote.col.unitCost": "Unit cost ({currency})",
+  "quote.goods": "Goods ({incoterm}, payment rate)",
+  "quote.goodsCustoms": "Goods at the customs rate",
+  "quote.customsBase": "Customs base (CIF)",
+  "quote.dutiesEffective": "Duties (effective {pct}%)",
+  "quote.outsideVatBase": " (outside the VAT base)",
+  "quote.deferral": "Duty deferment guarantee",
+  "quote.vatBase": "VAT base",
+  "quote.vatRecoverableLine": "VAT (recoverable, excluded from cost)",
+  "quote.vatNonRecoverableLine": "VAT (non-recoverable, included)",
+  "quote.landedExVat": "Total cost (excl. recoverable VAT)",
+  "quote.landed": "Total landed cost",
+  "quote.totalQty": "Total quantity",
+  "quote.volumeWeight": "Shipping volume (m³) / gross weight (kg)",
+  "quote.unitLanded": "Cost per unit (average)",
+
+  // FCL load plan
+  "containerPlan.title": "Container plan — {mix}",
+  "containerPlan.fill": "Usable fill assumed: {pct}%",
+  "containerPlan.col.container": "Container",
+  "containerPlan.col.volume": "Volume (m³)",
+  "containerPlan.col.volPct": "Volume fill",
+  "containerPlan.col.kg": "Weight (kg)",
+  "containerPlan.col.kgPct": "Weight fill",
+  "containerPlan.lclRemainder": "LCL remainder",
+  "containerPlan.alternatives": "Cheapest alternatives",
+  "containerPlan.note": "The load is split across containers in proportion to usable capacity; percentages are of nominal internal volume and maximum payload.",
+
+  // Import VAT cash flow
+  "vatFlow.title": "VAT — cash flow",
+  "vatFlow.cp42": "Exempt import: VAT is due by the buyer in the Member State of destination. Requires the customer's VAT number and the recapitulative statement.",
+  "vatFlow.none": "No import VAT payable by the buyer.",
+  "vatFlow.notRecoverable": "Non-recoverable VAT: it stays in the cost.",
+  "vatFlow.exposure": "Cash tied up: {amount} for {days} days.",
+  "vatFlow.noImpact": "Assessed and deducted in the same return: no cash-flow impact.",
+  "vatFlow.atClearance": "At clearance",
+  "vatFlow.afterClearance": "Clearance + {days} days",
+  "vatFlow.undated": "No clearance date: average return deadline for the filing period ({days} days).",
+
+  // Destination costs editor
+  "destEditor.port": "Arrival (port/airport)",
+  "destEditor.inland": "Delivery to warehouse",
+  "destEditor.distanceKm": "Distance (km)",
+  "destEditor.inlandMin": "Minimum per delivery (€)",
+  "destEditor.storageDays": "Storage (days)",
+  "destEditor.freeDays": "Free days",
+  "destEditor.storageRate": "€/t or m³/day",
+  "destEditor.demurrageDays": "Container (days)",
+  "destEditor.demurrageRate": "€/container/day",
+  "destEditor.inspection": "Customs inspection (€)",
+  "destEditor.deferment": "Duty deferment",
+  "destEditor.guaranteePct": "Guarantee (% duties + VAT)",
+  "destEditor.col.cost": "Cost",
+  "destEditor.col.basis": "Basis",
+  "destEditor.col.vatBase": "VAT base",
+  "destEditor.col.amount": "Amount",
+  "destEditor.note": "Incidental costs up to the first place of destination in Portugal are part of the import VAT base; untick those invoiced separately with their own VAT. Storage is charged per tonne or m³ (whichever is greater); demurrage only applies to FCL.",
+
+  // Pricing panel
+  "pricingPanel.title": "Selling price & margin",
+  "pricingPanel.listPrice": "List price (excl. VAT)",
+  "pricingPanel.listPriceVat": "List price incl. VAT ({pct}%)",
+  "pricingPanel.discount": "− Distributor discount",
+  "pricingPanel.netPrice": "= Net price",
+  "pricingPanel.channelFee": "− Channel fee",
+  "pricingPanel.revenue": "= Retained revenue",
+  "pricingPanel.cost": "− Landed cost",
+  "pricingPanel.profit": "= Profit per unit",
+  "pricingPanel.marginMarkup": "Margin / Markup",
+  "pricingPanel.basis": "Target",
+  "pricingPanel.targetMargin": "Target margin (%)",
+  "pricingPanel.targetMarkup": "Target markup (%)",
+  "pricingPanel.channelFeePct": "Channel fee (%)",
+  "pricingPanel.discountPct": "Distributor discount (%)",
+  "pricingPanel.forward": "Selling price for the target",
+  "pricingPanel.reverse": "Maximum supplier price",
+  "pricingPanel.knownPrice": "Known list price (€, excl. VAT)",
+  "pricingPanel.maxFor": "Maximum acceptable for {sku}",
+  "pricingPanel.perUnit": "{price} {currency}/unit",
+  "pricingPanel.current": "Current: {price} {currency} • maximum cost {maxCost}/unit",
+  "pricingPanel.enterPrice": "Enter the selling price to work out how much we can pay the supplier.",
+  "pricingPanel.note": "Margin on retained revenue (after discount and fee). The maximum price is found by bisection through the whole chain (tiered freight, duties, VAT), keeping the other SKUs and quantities.",
+
+  // Risk panel
+  "riskPanel.title": "Risk — Cost per unit (Monte Carlo)",
+  "riskPanel.run": "Simulate",
+  "riskPanel.rerun": "Simulate again",
+  "riskPanel.running": "Simulating… {pct}%",
+  "riskPanel.col.factor": "Factor",
+  "riskPanel.col.dist": "Distribution",
+  "riskPanel.col.low": "Minimum",
+  "riskPanel.col.mode": "Base",
+  "riskPanel.col.high": "Maximum",
+  "riskPanel.runs": "Runs",
+  "riskPanel.note": "FX applies to the customs and payment rates of every foreign currency; the multiplier scales tiers, container prices and fixed freight fees; duties add % points to the source in use.",
+  "riskPanel.hintBefore": "Set the ranges and press ",
+  "riskPanel.hintAfter": ".",
+  "riskPanel.stale": "The simulation or the ranges changed since the last run — simulate again.",
+  "riskPanel.summary": "Base {base} • mean {mean} • {runs} runs",
+  "riskPanel.failed": "({count} with errors skipped)",
+  "riskPanel.tornado": "Tornado — change in unit cost against the base, per factor (minimum → maximum)",
+  "riskPanel.low": "Low",
+  "riskPanel.high": "High",
+
+  // Sensitivity panel
+  "sensitivity.qtyTitle": "Volume economics — Cost per unit vs Quantity",
+  "sensitivity.currentMode": "Current mode: {mode}",
+  "sensitivity.qMin": "Min qty",
+  "sensitivity.qMax": "Max qty",
+  "sensitivity.log": "Logarithmic scale",
+  "sensitivity.qtyTooltip": "Qty: {qty}",
+  "sensitivity.crossoverFrom": "From ",
+  "sensitivity.units": "{qty} units",
+  "sensitivity.crossover": ", {cheaper} becomes cheaper than {than} ({unit}/unit).",
+  "sensitivity.noCrossover": "No crossovers between neighbouring modes in this range.",
+  "sensitivity.containerSteps": "Dashed lines: one more container — {steps}.",
+  "sensitivity.containerStep": "{mode} {containers}× from {qty} units",
+  "sensitivity.sweepTitle": "Sensitivity — Cost per unit vs one parameter",
+  "sensitivity.parameter": "Parameter",
+  "sensitivity.from": "From ({unit})",
+  "sensitivity.to": "To ({unit})",
+  "sensitivity.current": "current",
+  "sensitivity.unitCost": "Unit cost",
+  "sensitivity.note": "% changes apply to every SKU (price), every foreign currency (FX) or every freight rate. Duties use a single manual rate.",
+
+  // Comparison panel
+  "comparison.title": "Side-by-side comparison",
+  "comparison.modes": "Modes",
+  "comparison.scenarios": "Scenarios",
+  "comparison.saveTwo": "Save at least 2 scenarios to compare them.",
+  "comparison.selectRange": "Select 2 to {max} scenarios.",
+  "comparison.col.option": "Option",
+  "comparison.col.basis": "Freight basis",
+  "comparison.col.freight": "Freight",
+  "comparison.col.duty": "Duties",
+  "comparison.col.vat": "VAT",
+  "comparison.col.total": "Total",
+  "comparison.col.unit": "Unit cost",
+  "comparison.cheapest": "★ cheapest",
+  "comparison.note": "Total and unit cost exclude VAT when recoverable.",
+
+  // Scenario library
+  "scenarioLib.title": "Saved scenarios ({count})",
+  "scenarioLib.namePlaceholder": "Scenario name (e.g. PO 2024-031 Zebra)",
+  "scenarioLib.save": "Save current",
+  "scenarioLib.empty": "No scenarios yet. Scenarios are saved in this browser.",
+  "scenarioLib.col.name": "Name",
+  "scenarioLib.col.date": "Date",
+  "scenarioLib.col.unit": "Unit cost",
+  "scenarioLib.open": "Open",
+  "scenarioLib.duplicate": "Duplicate",
+  "scenarioLib.delete": "Delete",
+  "scenarioLib.confirmDelete": "Delete \"{name}\"?",
+
+  // Line items
+  "lineItems.col.sku": "SKU",
+  "lineItems.col.hs": "HS",
+  "lineItems.col.origin": "Origin (manufacture)",
+  "lineItems.col.qty": "Qty",
+  "lineItems.col.unitPrice": "Unit price",
+  "lineItems.col.currency": "Currency",
+  "lineItems.col.weight": "Weight (kg)",
+  "lineItems.col.dims": "L × W × H (cm)",
+  "lineItems.unitVolume": "{m3} m³/unit",
+  "lineItems.remove": "Remove SKU",
+  "lineItems.carton": "Master carton:",
+  "lineItems.unitsPerCartonHint": "Units per carton (0 = loose units)",
+  "lineItems.unitsPerCarton": "units/carton",
+  "lineItems.cartonKg": "gross kg/carton",
+  "lineItems.loose": "0 = loose units (uses unit weight and dimensions)",
+  "lineItems.add": "+ Add SKU",
+
+  // Rate cards and tariff editors
+  "common.exportJson": "Export JSON",
+  "common.exportCsv": "Export CSV",
+  "common.importJson": "Import JSON",
+  "rateCardsUi.title": "Freight rate cards by route",
+  "rateCardsUi.exists": "Route \"{name}\" already exists.",
+  "rateCardsUi.created": "Route \"{name}\" created from \"{from}\".",
+  "rateCardsUi.confirmDelete": "Delete the rate card for route \"{route}\"?",
+  "rateCardsUi.imported": "Imported {count} rate cards from \"{file}\".",
+  "rateCardsUi.col.route": "Route (freight origin)",
+  "rateCardsUi.col.port": "Port / airport",
+  "rateCardsUi.col.updated": "Reviewed on",
+  "rateCardsUi.inUse": "(in use)",
+  "rateCardsUi.portPlaceholder": "e.g. Shenzhen (Yantian)",
+  "rateCardsUi.fallbackHint": "Card used for routes without their own card",
+  "rateCardsUi.delete": "Delete route",
+  "rateCardsUi.newRoute": "New route (e.g. China — Ningbo)",
+  "rateCardsUi.add": "+ Route",
+  "rateCardsUi.note": "The card is picked automatically from the freight origin; \"{fallback}\" applies to routes without their own card. The values below edit the card in use.",
+  "tariffUi.imported": "Imported {count} codes from \"{file}\".",
+  "tariffUi.col.code": "HS",
+  "tariffUi.col.description": "Description",
+  "tariffUi.col.thirdCountry": "Third country %",
+  "tariffUi.col.preferential": "Preferential (origin=%)",
+  "tariffUi.col.additional": "Anti-dumping/additional (origin=%)",
+  "tariffUi.remove": "Remove code",
+  "tariffUi.add": "+ Code",
+  "tariffUi.import": "Import JSON/CSV",
+  "tariffUi.reset": "Restore bundled table",
+  "tariffUi.note": "Each SKU's code uses the most specific entry (e.g. 847160 before 8471). The preferential rate applies when lower than the third-country rate; anti-dumping/additional duties are added. Bundled values are indicative — check TARIC.",
+
+  // FX manager
+  "fxUi.kind.customs": "Customs",
+  "fxUi.kind.payment": "Payment",
+  "fxUi.applied.customs": "Customs rate: {set}.",
+  "fxUi.applied.payment": "Payment rate: {set}.",
+  "fxUi.missing": "No rate for {currencies} — previous value kept.",
+  "fxUi.noCustomsRate": "No ECB rate in the history up to {date} (penultimate Wednesday of the previous month). Import an ECB file.",
+  "fxUi.imported": "Imported {count} dates from \"{file}\" ({from} to {to}).",
+  "fxUi.needDate.customs": "Enter the customs rate date before saving it.",
+  "fxUi.needDate.payment": "Enter the payment rate date before saving it.",
+  "fxUi.saved": "Saved to history: {set}.",
+  "fxUi.confirmDelete": "Delete this date from the FX history?",
+  "fxUi.invalidCode": "Invalid currency code (3 letters, e.g. JPY).",
+  "fxUi.duplicate": "{code} is already in the list.",
+  "fxUi.addedFrom": "{code} added with the rate of {set}.",
+  "fxUi.added": "{code} added — enter the rates.",
+  "fxUi.col.currency": "Currency (EUR per unit)",
+  "fxUi.dateSource": "Date / source",
+  "fxUi.inUse": "Currency used by a SKU",
+  "fxUi.remove": "Remove currency",
+  "fxUi.add": "+ Currency",
+  "fxUi.history": "FX history",
+  "fxUi.pickDate": "Choose a date…",
+  "fxUi.emptyHistory": "History is empty",
+  "fxUi.useAs.customs": "Use as customs",
+  "fxUi.useAs.payment": "Use as payment",
+  "fxUi.delete": "Delete",
+  "fxUi.customsMonth": "Customs rate for the month",
+  "fxUi.importEcb": "Import ECB file (CSV/XML)",
+  "fxUi.save.customs": "Save customs rate",
+  "fxUi.save.payment": "Save payment rate",
+  "fxUi.note": "The customs value uses the customs rate (monthly: ECB rate of the penultimate Wednesday of the previous month); the goods cost uses the payment rate (spot or hedge). ECB files: eurofxref.csv / eurofxref-hist.csv / eurofxref-daily.xml / eurofxref-hist.xml, stored locally.",
+
+  // Main screen
+  "app.title": "Interactive Import Cost Calculator — AIDC (Portugal)",
+  "app.language": "Language",
+  "app.displayCurrency": "Display currency",
+  "app.displayCurrencyMissing": "No payment rate for {code}: amounts are shown in EUR. Add {code} under FX.",
+  "app.print": "Print / PDF",
+  "app.share.button": "Share link",
+  "app.share.copied": "Link copied. Whoever opens it sees exactly this simulation.",
+  "app.share.inAddressBar": "Link updated in the address bar — copy it from there.",
+  "app.close": "Close",
+  "app.intro": "Plan the total cost per unit (landed cost) of importing AIDC with **product origin** separate from **freight origin**. Account for Incoterms, freight, insurance, duties (optional), VAT and local fees, with **volume economics**.",
+  "app.shipOrigin": "Freight origin (shipment)",
+  "app.mode": "Mode",
+  "app.modeHint": "Automatic volume discounts.",
+  "app.incoterm": "Incoterm (supplier price)",
+  "app.incotermIncluded": "Included in the price: {legs}.",
+  "app.incotermNothing": "nothing (EXW)",
+  "app.allocation": "Allocate costs by",
+  "app.allocationHint": "Freight, insurance and fees per SKU.",
+  "app.section.products": "Products (SKUs) & Packing",
+  "app.roundToCartons": "Round up to full cartons",
+  "app.palletize": "Palletize cartons",
+  "app.packing.palletLcm": "Pallet L (cm)",
+  "app.packing.palletWcm": "Pallet W (cm)",
+  "app.packing.palletMaxHcm": "Max height (cm)",
+  "app.packing.palletDeckHcm": "Pallet deck height (cm)",
+  "app.packing.palletKg": "Pallet weight (kg)",
+  "app.packingHint": "With master cartons, shipping volume and weight are those of the cartons (the last carton counts in full); with pallets, those of the loaded pallet (one SKU per pallet).",
+  "app.shipmentSkus": "{count} SKU • {qty} units",
+  "app.shipmentCartons": "{count} cartons",
+  "app.shipmentPallets": "{count} pallets",
+  "app.shipmentVolume": "Shipping volume: {m3} m³ • Gross weight: {kg} kg",
+  "app.section.fx": "FX, Insurance & Fixed Fees",
+  "app.insurancePct": "Insurance (%)",
+  "app.brokerage": "Customs broker (€)",
+  "app.portTHC": "THC/Port (€)",
+  "app.otherFees": "Other fees (€)",
+  "app.section.destination": "Destination Costs — Delivery, Storage & Demurrage",
+  "app.section.branding": "Branding (Logo)",
+  "app.logoUrl": "Logo URL (PNG/SVG)",
+  "app.showLogo": "Show logo at the top",
+  "app.logoHint": "Tip: use a file with a transparent background for best results.",
+  "app.section.freight": "Freight — Volume Discounts & Local Transport",
+  "app.activeCard": "Rate card in use: {route} — {mode}",
+  "app.fixedFees": "Fixed fees (€)",
+  "app.tiersKg": "Price tiers (€/kg)",
+  "app.tiersCbm": "Price tiers (€/m³)",
+  "app.fclPrice": "Price per {type} (€)",
+  "app.fillPct": "Usable fill (%)",
+  "app.fillHint": "Usable fill allows for stowage and clearances; the maximum payload also limits the load.",
+  "app.localOrigin": "Local transport at origin (€)",
+  "app.localOriginHint": "E.g. China→Hong Kong, factory→port of loading, consolidation.",
+  "app.exportClearance": "Export clearance (€)",
+  "app.exportClearanceHint": "Only counts when the Incoterm puts it on the buyer (EXW).",
+  "app.section.taxes": "Taxes",
+  "app.ignoreDuty": "Ignore duties (HS)",
+  "app.dutySource": "Duty rate source",
+  "app.dutyPct": "Duties (manual %)",
+  "app.originDutyMap": "Table by product origin (%)",
+  "app.originDutyHint": "E.g. set 0% for electronics covered by the ITA; adjust for specific anti-dumping measures.",
+  "app.tariff": "Tariff table by HS code",
+  "app.vatDestinationState": "Member State of destination",
+  "app.vatCountry": "Country / region of import",
+  "app.vatPct": "VAT (manual %)",
+  "app.vatRecoverable": "VAT is recoverable?",
+  "app.clearanceDate": "Expected clearance date",
+  "app.clearanceDateHint": "Empty = timeline in days from the order, with VAT deducted after the average return delay. Sets when each payment is made and when VAT is deducted.",
+  "app.vatBaseHint": "VAT base: customs value + duties + destination fees (broker/THC/other and flagged destination costs) paid by the buyer",
+  "app.errorsTitle": "The cost cannot be calculated with the current data",
+  "app.resultsBlocked": "Composition, taxes, payment calendar and cost per SKU show once the errors above are fixed.",
+  "app.exportBlocked": "Fix the errors before printing or exporting the quote.",
+  "app.kpiTotalHint": "Includes goods, local transport, freight, insurance, duties and fees.",
+  "app.kpiUnitHint": "{qty} units • {skus} SKU • Freight: {origin} • {basis}",
+  "app.composition": "Cost breakdown",
+  "app.vatKpi": "VAT ({rate})",
+  "app.vatExempt": "exempt",
+  "app.vatRecoverableYes": "Recoverable (not in the cost)",
+  "app.vatRecoverableNo": "Non-recoverable (included)",
+  "app.bases": "Customs base (CIF): {customs} • VAT base: {vat}",
+  "app.deferral": "Deferment guarantee: {amount}",
+  "app.legsTitle": "Incoterm {incoterm} — who pays each cost",
+  "app.buyer": "Buyer",
+  "app.perSkuTitle": "Cost per SKU",
+  "app.perSkuAllocation": "Shared costs allocated by {key}",
+  "app.col.goods": "Goods",
+  "app.col.shared": "Freight, insurance & fees",
+  "app.footer": "Update rates and FX before deciding.",
+  "app.tiers.upTo": "Up to",
+  "app.tiers.remove": "Remove tier",
+  "app.tiers.add": "+ Tier",
+  "app.tiers.sort": "Sort by limit",
+  "app.tiers.openEnded": "Last tier without limit (∞)",
+
+  // Input validation
+  "validation.required": "Required field",
+  "validation.notNumber": "Not a number",
+  "validation.positive": "Must be greater than 0",
+  "validation.range": "Between {min} and {max}",
+  "validation.min": "Minimum {min}",
+  "validation.max": "Maximum {max}",
+  "validation.integer": "Must be a whole number",
+  "validation.warnAbove": "Above {max} — unusual for AIDC equipment; please check",
+  "validation.fxOff": "{pct}% away from the reference ({ref}); please check",
+  "validation.above": "Must be greater than {min}",
+  "validation.below": "Must be less than {max}",
+  "validation.riskOrder": "The base must lie between the minimum and the maximum",
+  "field.insurancePct": "Insurance (%)",
+  "field.brokerageFee": "Customs broker",
+  "field.portTHC": "THC/Port",
+  "field.otherFees": "Other fees",
+  "field.localOriginTransport": "Local transport at origin",
+  "field.exportClearanceFee": "Export clearance",
+  "field.dutyPct": "Duty (manual %)",
+  "field.vatPct": "VAT (manual %)",
+  "field.originDuty": "Duty — {origin} (%)",
+  "field.tariff": "Tariff {code} — {field}",
+  "field.tariff.thirdCountry": "third-country duty (%)",
+  "field.tariff.preferential": "preferential {origin} (%)",
+  "field.tariff.additional": "additional {origin} (%)",
+  "field.item": "{sku} — {field}",
+  "field.item.qty": "quantity",
+  "field.item.unitPrice": "unit price",
+  "field.item.unitWeightKg": "unit weight (kg)",
+  "field.item.unitLcm": "length (cm)",
+  "field.item.unitWcm": "width (cm)",
+  "field.item.unitHcm": "height (cm)",
+  "field.item.unitsPerCarton": "units per carton",
+  "field.item.cartonLcm": "carton length (cm)",
+  "field.item.cartonWcm": "carton width (cm)",
+  "field.item.cartonHcm": "carton height (cm)",
+  "field.item.cartonKg": "carton weight (kg)",
+  "field.packing.palletLcm": "Pallet length (cm)",
+  "field.packing.palletWcm": "Pallet width (cm)",
+  "field.packing.palletMaxHcm": "Pallet max. height (cm)",
+  "field.packing.palletDeckHcm": "Empty pallet height (cm)",
+  "field.packing.palletKg": "Pallet weight (kg)",
+  "field.card.airVolFactor": "Air volumetric factor",
+  "field.card.airMinChargeKg": "Air minimum chargeable (kg)",
+  "field.card.airFixedFees": "Air fixed fees",
+  "field.card.lclMinCbm": "LCL minimum (m³)",
+  "field.card.lclFixedFees": "LCL fixed fees",
+  "field.card.fcl20Price": "20' price",
+  "field.card.fcl40Price": "40' price",
+  "field.card.fcl40HcPrice": "40' HC price",
+  "field.card.fclFixedFees": "FCL fixed fees",
+  "field.fillPct": "Usable fill (%)",
+  "field.destination.inlandKm": "Distance (km)",
+  "field.destination.inlandRatePerKm": "Delivery €/km",
+  "field.destination.inlandRatePer100Kg": "Delivery €/100 kg",
+  "field.destination.inlandMinEUR": "Minimum per delivery",
+  "field.destination.storageDays": "Storage days",
+  "field.destination.storageFreeDays": "Storage free days",
+  "field.destination.storageRatePerDay": "Storage rate",
+  "field.destination.demurrageDays": "Container days",
+  "field.destination.demurrageFreeDays": "Container free days",
+  "field.destination.demurrageRatePerDay": "Demurrage rate",
+  "field.destination.inspectionFee": "Customs inspection",
+  "field.destination.deferralGuaranteePct": "Deferment guarantee (%)",
+  "field.fxCustoms": "Customs rate {code}",
+  "field.fxPayment": "Payment rate {code}",
+  "app.warningsTitle": "Unusual values — check them before relying on the result",
+  "app.kpiWarning": "Result has warnings",
+
+  // Express courier tariff
+  "express.zone": "Zone {zone}",
+  "express.error.noZone": "The courier tariff has no zone {zone} — pick the route's zone in the freight rate cards.",
+  "express.basisSteps": "{kg} chargeable kg (zone {zone}, 0.5 kg price list)",
+  "express.basisPerKg": "{kg} kg × €{rate}/kg (zone {zone})",
+  "express.surcharge.fuel": "Fuel surcharge",
+  "express.surcharge.remoteArea": "Remote area",
+  "express.surcharge.oversize": "Oversize pieces",
+  "duty.lowValue": "Low-value relief (≤ €{limit})",
+  "composition.disbursement": "Duty/VAT advance fee (courier)",
+  "validation.steps": "Enter a price (≥ 0) for every 0.5 kg step",
+  "field.express.divisor": "Express volumetric divisor",
+  "field.express.fuelPct": "Fuel surcharge (%)",
+  "field.express.remoteAreaFee": "Remote-area fee",
+  "field.express.oversizeCm": "Oversize limit (cm)",
+  "field.express.oversizeKg": "Weight limit per piece (kg)",
+  "field.express.oversizeFee": "Fee per oversize piece",
+  "field.express.disbursementPct": "Advance fee (%)",
+  "field.express.disbursementMin": "Minimum advance fee",
+  "field.express.perKg": "Zone {zone} — €/kg above the cutoff",
+  "field.express.steps": "Zone {zone} — prices per 0.5 kg",
+  "quote.expressZone": "Courier zone",
+  "quote.expressFirstStep": "First step (0.5 kg)",
+  "quote.expressCutoff": "0.5 kg price list up to (kg)",
+  "quote.expressPerKg": "Above the cutoff, per kg",
+  "quote.expressDivisor": "Volumetric divisor (cm³/kg)",
+  "quote.expressFuel": "Fuel surcharge",
+  "quote.expressRemote": "Remote area",
+  "quote.expressOversize": "Oversize piece (> {cm} cm or > {kg} kg)",
+  "quote.expressDisbursement": "Duty/VAT advance ({pct}%, minimum)",
+  "quote.disbursement": "Duty/VAT advance fee (courier)",
+  "notes.lowValue": "Consignments with an **intrinsic value** (goods only, at the customs rate) up to €150 are **duty free**; import **VAT** is always due.",
+  "expressUi.divisor": "Volumetric divisor (cm³/kg)",
+  "expressUi.fuelPct": "Fuel (%)",
+  "expressUi.disbursementPct": "Duty/VAT advance (%)",
+  "expressUi.disbursementMin": "Minimum advance fee (€)",
+  "expressUi.oversizeCm": "Oversize above (cm)",
+  "expressUi.oversizeKg": "…or above (kg/piece)",
+  "expressUi.oversizeFee": "Oversize fee (€/piece)",
+  "expressUi.remoteArea": "Remote area (€/shipment)",
+  "expressUi.col.zone": "Zone",
+  "expressUi.col.steps": "Prices per 0.5 kg (0.5 · 1 · 1.5 kg …)",
+  "expressUi.col.perKg": "€/kg above",
+  "expressUi.stepsHint": "{count} steps: price list up to {cutoff} kg; above that, weight rounded up to the kg × €/kg",
+  "expressUi.zoneInUse": "Zone used by a route",
+  "expressUi.removeZone": "Remove zone",
+  "expressUi.addZone": "+ Zone",
+  "expressUi.weightCharge": "Transport ({kg} chargeable kg)",
+  "expressUi.note": "Chargeable weight = the greater of gross and volumetric weight (cm³ ÷ divisor), rounded up to 0.5 kg. Fuel applies to transport and surcharges; the advance fee applies to the duty and VAT the courier pays at customs. Each route's zone is set in the freight rate cards.",
+  "rateCardsUi.col.expressZone": "Express zone",
+  "app.lowValueRelief": "Intrinsic value ≤ {limit}: duty free",
+  "app.disbursement": "Courier advance fee: {amount}",
+
+  // Lead times, payment terms and financing cost (financing.js, FinancingCard)
+  "financing.payment.deposit": "Supplier deposit",
+  "financing.payment.balance": "Supplier balance",
+  "financing.payment.freight": "Freight and costs to the border",
+  "financing.payment.clearance": "Duties, fees and destination costs",
+  "financing.payment.vat": "Import VAT",
+  "composition.financing": "Financing cost (capital)",
+  "field.financing.costOfCapitalPct": "Cost of capital (%/year)",
+  "field.financing.productionDays": "Production (days)",
+  "field.financing.depositPct": "Deposit (% of goods)",
+  "field.financing.balanceDays": "Balance: days after shipment",
+  "field.financing.clearanceDays": "Clearance (days)",
+  "field.financing.salesDays": "Until sale collected (days)",
+  "field.card.expressTransitDays": "Express transit (days)",
+  "field.card.airTransitDays": "Air transit (days)",
+  "field.card.lclTransitDays": "LCL transit (days)",
+  "field.card.fclTransitDays": "FCL transit (days)",
+  "app.section.financing": "Lead Times, Payment Terms & Cost of Capital",
+  "app.financingHint": "Day 0 = purchase order. Each payment is financed at the cost of capital until the goods are sold and collected; recoverable VAT only until it is deducted. Negative balance days = paid before shipment.",
+  "app.transitDays": "Transit (days)",
+  "app.transitDaysHint": "Transit days of this mode on the active route (rate card). They count towards the lead time and the financing cost.",
+  "financingUi.title": "Working capital — payments and financing cost",
+  "financingUi.leadTime": "Production {production} + transit {transit} + clearance {clearance} = {total} days (cleared on {date})",
+  "financingUi.leadTimeUndated": "Production {production} + transit {transit} + clearance {clearance} = {total} days",
+  "financingUi.day": "day {day}",
+  "financingUi.col.date": "Date",
+  "financingUi.col.payment": "Payment",
+  "financingUi.col.amount": "Amount",
+  "financingUi.col.days": "Days",
+  "financingUi.col.cost": "Cost",
+  "financingUi.total": "Financing cost at {pct}%/year",
+  "financingUi.note": "Days = until the sale is collected ({date}) or, for recoverable VAT, until it is deducted. Included in the landed cost.",
+  "comparison.col.leadTime": "Lead time",
+  "comparison.col.financing": "Financing",
+  "comparison.days": "{days} d",
+  "quote.transitDays": "Transit (days)",
+  "quote.leadTime": "Lead time to clearance",
+  "quote.leadTimeValue": "{production} + {transit} + {clearance} = {total} days",
+  "quote.paymentTerms": "Payment terms",
+  "quote.paymentTermsValue": "{deposit}% with order, balance {days} days after shipment",
+  "quote.salesDays": "Until sale collected (days)",
+  "quote.costOfCapital": "Cost of capital (%/year)",
+  "quote.financing": "Financing cost ({pct}%/year)",
+  "notes.financing": "The **financing cost** is the cost of the capital tied up: each payment (deposit, balance, freight, duties and fees) counts from when it leaves until the sale is collected, following the production, transit and clearance **lead times**; recoverable VAT counts only until it is deducted.",
+
+  // Order planning (planning.js, OrderPlanningPanel)
+  "field.planning.annualDemand": "Annual demand (units)",
+  "field.planning.holdingPct": "Holding cost (%/year)",
+  "field.planning.spaceCostPerM3": "Warehouse space (€/m³/year)",
+  "field.pricing.targetPct": "Target margin / markup (%)",
+  "field.pricing.channelFeePct": "Channel fee (%)",
+  "field.pricing.distributorDiscountPct": "Distributor discount (%)",
+  "field.pricing.sellingPrice": "Known list price",
+  "field.risk": "{factor} — {bound}",
+  "field.qtyRange.qMin": "Sensitivity — min qty",
+  "field.qtyRange.qMax": "Sensitivity — max qty",
+  "field.sweep.min": "Sensitivity — from",
+  "field.sweep.max": "Sensitivity — to",
+  "planning.title": "Order planning — quantity, frequency and mode",
+  "planning.blocked": "Fix the flagged fields to compute the plan.",
+  "planning.none": "No mode can be costed at these quantities.",
+  "planning.recommend": "Order {qty} units, {shipments}× a year, by {mode}",
+  "planning.recommendCost": "Annual cost {total} ({unit} per unit sold)",
+  "planning.col.mode": "Mode",
+  "planning.col.qty": "Order size",
+  "planning.col.shipments": "Shipments/year",
+  "planning.col.unit": "Unit cost",
+  "planning.col.holding": "Holding/year",
+  "planning.col.space": "Space/year",
+  "planning.col.total": "Total/year",
+  "planning.tooltip": "{qty} units ({shipments} shipments/year)",
+  "planning.note": "Each order size (current SKU mix) goes through the full calculation: freight tiers, containers and per-shipment fixed costs (broker, THC, other fees, freight fixed fees). Annual total = demand × unit cost + holding cost on the average stock (half an order) + space for a full order. Financing counts only until clearance.",
+
+  // Estimate vs actual (actuals.js, ReconciliationPanel)
+  "actuals.line.goods": "Goods (FX applied)",
+  "actuals.line.freight": "Freight (forwarder invoice)",
+  "actuals.line.duty": "Duties (customs declaration)",
+  "actuals.line.vat": "VAT (customs declaration)",
+  "actuals.line.brokerage": "Customs broker (invoice)",
+  "actuals.line.portTHC": "Port charges / THC",
+  "actuals.line.otherFees": "Other fees",
+  "actuals.line.destination": "Destination costs",
+  "actuals.file.notJson": "The file is not valid JSON.",
+  "actuals.file.unknown": "Unknown format: expected an actual-costs file exported by the app.",
+  "actuals.file.newer": "File from a newer version ({version}).",
+  "actuals.file.csvColumns": "The CSV needs a scenario column (saved scenario name or id).",
+  "actuals.file.noScenario": "scenario \"{scenario}\" not found",
+  "actuals.file.badAmount": "{field}: invalid amount",
+  "actuals.file.badFx": "invalid {currency} rate",
+  "actuals.file.lineProblem": "Line {line} ({reference}): {problem}",
+  "actuals.file.errors": "The file has errors and was not imported:",
+  "actualsUi.title": "Estimate vs actual — invoices of arrived shipments",
+  "actualsUi.intro": "After arrival, record the actual amounts (in EUR) and the FX applied, linked to the saved scenario holding the estimate. Empty fields = not invoiced yet.",
+  "actualsUi.noScenarios": "Save the estimate as a scenario to link actual costs to it.",
+  "actualsUi.estimate": "Estimate (saved scenario)",
+  "actualsUi.chooseEstimate": "Choose the scenario…",
+  "actualsUi.deletedScenario": "Deleted scenario",
+  "actualsUi.reference": "Shipment reference",
+  "actualsUi.arrivalDate": "Arrival date",
+  "actualsUi.notInvoiced": "not invoiced",
+  "actualsUi.fxApplied": "FX applied {code} (EUR per 1 {code})",
+  "actualsUi.save": "Record actual costs",
+  "actualsUi.update": "Save changes",
+  "actualsUi.new": "New shipment",
+  "actualsUi.saved": "Actual costs recorded.",
+  "actualsUi.import": "Import JSON/CSV",
+  "actualsUi.imported": "Imported from {file}: {added} new shipment(s), {updated} updated.",
+  "actualsUi.confirmDelete": "Delete the actual costs of shipment \"{reference}\"?",
+  "actualsUi.details": "Details",
+  "actualsUi.edit": "Edit",
+  "actualsUi.delete": "Delete",
+  "actualsUi.col.arrival": "Arrival",
+  "actualsUi.col.shipment": "Shipment",
+  "actualsUi.col.line": "Line",
+  "actualsUi.col.estimate": "Estimated",
+  "actualsUi.col.actual": "Actual",
+  "actualsUi.col.variance": "Variance",
+  "actualsUi.col.modeRoute": "Mode • route",
+  "actualsUi.col.shipments": "Shipments",
+  "actualsUi.col.total": "Total",
+  "actualsUi.detailTitle": "{reference} vs estimate \"{scenario}\"",
+  "actualsUi.fxLine": "{code}: estimated {estimate}, applied {actual} ({pct})",
+  "actualsUi.biasTitle": "Average variance by mode and route",
+  "actualsUi.biasCell": "{count} shipment(s), cumulative variance {amount}",
+  "actualsUi.biasNote": "Mean % variance of the invoiced lines (red = actual above the estimate). Highlighted: 2+ shipments, all in the same direction and above {pct}% on average — review that route's freight tiers or fees.",
+};
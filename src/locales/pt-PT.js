@@ -0,0 +1,839 @@
+// ==========================
+// Portuguese (Portugal) messages — reference catalog
+// ==========================
+export default {
+  // Modes and origins (identifiers stored in pt-PT)
+  "mode.Aéreo Express": "Aéreo Express",
+  "mode.Aéreo (Carga)": "Aéreo (Carga)",
+  "mode.Marítimo LCL": "Marítimo LCL",
+  "mode.Marítimo FCL 20'": "Marítimo FCL 20'",
+  "mode.Marítimo FCL 40'": "Marítimo FCL 40'",
+  "mode.Marítimo FCL 40' HC": "Marítimo FCL 40' HC",
+  "mode.Marítimo FCL (melhor combinação)": "Marítimo FCL (melhor combinação)",
+  "origin.China": "China",
+  "origin.Korea": "Coreia",
+  "origin.Hong Kong": "Hong Kong",
+  "origin.Brasil": "Brasil",
+  "origin.Outro": "Outro",
+  "allocation.value": "Valor",
+  "allocation.weight": "Peso",
+  "allocation.volume": "Volume",
+  "allocation.qty": "Quantidade",
+  "dutySource.manual": "% manual",
+  "dutySource.origin": "Tabela por origem do produto",
+  "dutySource.hs": "Código HS (tabela pautal)",
+
+  // Engine (landedCost.js, incoterms.js)
+  "freight.airTiersInvalid": "Escalões aéreos inválidos",
+  "freight.airError": "Frete aéreo: {error}",
+  "freight.airBasis": "Peso tributável {kg} kg @ {rate} €/kg",
+  "freight.lclTiersInvalid": "Escalões LCL inválidos",
+  "freight.lclError": "Frete LCL: {error}",
+  "freight.lclBasis": "Volume tributável {cbm} m³ @ {rate} €/m³",
+  "freight.fclNoMix": "Sem combinação de contentores",
+  "freight.fclNoMixError": "Frete FCL: nenhuma combinação de contentores comporta a carga.",
+  "freight.fclBasis": "{mix} (ocupação {volPct}% vol. / {kgPct}% peso)",
+  "tiers.empty": "a tabela não tem escalões.",
+  "tiers.infinityNotLast": "só o último escalão pode ser \"∞\" (escalão {n}).",
+  "tiers.missingLimit": "limite em falta no escalão {n}.",
+  "tiers.notPositive": "o limite do escalão {n} tem de ser maior que 0.",
+  "tiers.notAscending": "o escalão {n} está vazio: os limites têm de ser estritamente crescentes.",
+  "tiers.badRate": "preço inválido no escalão {n}.",
+  "tiers.exceeded": "{value} {unit} excede o último escalão ({last} {unit}); acrescente um escalão \"∞\".",
+  "duty.ignored": "Direitos ignorados",
+  "duty.byOrigin": "Tabela por origem ({origin})",
+  "duty.manual": "Manual",
+  "duty.supplierPaid": "Pagos pelo fornecedor (DDP)",
+  "fx.missingRate": "Sem taxa de câmbio válida para {currency}.",
+  "composition.goods": "Mercadoria ({incoterm})",
+  "composition.localOrigin": "Transp. Local (origem)",
+  "composition.exportClearance": "Desalfandegamento exportação",
+  "composition.freight": "Frete ({origin})",
+  "composition.insurance": "Seguro",
+  "composition.duty": "Direitos",
+  "composition.brokerage": "Despachante",
+  "composition.portTHC": "THC/Porto",
+  "composition.otherFees": "Outras Taxas",
+  "composition.deferral": "Garantia (pagamento diferido)",
+  "composition.vat": "IVA (não recuperável)",
+  "leg.originPickup": "Recolha / transporte na origem",
+  "leg.exportClearance": "Desalfandegamento de exportação",
+  "leg.mainFreight": "Frete principal",
+  "leg.insurance": "Seguro",
+  "leg.destinationCharges": "Custos no destino (THC, outras taxas, entrega ao armazém)",
+  "leg.importDuties": "Desalfandegamento de importação (despachante, armazenagem, inspeção, direitos, IVA)",
+
+  // Libraries (tariff, packing, pricing, risk, sensitivity, FX, rate cards, links, scenarios, destination)
+  "tariff.codeNotFound": "Código HS {code} não está na tabela pautal.",
+  "tariff.codeMissing": "Código HS em falta.",
+  "tariff.badRate": "A entrada {code} da tabela pautal tem uma taxa de direitos inválida para {origin}: as taxas têm de ser números ≥ 0.",
+  "tariff.preferential": "Preferencial {origin} {pct}%",
+  "tariff.thirdCountry": "País terceiro {pct}%",
+  "tariff.additional": "Anti-dumping/adicional {origin} {pct}%",
+  "tariff.entry.codeMissing": "código HS em falta",
+  "tariff.entry.badThirdCountry": "direito de país terceiro inválido",
+  "tariff.entry.bad.preferential": "taxa preferencial inválida para {origin}",
+  "tariff.entry.bad.additional": "taxa adicional inválida para {origin}",
+  "tariff.file.csvColumns": "CSV sem as colunas obrigatórias \"code\" e \"thirdCountry\".",
+  "tariff.file.notJson": "Ficheiro pautal inválido: não é JSON.",
+  "tariff.file.notList": "Ficheiro pautal inválido: esperada uma lista de códigos.",
+  "tariff.file.lineProblem": "Linha {line} ({code}): {problem}",
+  "tariff.file.errors": "Ficheiro pautal com erros:",
+  "packing.loose": "Unidades soltas",
+  "packing.cartons": "{cartons} caixas × {perCarton} un",
+  "packing.cartonTooBig": "{sku}: a caixa {carton} cm não cabe na palete {pallet} cm (altura máx. {maxH} cm).",
+  "packing.pallets": "{cartons} caixas em {pallets} palete(s) de até {perPallet} caixas",
+  "pricing.basis.margin": "Margem (% do preço líquido)",
+  "pricing.basis.markup": "Markup (% sobre o custo)",
+  "pricing.error.simulation": "Corrija os erros da simulação antes de calcular o preço máximo.",
+  "pricing.error.unreachable": "Mesmo a preço 0 o custo ({atZero}/un) excede o custo máximo ({maxCost}/un) — baixe o objetivo ou suba o preço de venda.",
+  "risk.dist.uniform": "Uniforme",
+  "risk.dist.triangular": "Triangular",
+  "risk.dist.normal": "Normal (P10–P90)",
+  "risk.factor.fxPct": "Câmbio (% EUR por moeda estrangeira)",
+  "risk.factor.freightMult": "Multiplicador de frete (×)",
+  "risk.factor.dutyPts": "Direitos (pontos % adicionais)",
+  "risk.error.simulation": "Corrija os erros da simulação antes de analisar o risco.",
+  "risk.error.noValidRun": "Nenhuma simulação válida com estes intervalos.",
+  "sweep.unitPrice": "Preço unitário do fornecedor (variação %)",
+  "sweep.fx": "Câmbio (variação %)",
+  "sweep.freight": "Tarifas de frete (variação %)",
+  "sweep.duty": "Direitos (% único)",
+  "sweep.insurancePct": "Seguro (%)",
+  "sweep.brokerageFee": "Despachante (€)",
+  "fx.ecb.csvHeader": "CSV do BCE inválido: a primeira coluna deve ser \"Date\".",
+  "fx.ecb.csvDate": "CSV do BCE inválido: data \"{date}\" não reconhecida.",
+  "fx.ecb.xmlNoCube": "XML do BCE inválido: sem elementos <Cube time=…>.",
+  "fx.ecb.empty": "O ficheiro não contém taxas de câmbio.",
+  "rateCards.file.notNumber": "\"{field}\" tem de ser um número ≥ 0.",
+  "rateCards.file.notTiers": "\"{field}\" tem de ser uma lista de escalões.",
+  "rateCards.file.notJson": "Ficheiro de tabelas inválido: não é JSON.",
+  "rateCards.file.unknown": "Ficheiro de tabelas inválido: formato desconhecido.",
+  "rateCards.file.newer": "Ficheiro de tabelas de uma versão mais recente ({version}).",
+  "rateCards.file.noFallback": "Falta a tabela \"{route}\" (usada para rotas sem tabela própria).",
+  "rateCards.file.errors": "Ficheiro de tabelas com erros:",
+  "share.incomplete": "Link de simulação incompleto: falta a soma de verificação.",
+  "share.undecodable": "Link de simulação corrompido: não foi possível descodificar os dados.",
+  "share.checksum": "Link de simulação alterado ou truncado: a verificação falhou. Peça um novo link a quem o partilhou.",
+  "share.unreadable": "Link de simulação corrompido: dados ilegíveis.",
+  "share.unknownFormat": "Link de simulação inválido: formato desconhecido.",
+  "share.newer": "Este link foi criado por uma versão mais recente da calculadora (esquema {version}). Atualize a página.",
+  "share.badField": "Link de simulação inválido: o campo \"{field}\" tem um valor inesperado.",
+  "share.upgraded": "Link criado numa versão anterior (esquema {version}); foi convertido. Confirme os valores antes de usar.",
+  "scenarios.newerSchema": "Versão de esquema {version} mais recente do que a aplicação ({current}).",
+  "scenarios.untitled": "Sem nome",
+  "scenarios.copyName": "{name} (cópia)",
+  "destination.inland.none": "Sem entrega (levantamento próprio)",
+  "destination.inland.distance": "Por distância (€/km)",
+  "destination.inland.weight": "Por peso (€/100 kg)",
+  "destination.cost.inland": "Transporte até ao armazém",
+  "destination.cost.storage": "Armazenagem no terminal",
+  "destination.cost.demurrage": "Demurrage/detention (FCL)",
+  "destination.cost.inspection": "Inspeção aduaneira",
+  "destination.basis.distance": "{km} km × {rate} €/km",
+  "destination.basis.weight": "{kg} kg × {rate} €/100 kg",
+  "destination.basis.minimum": "{basis} (mínimo)",
+  "destination.basis.storage": "{days} dia(s) × {wm} t ou m³",
+  "destination.basis.demurrage": "{days} dia(s) × {containers} contentor(es)",
+  "destination.basis.fixed": "Taxa fixa",
+
+  // VAT (vat.js)
+  "vat.regime.customs": "Pago na alfândega",
+  "vat.regime.reverseCharge": "Autoliquidação (art. 38.º CIVA)",
+  "vat.regime.cp42": "Regime aduaneiro 42 (entrega intracomunitária)",
+  "vat.country.PT": "Portugal (continente)",
+  "vat.country.PT-MA": "Portugal (Madeira)",
+  "vat.country.PT-AC": "Portugal (Açores)",
+  "vat.country.ES": "Espanha",
+  "vat.country.FR": "França",
+  "vat.country.DE": "Alemanha",
+  "vat.country.IT": "Itália",
+  "vat.country.NL": "Países Baixos",
+  "vat.country.BE": "Bélgica",
+  "vat.country.IE": "Irlanda",
+  "vat.country.PL": "Polónia",
+  "vat.country.AT": "Áustria",
+  "vat.rateKind.standard": "Normal",
+  "vat.rateKind.intermediate": "Intermédia",
+  "vat.rateKind.reduced": "Reduzida",
+  "vat.rateKind.manual": "% manual",
+  "vat.filing.monthly": "Mensal",
+  "vat.filing.quarterly": "Trimestral",
+  "vat.error.noRate": "IVA: {country} não tem taxa {kind}.",
+  "vat.error.unknownCountry": "IVA: país {country} desconhecido.",
+  "vat.error.reverseChargeOutsidePt": "IVA: a autoliquidação do art. 38.º CIVA só se aplica a importações em Portugal.",
+  "vat.flow.paidAtCustoms": "IVA pago na alfândega",
+  "vat.flow.selfAssessed": "IVA autoliquidado na declaração periódica",
+  "vat.flow.deducted": "IVA deduzido na declaração periódica",
+
+  // Assumption notes (shown in the app and on every quote; **text** marks emphasis)
+  "notes.skus": "Vários **SKUs** partilham o mesmo frete (calculado uma vez sobre o peso/volume total); frete, seguro, transporte local e taxas são repartidos pela chave escolhida.",
+  "notes.origins": "**Origem do produto** (país de fabrico, por SKU) influencia direitos, medidas de defesa comercial e regras de origem. **Origem do frete** apenas afeta logística.",
+  "notes.hsTariff": "Com a fonte **código HS**, cada SKU usa a entrada mais específica da **tabela pautal** (país terceiro, preferencial por origem, anti-dumping). Para um rascunho rápido use a **tabela por origem** ou marque \"Ignorar direitos\" (0%).",
+  "notes.customsValue": "UE calcula **Direitos** sobre o **valor aduaneiro**: preço do fornecedor + custos até à fronteira da UE (recolha, exportação, frete, seguro) que o **Incoterm** põe por conta do comprador. O que o fornecedor paga já está no preço.",
+  "notes.dapDdp": "Em **DAP/DDP** o preço inclui transporte após a fronteira, que em rigor pode ser deduzido do valor aduaneiro (não modelado). Em **DDP** o fornecedor é o importador: direitos, IVA e despachante não são custo nosso.",
+  "notes.fx": "O **valor aduaneiro** converte o preço com a **taxa de câmbio aduaneira** (mensal); o custo da mercadoria usa a **taxa de pagamento** (spot/cobertura). A data de cada taxa fica registada na simulação.",
+  "notes.vat": "O **IVA de importação** incide sobre (CIF + Direitos + taxas elegíveis). Se recuperável, não compõe o custo final, mas fica **imobilizado** entre o pagamento na alfândega e a dedução na declaração periódica. Com **autoliquidação** (art. 38.º CIVA) não há pagamento na alfândega; no **regime 42** a importação é isenta e o IVA é devido no Estado-Membro de destino.",
+  "notes.destination": "**Custos no destino** (entrega ao armazém, armazenagem além dos dias livres, demurrage FCL, inspeção) entram na base do IVA conforme assinalado; a garantia do **pagamento diferido** é uma % dos direitos e IVA garantidos.",
+  "notes.packing": "Volume e peso de envio vêm da **embalagem**: unidades soltas, **caixas master** (a última conta inteira) ou **paletes** carregadas; alimentam o peso tributável aéreo, os m³ LCL e o número de contentores FCL.",
+  "notes.freight": "O **Aéreo Express** usa a tabela do courier por zona (escalões de 0,5 kg, divisor 5000, combustível e sobretaxas). O Aéreo (Carga) usa **peso volumétrico** (m³ × fator) e escalões por kg. LCL usa escalões por m³ com mínimo. FCL usa preço por contentor, com o número de contentores limitado pela **ocupação útil** e pela **carga máxima** de cada tipo; a melhor combinação pode misturar 20'/40'/40' HC e enviar o excedente em LCL.",
+
+  // Common words
+  "common.yes": "Sim",
+  "common.no": "Não",
+  "common.noDate": "sem data",
+  "common.includedInSupplierPrice": "Incluído no preço do fornecedor",
+
+  // Quote document (print/PDF and CSV)
+  "quote.title": "Orçamento — Custo de Importação AIDC",
+  "quote.disclaimer": "Este simulador é indicativo e não substitui classificação pautal (HS), regras de origem nem cotações formais.",
+  "quote.section.document": "Documento",
+  "quote.section.assumptions": "Pressupostos",
+  "quote.section.products": "Produtos",
+  "quote.section.costs": "Custos",
+  "quote.section.notes": "Notas e pressupostos",
+  "quote.reference": "Referência",
+  "quote.scenario": "Cenário",
+  "quote.date": "Data",
+  "quote.displayCurrency": "Moeda de apresentação",
+  "quote.displayCurrencyValue": "{code} (1 {code} = {rate} EUR, câmbio de pagamento)",
+  "quote.freightOrigin": "Origem do frete",
+  "quote.mode": "Modal",
+  "quote.incoterm": "Incoterm",
+  "quote.allocation": "Repartição de custos por",
+  "quote.fullCartons": "Caixas completas",
+  "quote.fullCartonsYes": "Sim (quantidade arredondada)",
+  "quote.palletizing": "Paletização",
+  "quote.palletSpec": "{l}×{w} cm, até {h} cm, {kg} kg/palete",
+  "quote.fxCustoms": "Câmbio aduaneiro (data / fonte)",
+  "quote.fxPayment": "Câmbio de pagamento (data / fonte)",
+  "quote.fxCustomsRate": "FX {currency}→EUR aduaneiro",
+  "quote.fxPaymentRate": "FX {currency}→EUR pagamento",
+  "quote.insurancePct": "Seguro (%)",
+  "quote.brokerage": "Despachante",
+  "quote.portTHC": "THC/Porto",
+  "quote.otherFees": "Outras taxas",
+  "quote.localOrigin": "Transporte local na origem",
+  "quote.exportClearance": "Desalfandegamento de exportação",
+  "quote.duties": "Direitos",
+  "quote.dutiesIgnored": "Ignorados",
+  "quote.dutiesManual": "Manual ({pct}%)",
+  "quote.vatRegime": "Regime do IVA",
+  "quote.vatRate": "Taxa de IVA",
+  "quote.vatFiling": "Declaração de IVA",
+  "quote.vatRecoverable": "IVA recuperável",
+  "quote.rateCard": "Tabela de frete (rota)",
+  "quote.rateCardUpdated": "Tabela revista em",
+  "quote.airVolFactor": "Fator volumétrico (kg/m³)",
+  "quote.airMinChargeKg": "Mínimo cobrado (kg)",
+  "quote.freightFixedFees": "Taxas fixas frete",
+  "quote.airTiers": "Escalões (€/kg)",
+  "quote.lclMinCbm": "Mínimo (m³)",
+  "quote.lclTiers": "Escalões (€/m³)",
+  "quote.fclPrice": "Preço por {type}",
+  "quote.fillPct": "Ocupação útil dos contentores (%)",
+  "quote.lclRemainder": "Excedente em LCL",
+  "quote.lclRemainderYes": "Permitido (melhor combinação)",
+  "quote.arrival": "Chegada",
+  "quote.inland": "Entrega ao armazém",
+  "quote.inlandDistance": "{km} km × {rate} €/km (mín. {min} €)",
+  "quote.inlandWeight": "{rate} €/100 kg (mín. {min} €)",
+  "quote.storage": "Armazenagem (dias / livres / €/t·m³·dia)",
+  "quote.demurrage": "Demurrage (dias / livres / €/contentor·dia)",
+  "quote.inspection": "Inspeção",
+  "quote.deferment": "Pagamento diferido (garantia)",
+  "quote.inVatBase": "Na base do IVA",
+  "quote.inVatBaseNone": "nenhum",
+  "quote.col.sku": "SKU",
+  "quote.col.hs": "HS",
+  "quote.col.origin": "Origem",
+  "quote.col.qty": "Qtd",
+  "quote.col.unitPrice": "Preço unit.",
+  "quote.col.currency": "Moeda",
+  "quote.col.unitWeight": "Peso unit. (kg)",
+  "quote.col.unitVolume": "Volume unit. (m³)",
+  "quote.col.unitsPerCarton": "Un/caixa",
+  "quote.col.cartons": "Caixas",
+  "quote.col.pallets": "Paletes",
+  "quote.col.goods": "Mercadoria ({currency})",
+  "quote.col.shared": "Custos partilhados ({currency})",
+  "quote.col.duty": "Direitos ({currency})",
+  "quote.col.measure": "Medida aplicada",
+  "quote.col.unitCost": "Custo unit. ({currency})",
+  "quote.goods": "Mercadoria ({incoterm}, câmbio de pagamento)",
+  "quote.goodsCustoms": "Mercadoria ao câmbio aduaneiro",
+  "quote.customsBase": "Base aduaneira (CIF)",
+  "quote.dutiesEffective": "Direitos (efetivo {pct}%)",
+  "quote.outsideVatBase": " (fora da base do IVA)",
+  "quote.deferral": "Garantia do pagamento diferido",
+  "quote.vatBase": "Base do IVA",
+  "quote.vatRecoverableLine": "IVA (recuperável, fora do custo)",
+  "quote.vatNonRecoverableLine": "IVA (não recuperável, incluído)",
+  "quote.landedExVat": "Custo total (sem IVA recuperável)",
+  "quote.landed": "Custo total considerado",
+  "quote.totalQty": "Quantidade total",
+  "quote.volumeWeight": "Volume de envio (m³) / peso bruto (kg)",
+  "quote.unitLanded": "Custo por unidade (média)",
+
+  // FCL load plan
+  "containerPlan.title": "Plano de contentores — {mix}",
+  "containerPlan.fill": "Ocupação útil considerada: {pct}%",
+  "containerPlan.col.container": "Contentor",
+  "containerPlan.col.volume": "Volume (m³)",
+  "containerPlan.col.volPct": "Ocup. volume",
+  "containerPlan.col.kg": "Peso (kg)",
+  "containerPlan.col.kgPct": "Ocup. peso",
+  "containerPlan.lclRemainder": "Excedente LCL",
+  "containerPlan.alternatives": "Alternativas mais baratas",
+  "containerPlan.note": "A carga é repartida pelos contentores em proporção da capacidade útil; percentagens sobre o volume interno e a carga máxima nominais.",
+
+  // Import VAT cash flow
+  "vatFlow.title": "IVA — tesouraria",
+  "vatFlow.cp42": "Importação isenta: o IVA é devido no Estado-Membro de destino pelo adquirente. Exige o NIF-IVA do cliente e a declaração recapitulativa.",
+  "vatFlow.none": "Sem IVA de importação por conta do comprador.",
+  "vatFlow.notRecoverable": "IVA não recuperável: fica no custo.",
+  "vatFlow.exposure": "Tesouraria imobilizada: {amount} durante {days} dias.",
+  "vatFlow.noImpact": "Liquidação e dedução na mesma declaração: sem impacto na tesouraria.",
+  "vatFlow.atClearance": "No desalfandegamento",
+  "vatFlow.afterClearance": "Desalfandegamento + {days} dias",
+  "vatFlow.undated": "Sem data de desalfandegamento: prazo médio da declaração do período ({days} dias).",
+
+  // Destination costs editor
+  "destEditor.port": "Chegada (porto/aeroporto)",
+  "destEditor.inland": "Entrega ao armazém",
+  "destEditor.distanceKm": "Distância (km)",
+  "destEditor.inlandMin": "Mínimo por entrega (€)",
+  "destEditor.storageDays": "Armazenagem (dias)",
+  "destEditor.freeDays": "Dias livres",
+  "destEditor.storageRate": "€/t ou m³/dia",
+  "destEditor.demurrageDays": "Contentor (dias)",
+  "destEditor.demurrageRate": "€/contentor/dia",
+  "destEditor.inspection": "Inspeção aduaneira (€)",
+  "destEditor.deferment": "Pagamento diferido",
+  "destEditor.guaranteePct": "Garantia (% direitos + IVA)",
+  "destEditor.col.cost": "Custo",
+  "destEditor.col.basis": "Base de cálculo",
+  "destEditor.col.vatBase": "Base do IVA",
+  "destEditor.col.amount": "Valor",
+  "destEditor.note": "As despesas acessórias até ao primeiro local de destino em Portugal integram a base do IVA de importação; desmarque as que forem faturadas à parte, com IVA próprio. A armazenagem conta por tonelada ou m³ (o maior); a demurrage só se aplica a FCL.",
+
+  // Pricing panel
+  "pricingPanel.title": "Preço de venda & margem",
+  "pricingPanel.listPrice": "Preço de tabela (sem IVA)",
+  "pricingPanel.listPriceVat": "Preço de tabela c/ IVA ({pct}%)",
+  "pricingPanel.discount": "− Desconto distribuidor",
+  "pricingPanel.netPrice": "= Preço líquido",
+  "pricingPanel.channelFee": "− Comissão do canal",
+  "pricingPanel.revenue": "= Receita retida",
+  "pricingPanel.cost": "− Custo desembarcado",
+  "pricingPanel.profit": "= Lucro por unidade",
+  "pricingPanel.marginMarkup": "Margem / Markup",
+  "pricingPanel.basis": "Objetivo",
+  "pricingPanel.targetMargin": "Margem alvo (%)",
+  "pricingPanel.targetMarkup": "Markup alvo (%)",
+  "pricingPanel.channelFeePct": "Comissão do canal (%)",
+  "pricingPanel.discountPct": "Desconto distribuidor (%)",
+  "pricingPanel.forward": "Preço de venda para o objetivo",
+  "pricingPanel.reverse": "Preço máximo do fornecedor",
+  "pricingPanel.knownPrice": "Preço de tabela conhecido (€, sem IVA)",
+  "pricingPanel.maxFor": "Máximo aceitável para {sku}",
+  "pricingPanel.perUnit": "{price} {currency}/un",
+  "pricingPanel.current": "Atual: {price} {currency} • custo máximo {maxCost}/un",
+  "pricingPanel.enterPrice": "Indique o preço de venda para calcular quanto podemos pagar ao fornecedor.",
+  "pricingPanel.note": "Margem sobre a receita retida (após desconto e comissão). O preço máximo é procurado por bissecção através de toda a cadeia (frete por escalões, direitos, IVA), mantendo os restantes SKUs e quantidades.",
+
+  // Risk panel
+  "riskPanel.title": "Risco — Custo por unidade (Monte Carlo)",
+  "riskPanel.run": "Simular",
+  "riskPanel.rerun": "Voltar a simular",
+  "riskPanel.running": "A simular… {pct}%",
+  "riskPanel.col.factor": "Fator",
+  "riskPanel.col.dist": "Distribuição",
+  "riskPanel.col.low": "Mínimo",
+  "riskPanel.col.mode": "Base",
+  "riskPanel.col.high": "Máximo",
+  "riskPanel.runs": "Simulações",
+  "riskPanel.note": "Câmbio aplica-se às taxas aduaneira e de pagamento de todas as moedas estrangeiras; o multiplicador escala escalões, preços de contentor e taxas fixas de frete; direitos somam pontos % à fonte em uso.",
+  "riskPanel.hintBefore": "Defina os intervalos e carregue em ",
+  "riskPanel.hintAfter": ".",
+  "riskPanel.stale": "A simulação ou os intervalos mudaram desde a última corrida — volte a simular.",
+  "riskPanel.summary": "Base {base} • média {mean} • {runs} simulações",
+  "riskPanel.failed": "({count} com erros ignoradas)",
+  "riskPanel.tornado": "Tornado — variação do custo unitário face à base, por fator (mínimo → máximo)",
+  "riskPanel.low": "Baixo",
+  "riskPanel.high": "Alto",
+
+  // Sensitivity panel
+  "sensitivity.qtyTitle": "Economia por Volume — Custo por unidade vs Quantidade",
+  "sensitivity.currentMode": "Modal atual: {mode}",
+  "sensitivity.qMin": "Qtd mínima",
+  "sensitivity.qMax": "Qtd máxima",
+  "sensitivity.log": "Escala logarítmica",
+  "sensitivity.qtyTooltip": "Qtd: {qty}",
+  "sensitivity.crossoverFrom": "A partir de ",
+  "sensitivity.units": "{qty} un",
+  "sensitivity.crossover": ", {cheaper} fica mais barato que {than} ({unit}/un).",
+  "sensitivity.noCrossover": "Sem cruzamentos entre modais vizinhos neste intervalo.",
+  "sensitivity.containerSteps": "Linhas tracejadas: mais um contentor — {steps}.",
+  "sensitivity.containerStep": "{mode} {containers}× a partir de {qty} un",
+  "sensitivity.sweepTitle": "Sensibilidade — Custo por unidade vs um parâmetro",
+  "sensitivity.parameter": "Parâmetro",
+  "sensitivity.from": "De ({unit})",
+  "sensitivity.to": "Até ({unit})",
+  "sensitivity.current": "atual",
+  "sensitivity.unitCost": "Custo unit.",
+  "sensitivity.note": "Variações em % aplicam-se a todos os SKUs (preço), a todas as moedas estrangeiras (câmbio) ou a todas as tarifas de frete. Direitos usam uma taxa única manual.",
+
+  // Comparison panel
+  "comparison.title": "Comparação lado a lado",
+  "comparison.modes": "Modais",
+  "comparison.scenarios": "Cenários",
+  "comparison.saveTwo": "Guarde pelo menos 2 cenários para os comparar.",
+  "comparison.selectRange": "Selecione 2 a {max} cenários.",
+  "comparison.col.option": "Opção",
+  "comparison.col.basis": "Base do frete",
+  "comparison.col.freight": "Frete",
+  "comparison.col.duty": "Direitos",
+  "comparison.col.vat": "IVA",
+  "comparison.col.total": "Total",
+  "comparison.col.unit": "Custo unit.",
+  "comparison.cheapest": "★ mais barato",
+  "comparison.note": "Total e custo unitário excluem o IVA quando recuperável.",
+
+  // Scenario library
+  "scenarioLib.title": "Cenários guardados ({count})",
+  "scenarioLib.namePlaceholder": "Nome do cenário (ex.: PO 2024-031 Zebra)",
+  "scenarioLib.save": "Guardar atual",
+  "scenarioLib.empty": "Ainda não há cenários. Os cenários ficam guardados neste navegador.",
+  "scenarioLib.col.name": "Nome",
+  "scenarioLib.col.date": "Data",
+  "scenarioLib.col.unit": "Custo unit.",
+  "scenarioLib.open": "Abrir",
+  "scenarioLib.duplicate": "Duplicar",
+  "scenarioLib.delete": "Apagar",
+  "scenarioLib.confirmDelete": "Apagar \"{name}\"?",
+
+  // Line items
+  "lineItems.col.sku": "SKU",
+  "lineItems.col.hs": "HS",
+  "lineItems.col.origin": "Origem (fabrico)",
+  "lineItems.col.qty": "Qtd",
+  "lineItems.col.unitPrice": "Preço unit.",
+  "lineItems.col.currency": "Moeda",
+  "lineItems.col.weight": "Peso (kg)",
+  "lineItems.col.dims": "L × W × H (cm)",
+  "lineItems.unitVolume": "{m3} m³/un",
+  "lineItems.remove": "Remover SKU",
+  "lineItems.carton": "Caixa master:",
+  "lineItems.unitsPerCartonHint": "Unidades por caixa (0 = unidades soltas)",
+  "lineItems.unitsPerCarton": "un/caixa",
+  "lineItems.cartonKg": "kg bruto/caixa",
+  "lineItems.loose": "0 = unidades soltas (usa peso e dimensões unitários)",
+  "lineItems.add": "+ Adicionar SKU",
+
+  // Rate cards and tariff editors
+  "common.exportJson": "Exportar JSON",
+  "common.exportCsv": "Exportar CSV",
+  "common.importJson": "Importar JSON",
+  "rateCardsUi.title": "Tabelas de frete por rota",
+  "rateCardsUi.exists": "A rota \"{name}\" já existe.",
+  "rateCardsUi.created": "Rota \"{name}\" criada a partir de \"{from}\".",
+  "rateCardsUi.confirmDelete": "Apagar a tabela da rota \"{route}\"?",
+  "rateCardsUi.imported": "Importadas {count} tabelas de \"{file}\".",
+  "rateCardsUi.col.route": "Rota (origem do frete)",
+  "rateCardsUi.col.port": "Porto / aeroporto",
+  "rateCardsUi.col.updated": "Revista em",
+  "rateCardsUi.inUse": "(em uso)",
+  "rateCardsUi.portPlaceholder": "ex.: Shenzhen (Yantian)",
+  "rateCardsUi.fallbackHint": "Tabela usada para rotas sem tabela própria",
+  "rateCardsUi.delete": "Apagar rota",
+  "rateCardsUi.newRoute": "Nova rota (ex.: China — Ningbo)",
+  "rateCardsUi.add": "+ Rota",
+  "rateCardsUi.note": "A tabela é escolhida automaticamente pela origem do frete; \"{fallback}\" aplica-se a rotas sem tabela própria. Os valores abaixo editam a tabela em uso.",
+  "tariffUi.imported": "Importados {count} códigos de \"{file}\".",
+  "tariffUi.col.code": "HS",
+  "tariffUi.col.description": "Descrição",
+  "tariffUi.col.thirdCountry": "País terceiro %",
+  "tariffUi.col.preferential": "Preferencial (origem=%)",
+  "tariffUi.col.additional": "Anti-dumping/adic. (origem=%)",
+  "tariffUi.remove": "Remover código",
+  "tariffUi.add": "+ Código",
+  "tariffUi.import": "Importar JSON/CSV",
+  "tariffUi.reset": "Repor tabela incluída",
+  "tariffUi.note": "O código de cada SKU usa a entrada mais específica (ex.: 847160 antes de 8471). Taxa preferencial aplica-se se for menor que a de país terceiro; anti-dumping/adicionais somam-se. Valores incluídos são indicativos — confirme no TARIC.",
+
+  // FX manager
+  "fxUi.kind.customs": "Aduaneira",
+  "fxUi.kind.payment": "Pagamento",
+  "fxUi.applied.customs": "Taxa aduaneira: {set}.",
+  "fxUi.applied.payment": "Taxa de pagamento: {set}.",
+  "fxUi.missing": "Sem taxa para {currencies} — mantido o valor anterior.",
+  "fxUi.noCustomsRate": "Histórico sem taxa do BCE até {date} (penúltima quarta-feira do mês anterior). Importe um ficheiro do BCE.",
+  "fxUi.imported": "Importadas {count} datas de \"{file}\" ({from} a {to}).",
+  "fxUi.needDate.customs": "Indique a data da taxa aduaneira antes de a guardar.",
+  "fxUi.needDate.payment": "Indique a data da taxa de pagamento antes de a guardar.",
+  "fxUi.saved": "Guardada no histórico: {set}.",
+  "fxUi.confirmDelete": "Apagar esta data do histórico de câmbios?",
+  "fxUi.invalidCode": "Código de moeda inválido (3 letras, ex.: JPY).",
+  "fxUi.duplicate": "{code} já está na lista.",
+  "fxUi.addedFrom": "{code} adicionada com a taxa de {set}.",
+  "fxUi.added": "{code} adicionada — indique as taxas.",
+  "fxUi.col.currency": "Moeda (EUR por unidade)",
+  "fxUi.dateSource": "Data / fonte",
+  "fxUi.inUse": "Moeda usada por um SKU",
+  "fxUi.remove": "Remover moeda",
+  "fxUi.add": "+ Moeda",
+  "fxUi.history": "Histórico de câmbios",
+  "fxUi.pickDate": "Escolher data…",
+  "fxUi.emptyHistory": "Histórico vazio",
+  "fxUi.useAs.customs": "Usar como aduaneira",
+  "fxUi.useAs.payment": "Usar como pagamento",
+  "fxUi.delete": "Apagar",
+  "fxUi.customsMonth": "Taxa aduaneira do mês",
+  "fxUi.importEcb": "Importar ficheiro do BCE (CSV/XML)",
+  "fxUi.save.customs": "Guardar taxa aduaneira",
+  "fxUi.save.payment": "Guardar taxa de pagamento",
+  "fxUi.note": "O valor aduaneiro usa a taxa aduaneira (mensal: taxa do BCE da penúltima quarta-feira do mês anterior); o custo da mercadoria usa a taxa de pagamento (spot ou cobertura). Ficheiros do BCE: eurofxref.csv / eurofxref-hist.csv / eurofxref-daily.xml / eurofxref-hist.xml, guardados localmente.",
+
+  // Main screen
+  "app.title": "Calculadora Interativa de Custo de Importação — AIDC (Portugal)",
+  "app.language": "Idioma",
+  "app.displayCurrency": "Moeda de apresentação",
+  "app.displayCurrencyMissing": "Sem câmbio de pagamento para {code}: os valores são apresentados em EUR. Adicione {code} em Câmbio.",
+  "app.print": "Imprimir / PDF",
+  "app.share.button": "Partilhar link",
+  "app.share.copied": "Link copiado. Quem o abrir vê exatamente esta simulação.",
+  "app.share.inAddressBar": "Link atualizado na barra de endereço — copie-o de lá.",
+  "app.close": "Fechar",
+  "app.intro": "Planeie o custo total por unidade (landed cost) ao importar AIDC com **origem do produto** separada da **origem do frete**. Considere Incoterms, frete, seguros, direitos (opcionais), IVA e taxas locais, com **economia por volume**.",
+  "app.shipOrigin": "Origem do frete (embarque)",
+  "app.mode": "Modal",
+  "app.modeHint": "Descontos automáticos por volume.",
+  "app.incoterm": "Incoterm (Preço fornecedor)",
+  "app.incotermIncluded": "Incluído no preço: {legs}.",
+  "app.incotermNothing": "nada (EXW)",
+  "app.allocation": "Repartir custos por",
+  "app.allocationHint": "Frete, seguro e taxas por SKU.",
+  "app.section.products": "Produtos (SKUs) & Embalagem",
+  "app.roundToCartons": "Arredondar a caixas completas",
+  "app.palletize": "Paletizar caixas",
+  "app.packing.palletLcm": "Palete C (cm)",
+  "app.packing.palletWcm": "Palete L (cm)",
+  "app.packing.palletMaxHcm": "Altura máx. (cm)",
+  "app.packing.palletDeckHcm": "Altura palete (cm)",
+  "app.packing.palletKg": "Peso palete (kg)",
+  "app.packingHint": "Com caixa master, o volume e o peso de envio são os das caixas (última caixa conta inteira); com paletes, os da palete carregada (uma referência por palete).",
+  "app.shipmentSkus": "{count} SKU • {qty} un",
+  "app.shipmentCartons": "{count} caixas",
+  "app.shipmentPallets": "{count} paletes",
+  "app.shipmentVolume": "Volume de envio: {m3} m³ • Peso bruto: {kg} kg",
+  "app.section.fx": "Câmbio, Seguro & Taxas Fixas",
+  "app.insurancePct": "Seguro (%)",
+  "app.brokerage": "Despachante (€)",
+  "app.portTHC": "THC/Porto (€)",
+  "app.otherFees": "Outras taxas (€)",
+  "app.section.destination": "Custos no Destino — Entrega, Armazenagem & Demurrage",
+  "app.section.branding": "Branding (Logo)",
+  "app.logoUrl": "URL do logotipo (PNG/SVG)",
+  "app.showLogo": "Mostrar logo no topo",
+  "app.logoHint": "Dica: use um ficheiro com fundo transparente para melhor resultado.",
+  "app.section.freight": "Frete — Descontos por Volume & Transporte Local",
+  "app.activeCard": "Tabela em uso: {route} — {mode}",
+  "app.fixedFees": "Taxas fixas (€)",
+  "app.tiersKg": "Escalões de preço (€/kg)",
+  "app.tiersCbm": "Escalões de preço (€/m³)",
+  "app.fclPrice": "Preço por {type} (€)",
+  "app.fillPct": "Ocupação útil (%)",
+  "app.fillHint": "A ocupação útil desconta estiva e folgas; o peso máximo também limita a carga.",
+  "app.localOrigin": "Transporte local na origem (€)",
+  "app.localOriginHint": "Ex.: China→Hong Kong, fábrica→porto de embarque, consolidação.",
+  "app.exportClearance": "Desalfandegamento de exportação (€)",
+  "app.exportClearanceHint": "Só conta quando o Incoterm o põe por conta do comprador (EXW).",
+  "app.section.taxes": "Impostos",
+  "app.ignoreDuty": "Ignorar direitos (HS)",
+  "app.dutySource": "Fonte da taxa de direitos",
+  "app.dutyPct": "Direitos (% manual)",
+  "app.originDutyMap": "Tabela por origem do produto (%)",
+  "app.originDutyHint": "Ex.: definir 0% para eletrónica abrangida pelo ITA; ajustar se houver medidas anti-dumping específicas.",
+  "app.tariff": "Tabela pautal por código HS",
+  "app.vatDestinationState": "Estado-Membro de destino",
+  "app.vatCountry": "País / região de importação",
+  "app.vatPct": "IVA (% manual)",
+  "app.vatRecoverable": "IVA é recuperável?",
+  "app.clearanceDate": "Data prevista de desalfandegamento",
+  "app.clearanceDateHint": "Vazio = calendário em dias desde a encomenda, com o IVA deduzido no prazo médio da declaração. Define quando cada pagamento é feito e quando o IVA é deduzido.",
+  "app.vatBaseHint": "Base do IVA: valor aduaneiro + Direitos + taxas no destino (despachante/THC/outros e custos no destino assinalados) pagas pelo comprador",
+  "app.errorsTitle": "Não é possível calcular o custo com os dados atuais",
+  "app.resultsBlocked": "Composição, impostos, calendário de pagamentos e custo por SKU aparecem depois de corrigidos os erros acima.",
+  "app.exportBlocked": "Corrija os erros antes de imprimir ou exportar a cotação.",
+  "app.kpiTotalHint": "Inclui mercadoria, transp. local, frete, seguro, direitos e taxas.",
+  "app.kpiUnitHint": "{qty} un • {skus} SKU • Frete: {origin} • {basis}",
+  "app.composition": "Composição do custo",
+  "app.vatKpi": "IVA ({rate})",
+  "app.vatExempt": "isento",
+  "app.vatRecoverableYes": "Recuperável (não entra no custo)",
+  "app.vatRecoverableNo": "Não recuperável (incluído)",
+  "app.bases": "Base aduaneira (CIF): {customs} • Base do IVA: {vat}",
+  "app.deferral": "Garantia do diferimento: {amount}",
+  "app.legsTitle": "Incoterm {incoterm} — quem paga cada custo",
+  "app.buyer": "Comprador",
+  "app.perSkuTitle": "Custo por SKU",
+  "app.perSkuAllocation": "Custos partilhados repartidos por {key}",
+  "app.col.goods": "Mercadoria",
+  "app.col.shared": "Frete, seguro & taxas",
+  "app.footer": "Atualize taxas e câmbio antes de decidir.",
+  "app.tiers.upTo": "Até",
+  "app.tiers.remove": "Remover escalão",
+  "app.tiers.add": "+ Escalão",
+  "app.tiers.sort": "Ordenar por limite",
+  "app.tiers.openEnded": "Último escalão sem limite (∞)",
+
+  // Input validation
+  "validation.required": "Campo obrigatório",
+  "validation.notNumber": "Valor não numérico",
+  "validation.positive": "Tem de ser maior que 0",
+  "validation.range": "Entre {min} e {max}",
+  "validation.min": "Mínimo {min}",
+  "validation.max": "Máximo {max}",
+  "validation.integer": "Tem de ser um número inteiro",
+  "validation.warnAbove": "Acima de {max} — invulgar para equipamento AIDC; confirme",
+  "validation.fxOff": "{pct}% afastado da referência ({ref}); confirme",
+  "validation.above": "Tem de ser maior que {min}",
+  "validation.below": "Tem de ser menor que {max}",
+  "validation.riskOrder": "A base tem de ficar entre o mínimo e o máximo",
+  "field.insurancePct": "Seguro (%)",
+  "field.brokerageFee": "Despachante",
+  "field.portTHC": "THC/Porto",
+  "field.otherFees": "Outras taxas",
+  "field.localOriginTransport": "Transporte local na origem",
+  "field.exportClearanceFee": "Desalfandegamento de exportação",
+  "field.dutyPct": "Direitos (% manual)",
+  "field.vatPct": "IVA (% manual)",
+  "field.originDuty": "Direitos — {origin} (%)",
+  "field.tariff": "Pauta {code} — {field}",
+  "field.tariff.thirdCountry": "direito de país terceiro (%)",
+  "field.tariff.preferential": "preferencial {origin} (%)",
+  "field.tariff.additional": "adicional {origin} (%)",
+  "field.item": "{sku} — {field}",
+  "field.item.qty": "quantidade",
+  "field.item.unitPrice": "preço unitário",
+  "field.item.unitWeightKg": "peso unitário (kg)",
+  "field.item.unitLcm": "comprimento (cm)",
+  "field.item.unitWcm": "largura (cm)",
+  "field.item.unitHcm": "altura (cm)",
+  "field.item.unitsPerCarton": "unidades por caixa",
+  "field.item.cartonLcm": "comprimento da caixa (cm)",
+  "field.item.cartonWcm": "largura da caixa (cm)",
+  "field.item.cartonHcm": "altura da caixa (cm)",
+  "field.item.cartonKg": "peso da caixa (kg)",
+  "field.packing.palletLcm": "Comprimento da palete (cm)",
+  "field.packing.palletWcm": "Largura da palete (cm)",
+  "field.packing.palletMaxHcm": "Altura máx. da palete (cm)",
+  "field.packing.palletDeckHcm": "Altura da palete vazia (cm)",
+  "field.packing.palletKg": "Peso da palete (kg)",
+  "field.card.airVolFactor": "Fator volumétrico aéreo",
+  "field.card.airMinChargeKg": "Mínimo cobrável aéreo (kg)",
+  "field.card.airFixedFees": "Taxas fixas aéreo",
+  "field.card.lclMinCbm": "Mínimo LCL (m³)",
+  "field.card.lclFixedFees": "Taxas fixas LCL",
+  "field.card.fcl20Price": "Preço 20'",
+  "field.card.fcl40Price": "Preço 40'",
+  "field.card.fcl40HcPrice": "Preço 40' HC",
+  "field.card.fclFixedFees": "Taxas fixas FCL",
+  "field.fillPct": "Ocupação útil (%)",
+  "field.destination.inlandKm": "Distância (km)",
+  "field.destination.inlandRatePerKm": "Entrega €/km",
+  "field.destination.inlandRatePer100Kg": "Entrega €/100 kg",
+  "field.destination.inlandMinEUR": "Mínimo por entrega",
+  "field.destination.storageDays": "Dias de armazenagem",
+  "field.destination.storageFreeDays": "Dias livres de armazenagem",
+  "field.destination.storageRatePerDay": "Tarifa de armazenagem",
+  "field.destination.demurrageDays": "Dias de contentor",
+  "field.destination.demurrageFreeDays": "Dias livres de contentor",
+  "field.destination.demurrageRatePerDay": "Tarifa de demurrage",
+  "field.destination.inspectionFee": "Inspeção aduaneira",
+  "field.destination.deferralGuaranteePct": "Garantia do diferimento (%)",
+  "field.fxCustoms": "Câmbio aduaneiro {code}",
+  "field.fxPayment": "Câmbio de pagamento {code}",
+  "app.warningsTitle": "Valores pouco habituais — confirme antes de usar o resultado",
+  "app.kpiWarning": "Resultado com avisos",
+
+  // Express courier tariff
+  "express.zone": "Zona {zone}",
+  "express.error.noZone": "A tabela do courier não tem a zona {zone} — escolha a zona da rota nas tabelas de frete.",
+  "express.basisSteps": "{kg} kg tarifáveis (zona {zone}, tabela por 0,5 kg)",
+  "express.basisPerKg": "{kg} kg × {rate} €/kg (zona {zone})",
+  "express.surcharge.fuel": "Sobretaxa de combustível",
+  "express.surcharge.remoteArea": "Zona remota",
+  "express.surcharge.oversize": "Volumes fora de medida",
+  "duty.lowValue": "Franquia de baixo valor (≤ {limit} €)",
+  "composition.disbursement": "Adiantamento de direitos/IVA (courier)",
+  "validation.steps": "Indique um preço (≥ 0) por cada escalão de 0,5 kg",
+  "field.express.divisor": "Divisor volumétrico express",
+  "field.express.fuelPct": "Sobretaxa de combustível (%)",
+  "field.express.remoteAreaFee": "Taxa de zona remota",
+  "field.express.oversizeCm": "Limite de medida (cm)",
+  "field.express.oversizeKg": "Limite de peso por volume (kg)",
+  "field.express.oversizeFee": "Taxa por volume fora de medida",
+  "field.express.disbursementPct": "Taxa de adiantamento (%)",
+  "field.express.disbursementMin": "Taxa de adiantamento mínima",
+  "field.express.perKg": "Zona {zone} — €/kg acima do limite",
+  "field.express.steps": "Zona {zone} — preços por 0,5 kg",
+  "quote.expressZone": "Zona do courier",
+  "quote.expressFirstStep": "Primeiro escalão (0,5 kg)",
+  "quote.expressCutoff": "Tabela por 0,5 kg até (kg)",
+  "quote.expressPerKg": "Acima do limite, por kg",
+  "quote.expressDivisor": "Divisor volumétrico (cm³/kg)",
+  "quote.expressFuel": "Sobretaxa de combustível",
+  "quote.expressRemote": "Zona remota",
+  "quote.expressOversize": "Volume fora de medida (> {cm} cm ou > {kg} kg)",
+  "quote.expressDisbursement": "Adiantamento de direitos/IVA ({pct}%, mínimo)",
+  "quote.disbursement": "Taxa de adiantamento de direitos/IVA (courier)",
+  "notes.lowValue": "Remessas com **valor intrínseco** (só mercadoria, à taxa aduaneira) até 150 € estão **isentas de direitos**; o **IVA** de importação é sempre devido.",
+  "expressUi.divisor": "Divisor volumétrico (cm³/kg)",
+  "expressUi.fuelPct": "Combustível (%)",
+  "expressUi.disbursementPct": "Adiantamento direitos/IVA (%)",
+  "expressUi.disbursementMin": "Adiantamento mínimo (€)",
+  "expressUi.oversizeCm": "Fora de medida acima de (cm)",
+  "expressUi.oversizeKg": "…ou acima de (kg/volume)",
+  "expressUi.oversizeFee": "Taxa fora de medida (€/volume)",
+  "expressUi.remoteArea": "Zona remota (€/envio)",
+  "expressUi.col.zone": "Zona",
+  "expressUi.col.steps": "Preços por 0,5 kg (0,5 · 1 · 1,5 kg …)",
+  "expressUi.col.perKg": "€/kg acima",
+  "expressUi.stepsHint": "{count} escalões: tabela até {cutoff} kg; acima, peso arredondado ao kg × €/kg",
+  "expressUi.zoneInUse": "Zona usada por uma rota",
+  "expressUi.removeZone": "Remover zona",
+  "expressUi.addZone": "+ Zona",
+  "expressUi.weightCharge": "Transporte ({kg} kg tarifáveis)",
+  "expressUi.note": "Peso tarifável = maior entre o peso bruto e o volumétrico (cm³ ÷ divisor), arredondado ao 0,5 kg. O combustível incide sobre o transporte e as sobretaxas; a taxa de adiantamento incide sobre os direitos e o IVA pagos pelo courier na alfândega. A zona de cada rota escolhe-se nas tabelas de frete.",
+  "rateCardsUi.col.expressZone": "Zona express",
+  "app.lowValueRelief": "Valor intrínseco ≤ {limit}: isento de direitos",
+  "app.disbursement": "Adiantamento do courier: {amount}",
+
+  // Lead times, payment terms and financing cost (financing.js, FinancingCard)
+  "financing.payment.deposit": "Adiantamento ao fornecedor",
+  "financing.payment.balance": "Saldo ao fornecedor",
+  "financing.payment.freight": "Frete e custos até à fronteira",
+  "financing.payment.clearance": "Direitos, taxas e custos de destino",
+  "financing.payment.vat": "IVA de importação",
+  "composition.financing": "Custo financeiro (capital)",
+  "field.financing.costOfCapitalPct": "Custo do capital (%/ano)",
+  "field.financing.productionDays": "Produção (dias)",
+  "field.financing.depositPct": "Adiantamento (% da mercadoria)",
+  "field.financing.balanceDays": "Saldo: dias após o embarque",
+  "field.financing.clearanceDays": "Desalfandegamento (dias)",
+  "field.financing.salesDays": "Até à venda recebida (dias)",
+  "field.card.expressTransitDays": "Trânsito express (dias)",
+  "field.card.airTransitDays": "Trânsito aéreo (dias)",
+  "field.card.lclTransitDays": "Trânsito LCL (dias)",
+  "field.card.fclTransitDays": "Trânsito FCL (dias)",
+  "app.section.financing": "Prazos, Pagamentos & Custo do Capital",
+  "app.financingHint": "Dia 0 = encomenda. Cada pagamento é financiado ao custo do capital até a mercadoria ser vendida e recebida; o IVA recuperável só até ser deduzido. Saldo negativo = pago antes do embarque.",
+  "app.transitDays": "Trânsito (dias)",
+  "app.transitDaysHint": "Dias de trânsito deste modal na rota ativa (tabela de frete). Contam para o prazo total e o custo financeiro.",
+  "financingUi.title": "Fundo de maneio — pagamentos e custo financeiro",
+  "financingUi.leadTime": "Produção {production} + trânsito {transit} + desalfandegamento {clearance} = {total} dias (desalfandegado a {date})",
+  "financingUi.leadTimeUndated": "Produção {production} + trânsito {transit} + desalfandegamento {clearance} = {total} dias",
+  "financingUi.day": "dia {day}",
+  "financingUi.col.date": "Data",
+  "financingUi.col.payment": "Pagamento",
+  "financingUi.col.amount": "Montante",
+  "financingUi.col.days": "Dias",
+  "financingUi.col.cost": "Custo",
+  "financingUi.total": "Custo financeiro a {pct}%/ano",
+  "financingUi.note": "Dias = até à venda recebida ({date}) ou, para o IVA recuperável, até à dedução. Incluído no custo aterrado.",
+  "comparison.col.leadTime": "Prazo",
+  "comparison.col.financing": "Custo financeiro",
+  "comparison.days": "{days} d",
+  "quote.transitDays": "Trânsito (dias)",
+  "quote.leadTime": "Prazo até ao desalfandegamento",
+  "quote.leadTimeValue": "{production} + {transit} + {clearance} = {total} dias",
+  "quote.paymentTerms": "Condições de pagamento",
+  "quote.paymentTermsValue": "{deposit}% na encomenda, saldo {days} dias após o embarque",
+  "quote.salesDays": "Até à venda recebida (dias)",
+  "quote.costOfCapital": "Custo do capital (%/ano)",
+  "quote.financing": "Custo financeiro ({pct}%/ano)",
+  "notes.financing": "O **custo financeiro** é o custo do capital empatado: cada pagamento (adiantamento, saldo, frete, direitos e taxas) conta desde a saída até à venda recebida, segundo os **prazos** de produção, trânsito e desalfandegamento; o IVA recuperável conta só até à dedução.",
+
+  // Order planning (planning.js, OrderPlanningPanel)
+  "field.planning.annualDemand": "Procura anual (unidades)",
+  "field.planning.holdingPct": "Custo de posse (%/ano)",
+  "field.planning.spaceCostPerM3": "Espaço de armazém (€/m³/ano)",
+  "field.pricing.targetPct": "Margem / markup alvo (%)",
+  "field.pricing.channelFeePct": "Comissão do canal (%)",
+  "field.pricing.distributorDiscountPct": "Desconto ao distribuidor (%)",
+  "field.pricing.sellingPrice": "Preço de tabela conhecido",
+  "field.risk": "{factor} — {bound}",
+  "field.qtyRange.qMin": "Sensibilidade — qtd mínima",
+  "field.qtyRange.qMax": "Sensibilidade — qtd máxima",
+  "field.sweep.min": "Sensibilidade — de",
+  "field.sweep.max": "Sensibilidade — até",
+  "planning.title": "Planeamento de encomendas — quantidade, frequência e modal",
+  "planning.blocked": "Corrija os campos assinalados para calcular o plano.",
+  "planning.none": "Nenhum modal tem custo calculável para estas quantidades.",
+  "planning.recommend": "Encomendar {qty} unidades, {shipments}× por ano, por {mode}",
+  "planning.recommendCost": "Custo anual {total} ({unit} por unidade vendida)",
+  "planning.col.mode": "Modal",
+  "planning.col.qty": "Encomenda",
+  "planning.col.shipments": "Envios/ano",
+  "planning.col.unit": "Custo unitário",
+  "planning.col.holding": "Posse/ano",
+  "planning.col.space": "Espaço/ano",
+  "planning.col.total": "Total/ano",
+  "planning.tooltip": "{qty} un ({shipments} envios/ano)",
+  "planning.note": "Cada tamanho de encomenda (mix de SKUs atual) passa pelo cálculo completo: escalões de frete, contentores e custos fixos por envio (despachante, THC, outras taxas, taxas fixas de frete). Total anual = procura × custo unitário + custo de posse sobre o stock médio (metade da encomenda) + espaço para uma encomenda completa. O custo financeiro conta só até ao desalfandegamento.",
+
+  // Estimate vs actual (actuals.js, ReconciliationPanel)
+  "actuals.line.goods": "Mercadoria (câmbio aplicado)",
+  "actuals.line.freight": "Frete (fatura do transitário)",
+  "actuals.line.duty": "Direitos (declaração aduaneira)",
+  "actuals.line.vat": "IVA (declaração aduaneira)",
+  "actuals.line.brokerage": "Despachante (fatura)",
+  "actuals.line.portTHC": "Taxas portuárias / THC",
+  "actuals.line.otherFees": "Outras taxas",
+  "actuals.line.destination": "Custos no destino",
+  "actuals.file.notJson": "O ficheiro não é JSON válido.",
+  "actuals.file.unknown": "Formato desconhecido: esperado um ficheiro de custos reais exportado pela app.",
+  "actuals.file.newer": "Ficheiro de uma versão mais recente ({version}).",
+  "actuals.file.csvColumns": "O CSV precisa da coluna scenario (nome ou id do cenário gravado).",
+  "actuals.file.noScenario": "cenário \"{scenario}\" não encontrado",
+  "actuals.file.badAmount": "{field}: valor inválido",
+  "actuals.file.badFx": "câmbio {currency} inválido",
+  "actuals.file.lineProblem": "Linha {line} ({reference}): {problem}",
+  "actuals.file.errors": "O ficheiro tem erros e não foi importado:",
+  "actualsUi.title": "Estimativa vs real — faturas de envios recebidos",
+  "actualsUi.intro": "Depois da chegada, registe os valores reais (em EUR) e o câmbio aplicado, ligados ao cenário gravado com a estimativa. Campos vazios = ainda não faturado.",
+  "actualsUi.noScenarios": "Grave a estimativa como cenário para lhe ligar os custos reais.",
+  "actualsUi.estimate": "Estimativa (cenário gravado)",
+  "actualsUi.chooseEstimate": "Escolha o cenário…",
+  "actualsUi.deletedScenario": "Cenário apagado",
+  "actualsUi.reference": "Referência do envio",
+  "actualsUi.arrivalDate": "Data de chegada",
+  "actualsUi.notInvoiced": "não faturado",
+  "actualsUi.fxApplied": "Câmbio aplicado {code} (EUR por 1 {code})",
+  "actualsUi.save": "Registar custos reais",
+  "actualsUi.update": "Guardar alterações",
+  "actualsUi.new": "Novo envio",
+  "actualsUi.saved": "Custos reais registados.",
+  "actualsUi.import": "Importar JSON/CSV",
+  "actualsUi.imported": "Importado de {file}: {added} envio(s) novo(s), {updated} atualizado(s).",
+  "actualsUi.confirmDelete": "Apagar os custos reais do envio \"{reference}\"?",
+  "actualsUi.details": "Detalhe",
+  "actualsUi.edit": "Editar",
+  "actualsUi.delete": "Apagar",
+  "actualsUi.col.arrival": "Chegada",
+  "actualsUi.col.shipment": "Envio",
+  "actualsUi.col.line": "Linha",
+  "actualsUi.col.estimate": "Estimado",
+  "actualsUi.col.actual": "Real",
+  "actualsUi.col.variance": "Desvio",
+  "actualsUi.col.modeRoute": "Modal • rota",
+  "actualsUi.col.shipments": "Envios",
+  "actualsUi.col.total": "Total",
+  "actualsUi.detailTitle": "{reference} vs estimativa \"{scenario}\"",
+  "actualsUi.fxLine": "{code}: estimado {estimate}, aplicado {actual} ({pct})",
+  "actualsUi.biasTitle": "Desvio médio por modal e rota",
+  "actualsUi.biasCell": "{count} envio(s), desvio acumulado {amount}",
+  "actualsUi.biasNote": "Média do desvio % das linhas faturadas (vermelho = real acima da estimativa). Realçado: 2+ envios, todos no mesmo sentido e em média acima de {pct}% — reveja os escalões de frete ou as taxas dessa rota.",
+};